@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { Routes, Route, Link, useLocation } from 'react-router-dom';
 import axios from 'axios';
 import './App.css';
@@ -6,18 +6,36 @@ import GitSection from './components/GitSection';
 import JiraSection from './components/JiraSection';
 import DateFilter from './components/DateFilter';
 import { getCurrentWorkYearStart, formatWorkYearLabel } from './utils/dateHelpers';
-import { buildApiUrl } from './utils/apiHelpers';
-import { renderErrorSection } from './utils/sectionHelpers';
+import { buildApiUrl, buildViewAsLink } from './utils/apiHelpers';
+import { renderErrorSection, JIRA_LAYOUT_TRACKERS } from './utils/sectionHelpers';
+import clientCache from './utils/clientCache';
+import { subscribeToUpdates, affectsEndpoint } from './utils/liveUpdates';
 import CombinedOverview from './components/CombinedOverview';
+import SourceSection from './components/SourceSection';
+import { usePreviousPeriodStats } from './hooks/usePreviousPeriodStats';
 import Skeleton from './components/ui/Skeleton';
 import IssuesPage from './pages/IssuesPage';
 import PRsPage from './pages/PRsPage';
 import ProjectsPage from './pages/ProjectsPage';
 import LeaderboardPage from './pages/LeaderboardPage';
+import TeamPage from './pages/TeamPage';
 import LogbookPage from './pages/LogbookPage';
+import RosterPage from './pages/RosterPage';
+import CredentialsPage from './pages/CredentialsPage';
+import LoginPage from './pages/LoginPage';
+
+// Jira has a dedicated dashboard section (with CTOI and the overview's velocity); other trackers
+// get a SourceSection (or JiraSection, see JIRA_LAYOUT_TRACKERS), and code sources the Git section
+const DEDICATED_SOURCES = ['jira'];
+// Always shown (with their errors) even when not configured; other sources only once they're set up
+const CORE_SOURCES = ['github', 'gitlab', 'jira'];
 
 function App() {
   const location = useLocation();
+  // Signed-in user from /api/auth/me ({ authEnabled: false } when the server has no AUTH_SECRET)
+  const [session, setSession] = useState(null);
+  const isSignedIn = !!session && (!session.authEnabled || !!session.user);
+  const isManager = session?.role === 'manager' || session?.role === 'admin';
   // Progressive loading: separate state for each data source
   const [jiraStats, setJiraStats] = useState(null);
   const [gitStats, setGitStats] = useState(null);
@@ -27,13 +45,22 @@ function App() {
   const [jiraLoading, setJiraLoading] = useState(true);
   const [gitLoading, setGitLoading] = useState(true);
   const [ctoiLoading, setCtoiLoading] = useState(true);
+  const [extraSources, setExtraSources] = useState([]);
+  const [codeSources, setCodeSources] = useState([]);
+  const [sourceStats, setSourceStats] = useState({});
+  const [sourcesLoading, setSourcesLoading] = useState(false);
   const [error, setError] = useState(null);
   const [lastUpdated, setLastUpdated] = useState(null);
+  // Refresh events from the server (see liveUpdates.js) not applied yet
+  const [pendingUpdates, setPendingUpdates] = useState([]);
   
   // Preserve query params (like ?mock=true) when navigating
   const queryString = location.search;
   const isMockMode = new URLSearchParams(queryString).get('mock') === 'true';
   const mockParam = isMockMode ? '&mock=true' : '';
+  // ?user=<id> views every page as a roster user (buildApiUrl passes it on)
+  const viewAsUserId = new URLSearchParams(queryString).get('user');
+  const [viewAsName, setViewAsName] = useState(null);
   
   const workYearStart = getCurrentWorkYearStart();
   const [dateRange, setDateRange] = useState({
@@ -43,6 +70,16 @@ function App() {
     type: 'custom'
   });
 
+  // Compare mode (DateFilter): the same stats for the previous period
+  const comparedEndpoints = useMemo(() => [
+    '/api/stats/jira',
+    '/api/stats/git',
+    ...extraSources.map(source => `/api/stats/sources/${source.id}`)
+  ], [extraSources]);
+  const { previousStats } = usePreviousPeriodStats(dateRange, comparedEndpoints, mockParam);
+  const previousJira = previousStats['/api/stats/jira'] || null;
+  const previousGit = previousStats['/api/stats/git'] || null;
+
   // Fetch Jira stats (usually faster)
   const fetchJiraStats = useCallback(async () => {
     // Always set loading to true first to show loading skeletons
@@ -55,12 +92,13 @@ function App() {
       setLastUpdated(new Date());
     } catch (err) {
       console.error('Error fetching Jira stats:', err);
+      setJiraStats({ error: err.response?.data?.error || err.message });
     } finally {
       setJiraLoading(false);
     }
   }, [dateRange, mockParam]);
 
-  // Fetch Git stats (GitHub + GitLab)
+  // Fetch Git stats (every code source)
   const fetchGitStats = useCallback(async () => {
     try {
       setGitLoading(true);
@@ -108,27 +146,135 @@ function App() {
     }
   }, [dateRange, mockParam]);
 
+  // Load source providers once; in mock mode show every provider, otherwise core and configured ones
+  useEffect(() => {
+    axios.get('/api/providers')
+      .then(response => {
+        const shown = (response.data.providers || [])
+          .filter(source => isMockMode || source.configured || CORE_SOURCES.includes(source.id));
+        setCodeSources(shown.filter(source => source.kind === 'code'));
+        setExtraSources(shown.filter(source => source.kind !== 'code' && !DEDICATED_SOURCES.includes(source.id)));
+      })
+      .catch(err => console.error('Error fetching providers:', err));
+  }, [isMockMode]);
+
+  // Fetch stats for providers without a dedicated section
+  const fetchSourceStats = useCallback(async () => {
+    if (extraSources.length === 0) return;
+    setSourcesLoading(true);
+
+    const results = await Promise.all(extraSources.map(source =>
+      axios.get(buildApiUrl(`/api/stats/sources/${source.id}`, dateRange) + mockParam)
+        .then(response => [source.id, response.data])
+        .catch(err => {
+          console.error(`Error fetching ${source.name} stats:`, err);
+          return [source.id, { error: err.response?.data?.error || err.message }];
+        })
+    ));
+    setSourceStats(Object.fromEntries(results));
+    setSourcesLoading(false);
+  }, [extraSources, dateRange, mockParam]);
+
   // Fetch all stats in parallel (progressive)
   const fetchAllStats = useCallback(async () => {
     setError(null);
+    setPendingUpdates([]);
     // Start all fetches in parallel - each section updates independently
     fetchJiraStats();
     fetchGitStats();
     fetchCtoiStats();
     fetchBenchmarks();
-  }, [fetchJiraStats, fetchGitStats, fetchCtoiStats, fetchBenchmarks]);
+    fetchSourceStats();
+  }, [fetchJiraStats, fetchGitStats, fetchCtoiStats, fetchBenchmarks, fetchSourceStats]);
+
+  useEffect(() => {
+    axios.get('/api/auth/me')
+      .then(response => setSession(response.data))
+      .catch(err => {
+        console.error('Error fetching session:', err);
+        setSession({ authEnabled: false, user: null, role: null });
+      });
+
+    // Expired or missing sessions show the login page
+    const interceptor = axios.interceptors.response.use(null, (err) => {
+      if (err.response?.status === 401) {
+        setSession(prev => (prev?.authEnabled ? { ...prev, user: null, role: null } : prev));
+      }
+      return Promise.reject(err);
+    });
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
+
+  const handleLogin = (newSession) => {
+    clientCache.clear();
+    setSession(newSession);
+  };
+
+  const handleLogout = async () => {
+    try {
+      await axios.post('/api/auth/logout');
+    } catch (err) {
+      console.error('Error signing out:', err);
+    }
+    clientCache.clear();
+    setSession(prev => ({ ...prev, user: null, role: null }));
+  };
+
+  // Each dashboard section and the endpoint it's fetched from
+  const sectionFetchers = useMemo(() => [
+    ['/api/stats/jira', fetchJiraStats],
+    ['/api/stats/git', fetchGitStats],
+    ['/api/stats/ctoi', fetchCtoiStats],
+    ['/api/stats/benchmarks', fetchBenchmarks],
+    ...extraSources.map(source => [`/api/stats/sources/${source.id}`, fetchSourceStats])
+  ], [fetchJiraStats, fetchGitStats, fetchCtoiStats, fetchBenchmarks, fetchSourceStats, extraSources]);
+
+  // Refetch only the sections the pending refresh events cover
+  const applyUpdates = useCallback(() => {
+    const fetchers = new Set(sectionFetchers
+      .filter(([endpoint]) => pendingUpdates.some(refresh => affectsEndpoint(refresh, endpoint)))
+      .map(([, fetcher]) => fetcher));
+    setPendingUpdates([]);
+    fetchers.forEach(fetcher => fetcher());
+  }, [sectionFetchers, pendingUpdates]);
 
   useEffect(() => {
     // Only fetch stats on the dashboard route
-    if (location.pathname === '/') {
+    if (isSignedIn && location.pathname === '/') {
       fetchAllStats();
-      const interval = setInterval(fetchAllStats, 5 * 60 * 1000);
-      return () => clearInterval(interval);
     }
-  }, [fetchAllStats, location.pathname]);
+    // Refetch when switching the view-as user
+  }, [fetchAllStats, location.pathname, viewAsUserId, isSignedIn]);
+
+  // Collect refresh events that touch a dashboard section (instead of polling)
+  useEffect(() => {
+    if (!isSignedIn || location.pathname !== '/') return undefined;
+    return subscribeToUpdates(refresh => {
+      if (sectionFetchers.some(([endpoint]) => affectsEndpoint(refresh, endpoint))) {
+        setPendingUpdates(prev => [...prev, refresh]);
+      }
+    });
+  }, [isSignedIn, location.pathname, sectionFetchers]);
+
+  const pendingSources = [...new Set(pendingUpdates.flatMap(refresh => refresh.sources || []))];
+
+  // Look up the view-as user's name for the nav indicator
+  useEffect(() => {
+    setViewAsName(null);
+    if (!viewAsUserId || !isSignedIn) return;
+    axios.get('/api/users')
+      .then(response => {
+        const user = (response.data.users || []).find(u => u.id === viewAsUserId);
+        setViewAsName(user?.name || null);
+      })
+      .catch(err => console.error('Error fetching roster:', err));
+  }, [viewAsUserId, isSignedIn]);
 
   const isAnyLoading = jiraLoading || gitLoading;
 
+  if (!session) return null;
+  if (!isSignedIn) return <LoginPage onLogin={handleLogin} />;
+
   return (
     <div className="app">
       <nav className="main-nav">
@@ -136,7 +282,7 @@ function App() {
           Dashboard
         </Link>
         <Link to={`/issues${queryString}`} className={location.pathname === '/issues' ? 'active' : ''}>
-          Jira Issues
+          Issues
         </Link>
         <Link to={`/prs${queryString}`} className={location.pathname === '/prs' ? 'active' : ''}>
           PRs/MRs
@@ -147,18 +293,45 @@ function App() {
         <Link to={`/leaderboard${queryString}`} className={location.pathname === '/leaderboard' ? 'active' : ''}>
           Leaderboard
         </Link>
+        {isManager && (
+          <Link to={`/team${queryString}`} className={location.pathname === '/team' ? 'active' : ''}>
+            Team
+          </Link>
+        )}
         <Link to={`/logbook${queryString}`} className={location.pathname === '/logbook' ? 'active' : ''}>
           Logbook
         </Link>
+        <Link to={`/roster${queryString}`} className={location.pathname === '/roster' ? 'active' : ''}>
+          Roster
+        </Link>
+        <Link to={`/credentials${queryString}`} className={location.pathname === '/credentials' ? 'active' : ''}>
+          Tokens
+        </Link>
+        {session.user && (
+          <span className="session-user">
+            {session.user.name} · {session.role}
+            <button onClick={handleLogout}>Sign out</button>
+          </span>
+        )}
+        {viewAsUserId && (
+          <span className="view-as-indicator">
+            👤 Viewing as {viewAsName || viewAsUserId}
+            <Link to={buildViewAsLink(location.pathname, null)} title="Back to your own stats">✕</Link>
+          </span>
+        )}
         {isMockMode && <span className="mock-indicator">🧪 MOCK MODE</span>}
       </nav>
       
-      <Routes>
+      {/* Remount pages when the view-as user changes so they refetch */}
+      <Routes key={viewAsUserId || 'self'}>
         <Route path="/issues" element={<IssuesPage />} />
         <Route path="/prs" element={<PRsPage />} />
         <Route path="/projects" element={<ProjectsPage />} />
         <Route path="/leaderboard" element={<LeaderboardPage />} />
+        <Route path="/team" element={<TeamPage />} />
         <Route path="/logbook" element={<LogbookPage />} />
+        <Route path="/roster" element={<RosterPage />} />
+        <Route path="/credentials" element={<CredentialsPage />} />
         <Route path="/" element={
           <>
             <header className="app-header">
@@ -167,12 +340,26 @@ function App() {
                 <p className="work-year">{dateRange.label}</p>
               </div>
               <div className="header-controls">
-                <DateFilter value={dateRange} onChange={setDateRange} />
+                <DateFilter value={dateRange} onChange={setDateRange} allowCompare={true} />
                 {lastUpdated && (
                   <p className="last-updated">
                     Last updated: {lastUpdated.toLocaleTimeString()}
                   </p>
                 )}
+                {pendingUpdates.length > 0 && (
+                  <button onClick={applyUpdates} className="update-indicator" title={`Updated: ${pendingSources.join(', ')}`}>
+                    🔔 New data available
+                  </button>
+                )}
+                <a
+                  href={buildApiUrl('/api/reports/dashboard', dateRange) + mockParam}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="report-link"
+                  title="Printable report of every section for this date range (print or save as PDF)"
+                >
+                  Print Report
+                </a>
                 <button onClick={fetchAllStats} className="refresh-btn" disabled={isAnyLoading}>
                   {isAnyLoading ? 'Refreshing...' : 'Refresh'}
                 </button>
@@ -184,15 +371,15 @@ function App() {
             <div className="stats-grid">
               {/* Combined Overview - always shows, with skeletons for loading parts */}
               <CombinedOverview 
-                githubStats={gitStats?.github} 
-                gitlabStats={gitStats?.gitlab} 
+                gitStats={gitStats}
+                codeSources={codeSources}
                 jiraStats={jiraStats}
                 gitLoading={gitLoading}
                 jiraLoading={jiraLoading}
                 dateRange={dateRange}
                 benchmarks={benchmarks}
                 benchmarksLoading={benchmarksLoading}
-                reviewStats={gitStats?.reviewStats}
+                previous={previousGit || previousJira ? { gitStats: previousGit, jiraStats: previousJira } : null}
               />
 
               {/* Jira Section - loads independently */}
@@ -203,9 +390,40 @@ function App() {
                 loading={jiraLoading}
                 ctoiLoading={ctoiLoading}
                 benchmarks={benchmarks}
+                previousStats={previousJira}
               />
               {!jiraLoading && renderErrorSection('jira', '', jiraStats?.error)}
 
+              {/* Other trackers - load independently */}
+              {extraSources.map(source => {
+                const data = sourceStats[source.id];
+                const loading = sourcesLoading && !data;
+                const previousData = previousStats[`/api/stats/sources/${source.id}`] || null;
+                const layout = JIRA_LAYOUT_TRACKERS[source.id];
+                return layout ? (
+                  <React.Fragment key={source.id}>
+                    <JiraSection
+                      title={source.name}
+                      stats={data?.stats || null}
+                      compact={true}
+                      loading={loading}
+                      itemsPath={layout.itemsPath}
+                      sections={layout.sections}
+                      previousStats={previousData?.stats || null}
+                    />
+                    {!loading && renderErrorSection(source.name, source.icon, data?.error)}
+                  </React.Fragment>
+                ) : (
+                  <SourceSection
+                    key={source.id}
+                    source={source}
+                    data={data}
+                    loading={loading}
+                    previousData={previousData}
+                  />
+                );
+              })}
+
               {/* Git Section - loads independently */}
               {gitLoading ? (
                 <div className="source-section">
@@ -215,7 +433,7 @@ function App() {
                   </div>
                 </div>
               ) : (
-                <GitSection githubStats={gitStats?.github} gitlabStats={gitStats?.gitlab} reviewStats={gitStats?.reviewStats} dateRange={dateRange} />
+                <GitSection stats={gitStats} sources={codeSources} previous={previousGit} />
               )}
             </div>
           </>
@@ -4,29 +4,57 @@ import Skeleton from './ui/Skeleton';
 import { calculateCombinedStats, getPRComparison } from '../utils/combinedStats';
 import { formatVelocitySubtitle } from '../utils/velocityHelpers';
 
-function CombinedOverview({ githubStats, gitlabStats, jiraStats, gitLoading = false, jiraLoading = false, dateRange = null, benchmarks = null, benchmarksLoading = false, reviewStats = null }) {
+/**
+ * Overview numbers for one set of stats (the selected range, or the previous period when comparing)
+ * Code totals come from the normalized summary of /api/stats/git, so every code source counts.
+ */
+function getOverviewMetrics({ gitStats, jiraStats }, codeSources) {
+  const combined = calculateCombinedStats(gitStats?.summary);
+  const combinedVelocity = jiraStats?.velocity?.combinedAverageVelocity || jiraStats?.velocity?.averageVelocity || 0;
+
+  // Comments per month, from each loaded source's review stats
+  const commentsPerMonth = Object.fromEntries(codeSources
+    .filter(source => combined.bySource[source.id])
+    .map(source => [source.id, gitStats.reviewStats?.[source.id]?.avgCommentsPerMonth || 0]));
+
+  return {
+    combined,
+    combinedVelocity,
+    totalReviews: gitStats?.summary?.reviews || 0,
+    totalComments: gitStats?.summary?.comments || 0,
+    commentsPerMonth,
+    combinedCommentsPerMonth: Object.values(commentsPerMonth).reduce((sum, value) => sum + value, 0)
+  };
+}
+
+/**
+ * @param {Object} gitStats - /api/stats/git response
+ * @param {Array} codeSources - Code providers to count (from /api/providers)
+ * @param {Object} previous - Optional stats for the previous period ({ gitStats, jiraStats });
+ *   each card then shows its change
+ */
+function CombinedOverview({ gitStats, codeSources = [], jiraStats, gitLoading = false, jiraLoading = false, dateRange = null, benchmarks = null, benchmarksLoading = false, previous = null }) {
 
   // Don't show if all sources have errors
-  if (githubStats?.error && gitlabStats?.error && jiraStats?.error) {
+  if (codeSources.every(source => gitStats?.[source.id]?.error) && jiraStats?.error) {
     return null;
   }
 
-  const combined = calculateCombinedStats(githubStats, gitlabStats);
-  const combinedVelocity = jiraStats?.velocity?.combinedAverageVelocity || jiraStats?.velocity?.averageVelocity || 0;
-  
-  // Calculate combined reviews and comments
-  const githubReviews = reviewStats?.github?.prsReviewed || githubStats?.reviews || 0;
-  const gitlabReviews = reviewStats?.gitlab?.mrsReviewed || 0;
-  const totalReviews = githubReviews + gitlabReviews;
-  
-  const githubComments = reviewStats?.github?.totalComments || 0;
-  const gitlabComments = reviewStats?.gitlab?.totalComments || 0;
-  const totalComments = githubComments + gitlabComments;
-  
-  // Calculate comments per month
-  const githubCommentsPerMonth = reviewStats?.github?.avgCommentsPerMonth || 0;
-  const gitlabCommentsPerMonth = reviewStats?.gitlab?.avgCommentsPerMonth || 0;
-  const combinedCommentsPerMonth = githubCommentsPerMonth + gitlabCommentsPerMonth;
+  const {
+    combined,
+    combinedVelocity,
+    totalReviews,
+    totalComments,
+    commentsPerMonth,
+    combinedCommentsPerMonth
+  } = getOverviewMetrics({ gitStats, jiraStats }, codeSources);
+  const previousMetrics = previous ? getOverviewMetrics(previous, codeSources) : null;
+  const loadedSources = codeSources.filter(source => combined.bySource[source.id]);
+
+  // "12 GitHub, 3 GitLab" for every source that loaded
+  const formatBySource = (metric) => loadedSources
+    .map(source => `${combined.bySource[source.id][metric] || 0} ${source.name}`)
+    .join(', ');
 
   // Helper to render total PRs subtitle with benchmarks
   const renderTotalPRsSubtitle = () => {
@@ -34,7 +62,7 @@ function CombinedOverview({ githubStats, gitlabStats, jiraStats, gitLoading = fa
       return <span className="benchmarks-loading">Loading benchmarks...</span>;
     }
     
-    const parts = [`${combined.githubCount} GitHub, ${combined.gitlabCount} GitLab`];
+    const parts = [formatBySource('created')];
     
     if (benchmarks) {
       const fteTotal = benchmarks?.fte?.totalPRs;
@@ -82,6 +110,7 @@ function CombinedOverview({ githubStats, gitlabStats, jiraStats, gitLoading = fa
           <StatsCard
             title="Total PRs/MRs"
             value={combined.totalPRs}
+            previousValue={previous?.gitStats ? previousMetrics.combined.totalPRs : undefined}
             subtitle={renderTotalPRsSubtitle()}
           />
         )}
@@ -91,6 +120,7 @@ function CombinedOverview({ githubStats, gitlabStats, jiraStats, gitLoading = fa
           <StatsCard
             title="Avg PRs/MRs per Month"
             value={combined.avgPRsPerMonth}
+            previousValue={previous?.gitStats ? previousMetrics.combined.avgPRsPerMonth : undefined}
             subtitle={renderPRSubtitle(getPRComparison(combined.avgPRsPerMonth, benchmarks))}
           />
         )}
@@ -100,7 +130,8 @@ function CombinedOverview({ githubStats, gitlabStats, jiraStats, gitLoading = fa
           <StatsCard
             title="Reviews"
             value={totalReviews}
-            subtitle={`${githubReviews} GitHub, ${gitlabReviews} GitLab`}
+            previousValue={previous?.gitStats ? previousMetrics.totalReviews : undefined}
+            subtitle={formatBySource('reviews')}
           />
         ) : null}
         {gitLoading ? (
@@ -109,7 +140,8 @@ function CombinedOverview({ githubStats, gitlabStats, jiraStats, gitLoading = fa
           <StatsCard
             title="Comments"
             value={totalComments}
-            subtitle={`${githubComments} GitHub, ${gitlabComments} GitLab`}
+            previousValue={previous?.gitStats ? previousMetrics.totalComments : undefined}
+            subtitle={formatBySource('comments')}
           />
         ) : null}
         {gitLoading ? (
@@ -118,12 +150,11 @@ function CombinedOverview({ githubStats, gitlabStats, jiraStats, gitLoading = fa
           <StatsCard
             title="Comments per Month"
             value={combinedCommentsPerMonth.toFixed(1)}
-            subtitle={(() => {
-              const parts = [];
-              if (githubCommentsPerMonth > 0) parts.push(`${githubCommentsPerMonth.toFixed(1)} GitHub`);
-              if (gitlabCommentsPerMonth > 0) parts.push(`${gitlabCommentsPerMonth.toFixed(1)} GitLab`);
-              return parts.join(', ') || 'Average comments per month';
-            })()}
+            previousValue={previous?.gitStats ? previousMetrics.combinedCommentsPerMonth.toFixed(1) : undefined}
+            subtitle={loadedSources
+              .filter(source => commentsPerMonth[source.id] > 0)
+              .map(source => `${commentsPerMonth[source.id].toFixed(1)} ${source.name}`)
+              .join(', ') || 'Average comments per month'}
           />
         ) : null}
         {jiraLoading ? (
@@ -132,6 +163,7 @@ function CombinedOverview({ githubStats, gitlabStats, jiraStats, gitLoading = fa
           <StatsCard
             title="Average Velocity per Sprint"
             value={combinedVelocity}
+            previousValue={previous?.jiraStats ? previousMetrics.combinedVelocity : undefined}
             subtitle={renderVelocitySubtitle()}
           />
         ) : null}
@@ -1,89 +1,159 @@
-import React from 'react';
+import React, { useState } from 'react';
 import './DateFilter.css';
-import { getCurrentWorkYearStart, formatWorkYearLabel } from '../utils/dateHelpers';
-
-function getWorkYearRanges() {
-  const currentWorkYearStart = new Date(getCurrentWorkYearStart());
-  const previousWorkYearStart = new Date(currentWorkYearStart.getFullYear() - 1, 8, 1); // September 1
-  const previousWorkYearEnd = new Date(currentWorkYearStart.getFullYear(), 7, 31); // August 31
-  
-  return {
-    current: {
-      label: formatWorkYearLabel(getCurrentWorkYearStart()),
-      start: getCurrentWorkYearStart(),
-      end: null // Present
-    },
-    previous: {
-      label: `Previous Work Year (${previousWorkYearStart.toLocaleDateString('en-US', { month: 'short', year: 'numeric' })} - ${previousWorkYearEnd.toLocaleDateString('en-US', { month: 'short', year: 'numeric' })})`,
-      start: previousWorkYearStart.toISOString().split('T')[0],
-      end: previousWorkYearEnd.toISOString().split('T')[0]
-    }
+import {
+  getDateRangePresets,
+  getLastDaysRange,
+  getCustomRange,
+  getPreviousPeriod,
+  toDateString
+} from '../utils/dateHelpers';
+
+const LAST_DAYS_OPTION = 'last-days';
+const CUSTOM_OPTION = 'custom';
+
+function DateFilter({ value, onChange, allowCompare = false }) {
+  const presetGroups = getDateRangePresets();
+  const presets = presetGroups.flatMap(group => group.ranges);
+
+  // Preset ids are stored on the range; older ranges are matched by dates
+  const findPreset = () => {
+    if (!value) return presets[0];
+    return presets.find(range => range.preset === value.preset) ||
+      presets.find(range => value.start === range.start && (value.end || null) === range.end);
+  };
+
+  const getCurrentValue = () => {
+    const preset = findPreset();
+    if (preset) return preset.preset;
+    return value.preset === LAST_DAYS_OPTION ? LAST_DAYS_OPTION : CUSTOM_OPTION;
+  };
+
+  const [editing, setEditing] = useState(null);
+  const [days, setDays] = useState(value?.period?.days || 30);
+  const [customStart, setCustomStart] = useState(value?.start || '');
+  const [customEnd, setCustomEnd] = useState(value?.end || '');
+
+  const selected = editing || getCurrentValue();
+
+  // Keep the compare toggle across range changes
+  const applyRange = (range) => {
+    setEditing(null);
+    onChange({ ...range, compare: value?.compare || false });
   };
-}
 
-function DateFilter({ value, onChange }) {
-  const workYearRanges = getWorkYearRanges();
-  
-  const DATE_RANGES = [
-    {
-      label: workYearRanges.current.label,
-      start: workYearRanges.current.start,
-      end: workYearRanges.current.end,
-      type: 'custom'
-    },
-    {
-      label: workYearRanges.previous.label,
-      start: workYearRanges.previous.start,
-      end: workYearRanges.previous.end,
-      type: 'custom'
-    }
-  ];
   const handleChange = (e) => {
-    const selectedIndex = parseInt(e.target.value);
-    const selectedRange = DATE_RANGES[selectedIndex];
-    onChange(selectedRange);
+    const option = e.target.value;
+    if (option === LAST_DAYS_OPTION || option === CUSTOM_OPTION) {
+      setEditing(option);
+      return;
+    }
+    applyRange(presets.find(range => range.preset === option));
   };
 
-  const getCurrentValue = () => {
-    if (!value) return 0;
-    
-    const index = DATE_RANGES.findIndex(range => {
-      if (range.type === 'dynamic' && value.range === range.range) {
-        return true;
-      }
-      if (range.type === 'custom') {
-        // For custom ranges, compare start dates (end can be null for "present")
-        if (value.start === range.start) {
-          // If both have null end or both have same end, it's a match
-          if ((!value.end && !range.end) || value.end === range.end) {
-            return true;
-          }
-        }
-      }
-      return false;
-    });
-    
-    return index >= 0 ? index : 0;
+  const applyDays = (e) => {
+    e.preventDefault();
+    const count = parseInt(days, 10);
+    if (!(count > 0)) return;
+    applyRange({ ...getLastDaysRange(count), preset: LAST_DAYS_OPTION });
+  };
+
+  const applyCustom = (e) => {
+    e.preventDefault();
+    if (!customStart || (customEnd && customEnd < customStart)) return;
+    applyRange(getCustomRange(customStart, customEnd || null));
   };
 
+  // Ranges matched by dates pick up the preset's period, so the comparison steps back correctly
+  const currentRange = { ...value, ...findPreset() };
+  const previousRange = allowCompare && value?.compare ? getPreviousPeriod(currentRange) : null;
+
   return (
     <div className="date-filter">
       <label htmlFor="date-range-select">Date Range:</label>
       <select
         id="date-range-select"
         className="date-filter-select"
-        value={getCurrentValue()}
+        value={selected}
         onChange={handleChange}
       >
-        {DATE_RANGES.map((range, index) => (
-          <option key={index} value={index}>
-            {range.label}
-          </option>
+        {presetGroups.map(group => (
+          <optgroup key={group.label} label={group.label}>
+            {group.ranges.map(range => (
+              <option key={range.preset} value={range.preset}>
+                {range.label}
+              </option>
+            ))}
+          </optgroup>
         ))}
+        <optgroup label="Other">
+          <option value={LAST_DAYS_OPTION}>
+            {!editing && selected === LAST_DAYS_OPTION ? value.label : 'Last N days…'}
+          </option>
+          <option value={CUSTOM_OPTION}>
+            {!editing && selected === CUSTOM_OPTION ? value.label : 'Custom range…'}
+          </option>
+        </optgroup>
       </select>
+
+      {editing === LAST_DAYS_OPTION && (
+        <form className="date-filter-custom" onSubmit={applyDays}>
+          <label htmlFor="date-range-days">Last</label>
+          <input
+            id="date-range-days"
+            type="number"
+            min="1"
+            value={days}
+            onChange={(e) => setDays(e.target.value)}
+          />
+          <span>days</span>
+          <button type="submit">Apply</button>
+          <button type="button" className="date-filter-cancel" onClick={() => setEditing(null)}>Cancel</button>
+        </form>
+      )}
+
+      {editing === CUSTOM_OPTION && (
+        <form className="date-filter-custom" onSubmit={applyCustom}>
+          <label htmlFor="date-range-start">From</label>
+          <input
+            id="date-range-start"
+            type="date"
+            value={customStart}
+            max={toDateString(new Date())}
+            onChange={(e) => setCustomStart(e.target.value)}
+            required
+          />
+          <label htmlFor="date-range-end">To</label>
+          <input
+            id="date-range-end"
+            type="date"
+            value={customEnd}
+            min={customStart || undefined}
+            onChange={(e) => setCustomEnd(e.target.value)}
+            title="Leave empty for the present"
+          />
+          <button type="submit">Apply</button>
+          <button type="button" className="date-filter-cancel" onClick={() => setEditing(null)}>Cancel</button>
+        </form>
+      )}
+
+      {allowCompare && !editing && (
+        <label
+          className="date-filter-compare"
+          title={previousRange ? previousRange.label : 'Show each stat against the equivalent earlier range'}
+        >
+          <input
+            type="checkbox"
+            checked={!!value?.compare}
+            onChange={(e) => onChange({ ...currentRange, compare: e.target.checked })}
+          />
+          Compare to previous period
+        </label>
+      )}
+      {previousRange && !editing && (
+        <span className="date-filter-previous">{previousRange.label}</span>
+      )}
     </div>
   );
 }
 
 export default DateFilter;
-
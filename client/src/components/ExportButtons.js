@@ -0,0 +1,55 @@
+import React from 'react';
+import { buildApiUrl } from '../utils/apiHelpers';
+import './ExportButtons.css';
+
+const FORMATS = [
+  { id: 'csv', label: 'CSV' },
+  { id: 'xlsx', label: 'XLSX' },
+  { id: 'json', label: 'JSON' }
+];
+
+/**
+ * Build an export download URL (see /api/export/:dataset)
+ * @param {string} dataset - prs, issues, leaderboard or logbook
+ * @param {Object} dateRange - Page date range
+ * @param {Object} params - Page filters and sort; 'all' and empty values are left out
+ * @param {string} format - csv, xlsx or json
+ * @returns {string} URL
+ */
+export function buildExportUrl(dataset, dateRange, params, format) {
+  const url = buildApiUrl(`/api/export/${dataset}`, dateRange);
+  const query = new URLSearchParams(url.split('?')[1] || '');
+  Object.entries(params || {}).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && value !== '' && value !== 'all') query.set(key, value);
+  });
+  query.set('format', format);
+  if (new URLSearchParams(window.location.search).get('mock') === 'true') query.set('mock', 'true');
+  return `/api/export/${dataset}?${query.toString()}`;
+}
+
+/**
+ * Download buttons for a page's data as CSV, XLSX and JSON, with the page's filters and sort
+ *
+ * @param {string} dataset - prs, issues, leaderboard or logbook
+ * @param {Object} dateRange - Page date range
+ * @param {Object} params - Page filters and sort (e.g., { status: 'merged', sort: 'created', order: 'asc' })
+ */
+function ExportButtons({ dataset, dateRange = null, params = {} }) {
+  return (
+    <div className="export-buttons" title="Download this page's data with the current filters and sort">
+      <span className="export-label">Export</span>
+      {FORMATS.map(format => (
+        <a
+          key={format.id}
+          className="export-btn"
+          href={buildExportUrl(dataset, dateRange, params, format.id)}
+          download
+        >
+          {format.label}
+        </a>
+      ))}
+    </div>
+  );
+}
+
+export default ExportButtons;
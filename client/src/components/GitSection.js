@@ -2,210 +2,287 @@ import React from 'react';
 import StatsCard from './StatsCard';
 import { renderErrorSection } from '../utils/sectionHelpers';
 
+const sectionHeadingStyle = { marginTop: '24px', marginBottom: '12px', color: 'var(--text-secondary, #666)' };
+
+/**
+ * Card numbers for one /api/stats/git response (the selected range, or the previous period when comparing)
+ * Per-source and combined counts come from the server's normalized `summary`.
+ */
+function getGitMetrics(stats, sources) {
+  const summary = stats?.summary || {};
+  const commentsPerMonth = Object.fromEntries(sources.map(source => [
+    source.id,
+    summary.bySource?.[source.id] ? stats.reviewStats?.[source.id]?.avgCommentsPerMonth || 0 : 0
+  ]));
+
+  return {
+    bySource: summary.bySource || {},
+    commentsPerMonth,
+    totalCreated: summary.created || 0,
+    totalReviews: summary.reviews || 0,
+    totalComments: summary.comments || 0,
+    combinedCommentsPerMonth: Object.values(commentsPerMonth).reduce((sum, value) => sum + value, 0)
+  };
+}
+
 /**
- * GitSection - displays GitHub and GitLab stats in engineering-metrics format
+ * GitSection - displays every code source's stats in engineering-metrics format
  * 
- * GitHub metrics: created (PRs), reviews
+ * GitHub metrics: created (PRs), reviews, commits and PRs by repository
  * GitLab metrics: commented, created, merged, approved
+ * Other code sources (Bitbucket, ...): created, merged, reviewed, comments
+ * `stats` is the /api/stats/git response and `sources` the code providers to show
+ * (from /api/providers). With `previous` (the response for the previous period)
+ * each card shows its change
  */
-function GitSection({ githubStats, gitlabStats, reviewStats, dateRange, compact = false }) {
-  // Show error only if both sources have errors (or single source has error)
-  const showGitHubOnly = githubStats && !gitlabStats;
-  const showGitLabOnly = gitlabStats && !githubStats;
+function GitSection({ stats, sources, compact = false, previous = null }) {
+  const shown = sources.filter(source => stats?.[source.id]);
+  const failed = shown.filter(source => stats[source.id].error);
+  const loaded = shown.filter(source => !stats[source.id].error);
   
-  const hasError = (githubStats?.error && gitlabStats?.error) || 
-                  (showGitHubOnly && githubStats?.error) ||
-                  (showGitLabOnly && gitlabStats?.error);
-  const hasData = !hasError && (githubStats || gitlabStats);
-  
-  if (!hasData) {
-    if (hasError) {
-      return (
-        <>
-          {githubStats?.error && renderErrorSection('github', '', githubStats.error)}
-          {gitlabStats?.error && renderErrorSection('gitlab', '', gitlabStats.error)}
-        </>
-      );
-    }
-    return null;
+  // Show only errors when no source loaded
+  if (loaded.length === 0) {
+    return failed.length > 0 ? (
+      <>
+        {failed.map(source => (
+          <React.Fragment key={source.id}>{renderErrorSection(source.name, source.icon, stats[source.id].error)}</React.Fragment>
+        ))}
+      </>
+    ) : null;
   }
 
-  // GitHub stats (engineering-metrics format: created, reviews)
-  const githubCreated = githubStats?.created || githubStats?.total || 0;
-  const githubMerged = githubStats?.merged || 0;
-  const githubReviews = reviewStats?.github?.prsReviewed || githubStats?.reviews || githubStats?.contributions?.totalPRReviews || 0;
-  const githubComments = reviewStats?.github?.totalComments || 0;
-  
-  // GitLab stats (engineering-metrics format: commented, created, merged, approved)
-  const gitlabCreated = gitlabStats?.created || gitlabStats?.total || 0;
-  const gitlabMerged = gitlabStats?.merged || 0;
-  const gitlabReviews = reviewStats?.gitlab?.mrsReviewed || 0;
-  const gitlabComments = reviewStats?.gitlab?.totalComments || 0;
-
-  // Combined totals
-  const totalCreated = githubCreated + gitlabCreated;
-  const totalReviews = githubReviews + gitlabReviews;
-  const totalComments = githubComments + gitlabComments;
-  
-  // Calculate comments per month
-  const githubCommentsPerMonth = reviewStats?.github?.avgCommentsPerMonth || 0;
-  const gitlabCommentsPerMonth = reviewStats?.gitlab?.avgCommentsPerMonth || 0;
-  const combinedCommentsPerMonth = githubCommentsPerMonth + gitlabCommentsPerMonth;
+  const { bySource, commentsPerMonth, totalCreated, totalReviews, totalComments, combinedCommentsPerMonth } = getGitMetrics(stats, sources);
+  const previousMetrics = previous ? getGitMetrics(previous, sources) : null;
+  const previousValue = (key) => (previousMetrics ? previousMetrics[key] : undefined);
+  const previousSourceValue = (sourceId, key) => (previousMetrics ? previousMetrics.bySource[sourceId]?.[key] || 0 : undefined);
+  const previousCommentsPerMonth = (sourceId) => (previousMetrics ? previousMetrics.commentsPerMonth[sourceId] : undefined);
+  const metric = (sourceId, key) => bySource[sourceId]?.[key] || 0;
 
   // Determine title
-  const title = showGitHubOnly ? 'GitHub' : showGitLabOnly ? 'GitLab' : 'Git (GitHub + GitLab)';
+  const showCombined = shown.length > 1;
+  const title = showCombined ? `Git (${shown.map(source => source.name).join(' + ')})` : shown[0].name;
+  const githubStats = stats.github;
+  const gitlabStats = stats.gitlab;
+
+  // Other code sources share one layout, labelled with the provider's item name (PRs, ...)
+  const renderSource = (source) => {
+    const itemLabel = source.itemLabel || 'PRs';
+    return (
+      <React.Fragment key={source.id}>
+        <h3 style={sectionHeadingStyle}>
+          {source.name} {stats[source.id].username && <span style={{ fontWeight: 'normal', fontSize: '0.85em' }}>(@{stats[source.id].username})</span>}
+        </h3>
+        <div className="cards-grid">
+          <StatsCard
+            title={`${itemLabel} Created`}
+            value={metric(source.id, 'created')}
+            previousValue={previousSourceValue(source.id, 'created')}
+            subtitle={`${itemLabel} you authored`}
+          />
+          <StatsCard
+            title={`${itemLabel} Merged`}
+            value={metric(source.id, 'merged')}
+            previousValue={previousSourceValue(source.id, 'merged')}
+            subtitle={`${itemLabel} you authored that were merged`}
+          />
+          <StatsCard
+            title={`${itemLabel} Reviewed`}
+            value={metric(source.id, 'reviews')}
+            previousValue={previousSourceValue(source.id, 'reviews')}
+            subtitle={`${itemLabel} reviewed (not authored by you)`}
+          />
+          <StatsCard
+            title="Comments"
+            value={metric(source.id, 'comments')}
+            previousValue={previousSourceValue(source.id, 'comments')}
+            subtitle={`Total comments made on ${itemLabel}`}
+          />
+          {commentsPerMonth[source.id] > 0 && (
+            <StatsCard
+              title="Comments per Month"
+              value={commentsPerMonth[source.id].toFixed(1)}
+              previousValue={previousCommentsPerMonth(source.id)}
+              subtitle="Average comments per month"
+            />
+          )}
+        </div>
+      </React.Fragment>
+    );
+  };
 
   return (
     <div className="source-section">
       <h2>{title}</h2>
       
-      {/* Show individual errors if one source failed */}
-      {githubStats?.error && !gitlabStats?.error && renderErrorSection('github', '', githubStats.error)}
-      {gitlabStats?.error && !githubStats?.error && renderErrorSection('gitlab', '', gitlabStats.error)}
+      {/* Show individual errors if some sources failed */}
+      {failed.map(source => (
+        <React.Fragment key={source.id}>{renderErrorSection(source.name, source.icon, stats[source.id].error)}</React.Fragment>
+      ))}
       
       {/* Combined Overview */}
-      {!showGitHubOnly && !showGitLabOnly && (
+      {showCombined && (
         <>
-          <h3 style={{ marginTop: '0', marginBottom: '12px', color: 'var(--text-secondary, #666)' }}>Combined</h3>
+          <h3 style={{ ...sectionHeadingStyle, marginTop: '0' }}>Combined</h3>
           <div className="cards-grid">
             <StatsCard
               title="PRs/MRs Created"
               value={totalCreated}
+              previousValue={previousValue('totalCreated')}
               subtitle="Total contributions"
             />
             <StatsCard
               title="Reviews"
               value={totalReviews}
+              previousValue={previousValue('totalReviews')}
               subtitle="PRs/MRs reviewed (not authored by you)"
             />
             <StatsCard
               title="Comments"
               value={totalComments}
+              previousValue={previousValue('totalComments')}
               subtitle="Total comments made on PRs/MRs"
             />
             {combinedCommentsPerMonth > 0 && (
               <StatsCard
                 title="Comments per Month"
                 value={combinedCommentsPerMonth.toFixed(1)}
-                subtitle={(() => {
-                  const parts = [];
-                  if (githubCommentsPerMonth > 0) parts.push(`${githubCommentsPerMonth.toFixed(1)} GitHub`);
-                  if (gitlabCommentsPerMonth > 0) parts.push(`${gitlabCommentsPerMonth.toFixed(1)} GitLab`);
-                  return parts.join(', ') || 'Average comments per month';
-                })()}
+                previousValue={previousValue('combinedCommentsPerMonth')}
+                subtitle={loaded
+                  .filter(source => commentsPerMonth[source.id] > 0)
+                  .map(source => `${commentsPerMonth[source.id].toFixed(1)} ${source.name}`)
+                  .join(', ') || 'Average comments per month'}
               />
             )}
           </div>
         </>
       )}
       
-      {/* GitHub Section - matches engineering-metrics format */}
-      {githubStats && !githubStats.error && (
-        <>
-          <h3 style={{ marginTop: '24px', marginBottom: '12px', color: 'var(--text-secondary, #666)' }}>
-            GitHub {githubStats.username && <span style={{ fontWeight: 'normal', fontSize: '0.85em' }}>(@{githubStats.username})</span>}
-          </h3>
-          <div className="cards-grid">
-            <StatsCard
-              title="PRs Created"
-              value={githubCreated}
-              subtitle="totalPullRequestContributions"
-            />
-            <StatsCard
-              title="PRs Merged"
-              value={githubMerged}
-              subtitle="PRs you authored that were merged"
-            />
-            <StatsCard
-              title="PRs Reviewed"
-              value={githubReviews}
-              subtitle="PRs reviewed (not authored by you)"
-            />
-            <StatsCard
-              title="Comments"
-              value={githubComments}
-              subtitle="Total comments made on PRs"
-            />
-            {githubCommentsPerMonth > 0 && (
-              <StatsCard
-                title="Comments per Month"
-                value={githubCommentsPerMonth.toFixed(1)}
-                subtitle="Average comments per month"
-              />
-            )}
-            {githubStats.totalCommits > 0 && (
-              <StatsCard
-                title="Commits"
-                value={githubStats.totalCommits}
-                subtitle="totalCommitContributions"
-              />
-            )}
-          </div>
-          
-          {/* PRs by Repo breakdown */}
-          {!compact && githubStats.prsByRepo && githubStats.prsByRepo.length > 0 && (
-            <div className="repo-breakdown">
-              <h4>PRs by Repository</h4>
-              <div className="repo-list">
-                {githubStats.prsByRepo.slice(0, 8).map((item, index) => (
-                  <div key={index} className="repo-item">
-                    <div className="repo-name">
-                      <span className="source-badge source-github">GH</span>
-                      {item.repo}
-                    </div>
-                    <div className="repo-stats">
-                      <span className="repo-stat">{item.count} PRs</span>
-                    </div>
+      {loaded.map(source => {
+        // GitHub Section - matches engineering-metrics format
+        if (source.id === 'github') {
+          return (
+            <React.Fragment key={source.id}>
+              <h3 style={sectionHeadingStyle}>
+                GitHub {githubStats.username && <span style={{ fontWeight: 'normal', fontSize: '0.85em' }}>(@{githubStats.username})</span>}
+              </h3>
+              <div className="cards-grid">
+                <StatsCard
+                  title="PRs Created"
+                  value={metric('github', 'created')}
+                  previousValue={previousSourceValue('github', 'created')}
+                  subtitle="totalPullRequestContributions"
+                />
+                <StatsCard
+                  title="PRs Merged"
+                  value={metric('github', 'merged')}
+                  previousValue={previousSourceValue('github', 'merged')}
+                  subtitle="PRs you authored that were merged"
+                />
+                <StatsCard
+                  title="PRs Reviewed"
+                  value={metric('github', 'reviews')}
+                  previousValue={previousSourceValue('github', 'reviews')}
+                  subtitle="PRs reviewed (not authored by you)"
+                />
+                <StatsCard
+                  title="Comments"
+                  value={metric('github', 'comments')}
+                  previousValue={previousSourceValue('github', 'comments')}
+                  subtitle="Total comments made on PRs"
+                />
+                {commentsPerMonth.github > 0 && (
+                  <StatsCard
+                    title="Comments per Month"
+                    value={commentsPerMonth.github.toFixed(1)}
+                    previousValue={previousCommentsPerMonth('github')}
+                    subtitle="Average comments per month"
+                  />
+                )}
+                {githubStats.totalCommits > 0 && (
+                  <StatsCard
+                    title="Commits"
+                    value={githubStats.totalCommits}
+                    previousValue={previous ? previous.github?.totalCommits || 0 : undefined}
+                    subtitle="totalCommitContributions"
+                  />
+                )}
+              </div>
+              
+              {/* PRs by Repo breakdown */}
+              {!compact && githubStats.prsByRepo && githubStats.prsByRepo.length > 0 && (
+                <div className="repo-breakdown">
+                  <h4>PRs by Repository</h4>
+                  <div className="repo-list">
+                    {githubStats.prsByRepo.slice(0, 8).map((item, index) => (
+                      <div key={index} className="repo-item">
+                        <div className="repo-name">
+                          <span className="source-badge source-github">GH</span>
+                          {item.repo}
+                        </div>
+                        <div className="repo-stats">
+                          <span className="repo-stat">{item.count} PRs</span>
+                        </div>
+                      </div>
+                    ))}
+                    {githubStats.prsByRepo.length > 8 && (
+                      <div className="repo-more">+ {githubStats.prsByRepo.length - 8} more repos</div>
+                    )}
                   </div>
-                ))}
-                {githubStats.prsByRepo.length > 8 && (
-                  <div className="repo-more">+ {githubStats.prsByRepo.length - 8} more repos</div>
+                </div>
+              )}
+            </React.Fragment>
+          );
+        }
+
+        // GitLab Section - matches engineering-metrics format
+        if (source.id === 'gitlab') {
+          return (
+            <React.Fragment key={source.id}>
+              <h3 style={sectionHeadingStyle}>
+                GitLab {gitlabStats.username && <span style={{ fontWeight: 'normal', fontSize: '0.85em' }}>(@{gitlabStats.username})</span>}
+              </h3>
+              <div className="cards-grid">
+                <StatsCard
+                  title="MRs Created"
+                  value={metric('gitlab', 'created')}
+                  previousValue={previousSourceValue('gitlab', 'created')}
+                  subtitle="MR creation events"
+                />
+                {metric('gitlab', 'merged') > 0 && (
+                  <StatsCard
+                    title="MRs Merged"
+                    value={metric('gitlab', 'merged')}
+                    previousValue={previousSourceValue('gitlab', 'merged')}
+                    subtitle="MRs you authored that were merged"
+                  />
+                )}
+                <StatsCard
+                  title="MRs Reviewed"
+                  value={metric('gitlab', 'reviews')}
+                  previousValue={previousSourceValue('gitlab', 'reviews')}
+                  subtitle="MRs reviewed (not authored by you)"
+                />
+                <StatsCard
+                  title="Comments"
+                  value={metric('gitlab', 'comments')}
+                  previousValue={previousSourceValue('gitlab', 'comments')}
+                  subtitle="Total comments made on MRs"
+                />
+                {commentsPerMonth.gitlab > 0 && (
+                  <StatsCard
+                    title="Comments per Month"
+                    value={commentsPerMonth.gitlab.toFixed(1)}
+                    previousValue={previousCommentsPerMonth('gitlab')}
+                    subtitle="Average comments per month"
+                  />
                 )}
               </div>
-            </div>
-          )}
-        </>
-      )}
-      
-      {/* GitLab Section - matches engineering-metrics format */}
-      {gitlabStats && !gitlabStats.error && (
-        <>
-          <h3 style={{ marginTop: '24px', marginBottom: '12px', color: 'var(--text-secondary, #666)' }}>
-            GitLab {gitlabStats.username && <span style={{ fontWeight: 'normal', fontSize: '0.85em' }}>(@{gitlabStats.username})</span>}
-          </h3>
-          <div className="cards-grid">
-            <StatsCard
-              title="MRs Created"
-              value={gitlabCreated}
-              subtitle="MR creation events"
-            />
-            {gitlabMerged > 0 && (
-              <StatsCard
-                title="MRs Merged"
-                value={gitlabMerged}
-                subtitle="MRs you authored that were merged"
-              />
-            )}
-            <StatsCard
-              title="MRs Reviewed"
-              value={gitlabReviews}
-              subtitle="MRs reviewed (not authored by you)"
-            />
-            <StatsCard
-              title="Comments"
-              value={gitlabComments}
-              subtitle="Total comments made on MRs"
-            />
-            {gitlabCommentsPerMonth > 0 && (
-              <StatsCard
-                title="Comments per Month"
-                value={gitlabCommentsPerMonth.toFixed(1)}
-                subtitle="Average comments per month"
-              />
-            )}
-          </div>
-        </>
-      )}
+            </React.Fragment>
+          );
+        }
+
+        return renderSource(source);
+      })}
     </div>
   );
 }
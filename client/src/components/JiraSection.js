@@ -94,39 +94,91 @@ function MonthlyVelocityChart({ velocity, baseUrl, benchmarks = null }) {
   );
 }
 
-function JiraSection({ stats, ctoiStats, compact = false, loading = false, ctoiLoading = false, benchmarks = null }) {
+/**
+ * Per-sprint velocity from the Jira sprint report (committed vs completed), grouped by board
+ * (Linear: per-cycle velocity grouped by team)
+ */
+function BoardVelocityChart({ byBoard, baseUrl, sprintLabel = 'Sprint', boardLabel = 'Board' }) {
+  const [selectedBoardId, setSelectedBoardId] = useState(null);
+  
+  if (!Array.isArray(byBoard) || byBoard.length === 0) return null;
+  
+  const board = byBoard.find(b => b.boardId === selectedBoardId) || byBoard[0];
+  
+  return (
+    <div className="velocity-with-selector">
+      {byBoard.length > 1 && (
+        <div className="board-selector">
+          <label htmlFor="board-velocity-board">{boardLabel}:</label>
+          <select
+            id="board-velocity-board"
+            className="board-select"
+            value={board.boardId}
+            onChange={(e) => setSelectedBoardId(Number(e.target.value))}
+          >
+            {byBoard.map(b => (
+              <option key={b.boardId} value={b.boardId}>{b.boardName}</option>
+            ))}
+          </select>
+        </div>
+      )}
+      <VelocityChart
+        sprints={board.sprints}
+        title={`${sprintLabel} Velocity - ${board.boardName} (avg ${board.averageVelocity} completed / ${board.averageCommitted} committed)`}
+        baseUrl={baseUrl}
+      />
+    </div>
+  );
+}
+
+// Priority tables: cycle time by priority, and CTOI participation (Jira only)
+const JIRA_SECTIONS = ['cycleTime', 'ctoi'];
+
+/**
+ * Stats for Jira, or another tracker whose stats come in the Jira shape (Linear)
+ * `itemsPath` is the page the Total Issues card opens, and `sections` the priority
+ * tables the tracker's data supports.
+ * With `previousStats` (the same stats for the previous period) each card shows its change
+ */
+function JiraSection({ stats, ctoiStats, compact = false, loading = false, ctoiLoading = false, benchmarks = null, title = 'Jira', itemsPath = '/issues', sections = JIRA_SECTIONS, previousStats = null }) {
   const navigate = useNavigate();
+  const showCycleTime = sections.includes('cycleTime');
+  const showCtoi = sections.includes('ctoi');
   
   if (loading && !stats) {
     return (
       <div className="source-section">
-        <h2>Jira</h2>
+        <h2>{title}</h2>
         <div className="cards-grid">
           <Skeleton variant="stat-card" count={4} />
         </div>
         <div className="priority-tables-row">
-          <PriorityTable
-            title="Cycle Time by Priority"
-            columns={[
-              { key: 'priority', label: 'Priority', align: 'left' },
-              { key: 'days', label: 'Avg Days', align: 'center' },
-              { key: 'issues', label: 'Issues', align: 'center' }
-            ]}
-            rows={[]}
-            summary={{ label: 'Overall' }}
-            loading={true}
-          />
-          <PriorityTable
-            title="CTOI Participation"
-            columns={[
-              { key: 'priority', label: 'Priority', align: 'left' },
-              { key: 'fixed', label: 'Fixed', align: 'center' },
-              { key: 'participated', label: 'Participated', align: 'center' }
-            ]}
-            rows={[]}
-            summary={{ label: 'Total' }}
-            loading={true}
-          />
+          {showCycleTime && (
+            <PriorityTable
+              title="Cycle Time by Priority"
+              columns={[
+                { key: 'priority', label: 'Priority', align: 'left' },
+                { key: 'days', label: 'Avg Days', align: 'center' },
+                { key: 'issues', label: 'Issues', align: 'center' }
+              ]}
+              rows={[]}
+              summary={{ label: 'Overall' }}
+              loading={true}
+            />
+          )}
+          {showCtoi && (
+            <PriorityTable
+              title="CTOI Participation"
+              columns={[
+                { key: 'priority', label: 'Priority', align: 'left' },
+                { key: 'fixed', label: 'Fixed', align: 'center' },
+                { key: 'participated', label: 'Participated', align: 'center' }
+              ]}
+              rows={[]}
+              summary={{ label: 'Total' }}
+              loading={true}
+            />
+          )}
         </div>
       </div>
     );
@@ -138,41 +190,54 @@ function JiraSection({ stats, ctoiStats, compact = false, loading = false, ctoiL
   const cycleTime = stats.cycleTime || {};
   
   // Check if cycle time data is available (has counts or any priority values)
-  const hasCycleTimeData = cycleTime.counts && (cycleTime.P1 || cycleTime.P2 || cycleTime.P3 || cycleTime.P4);
+  const hasCycleTimeData = showCycleTime && cycleTime.counts && (cycleTime.P1 || cycleTime.P2 || cycleTime.P3 || cycleTime.P4);
   
   // CTOI stats can come from props or from stats.ctoi (since we merged it)
   const effectiveCtoiStats = ctoiStats || stats.ctoi;
-  const hasCtoiData = effectiveCtoiStats && (effectiveCtoiStats.fixed > 0 || effectiveCtoiStats.participated > 0);
+  const hasCtoiData = showCtoi && effectiveCtoiStats && (effectiveCtoiStats.fixed > 0 || effectiveCtoiStats.participated > 0);
+
+  // Linear velocity is per cycle instead of per month
+  const cycles = stats.velocity?.cycles;
+
+  const previous = previousStats && !previousStats.error ? previousStats : null;
+  const getCycleTime = (source) => `${source.cycleTime?.overall || source.avgResolutionTime || 0} days`;
 
   return (
     <div className="source-section">
-      <h2>Jira</h2>
+      <h2>{title}</h2>
       <div className="cards-grid">
         <div 
-          onClick={() => navigate('/issues')}
+          onClick={() => navigate(itemsPath)}
           className="stats-card-clickable"
         >
           <StatsCard
             title="Total Issues"
             value={stats.total}
+            previousValue={previous ? previous.total || 0 : undefined}
             subtitle={`${stats.done || 0} done, ${stats.inProgress || 0} in progress`}
           />
         </div>
         <StatsCard
           title="Total Story Points"
           value={stats.totalStoryPoints || 0}
+          previousValue={previous ? previous.totalStoryPoints || 0 : undefined}
           subtitle={`${stats.total || 0} issues`}
         />
         <StatsCard
           title="Cycle Time (Avg)"
-          value={`${cycleTime.overall || stats.avgResolutionTime || 0} days`}
+          value={getCycleTime(stats)}
+          previousValue={previous ? getCycleTime(previous) : undefined}
+          lowerIsBetter={true}
           subtitle={`Created → Resolved (${cycleTime.counts?.total || stats.avgResolutionTimeCount || 0} issues)`}
         />
         {stats.velocity && (
           <StatsCard
-            title="Avg Velocity / Sprint"
+            title={cycles ? 'Avg Velocity / Cycle' : 'Avg Velocity / Sprint'}
             value={stats.velocity.averageVelocity}
-            subtitle={`${stats.velocity.totalPoints || 0} pts across ${stats.velocity.totalMonths || 0} months`}
+            previousValue={previous ? previous.velocity?.averageVelocity || 0 : undefined}
+            subtitle={cycles
+              ? `${stats.velocity.totalPoints || 0} pts across ${cycles.length} cycles`
+              : `${stats.velocity.totalPoints || 0} pts across ${stats.velocity.totalMonths || 0} months`}
           />
         )}
       </div>
@@ -180,7 +245,7 @@ function JiraSection({ stats, ctoiStats, compact = false, loading = false, ctoiL
       {/* Compact tables for priority breakdowns */}
       <div className="priority-tables-row">
         {/* Cycle Time by Priority - compact table */}
-        {loading ? (
+        {loading && showCycleTime ? (
           <PriorityTable
             title="Cycle Time by Priority"
             columns={[
@@ -214,7 +279,7 @@ function JiraSection({ stats, ctoiStats, compact = false, loading = false, ctoiL
         ) : null}
         
         {/* CTOI Participation - compact table */}
-        {(loading || ctoiLoading) ? (
+        {(loading || ctoiLoading) && showCtoi ? (
           <PriorityTable
             title="CTOI Participation"
             columns={[
@@ -261,11 +326,25 @@ function JiraSection({ stats, ctoiStats, compact = false, loading = false, ctoiL
             />
           )}
 
-          {/* Monthly Velocity Chart (engineering-metrics style) */}
-          <MonthlyVelocityChart 
-            velocity={stats.velocity} 
+          {/* Monthly Velocity Chart (engineering-metrics style), or the user's points per Linear cycle */}
+          {cycles ? (
+            cycles.length > 0 && (
+              <VelocityChart sprints={cycles} title="Velocity by Cycle" baseUrl={stats.baseUrl} />
+            )
+          ) : (
+            <MonthlyVelocityChart 
+              velocity={stats.velocity} 
+              baseUrl={stats.baseUrl}
+              benchmarks={benchmarks}
+            />
+          )}
+
+          {/* Sprint velocity by board (Jira sprint report / Linear team cycles) */}
+          <BoardVelocityChart 
+            byBoard={stats.velocity?.byBoard} 
             baseUrl={stats.baseUrl}
-            benchmarks={benchmarks}
+            sprintLabel={cycles ? 'Cycle' : 'Sprint'}
+            boardLabel={cycles ? 'Team' : 'Board'}
           />
 
           {/* Recent Issues List */}
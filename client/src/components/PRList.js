@@ -11,7 +11,7 @@ function PRList({ prs, source, baseUrl, githubBaseUrl, gitlabBaseUrl }) {
   // Limit to last 5 items
   const displayPRs = prs.slice(0, 5);
 
-  // Handle Jira issues differently
+  // Handle Jira issues differently (Linear issues come in the same shape, with their own URL)
   if (source === 'jira') {
 
     return (
@@ -22,7 +22,7 @@ function PRList({ prs, source, baseUrl, githubBaseUrl, gitlabBaseUrl }) {
             <div key={issue.id || issue.key || index} className="pr-item">
               <div className="pr-item-header">
                 <a 
-                  href={getJiraUrl(issue.key, baseUrl)} 
+                  href={issue._url || getJiraUrl(issue.key, baseUrl)} 
                   target="_blank" 
                   rel="noopener noreferrer"
                   className="pr-title-link"
@@ -0,0 +1,176 @@
+import React, { useState, useCallback } from 'react';
+import axios from 'axios';
+import ErrorBanner from './ui/ErrorBanner';
+import { buildApiUrl } from '../utils/apiHelpers';
+import './PromotionPacket.css';
+
+const LEVELS = ['P1', 'P2', 'P3', 'P4'];
+const DOCUMENTS = [
+  { id: 'selfAssessment', label: 'Self-Assessment' },
+  { id: 'statsArtifact', label: 'Stats Artifact' }
+];
+
+const toInputDate = (date) => date.toISOString().split('T')[0];
+
+// Default range: the last 12 months
+function defaultStart() {
+  const date = new Date();
+  date.setFullYear(date.getFullYear() - 1);
+  return toInputDate(date);
+}
+
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Promotion packet generator (self-assessment and stats artifact, see /api/reports/promotion)
+ * Numbers come from the server; narrative sections are edited here and sent back to re-render.
+ *
+ * @param {boolean} mock - Use mock data
+ * @param {function} onClose - Close the panel
+ */
+function PromotionPacket({ mock = false, onClose }) {
+  const [start, setStart] = useState(defaultStart);
+  const [end, setEnd] = useState('');
+  const [level, setLevel] = useState('');
+  const [narrative, setNarrative] = useState({});
+  const [report, setReport] = useState(null);
+  const [activeDocument, setActiveDocument] = useState('selfAssessment');
+  const [view, setView] = useState('preview');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const generate = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const url = buildApiUrl('/api/reports/promotion', { start, end });
+      const response = await axios.post(url + (mock ? `${url.includes('?') ? '&' : '?'}mock=true` : ''), {
+        level: level || undefined,
+        narrative
+      });
+      setReport(response.data);
+      setLevel(response.data.level);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to generate the promotion packet.');
+    } finally {
+      setLoading(false);
+    }
+  }, [start, end, level, narrative, mock]);
+
+  // Edited sections are sent with the next generate; the rest keep the server's drafts
+  const editSection = (id, text) => {
+    setNarrative(prev => ({ ...prev, [id]: text }));
+  };
+
+  const resetSection = (id) => {
+    setNarrative(prev => {
+      const next = { ...prev };
+      delete next[id];
+      return next;
+    });
+  };
+
+  const doc = report?.documents[activeDocument];
+  const sections = report?.sections.filter(section => section.document === activeDocument) || [];
+
+  return (
+    <div className="promotion-packet">
+      <div className="packet-header">
+        <h2>Promotion Packet</h2>
+        <button className="control-btn" onClick={onClose}>Close</button>
+      </div>
+
+      <div className="packet-options">
+        <label>
+          From
+          <input type="date" value={start} onChange={e => setStart(e.target.value)} />
+        </label>
+        <label>
+          To
+          <input type="date" value={end} onChange={e => setEnd(e.target.value)} />
+        </label>
+        <label>
+          Target level
+          <select value={level} onChange={e => setLevel(e.target.value)}>
+            <option value="">Next level</option>
+            {LEVELS.map(l => <option key={l} value={l}>{l}</option>)}
+          </select>
+        </label>
+        <button className="control-btn print-btn" onClick={generate} disabled={loading}>
+          {loading ? 'Generating...' : report ? 'Regenerate' : 'Generate'}
+        </button>
+      </div>
+
+      <ErrorBanner message={error} />
+
+      {report && (
+        <>
+          <div className="packet-tabs">
+            {DOCUMENTS.map(d => (
+              <button
+                key={d.id}
+                className={`packet-tab ${activeDocument === d.id ? 'active' : ''}`}
+                onClick={() => setActiveDocument(d.id)}
+              >
+                {d.label}
+              </button>
+            ))}
+            <div className="packet-downloads">
+              <button className="control-btn" onClick={() => setView(view === 'preview' ? 'markdown' : 'preview')}>
+                {view === 'preview' ? 'Show Markdown' : 'Show Preview'}
+              </button>
+              <button className="control-btn" onClick={() => downloadFile(`${doc.filename}.md`, doc.markdown, 'text/markdown')}>
+                Download .md
+              </button>
+              <button className="control-btn" onClick={() => downloadFile(`${doc.filename}.html`, doc.html, 'text/html')}>
+                Download .html
+              </button>
+            </div>
+          </div>
+
+          <div className="packet-body">
+            <div className="packet-sections">
+              <p className="packet-hint">
+                Narrative sections are Markdown. Edit them, then Regenerate; metrics tables are filled in from your data.
+              </p>
+              {sections.map(section => (
+                <div key={section.id} className="packet-section">
+                  <div className="packet-section-header">
+                    <span>{section.title}</span>
+                    {narrative[section.id] !== undefined && (
+                      <button className="description-toggle" onClick={() => resetSection(section.id)}>
+                        Use draft
+                      </button>
+                    )}
+                  </div>
+                  <textarea
+                    value={narrative[section.id] ?? section.text}
+                    onChange={e => editSection(section.id, e.target.value)}
+                    rows={Math.min(Math.max(section.text.split('\n').length + 1, 3), 12)}
+                  />
+                </div>
+              ))}
+            </div>
+
+            <div className="packet-preview">
+              {view === 'preview' ? (
+                <iframe title={`${doc.filename} preview`} srcDoc={doc.html} sandbox="" />
+              ) : (
+                <pre>{doc.markdown}</pre>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PromotionPacket;
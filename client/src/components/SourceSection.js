@@ -0,0 +1,79 @@
+import React from 'react';
+import { format, parseISO } from 'date-fns';
+import StatsCard from './StatsCard';
+import BarChartCard from './BarChartCard';
+import Skeleton from './ui/Skeleton';
+import { renderErrorSection } from '../utils/sectionHelpers';
+
+/**
+ * SourceSection - stats for a source provider that has no dedicated section
+ * (anything beyond GitHub, GitLab and Jira). Renders the provider's
+ * normalized summary from /api/stats/sources/:id.
+ * With `previousData` (the same response for the previous period) each card shows its change.
+ */
+function SourceSection({ source, data, loading, previousData = null }) {
+  if (loading) {
+    return (
+      <div className="source-section">
+        <Skeleton variant="text" width="200px" height="28px" />
+        <div className="cards-grid" style={{ marginTop: '20px' }}>
+          <Skeleton variant="stat-card" count={4} />
+        </div>
+      </div>
+    );
+  }
+
+  if (data?.error) return renderErrorSection(source.name, source.icon, data.error);
+  const summary = data?.summary;
+  if (!summary) return null;
+
+  const previousSummary = previousData && !previousData.error ? previousData.summary : null;
+  const previousValue = (key) => (previousSummary ? previousSummary[key] || 0 : undefined);
+
+  const isTracker = source.kind === 'tracker';
+  const itemLabel = source.itemLabel || 'Items';
+
+  const monthlyData = Object.entries(summary.monthly || {})
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([month, counts]) => ({ month: format(parseISO(`${month}-01`), 'MMM yyyy'), ...counts }));
+
+  return (
+    <div className="source-section">
+      <h2>
+        {source.icon} {source.name}
+        {data.stats?.username && <span style={{ fontWeight: 'normal', fontSize: '0.6em' }}> (@{data.stats.username})</span>}
+      </h2>
+      <div className="cards-grid">
+        {isTracker ? (
+          <>
+            <StatsCard title={`${itemLabel} Resolved`} value={summary.resolved || 0} previousValue={previousValue('resolved')} />
+            <StatsCard title="Story Points" value={summary.storyPoints || 0} previousValue={previousValue('storyPoints')} subtitle="Points completed" />
+            {summary.velocity > 0 && (
+              <StatsCard title="Velocity" value={summary.velocity} previousValue={previousValue('velocity')} subtitle="Average points per sprint" />
+            )}
+          </>
+        ) : (
+          <>
+            <StatsCard title={`${itemLabel} Created`} value={summary.created || 0} previousValue={previousValue('created')} />
+            <StatsCard title={`${itemLabel} Merged`} value={summary.merged || 0} previousValue={previousValue('merged')} />
+            <StatsCard title={`${itemLabel} Reviewed`} value={summary.reviews || 0} previousValue={previousValue('reviews')} subtitle={`${itemLabel} reviewed (not authored by you)`} />
+            <StatsCard title="Comments" value={summary.comments || 0} previousValue={previousValue('comments')} subtitle={`Total comments made on ${itemLabel}`} />
+          </>
+        )}
+      </div>
+      <BarChartCard
+        title={`Monthly ${itemLabel}`}
+        data={monthlyData}
+        xAxisKey="month"
+        bars={isTracker
+          ? [{ dataKey: 'issues', fill: '#ed8936', name: itemLabel }]
+          : [
+            { dataKey: 'created', fill: '#667eea', name: 'Created' },
+            { dataKey: 'merged', fill: '#48bb78', name: 'Merged' }
+          ]}
+      />
+    </div>
+  );
+}
+
+export default SourceSection;
@@ -1,15 +1,48 @@
 import React from 'react';
 import './StatsCard.css';
 
-function StatsCard({ title, value, subtitle }) {
+// Numbers from card values such as 42, "1,234", "3.5 days" or "12 / 40"
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  const match = value.replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+/**
+ * Change against the previous period; null when either side has no number
+ */
+function getDelta(value, previousValue, lowerIsBetter) {
+  const current = toNumber(value);
+  const previous = toNumber(previousValue);
+  if (current === null || previous === null) return null;
+
+  const change = current - previous;
+  const percent = previous !== 0 ? Math.round((change / Math.abs(previous)) * 100) : null;
+  let trend = 'flat';
+  if (change !== 0) trend = (change > 0) !== lowerIsBetter ? 'better' : 'worse';
+
+  return { change, percent, trend };
+}
+
+function StatsCard({ title, value, subtitle, previousValue, lowerIsBetter = false }) {
+  const delta = previousValue !== undefined ? getDelta(value, previousValue, lowerIsBetter) : null;
+
   return (
     <div className="stats-card">
       <div className="stats-card-title">{title}</div>
       <div className="stats-card-value">{value}</div>
       {subtitle && <div className="stats-card-subtitle">{subtitle}</div>}
+      {delta && (
+        <div className={`stats-card-delta stats-card-delta-${delta.trend}`} title={`Previous period: ${previousValue}`}>
+          {delta.change > 0 ? '▲' : delta.change < 0 ? '▼' : '='}{' '}
+          {delta.change !== 0 && `${Math.abs(Math.round(delta.change * 10) / 10).toLocaleString()}`}
+          {delta.percent !== null && delta.change !== 0 && ` (${Math.abs(delta.percent)}%)`}
+          {' '}vs previous period
+        </div>
+      )}
     </div>
   );
 }
 
 export default StatsCard;
-
@@ -23,6 +23,9 @@ function VelocityChart({ sprints, title = "Velocity Over Time", showBenchmarks =
 
   // Detect if this is monthly data (has 'month' field or isMonthly prop)
   const isMonthlyData = isMonthly || (sprints.length > 0 && sprints[0].month);
+  
+  // Sprint report data (from velocity.byBoard) has committed vs completed points
+  const isSprintReport = !isMonthlyData && sprints.length > 0 && sprints[0].committed !== undefined;
 
   // Sprints/months are already sorted oldest to newest (left to right)
   const data = sprints.map((sprint, index) => {
@@ -47,17 +50,26 @@ function VelocityChart({ sprints, title = "Velocity Over Time", showBenchmarks =
     
     const dataPoint = {
       name: label,
-      points: sprint.points,
+      points: isSprintReport ? sprint.completed : sprint.points,
       approxVelocity: sprint.approxVelocity, // For monthly: points / 2
       date: dateDisplay,
       fullName: fullName,
       sprintName: sprint.name,
-      issueKeys: sprint.issueKeys || [],
+      issueKeys: sprint.issueKeys || sprint.userIssueKeys || [],
       issues: sprint.issues || 0,
       baseUrl: baseUrl,
       isMonthly: isMonthlyData
     };
     
+    if (isSprintReport) {
+      dataPoint.committed = sprint.committed;
+      dataPoint.carryOver = sprint.carryOver;
+      dataPoint.scopeAdded = sprint.scopeAdded;
+      dataPoint.completionRate = sprint.completionRate;
+      dataPoint.userCompleted = sprint.userCompleted;
+      dataPoint.isActive = sprint.state === 'active';
+    }
+    
     // Only add benchmarks if showBenchmarks is true and benchmarks are available
     if (showBenchmarks && benchmarks) {
       const fteAvg = benchmarks?.fte?.avgVelocity;
@@ -157,10 +169,17 @@ function VelocityChart({ sprints, title = "Velocity Over Time", showBenchmarks =
               content={<CustomTooltip />}
               isAnimationActive={false}
             />
+            {isSprintReport && (
+              <Bar
+                dataKey="committed"
+                fill="#cbd5e0"
+                name="Committed"
+              />
+            )}
             <Bar
               dataKey="points"
               fill="#667eea"
-              name={isMonthlyData ? "Monthly Story Points" : "Story Points"}
+              name={isMonthlyData ? "Monthly Story Points" : isSprintReport ? "Completed" : "Story Points"}
             />
             <Legend />
           </BarChart>
@@ -191,14 +210,35 @@ function VelocityChart({ sprints, title = "Velocity Over Time", showBenchmarks =
             <p className="velocity-tooltip-title">
               {tooltipData.fullName || tooltipData.name}
             </p>
+            {tooltipData.date && !tooltipData.isMonthly && (
+              <p className="velocity-tooltip-date">
+                {tooltipData.date}{tooltipData.isActive ? ' (active)' : ''}
+              </p>
+            )}
+            {tooltipData.committed !== undefined && (
+              <p className="velocity-tooltip-points">
+                Committed: <strong>{tooltipData.committed}</strong>
+                {tooltipData.completionRate !== null && (
+                  <span style={{ opacity: 0.8, marginLeft: '8px' }}>
+                    ({tooltipData.completionRate}% completed)
+                  </span>
+                )}
+              </p>
+            )}
             <p className="velocity-tooltip-points">
-              Story Points: <strong>{tooltipData.points}</strong>
+              {tooltipData.committed !== undefined ? 'Completed' : 'Story Points'}: <strong>{tooltipData.points}</strong>
               {tooltipData.isMonthly && tooltipData.approxVelocity !== undefined && (
                 <span style={{ opacity: 0.8, marginLeft: '8px' }}>
                   (≈{tooltipData.approxVelocity}/sprint)
                 </span>
               )}
             </p>
+            {tooltipData.committed !== undefined && (
+              <p className="velocity-tooltip-date">
+                Carry-over: {tooltipData.carryOver} · Scope added: {tooltipData.scopeAdded}
+                {tooltipData.userCompleted > 0 && ` · Yours: ${tooltipData.userCompleted}`}
+              </p>
+            )}
             {tooltipData.issues > 0 && (
               <p className="velocity-tooltip-date">
                 {tooltipData.issues} issues resolved
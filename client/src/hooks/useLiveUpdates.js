@@ -0,0 +1,38 @@
+/**
+ * Hook for the "new data available" indicator on item pages
+ */
+import { useState, useEffect, useCallback } from 'react';
+import { subscribeToUpdates, affectsEndpoint } from '../utils/liveUpdates';
+
+/**
+ * Collect refresh events for a page's endpoints until the user asks for the new data
+ * The client cache drops refreshed responses by itself, so onRefresh's fetches get the new data.
+ * @param {Array<string>} endpoints - API endpoints the page shows (e.g., ['/api/prs', '/api/stats/git'])
+ * @param {Function} onRefresh - Refetches the page's data
+ * @returns {Object} updateAvailable, sources (that changed) and refresh()
+ */
+export function useLiveUpdates(endpoints, onRefresh) {
+  const [pendingUpdates, setPendingUpdates] = useState([]);
+  const endpointsKey = endpoints.join(',');
+
+  useEffect(() => {
+    setPendingUpdates([]);
+    const watched = endpointsKey.split(',').filter(Boolean);
+    return subscribeToUpdates(refresh => {
+      if (watched.some(endpoint => affectsEndpoint(refresh, endpoint))) {
+        setPendingUpdates(prev => [...prev, refresh]);
+      }
+    });
+  }, [endpointsKey]);
+
+  const refresh = useCallback(() => {
+    setPendingUpdates([]);
+    onRefresh();
+  }, [onRefresh]);
+
+  return {
+    updateAvailable: pendingUpdates.length > 0,
+    sources: [...new Set(pendingUpdates.flatMap(update => update.sources || []))],
+    refresh
+  };
+}
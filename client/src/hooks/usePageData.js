@@ -31,16 +31,13 @@ export function usePageData({ itemsEndpoint, statsEndpoint, dateRange, transform
       );
       
       let allItems = [];
-      responses.forEach((response, index) => {
-        const endpoint = endpoints[index];
+      responses.forEach(response => {
+        const { itemsKey, source } = response.data;
         let responseItems = [];
         
-        if (endpoint.includes('/prs')) {
-          responseItems = (response.data.prs || []).map(item => ({ ...item, _source: 'github' }));
-        } else if (endpoint.includes('/mrs')) {
-          responseItems = (response.data.mrs || []).map(item => ({ ...item, _source: 'gitlab' }));
-        } else if (endpoint.includes('/issues')) {
-          responseItems = response.data.issues || [];
+        if (itemsKey) {
+          // Provider item routes (/api/prs, /api/mrs, /api/issues, ...) name their items key and source
+          responseItems = (response.data[itemsKey] || []).map(item => ({ ...item, _source: source }));
         } else {
           responseItems = response.data.items || response.data || [];
         }
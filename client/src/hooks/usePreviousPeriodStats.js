@@ -0,0 +1,53 @@
+/**
+ * Hook for "compare to previous period" (see DateFilter)
+ */
+import { useState, useEffect, useMemo } from 'react';
+import axios from 'axios';
+import { buildApiUrl } from '../utils/apiHelpers';
+import { getPreviousPeriod } from '../utils/dateHelpers';
+import clientCache from '../utils/clientCache';
+
+/**
+ * Fetch stats endpoints for the range before the selected one, while compare mode is on
+ * @param {Object} dateRange - Current date range (compare mode when dateRange.compare is set)
+ * @param {Array<string>} endpoints - Stats endpoints (e.g., ['/api/stats/git', '/api/stats/jira'])
+ * @param {string} mockParam - '&mock=true' in mock mode, '' otherwise
+ * @returns {Object} previousRange (null when not comparing) and previousStats keyed by endpoint
+ */
+export function usePreviousPeriodStats(dateRange, endpoints, mockParam = '') {
+  const [previousStats, setPreviousStats] = useState({});
+
+  const previousRange = useMemo(
+    () => (dateRange?.compare ? getPreviousPeriod(dateRange) : null),
+    [dateRange]
+  );
+  const endpointsKey = endpoints.join(',');
+
+  useEffect(() => {
+    setPreviousStats({});
+    if (!previousRange) return undefined;
+
+    let cancelled = false;
+    endpointsKey.split(',').forEach(async endpoint => {
+      try {
+        let data = clientCache.get(endpoint, previousRange);
+        if (!data) {
+          const response = await axios.get(buildApiUrl(endpoint, previousRange) + mockParam);
+          data = response.data;
+          clientCache.set(endpoint, previousRange, data);
+        }
+        if (!cancelled) {
+          setPreviousStats(current => ({ ...current, [endpoint]: data }));
+        }
+      } catch (err) {
+        console.error(`Error fetching previous period stats for ${endpoint}:`, err);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [previousRange, endpointsKey, mockParam]);
+
+  return { previousRange, previousStats };
+}
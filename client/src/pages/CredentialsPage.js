@@ -0,0 +1,208 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import ErrorBanner from '../components/ui/ErrorBanner';
+import Skeleton from '../components/ui/Skeleton';
+import { buildApiUrl } from '../utils/apiHelpers';
+import './LeaderboardPage.css';
+import './RosterPage.css';
+import './CredentialsPage.css';
+
+const STATUS_LABELS = {
+  ok: '✓ Valid',
+  expiring: 'Expiring soon',
+  expired: 'Expired',
+  invalid: 'Rejected',
+  missing_scopes: 'Missing scopes'
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '-');
+
+// Status line for a stored token
+function credentialSummary(credential) {
+  if (credential.status === 'expired') {
+    return `Expired on ${formatDate(credential.expiresAt)}; the shared token is used instead.`;
+  }
+  if (credential.status === 'expiring') {
+    return `Expires in ${credential.expiresInDays} day${credential.expiresInDays === 1 ? '' : 's'} (${formatDate(credential.expiresAt)}).`;
+  }
+  if (credential.status === 'invalid') {
+    return `Last check failed: ${credential.error}`;
+  }
+  if (credential.status === 'missing_scopes') {
+    return `Missing scopes: ${credential.missingScopes.join(', ')}`;
+  }
+  return credential.expiresAt ? `Expires ${formatDate(credential.expiresAt)}.` : 'No expiry reported.';
+}
+
+// One source: stored token status and the register / re-check / remove actions
+function CredentialCard({ source, onSaved, onError }) {
+  const [token, setToken] = useState('');
+  const [login, setLogin] = useState('');
+  const [expiresAt, setExpiresAt] = useState('');
+  const [busy, setBusy] = useState(false);
+  const { credential } = source;
+  const url = buildApiUrl(`/api/vault/${source.id}`, null);
+
+  const run = async (request) => {
+    setBusy(true);
+    onError(null);
+    try {
+      await request();
+      onSaved();
+    } catch (err) {
+      onError(err.response?.data?.error || `Failed to update the ${source.name} token.`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await axios.put(url, { token, login: login || undefined, expiresAt: expiresAt || undefined });
+      setToken('');
+      setLogin('');
+      setExpiresAt('');
+    });
+  };
+
+  const handleRemove = () => {
+    if (!window.confirm(`Remove the stored ${source.name} token?`)) return;
+    run(() => axios.delete(url));
+  };
+
+  return (
+    <div className="credential-card">
+      <div className="credential-header">
+        <h2>{source.icon} {source.name}</h2>
+        {credential && (
+          <span className={`credential-status credential-status-${credential.status}`}>
+            {STATUS_LABELS[credential.status] || credential.status}
+          </span>
+        )}
+      </div>
+
+      {!source.identity ? (
+        <p className="info-text">No {source.name} account on the roster.</p>
+      ) : (
+        <>
+          <p className="credential-identity">Account: {source.identity}</p>
+          {credential ? (
+            <div className="credential-details">
+              <p>{credentialSummary(credential)}</p>
+              {credential.login && <p>Login: {credential.login}</p>}
+              {credential.scopes && <p>Scopes: {credential.scopes.join(', ') || 'none'}</p>}
+              <p className="credential-checked">Last checked {formatDate(credential.checkedAt)}</p>
+              <div className="roster-form-actions">
+                <button className="roster-button" disabled={busy} onClick={() => run(() => axios.post(buildApiUrl(`/api/vault/${source.id}/check`, null)))}>
+                  Re-check
+                </button>
+                <button className="roster-button danger" disabled={busy} onClick={handleRemove}>
+                  Remove
+                </button>
+              </div>
+            </div>
+          ) : (
+            <p className="info-text">No token stored; the shared token is used.</p>
+          )}
+
+          <form className="credential-form" onSubmit={handleSubmit}>
+            <label className="roster-field">
+              <span>{credential ? 'Replace token' : source.credentialLabel}</span>
+              <input
+                type="password"
+                autoComplete="off"
+                value={token}
+                onChange={(e) => setToken(e.target.value)}
+                placeholder={source.credentialLabel}
+                required
+              />
+            </label>
+            {source.credentialLoginLabel && (
+              <label className="roster-field">
+                <span>{source.credentialLoginLabel}</span>
+                <input
+                  type="text"
+                  autoComplete="off"
+                  value={login}
+                  onChange={(e) => setLogin(e.target.value)}
+                />
+              </label>
+            )}
+            <label className="roster-field">
+              <span>Expires (if not reported by {source.name})</span>
+              <input type="date" value={expiresAt} onChange={(e) => setExpiresAt(e.target.value)} />
+            </label>
+            <button type="submit" className="roster-button primary" disabled={busy || !token}>
+              {busy ? 'Checking...' : 'Save'}
+            </button>
+          </form>
+        </>
+      )}
+    </div>
+  );
+}
+
+function CredentialsPage() {
+  const [vault, setVault] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchVault = useCallback(async () => {
+    try {
+      const response = await axios.get(buildApiUrl('/api/vault', null));
+      setVault(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load tokens.');
+      console.error('Error fetching vault:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchVault();
+  }, [fetchVault]);
+
+  const warnings = (vault?.sources || []).filter(source => ['expiring', 'expired', 'invalid', 'missing_scopes'].includes(source.credential?.status));
+
+  return (
+    <div className="leaderboard-page credentials-page">
+      <div className="leaderboard-header">
+        <h1>API Tokens{vault?.user ? ` · ${vault.user.name}` : ''}</h1>
+      </div>
+
+      <ErrorBanner message={error} />
+
+      <div className="leaderboard-info">
+        <p className="info-text">
+          Tokens are encrypted on the server and used to fetch your own leaderboard stats, so private
+          repositories and projects you can see are counted. Each token is checked against your roster
+          account and its scopes before it's stored.
+        </p>
+      </div>
+
+      {warnings.length > 0 && (
+        <div className="credential-warning">
+          ⚠️ {warnings.map(source => `${source.name}: ${STATUS_LABELS[source.credential.status].toLowerCase()}`).join(' · ')}
+        </div>
+      )}
+
+      {loading ? (
+        <Skeleton variant="card" count={3} />
+      ) : vault && !vault.enabled ? (
+        <div className="leaderboard-info">
+          <p className="info-text">The credential vault is off. Set VAULT_KEY on the server to store tokens.</p>
+        </div>
+      ) : vault && (
+        <div className="credential-grid">
+          {vault.sources.map(source => (
+            <CredentialCard key={source.id} source={source} onSaved={fetchVault} onError={setError} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CredentialsPage;
@@ -1,4 +1,5 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useLocation } from 'react-router-dom';
 import axios from 'axios';
 import { format } from 'date-fns';
 import DateFilter from '../components/DateFilter';
@@ -8,25 +9,44 @@ import { getJiraUrl } from '../utils/urlHelpers';
 import { getStoryPoints } from '../utils/jiraHelpers';
 import { createFilter, createSorter, extractFilterOptions } from '../utils/filterHelpers';
 import clientCache from '../utils/clientCache';
+import { useLiveUpdates } from '../hooks/useLiveUpdates';
+import { usePreviousPeriodStats } from '../hooks/usePreviousPeriodStats';
 import JiraSection from '../components/JiraSection';
+import ExportButtons from '../components/ExportButtons';
 import Skeleton from '../components/ui/Skeleton';
-import { renderErrorSection } from '../utils/sectionHelpers';
+import { renderErrorSection, JIRA_LAYOUT_TRACKERS } from '../utils/sectionHelpers';
 import './IssuesPage.css';
 
+// Jira issues carry no source tag; Linear issues come in the Jira shape with _source: 'linear'
+const getIssueSource = (issue) => issue._source || 'jira';
+const SOURCE_NAMES = { jira: 'Jira', linear: 'Linear' };
+
 function IssuesPage() {
-  const [issues, setIssues] = useState([]);
+  const [jiraIssues, setJiraIssues] = useState([]);
+  const [linearIssues, setLinearIssues] = useState([]);
+  const [showLinear, setShowLinear] = useState(false);
   const [stats, setStats] = useState(null);
+  const [linearStats, setLinearStats] = useState(null);
+  const [linearLoading, setLinearLoading] = useState(false);
   const [ctoiStats, setCtoiStats] = useState(null);
   const [loading, setLoading] = useState(true);
   const [statsLoading, setStatsLoading] = useState(true);
   const [ctoiLoading, setCtoiLoading] = useState(true);
   const [error, setError] = useState(null);
   const [baseUrl, setBaseUrl] = useState(null);
-  const [filters, setFilters] = useState({ status: 'all', project: 'all', sprint: 'all' });
+  const location = useLocation();
+  const [filters, setFilters] = useState({ source: 'all', status: 'all', project: 'all', sprint: 'all' });
   const [sort, setSort] = useState({ by: 'inProgress', order: 'desc' });
+
+  // ?source= (from a tracker section's Total Issues card) preselects the source filter
+  useEffect(() => {
+    const source = new URLSearchParams(location.search).get('source');
+    if (source) setFilters(prev => ({ ...prev, source }));
+  }, [location.search]);
   
   // Check for mock mode
-  const mockParam = new URLSearchParams(window.location.search).get('mock') === 'true' ? '&mock=true' : '';
+  const isMockMode = new URLSearchParams(window.location.search).get('mock') === 'true';
+  const mockParam = isMockMode ? '&mock=true' : '';
   
   const workYearStart = getCurrentWorkYearStart();
   const [dateRange, setDateRange] = useState({
@@ -41,7 +61,7 @@ function IssuesPage() {
     // Check cache first
     const cached = clientCache.get('/api/issues', dateRange);
     if (cached) {
-      setIssues(cached.issues || []);
+      setJiraIssues(cached.issues || []);
       setBaseUrl(cached.baseUrl);
       setLoading(false);
       setError(null);
@@ -56,7 +76,7 @@ function IssuesPage() {
         issues: response.data.issues || [],
         baseUrl: response.data.baseUrl
       };
-      setIssues(data.issues);
+      setJiraIssues(data.issues);
       setBaseUrl(data.baseUrl);
       clientCache.set('/api/issues', dateRange, data);
     } catch (err) {
@@ -93,6 +113,54 @@ function IssuesPage() {
     }
   }, [dateRange, mockParam]);
 
+  // Linear is optional: only fetch it when it's set up (or in mock mode)
+  useEffect(() => {
+    axios.get('/api/providers')
+      .then(response => {
+        const linear = (response.data.providers || []).find(source => source.id === 'linear');
+        setShowLinear(!!linear && (isMockMode || linear.configured));
+      })
+      .catch(err => console.error('Error fetching providers:', err));
+  }, [isMockMode]);
+
+  // Fetch Linear issues and stats
+  const fetchLinear = useCallback(async () => {
+    if (!showLinear) return;
+
+    const cachedIssues = clientCache.get('/api/linear-issues', dateRange);
+    const cachedStats = clientCache.get('/api/stats/sources/linear', dateRange);
+    if (cachedIssues && cachedStats) {
+      setLinearIssues(cachedIssues);
+      setLinearStats(cachedStats);
+      return;
+    }
+
+    setLinearLoading(true);
+    const [issuesResult, statsResult] = await Promise.allSettled([
+      axios.get(buildApiUrl('/api/linear-issues', dateRange) + mockParam),
+      axios.get(buildApiUrl('/api/stats/sources/linear', dateRange) + mockParam)
+    ]);
+
+    if (issuesResult.status === 'fulfilled') {
+      const linearData = issuesResult.value.data.issues || [];
+      setLinearIssues(linearData);
+      clientCache.set('/api/linear-issues', dateRange, linearData);
+    } else {
+      console.error('Error fetching Linear issues:', issuesResult.reason);
+      setLinearIssues([]);
+    }
+
+    if (statsResult.status === 'fulfilled') {
+      setLinearStats(statsResult.value.data.stats);
+      clientCache.set('/api/stats/sources/linear', dateRange, statsResult.value.data.stats);
+    } else {
+      const err = statsResult.reason;
+      console.error('Error fetching Linear stats:', err);
+      setLinearStats({ error: err.response?.data?.error || err.message });
+    }
+    setLinearLoading(false);
+  }, [showLinear, dateRange, mockParam]);
+
   // Fetch CTOI stats
   const fetchCtoiStats = useCallback(async () => {
     // Check cache first
@@ -122,8 +190,29 @@ function IssuesPage() {
     fetchCtoiStats();
   }, [fetchIssues, fetchStats, fetchCtoiStats]);
 
+  useEffect(() => {
+    fetchLinear();
+  }, [fetchLinear]);
+
+  // Offer new data announced by the server (webhooks, cache warmer)
+  const refetchAll = useCallback(() => {
+    fetchIssues();
+    fetchStats();
+    fetchCtoiStats();
+    fetchLinear();
+  }, [fetchIssues, fetchStats, fetchCtoiStats, fetchLinear]);
+  const liveEndpoints = useMemo(
+    () => ['/api/issues', '/api/stats/jira', '/api/stats/ctoi', ...(showLinear ? ['/api/linear-issues', '/api/stats/sources/linear'] : [])],
+    [showLinear]
+  );
+  const { updateAvailable, sources: updatedSources, refresh: applyUpdates } = useLiveUpdates(liveEndpoints, refetchAll);
+
+  const issues = useMemo(() => [...jiraIssues, ...linearIssues], [jiraIssues, linearIssues]);
+  const hasLinearIssues = linearIssues.length > 0;
+
   // Filter configuration (stable reference)
   const filterConfig = useMemo(() => ({
+    source: getIssueSource,
     status: (issue) => issue.fields?.status?.name,
     project: (issue) => issue.fields?.project?.key,
     sprint: (issue) => issue._sprintName
@@ -142,6 +231,7 @@ function IssuesPage() {
   const filterOptions = useMemo(() => {
     const options = extractFilterOptions(issues, filterConfig);
     return {
+      sources: options.source || [],
       statuses: options.status || [],
       projects: options.project || [],
       sprints: options.sprint || []
@@ -164,24 +254,25 @@ function IssuesPage() {
     if (!stats) return null;
     
     // If issues haven't loaded yet, use server stats as-is
-    if (loading || issues.length === 0) {
+    if (loading || jiraIssues.length === 0) {
       return stats;
     }
     
-    // Otherwise, calculate from filtered local issues
-    const total = filteredIssues.length;
-    const resolved = filteredIssues.filter(i => i.fields?.resolutiondate).length;
-    const done = filteredIssues.filter(i => ['Done', 'Closed'].includes(i.fields?.status?.name)).length;
-    const inProgress = filteredIssues.filter(i => !['Done', 'Closed'].includes(i.fields?.status?.name)).length;
+    // Otherwise, calculate from filtered local Jira issues
+    const filteredJiraIssues = filteredIssues.filter(i => getIssueSource(i) === 'jira');
+    const total = filteredJiraIssues.length;
+    const resolved = filteredJiraIssues.filter(i => i.fields?.resolutiondate).length;
+    const done = filteredJiraIssues.filter(i => ['Done', 'Closed'].includes(i.fields?.status?.name)).length;
+    const inProgress = filteredJiraIssues.filter(i => !['Done', 'Closed'].includes(i.fields?.status?.name)).length;
     
     // Calculate total story points
-    const totalStoryPoints = filteredIssues.reduce((sum, issue) => {
+    const totalStoryPoints = filteredJiraIssues.reduce((sum, issue) => {
       const points = getStoryPoints(issue);
       return sum + (points || 0);
     }, 0);
 
     // Calculate avg resolution time
-    const issuesWithTime = filteredIssues.filter(i => i._inProgressDate && i._qaReadyDate);
+    const issuesWithTime = filteredJiraIssues.filter(i => i._inProgressDate && i._qaReadyDate);
     let avgResolutionTime = stats.avgResolutionTime || 0;
     if (issuesWithTime.length > 0) {
       const times = issuesWithTime.map(i => {
@@ -202,7 +293,15 @@ function IssuesPage() {
       avgResolutionTime: Math.round(avgResolutionTime * 10) / 10,
       avgResolutionTimeCount: issuesWithTime.length
     };
-  }, [stats, filteredIssues, loading, issues.length]);
+  }, [stats, filteredIssues, loading, jiraIssues.length]);
+
+  // Compare mode: previous period stats are unfiltered, so Jira is only compared without filters
+  const comparedEndpoints = useMemo(() => (
+    showLinear ? ['/api/stats/jira', '/api/stats/sources/linear'] : ['/api/stats/jira']
+  ), [showLinear]);
+  const { previousStats } = usePreviousPeriodStats(dateRange, comparedEndpoints, mockParam);
+  const isFiltered = Object.values(filters).some(value => value !== 'all');
+  const previousJira = isFiltered ? null : previousStats['/api/stats/jira'] || null;
 
   // Handlers
   const handleSort = (field) => {
@@ -226,7 +325,13 @@ function IssuesPage() {
           <p className="date-label">{dateRange.label}</p>
         </div>
         <div className="header-controls">
-          <DateFilter value={dateRange} onChange={setDateRange} />
+          <ExportButtons dataset="issues" dateRange={dateRange} params={{ ...filters, sort: sort.by, order: sort.order }} />
+          <DateFilter value={dateRange} onChange={setDateRange} allowCompare={true} />
+          {updateAvailable && (
+            <button onClick={applyUpdates} className="update-indicator" title={`Updated: ${updatedSources.join(', ')}`}>
+              🔔 New data available
+            </button>
+          )}
         </div>
       </header>
 
@@ -241,11 +346,27 @@ function IssuesPage() {
             compact={true}
             loading={statsLoading}
             ctoiLoading={ctoiLoading}
+            previousStats={previousJira}
           />
           {!statsLoading && renderErrorSection('jira', '', displayStats?.error)}
         </div>
       )}
 
+      {showLinear && (
+        <div className="stats-section">
+          <JiraSection
+            title="Linear"
+            stats={linearStats}
+            compact={true}
+            loading={linearLoading}
+            itemsPath={JIRA_LAYOUT_TRACKERS.linear.itemsPath}
+            sections={JIRA_LAYOUT_TRACKERS.linear.sections}
+            previousStats={previousStats['/api/stats/sources/linear']?.stats || null}
+          />
+          {!linearLoading && renderErrorSection('linear', '', linearStats?.error)}
+        </div>
+      )}
+
       {/* Filter Info */}
       <div className="filter-info">
         <details>
@@ -256,6 +377,9 @@ function IssuesPage() {
             <li><strong>Excludes:</strong> Closed unassigned tickets (cancelled/no work needed)</li>
             <li><strong>Excludes:</strong> User Story issue types (containers, not actual work items)</li>
             <li><strong>Resolution time:</strong> Measures time from "In Progress" to "Ready for QA Release"</li>
+            {showLinear && (
+              <li><strong>Linear:</strong> Issues assigned to you, updated within the selected date range (canceled issues are left out of the stats); labels stand in for issue types and cycles for sprints</li>
+            )}
           </ul>
         </details>
       </div>
@@ -271,6 +395,15 @@ function IssuesPage() {
             <>
               {/* Filters */}
               <div className="filters">
+                {hasLinearIssues && (
+                  <div className="filter-group">
+                    <label>Source:</label>
+                    <select value={filters.source} onChange={e => updateFilter('source', e.target.value)}>
+                      <option value="all">All Sources</option>
+                      {filterOptions.sources.map(s => <option key={s} value={s}>{SOURCE_NAMES[s] || s}</option>)}
+                    </select>
+                  </div>
+                )}
                 <div className="filter-group">
                   <label>Status:</label>
                   <select value={filters.status} onChange={e => updateFilter('status', e.target.value)}>
@@ -340,10 +473,14 @@ function IssuesPage() {
                       filteredIssues.map(issue => {
                         const statusName = (issue.fields?.status?.name || '').toLowerCase().replace(/\s+/g, '-');
                         const points = getStoryPoints(issue);
+                        const source = getIssueSource(issue);
                         return (
-                          <tr key={issue.key}>
+                          <tr key={`${source}-${issue.key}`}>
                             <td>
-                              <a href={getJiraUrl(issue.key, baseUrl)} target="_blank" rel="noopener noreferrer">
+                              {hasLinearIssues && (
+                                <span className={`source-badge source-${source} issue-source-badge`}>{SOURCE_NAMES[source] || source}</span>
+                              )}
+                              <a href={issue._url || getJiraUrl(issue.key, baseUrl)} target="_blank" rel="noopener noreferrer">
                                 {issue.key}
                               </a>
                             </td>
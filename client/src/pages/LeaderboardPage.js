@@ -1,10 +1,13 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import axios from 'axios';
+import { Link } from 'react-router-dom';
 import DateFilter from '../components/DateFilter';
 import { getCurrentWorkYearStart, formatWorkYearLabel } from '../utils/dateHelpers';
-import { buildApiUrl } from '../utils/apiHelpers';
+import { buildApiUrl, buildViewAsLink } from '../utils/apiHelpers';
 import Skeleton from '../components/ui/Skeleton';
+import ExportButtons from '../components/ExportButtons';
 import clientCache from '../utils/clientCache';
+import { getEntryMetrics, getEntryName } from '../utils/leaderboardHelpers';
 import './LeaderboardPage.css';
 
 // Current user identifier - update this to match your user ID
@@ -177,65 +180,57 @@ function LeaderboardPage() {
     
     return [...leaderboard].sort((a, b) => {
       let aValue, bValue;
+      const aMetrics = getEntryMetrics(a);
+      const bMetrics = getEntryMetrics(b);
       
       switch (sortConfig.column) {
         case 'name':
-          aValue = a.user?.id || a.user?.githubUsername || a.user?.gitlabUsername || a.user?.jiraEmail || '';
-          bValue = b.user?.id || b.user?.githubUsername || b.user?.gitlabUsername || b.user?.jiraEmail || '';
+          aValue = getEntryName(a);
+          bValue = getEntryName(b);
           break;
         case 'git-created':
-          aValue = (a.github?.created || 0) + (a.gitlab?.created || 0);
-          bValue = (b.github?.created || 0) + (b.gitlab?.created || 0);
+          aValue = aMetrics.created;
+          bValue = bMetrics.created;
           break;
         case 'git-reviews':
           // Reviews = PRs/MRs reviewed (not comments)
-          const aGithubReviews = a.reviewStats?.github?.prsReviewed || a.github?.reviews || 0;
-          const aGitlabReviews = a.reviewStats?.gitlab?.mrsReviewed || 0;
-          const bGithubReviews = b.reviewStats?.github?.prsReviewed || b.github?.reviews || 0;
-          const bGitlabReviews = b.reviewStats?.gitlab?.mrsReviewed || 0;
-          aValue = aGithubReviews + aGitlabReviews;
-          bValue = bGithubReviews + bGitlabReviews;
+          aValue = aMetrics.reviews;
+          bValue = bMetrics.reviews;
           break;
         case 'git-comments':
           // Comments = Total comments made
-          const aGithubComments = a.reviewStats?.github?.totalComments || 0;
-          const aGitlabComments = a.reviewStats?.gitlab?.totalComments || 0;
-          const bGithubComments = b.reviewStats?.github?.totalComments || 0;
-          const bGitlabComments = b.reviewStats?.gitlab?.totalComments || 0;
-          aValue = aGithubComments + aGitlabComments;
-          bValue = bGithubComments + bGitlabComments;
+          aValue = aMetrics.comments;
+          bValue = bMetrics.comments;
           break;
         case 'git-comments-per-month':
           // Comments per month = Total comments / months in range
-          const aTotalComments = (a.reviewStats?.github?.totalComments || 0) + (a.reviewStats?.gitlab?.totalComments || 0);
-          const bTotalComments = (b.reviewStats?.github?.totalComments || 0) + (b.reviewStats?.gitlab?.totalComments || 0);
           const totalMonths = calculateMonthsInRange(dateRange);
-          aValue = totalMonths > 0 ? aTotalComments / totalMonths : 0;
-          bValue = totalMonths > 0 ? bTotalComments / totalMonths : 0;
+          aValue = totalMonths > 0 ? aMetrics.comments / totalMonths : 0;
+          bValue = totalMonths > 0 ? bMetrics.comments / totalMonths : 0;
           break;
         case 'jira-velocity':
-          aValue = a.jira?.velocity?.averageVelocity || 0;
-          bValue = b.jira?.velocity?.averageVelocity || 0;
+          aValue = aMetrics.velocity ?? 0;
+          bValue = bMetrics.velocity ?? 0;
           break;
         case 'jira-story-points':
-          aValue = a.jira?.totalStoryPoints || 0;
-          bValue = b.jira?.totalStoryPoints || 0;
+          aValue = aMetrics.storyPoints ?? 0;
+          bValue = bMetrics.storyPoints ?? 0;
           break;
         case 'jira-resolved':
-          aValue = a.jira?.resolved || 0;
-          bValue = b.jira?.resolved || 0;
+          aValue = aMetrics.resolved ?? 0;
+          bValue = bMetrics.resolved ?? 0;
           break;
         case 'jira-resolution-time':
-          aValue = a.jira?.avgResolutionTime || 0;
-          bValue = b.jira?.avgResolutionTime || 0;
+          aValue = aMetrics.avgResolutionTime ?? 0;
+          bValue = bMetrics.avgResolutionTime ?? 0;
           break;
         case 'jira-ctoi-fixed':
-          aValue = a.jira?.ctoi?.fixed || 0;
-          bValue = b.jira?.ctoi?.fixed || 0;
+          aValue = aMetrics.ctoiFixed ?? 0;
+          bValue = bMetrics.ctoiFixed ?? 0;
           break;
         case 'jira-ctoi-participated':
-          aValue = a.jira?.ctoi?.participated || 0;
-          bValue = b.jira?.ctoi?.participated || 0;
+          aValue = aMetrics.ctoiParticipated ?? 0;
+          bValue = bMetrics.ctoiParticipated ?? 0;
           break;
         default:
           return 0;
@@ -281,49 +276,21 @@ function LeaderboardPage() {
     const currentUserEntry = leaderboard.find(entry => isCurrentUser(entry));
     if (!currentUserEntry) return null;
     
-    const github = currentUserEntry.github || {};
-    const gitlab = currentUserEntry.gitlab || {};
-    const jira = currentUserEntry.jira || {};
-    const reviewStats = currentUserEntry.reviewStats || {};
-    
-    // Git Created
-    const githubCreated = github.created > 0 ? github.created : (github.total ?? 0);
-    const gitlabCreated = gitlab.created ?? gitlab.total ?? 0;
-    const created = githubCreated + gitlabCreated;
-    
-    // Git Reviews
-    const githubReviews = reviewStats.github?.prsReviewed || github.reviews || 0;
-    const gitlabReviews = reviewStats.gitlab?.mrsReviewed || 0;
-    const reviews = githubReviews + gitlabReviews;
-    
-    // Git Comments
-    const githubComments = reviewStats.github?.totalComments || 0;
-    const gitlabComments = reviewStats.gitlab?.totalComments || 0;
-    const comments = githubComments + gitlabComments;
+    const metrics = getEntryMetrics(currentUserEntry);
     
     // Comments per month
     const totalMonthsInRange = calculateMonthsInRange(dateRange);
-    const commentsPerMonth = totalMonthsInRange > 0 ? parseFloat((comments / totalMonthsInRange).toFixed(1)) : 0;
-    
-    // Jira metrics
-    const velocity = jira.velocity?.averageVelocity || 0;
-    const storyPoints = jira.totalStoryPoints || 0;
-    const resolved = jira.resolved || 0;
-    const avgResolutionTime = jira.avgResolutionTime || 0;
-    const ctoiFixed = jira.ctoi?.fixed || 0;
-    const ctoiParticipated = jira.ctoi?.participated || 0;
+    const commentsPerMonth = totalMonthsInRange > 0 ? parseFloat((metrics.comments / totalMonthsInRange).toFixed(1)) : 0;
     
     return {
-      created,
-      reviews,
-      comments,
+      ...metrics,
       commentsPerMonth,
-      velocity,
-      storyPoints,
-      resolved,
-      avgResolutionTime,
-      ctoiFixed,
-      ctoiParticipated
+      velocity: metrics.velocity || 0,
+      storyPoints: metrics.storyPoints || 0,
+      resolved: metrics.resolved || 0,
+      avgResolutionTime: metrics.avgResolutionTime || 0,
+      ctoiFixed: metrics.ctoiFixed || 0,
+      ctoiParticipated: metrics.ctoiParticipated || 0
     };
   }, [leaderboard, isCurrentUser, dateRange, calculateMonthsInRange]);
 
@@ -334,34 +301,11 @@ function LeaderboardPage() {
     if (!leaderboard || leaderboard.length === 0) return null;
     
     const extractMetrics = (entry) => {
-      const github = entry.github || {};
-      const gitlab = entry.gitlab || {};
-      const jira = entry.jira || {};
-      const reviewStats = entry.reviewStats || {};
-      
-      const githubCreated = github.created > 0 ? github.created : (github.total ?? 0);
-      const gitlabCreated = gitlab.created ?? gitlab.total ?? 0;
-      const created = githubCreated + gitlabCreated;
-      
-      const githubReviews = reviewStats.github?.prsReviewed || github.reviews || 0;
-      const gitlabReviews = reviewStats.gitlab?.mrsReviewed || 0;
-      const reviews = githubReviews + gitlabReviews;
-      
-      const githubComments = reviewStats.github?.totalComments || 0;
-      const gitlabComments = reviewStats.gitlab?.totalComments || 0;
-      const comments = githubComments + gitlabComments;
-      
+      const metrics = getEntryMetrics(entry);
       const monthsInRange = calculateMonthsInRange(dateRange);
-      const commentsPerMonth = monthsInRange > 0 ? comments / monthsInRange : 0;
-      
-      const velocity = jira.velocity?.averageVelocity || 0;
-      const storyPoints = jira.totalStoryPoints || 0;
-      const resolved = jira.resolved || 0;
-      const avgResolutionTime = jira.avgResolutionTime || 0;
-      const ctoiFixed = jira.ctoi?.fixed || 0;
-      const ctoiParticipated = jira.ctoi?.participated || 0;
+      const commentsPerMonth = monthsInRange > 0 ? metrics.comments / monthsInRange : 0;
       
-      return { created, reviews, comments, commentsPerMonth, velocity, storyPoints, resolved, avgResolutionTime, ctoiFixed, ctoiParticipated };
+      return { ...metrics, commentsPerMonth };
     };
     
     const calculateAverages = (entries) => {
@@ -484,7 +428,10 @@ function LeaderboardPage() {
     <div className="leaderboard-page">
       <header className="leaderboard-header">
         <h1>Leaderboard</h1>
-        <DateFilter value={dateRange} onChange={setDateRange} />
+        <div className="header-controls">
+          <ExportButtons dataset="leaderboard" dateRange={dateRange} params={{ sort: sortConfig.column, order: sortConfig.direction }} />
+          <DateFilter value={dateRange} onChange={setDateRange} />
+        </div>
       </header>
       
       <div className="leaderboard-info">
@@ -494,6 +441,7 @@ function LeaderboardPage() {
           <strong>Reviews</strong> = PRs/MRs reviewed (not authored by you). 
           <strong>Comments</strong> = Total comments made on PRs/MRs. 
           <strong>Comments/Month</strong> = Average comments per month in the date range.
+          {' '}⚠️ marks users whose identities failed the last verification run (<code>npm run verify-users</code>); hover for details.
         </p>
       </div>
       
@@ -549,38 +497,46 @@ function LeaderboardPage() {
             </thead>
             <tbody>
               {sortedLeaderboard.map((entry, index) => {
-                const displayName = entry.user?.id || entry.user?.githubUsername || entry.user?.gitlabUsername || entry.user?.jiraEmail || '-';
-                const gitCreated = (entry.github?.created || 0) + (entry.gitlab?.created || 0);
-                
-                // Reviews = PRs/MRs reviewed (not comments)
-                const githubReviews = entry.reviewStats?.github?.prsReviewed || entry.github?.reviews || 0;
-                const gitlabReviews = entry.reviewStats?.gitlab?.mrsReviewed || 0;
-                const gitReviews = githubReviews + gitlabReviews;
-                
-                // Comments = Total comments made
-                const githubComments = entry.reviewStats?.github?.totalComments || 0;
-                const gitlabComments = entry.reviewStats?.gitlab?.totalComments || 0;
-                const gitComments = githubComments + gitlabComments;
+                const displayName = getEntryName(entry) || '-';
+                const metrics = getEntryMetrics(entry);
                 
                 // Comments per month
                 const totalMonthsInRange = calculateMonthsInRange(dateRange);
-                const gitCommentsPerMonth = totalMonthsInRange > 0 ? (gitComments / totalMonthsInRange) : 0;
+                const gitCommentsPerMonth = totalMonthsInRange > 0 ? (metrics.comments / totalMonthsInRange) : 0;
                 
                 const isCurrentUserRow = isCurrentUser(entry);
                 
                 return (
                   <tr key={entry.user?.id || index} className={isCurrentUserRow ? 'current-user-row' : ''}>
-                    <td className={`name-cell ${isCurrentUserRow ? 'current-user-name' : ''}`}>{displayName}</td>
-                    <td>{formatValue(gitCreated)}</td>
-                    <td>{formatValue(gitReviews)}</td>
-                    <td>{formatValue(gitComments)}</td>
+                    <td className={`name-cell ${isCurrentUserRow ? 'current-user-name' : ''}`}>
+                      {entry.user?.id ? (
+                        <Link
+                          to={buildViewAsLink('/', entry.user.id)}
+                          className="name-link"
+                          title={`View ${displayName}'s dashboard`}
+                        >
+                          {displayName}
+                        </Link>
+                      ) : displayName}
+                      {entry.identityFindings?.length > 0 && (
+                        <span
+                          className="identity-warning"
+                          title={entry.identityFindings.map(finding => finding.message).join('\n')}
+                        >
+                          ⚠️
+                        </span>
+                      )}
+                    </td>
+                    <td>{formatValue(metrics.created)}</td>
+                    <td>{formatValue(metrics.reviews)}</td>
+                    <td>{formatValue(metrics.comments)}</td>
                     <td>{gitCommentsPerMonth > 0 ? gitCommentsPerMonth.toFixed(1) : '-'}</td>
-                    <td>{formatValue(entry.jira?.velocity?.averageVelocity)}</td>
-                    <td>{formatValue(entry.jira?.totalStoryPoints)}</td>
-                    <td>{formatValue(entry.jira?.resolved)}</td>
-                    <td>{entry.jira?.avgResolutionTime ? `${formatValue(entry.jira.avgResolutionTime)}d` : '-'}</td>
-                    <td>{formatValue(entry.jira?.ctoi?.fixed)}</td>
-                    <td>{formatValue(entry.jira?.ctoi?.participated)}</td>
+                    <td>{formatValue(metrics.velocity)}</td>
+                    <td>{formatValue(metrics.storyPoints)}</td>
+                    <td>{formatValue(metrics.resolved)}</td>
+                    <td>{metrics.avgResolutionTime ? `${formatValue(Math.round(metrics.avgResolutionTime * 10) / 10)}d` : '-'}</td>
+                    <td>{formatValue(metrics.ctoiFixed)}</td>
+                    <td>{formatValue(metrics.ctoiParticipated)}</td>
                   </tr>
                 );
               })}
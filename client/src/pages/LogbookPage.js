@@ -2,13 +2,12 @@ import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import axios from 'axios';
 import { format } from 'date-fns';
 import clientCache from '../utils/clientCache';
+import { buildApiUrl } from '../utils/apiHelpers';
 import Skeleton from '../components/ui/Skeleton';
+import PromotionPacket from '../components/PromotionPacket';
+import ExportButtons from '../components/ExportButtons';
 import './LogbookPage.css';
 
-const SOURCE_JIRA = 'jira';
-const SOURCE_GITHUB = 'github';
-const SOURCE_GITLAB = 'gitlab';
-
 function LogbookPage() {
   const [logbookData, setLogbookData] = useState(null);
   const [impactMetrics, setImpactMetrics] = useState(null);
@@ -19,6 +18,7 @@ function LogbookPage() {
   const [expandedMonths, setExpandedMonths] = useState(new Set());
   const [expandedDescriptions, setExpandedDescriptions] = useState(new Set());
   const [copiedBullet, setCopiedBullet] = useState(null);
+  const [showPromotionPacket, setShowPromotionPacket] = useState(false);
   
   const mockParam = useMemo(() => {
     return new URLSearchParams(window.location.search).get('mock') === 'true' ? '?mock=true' : '';
@@ -41,7 +41,7 @@ function LogbookPage() {
     try {
       setLoading(true);
       setError(null);
-      const response = await axios.get('/api/logbook' + mockParam);
+      const response = await axios.get(buildApiUrl('/api/logbook', null) + (mockParam ? '&mock=true' : ''));
       setLogbookData(response.data);
       clientCache.set('/api/logbook', cacheKey, response.data);
       // Expand the most recent month by default
@@ -140,11 +140,6 @@ function LogbookPage() {
     return num.toString();
   };
 
-  const getJiraUrl = useCallback((key) => {
-    const baseUrl = logbookData?.baseUrls?.jira;
-    return baseUrl ? `${baseUrl}/browse/${key}` : `#${key}`;
-  }, [logbookData]);
-
   const formatDate = (dateStr) => {
     if (!dateStr) return '';
     try {
@@ -178,25 +173,33 @@ function LogbookPage() {
     </div>
   );
 
-  const renderJiraItem = (item) => {
-    const itemKey = `jira-${item.key}`;
+  // Items are normalized by the server's source providers (see server/services/registry.js)
+  const renderItem = (item, source) => {
+    const itemKey = `${source.id}-${item.id}`;
     const isExpanded = expandedDescriptions.has(itemKey);
     const hasDescription = item.description && item.description.trim().length > 0;
+    const isTracker = source.kind === 'tracker';
     
     return (
-      <div key={item.key} className="logbook-item jira-item">
+      <div key={itemKey} className={`logbook-item ${source.id}-item`}>
         <div className="item-header">
           <div className="item-meta">
-            <span className={`item-type type-${item.type?.toLowerCase().replace(/\s+/g, '-')}`}>
-              {item.type}
-            </span>
+            {item.type ? (
+              <span className={`item-type type-${item.type.toLowerCase().replace(/\s+/g, '-')}`}>
+                {item.type}
+              </span>
+            ) : (
+              <span className={`item-state state-${item.state}`}>
+                {item.state === 'merged' ? 'Merged' : item.state}
+              </span>
+            )}
             {item.storyPoints > 0 && (
               <span className="item-points">{item.storyPoints} SP</span>
             )}
-            <span className="item-project">{item.project}</span>
+            <span className={isTracker ? 'item-project' : 'item-repo'}>{item.container}</span>
           </div>
           <a 
-            href={getJiraUrl(item.key)} 
+            href={item.url || `#${item.key}`} 
             target="_blank" 
             rel="noopener noreferrer"
             className="item-key"
@@ -204,7 +207,7 @@ function LogbookPage() {
             {item.key}
           </a>
         </div>
-        <div className="item-title">{item.summary}</div>
+        <div className="item-title">{item.title}</div>
         {hasDescription && (
           <div className="item-description-wrapper">
             <p className={`item-description ${isExpanded ? 'expanded' : ''}`}>
@@ -221,64 +224,23 @@ function LogbookPage() {
           </div>
         )}
         <div className="item-dates">
-          {item.created && <span>Started: {formatDate(item.created)}</span>}
-          {item.resolved && <span>Resolved: {formatDate(item.resolved)}</span>}
+          {isTracker ? (
+            <>
+              {item.createdAt && <span>Started: {formatDate(item.createdAt)}</span>}
+              {item.resolvedAt && <span>Resolved: {formatDate(item.resolvedAt)}</span>}
+            </>
+          ) : (
+            <>
+              {item.createdAt && <span>Opened: {formatDate(item.createdAt)}</span>}
+              {item.mergedAt && <span>Merged: {formatDate(item.mergedAt)}</span>}
+            </>
+          )}
         </div>
       </div>
     );
   };
 
-  const renderGitHubItem = (item) => (
-    <div key={`gh-${item.id}`} className="logbook-item github-item">
-      <div className="item-header">
-        <div className="item-meta">
-          <span className={`item-state state-${item.state}`}>
-            {item.state === 'merged' ? 'Merged' : item.state}
-          </span>
-          <span className="item-repo">{item.repo}</span>
-        </div>
-        <a 
-          href={item.url} 
-          target="_blank" 
-          rel="noopener noreferrer"
-          className="item-key"
-        >
-          #{item.number}
-        </a>
-      </div>
-      <div className="item-title">{item.title}</div>
-      <div className="item-dates">
-        {item.created && <span>Opened: {formatDate(item.created)}</span>}
-        {item.merged && <span>Merged: {formatDate(item.merged)}</span>}
-      </div>
-    </div>
-  );
-
-  const renderGitLabItem = (item) => (
-    <div key={`gl-${item.id}`} className="logbook-item gitlab-item">
-      <div className="item-header">
-        <div className="item-meta">
-          <span className={`item-state state-${item.state}`}>
-            {item.state === 'merged' ? 'Merged' : item.state}
-          </span>
-          <span className="item-repo">{item.project}</span>
-        </div>
-        <a 
-          href={item.url} 
-          target="_blank" 
-          rel="noopener noreferrer"
-          className="item-key"
-        >
-          !{item.iid}
-        </a>
-      </div>
-      <div className="item-title">{item.title}</div>
-      <div className="item-dates">
-        {item.created && <span>Opened: {formatDate(item.created)}</span>}
-        {item.merged && <span>Merged: {formatDate(item.merged)}</span>}
-      </div>
-    </div>
-  );
+  const sources = logbookData?.sources || [];
 
   const renderMonthCard = (monthData) => {
     const isExpanded = expandedMonths.has(monthData.month);
@@ -296,9 +258,11 @@ function LogbookPage() {
             <h2>{monthData.label}</h2>
           </div>
           <div className="month-metrics">
-            {metrics.jiraIssues > 0 && renderMetricsBadge('Issues', metrics.jiraIssues, SOURCE_JIRA)}
-            {metrics.githubPRs > 0 && renderMetricsBadge('PRs', metrics.githubPRs, SOURCE_GITHUB)}
-            {metrics.gitlabMRs > 0 && renderMetricsBadge('MRs', metrics.gitlabMRs, SOURCE_GITLAB)}
+            {sources.map(source => metrics.bySource?.[source.id] > 0 && (
+              <React.Fragment key={source.id}>
+                {renderMetricsBadge(source.itemLabel, metrics.bySource[source.id], source.id)}
+              </React.Fragment>
+            ))}
             {metrics.storyPoints > 0 && renderMetricsBadge('SP', metrics.storyPoints, 'points')}
           </div>
           <span className="expand-icon">{isExpanded ? '−' : '+'}</span>
@@ -306,41 +270,17 @@ function LogbookPage() {
         
         {isExpanded && (
           <div className="month-content">
-            {items.jira.length > 0 && (
-              <section className="source-section jira-section">
-                <h3>
-                  <span className="source-icon">📋</span>
-                  Jira Issues ({items.jira.length})
-                </h3>
-                <div className="items-list">
-                  {items.jira.map(renderJiraItem)}
-                </div>
-              </section>
-            )}
-            
-            {items.github.length > 0 && (
-              <section className="source-section github-section">
+            {sources.map(source => items[source.id]?.length > 0 && (
+              <section key={source.id} className={`source-section ${source.id}-section`}>
                 <h3>
-                  <span className="source-icon">🐙</span>
-                  GitHub Pull Requests ({items.github.length})
+                  <span className="source-icon">{source.icon}</span>
+                  {source.name} {source.itemLabel} ({items[source.id].length})
                 </h3>
                 <div className="items-list">
-                  {items.github.map(renderGitHubItem)}
+                  {items[source.id].map(item => renderItem(item, source))}
                 </div>
               </section>
-            )}
-            
-            {items.gitlab.length > 0 && (
-              <section className="source-section gitlab-section">
-                <h3>
-                  <span className="source-icon">🦊</span>
-                  GitLab Merge Requests ({items.gitlab.length})
-                </h3>
-                <div className="items-list">
-                  {items.gitlab.map(renderGitLabItem)}
-                </div>
-              </section>
-            )}
+            ))}
           </div>
         )}
       </div>
@@ -470,18 +410,12 @@ function LogbookPage() {
               <span className="stat-value">{logbookData.totals?.totalItems || 0}</span>
               <span className="stat-label">Total Items</span>
             </div>
-            <div className="summary-stat jira">
-              <span className="stat-value">{logbookData.totals?.jiraIssues || 0}</span>
-              <span className="stat-label">Jira Issues</span>
-            </div>
-            <div className="summary-stat github">
-              <span className="stat-value">{logbookData.totals?.githubPRs || 0}</span>
-              <span className="stat-label">GitHub PRs</span>
-            </div>
-            <div className="summary-stat gitlab">
-              <span className="stat-value">{logbookData.totals?.gitlabMRs || 0}</span>
-              <span className="stat-label">GitLab MRs</span>
-            </div>
+            {sources.map(source => (
+              <div key={source.id} className={`summary-stat ${source.id}`}>
+                <span className="stat-value">{logbookData.totals?.bySource?.[source.id] || 0}</span>
+                <span className="stat-label">{source.name} {source.itemLabel}</span>
+              </div>
+            ))}
             <div className="summary-stat points">
               <span className="stat-value">{logbookData.totals?.storyPoints || 0}</span>
               <span className="stat-label">Story Points</span>
@@ -496,11 +430,19 @@ function LogbookPage() {
             <button onClick={collapseAll} className="control-btn">
               Collapse All
             </button>
+            <button onClick={() => setShowPromotionPacket(true)} className="control-btn">
+              Promotion Packet
+            </button>
+            <ExportButtons dataset="logbook" />
             <button onClick={() => window.print()} className="control-btn print-btn">
               Print / Export
             </button>
           </div>
 
+          {showPromotionPacket && (
+            <PromotionPacket mock={!!mockParam} onClose={() => setShowPromotionPacket(false)} />
+          )}
+
           {/* Timeline */}
           <div className="logbook-timeline">
             {logbookData.months?.length > 0 ? (
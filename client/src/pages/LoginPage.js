@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import ErrorBanner from '../components/ui/ErrorBanner';
+import './LoginPage.css';
+
+// Sign in with a roster id and the password set with `npm run set-password`
+function LoginPage({ onLogin }) {
+  const [userId, setUserId] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      // The session cookie is set by the response
+      const response = await axios.post('/api/auth/login', { userId: userId.trim(), password });
+      onLogin(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to sign in.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="login-page">
+      <form className="login-form" onSubmit={handleSubmit}>
+        <h1>Engineering Stats Dashboard</h1>
+        <ErrorBanner message={error} />
+        <label className="login-field">
+          <span>User ID</span>
+          <input value={userId} onChange={(e) => setUserId(e.target.value)} autoComplete="username" required autoFocus />
+        </label>
+        <label className="login-field">
+          <span>Password</span>
+          <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} autoComplete="current-password" required />
+        </label>
+        <button type="submit" className="login-button" disabled={submitting}>
+          {submitting ? 'Signing in...' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default LoginPage;
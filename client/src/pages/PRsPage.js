@@ -4,18 +4,28 @@ import { format } from 'date-fns';
 import DateFilter from '../components/DateFilter';
 import { getCurrentWorkYearStart, formatWorkYearLabel } from '../utils/dateHelpers';
 import { buildApiUrl, getStatusClasses } from '../utils/apiHelpers';
-import { getItemStatus, getItemRepo, getItemUrl, getMergedDate } from '../utils/prItemHelpers';
+import { getItemStatus, getItemRepo, getItemUrl, getMergedDate, getSourceName, getSourceTag } from '../utils/prItemHelpers';
 import { createFilter, createSorter, extractFilterOptions } from '../utils/filterHelpers';
 import clientCache from '../utils/clientCache';
+import { usePreviousPeriodStats } from '../hooks/usePreviousPeriodStats';
+import { useLiveUpdates } from '../hooks/useLiveUpdates';
 import GitSection from '../components/GitSection';
 import ChartWithFallback from '../components/ChartWithFallback';
+import ExportButtons from '../components/ExportButtons';
 import Skeleton from '../components/ui/Skeleton';
 import { renderErrorSection } from '../utils/sectionHelpers';
 import './PRsPage.css';
 
+// GitHub and GitLab are always listed; other code sources once /api/providers says they're set up
+const CORE_CODE_SOURCES = [
+  { id: 'github', name: 'GitHub', icon: '🐙', itemsKey: 'prs', itemsRoute: 'prs', itemLabel: 'PRs' },
+  { id: 'gitlab', name: 'GitLab', icon: '🦊', itemsKey: 'mrs', itemsRoute: 'mrs', itemLabel: 'MRs' }
+];
+const OPEN_STATES = ['open', 'opened'];
+
 function PRsPage() {
-  const [prs, setPRs] = useState([]);
-  const [mrs, setMRs] = useState([]);
+  const [items, setItems] = useState([]);
+  const [codeSources, setCodeSources] = useState(null);
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
   const [statsLoading, setStatsLoading] = useState(true);
@@ -36,15 +46,31 @@ function PRsPage() {
     type: 'custom'
   });
 
+  // Load code sources once
+  useEffect(() => {
+    axios.get('/api/providers')
+      .then(response => {
+        setCodeSources((response.data.providers || []).filter(source =>
+          source.kind === 'code' &&
+          (CORE_CODE_SOURCES.some(core => core.id === source.id) || mockParam || source.configured)
+        ));
+      })
+      .catch(err => {
+        console.error('Error fetching providers:', err);
+        setCodeSources(CORE_CODE_SOURCES);
+      });
+  }, [mockParam]);
+
   // Fetch data
   const fetchData = useCallback(async () => {
+    if (!codeSources) return;
+    const withSource = (source, data) => (data[source.itemsKey] || []).map(item => ({ ...item, _source: source.id }));
+
     // Check cache first
-    const cachedPRs = clientCache.get('/api/prs', dateRange);
-    const cachedMRs = clientCache.get('/api/mrs', dateRange);
+    const cached = codeSources.map(source => clientCache.get(`/api/${source.itemsRoute}`, dateRange));
     
-    if (cachedPRs && cachedMRs) {
-      setPRs((cachedPRs.prs || []).map(pr => ({ ...pr, _source: 'github' })));
-      setMRs((cachedMRs.mrs || []).map(mr => ({ ...mr, _source: 'gitlab' })));
+    if (cached.every(Boolean)) {
+      setItems(codeSources.flatMap((source, i) => withSource(source, cached[i])));
       setLoading(false);
       setError(null);
       return;
@@ -54,27 +80,21 @@ function PRsPage() {
       setLoading(true);
       setError(null);
       
-      const [prsRes, mrsRes] = await Promise.all([
-        axios.get(buildApiUrl('/api/prs', dateRange) + mockParam),
-        axios.get(buildApiUrl('/api/mrs', dateRange) + mockParam)
-      ]);
-      
-      const prsData = (prsRes.data.prs || []).map(pr => ({ ...pr, _source: 'github' }));
-      const mrsData = (mrsRes.data.mrs || []).map(mr => ({ ...mr, _source: 'gitlab' }));
+      const responses = await Promise.all(codeSources.map(source =>
+        axios.get(buildApiUrl(`/api/${source.itemsRoute}`, dateRange) + mockParam)
+      ));
       
-      setPRs(prsData);
-      setMRs(mrsData);
+      setItems(codeSources.flatMap((source, i) => withSource(source, responses[i].data)));
       
       // Cache the responses
-      clientCache.set('/api/prs', dateRange, prsRes.data);
-      clientCache.set('/api/mrs', dateRange, mrsRes.data);
+      codeSources.forEach((source, i) => clientCache.set(`/api/${source.itemsRoute}`, dateRange, responses[i].data));
     } catch (err) {
       setError('Failed to fetch PRs/MRs. Please check your API configuration.');
       console.error('Error fetching data:', err);
     } finally {
       setLoading(false);
     }
-  }, [dateRange, mockParam]);
+  }, [codeSources, dateRange, mockParam]);
 
   const fetchStats = useCallback(async () => {
     // Check cache first
@@ -102,8 +122,20 @@ function PRsPage() {
     fetchStats();
   }, [fetchData, fetchStats]);
 
+  // Offer new data announced by the server (webhooks, cache warmer)
+  const refetchAll = useCallback(() => {
+    fetchData();
+    fetchStats();
+  }, [fetchData, fetchStats]);
+  const liveEndpoints = useMemo(
+    () => [...(codeSources || CORE_CODE_SOURCES).map(source => `/api/${source.itemsRoute}`), '/api/stats/git'],
+    [codeSources]
+  );
+  const { updateAvailable, sources: updatedSources, refresh: applyUpdates } = useLiveUpdates(liveEndpoints, refetchAll);
+
   // Combined items
-  const allItems = useMemo(() => [...prs, ...mrs], [prs, mrs]);
+  const allItems = items;
+  const sourceIds = useMemo(() => (codeSources || CORE_CODE_SOURCES).map(source => source.id), [codeSources]);
 
   // Filter configuration (stable reference)
   const filterConfig = useMemo(() => ({
@@ -153,26 +185,27 @@ function PRsPage() {
     }
     
     // Otherwise, calculate from filtered local items
-    const githubItems = filteredItems.filter(item => item._source === 'github');
-    const gitlabItems = filteredItems.filter(item => item._source === 'gitlab');
-    
-    return {
-      github: stats.github ? {
-        ...stats.github,
-        total: githubItems.length,
+    return Object.fromEntries(sourceIds.map(id => {
+      const sourceItems = filteredItems.filter(item => item._source === id);
+      return [id, stats[id] ? {
+        ...stats[id],
+        total: sourceItems.length,
         // Use server's merged count (already filtered by date range), don't recalculate from filtered items
-        merged: stats.github.merged || 0,
-        open: githubItems.filter(item => item.state === 'open').length
-      } : null,
-      gitlab: stats.gitlab ? {
-        ...stats.gitlab,
-        total: gitlabItems.length,
-        // Use server's merged count (already filtered by date range), don't recalculate from filtered items
-        merged: stats.gitlab.merged || 0,
-        open: gitlabItems.filter(item => item.state === 'opened').length
-      } : null
-    };
-  }, [stats, filteredItems, loading, allItems.length]);
+        merged: stats[id].merged || 0,
+        open: sourceItems.filter(item => OPEN_STATES.includes(item.state)).length
+      } : null];
+    }));
+  }, [stats, filteredItems, loading, allItems.length, sourceIds]);
+
+  // Compare mode: previous period stats are unfiltered, so they're only compared without filters
+  const { previousStats } = usePreviousPeriodStats(dateRange, ['/api/stats/git'], mockParam);
+  const previousGit = previousStats['/api/stats/git'];
+  const isFiltered = Object.values(filters).some(value => value !== 'all');
+  const previousGitStats = previousGit && !isFiltered ? previousGit : null;
+
+  // Sources with stats on this page, and their review stats
+  const statsSources = sourceIds.filter(id => displayStats?.[id] && !displayStats[id].error);
+  const reviewSources = sourceIds.filter(id => stats?.reviewStats?.[id]);
 
   // Handlers
   const handleSort = (field) => {
@@ -194,7 +227,13 @@ function PRsPage() {
           <p className="date-label">{dateRange.label}</p>
         </div>
         <div className="header-controls">
-          <DateFilter value={dateRange} onChange={setDateRange} />
+          <ExportButtons dataset="prs" dateRange={dateRange} params={{ ...filters, sort: sort.by, order: sort.order }} />
+          <DateFilter value={dateRange} onChange={setDateRange} allowCompare={true} />
+          {updateAvailable && (
+            <button onClick={applyUpdates} className="update-indicator" title={`Updated: ${updatedSources.join(', ')}`}>
+              🔔 New data available
+            </button>
+          )}
         </div>
       </header>
 
@@ -212,23 +251,22 @@ function PRsPage() {
         </div>
       ) : displayStats && (
         <div className="stats-section">
-          <GitSection githubStats={displayStats.github} gitlabStats={displayStats.gitlab} reviewStats={stats?.reviewStats} dateRange={dateRange} compact={true} />
+          <GitSection stats={{ ...displayStats, reviewStats: stats?.reviewStats, summary: stats?.summary }} sources={codeSources || CORE_CODE_SOURCES} compact={true} previous={previousGitStats} />
           {displayStats.github?.error && renderErrorSection('github', '', displayStats.github.error)}
           {displayStats.gitlab?.error && renderErrorSection('gitlab', '', displayStats.gitlab.error)}
           
           {/* Repo Breakdown - Authored */}
-          {(displayStats.github?.repoBreakdown?.length > 0 || displayStats.gitlab?.repoBreakdown?.length > 0) && (
+          {statsSources.some(id => displayStats[id].repoBreakdown?.length > 0) && (
             <div className="repo-breakdown-section">
               <h2>Repository Breakdown (Authored)</h2>
               <div className="repo-list">
-                {[
-                  ...(displayStats.github?.repoBreakdown || []).map(r => ({ ...r, source: 'github' })),
-                  ...(displayStats.gitlab?.repoBreakdown || []).map(r => ({ ...r, source: 'gitlab' }))
-                ].sort((a, b) => b.total - a.total).slice(0, 20).map((repo, i) => (
+                {statsSources.flatMap(id =>
+                  (displayStats[id].repoBreakdown || []).map(r => ({ ...r, source: id }))
+                ).sort((a, b) => b.total - a.total).slice(0, 20).map((repo, i) => (
                   <div key={i} className="repo-item">
                     <div className="repo-name">
                       <span className={`source-tag ${repo.source}`}>
-                        {repo.source === 'github' ? 'GH' : 'GL'}
+                        {getSourceTag(repo.source)}
                       </span>
                       {repo.repo}
                     </div>
@@ -244,13 +282,10 @@ function PRsPage() {
           )}
           
           {/* Merged per Month Chart */}
-          {(displayStats?.github?.monthlyMerged || displayStats?.gitlab?.monthlyMerged) && (() => {
-            const githubMonthly = displayStats?.github?.monthlyMerged || [];
-            const gitlabMonthly = displayStats?.gitlab?.monthlyMerged || [];
-            
+          {statsSources.some(id => displayStats[id].monthlyMerged) && (() => {
             // Combine monthly data
             const combined = {};
-            [...githubMonthly, ...gitlabMonthly].forEach(item => {
+            statsSources.flatMap(id => displayStats[id].monthlyMerged || []).forEach(item => {
               combined[item.month] = (combined[item.month] || 0) + item.count;
             });
             
@@ -277,10 +312,9 @@ function PRsPage() {
           })()}
           
           {/* Review Comments Chart */}
-          {(stats?.reviewStats?.github?.monthlyComments || stats?.reviewStats?.gitlab?.monthlyComments) && (() => {
-            const githubMonthly = stats?.reviewStats?.github?.monthlyComments || {};
-            const gitlabMonthly = stats?.reviewStats?.gitlab?.monthlyComments || {};
-            const allMonths = new Set([...Object.keys(githubMonthly), ...Object.keys(gitlabMonthly)]);
+          {reviewSources.some(id => stats.reviewStats[id].monthlyComments) && (() => {
+            const monthlyBySource = reviewSources.map(id => stats.reviewStats[id].monthlyComments || {});
+            const allMonths = new Set(monthlyBySource.flatMap(monthly => Object.keys(monthly)));
             
             // Filter to only show months within the selected date range
             const startMonth = dateRange?.start?.substring(0, 7);
@@ -294,7 +328,7 @@ function PRsPage() {
               })
               .map(month => ({
                 month,
-                count: (githubMonthly[month] || 0) + (gitlabMonthly[month] || 0)
+                count: monthlyBySource.reduce((sum, monthly) => sum + (monthly[month] || 0), 0)
               }))
               .sort((a, b) => a.month.localeCompare(b.month));
             
@@ -308,18 +342,17 @@ function PRsPage() {
           })()}
           
           {/* Repo Breakdown - Reviews */}
-          {(stats?.reviewStats?.github?.byRepo?.length > 0 || stats?.reviewStats?.gitlab?.byRepo?.length > 0) && (
+          {reviewSources.some(id => stats.reviewStats[id].byRepo?.length > 0) && (
             <div className="repo-breakdown-section">
               <h2>Repository Breakdown (Comments)</h2>
               <div className="repo-list">
-                {[
-                  ...(stats?.reviewStats?.github?.byRepo || []).map(r => ({ ...r, source: 'github' })),
-                  ...(stats?.reviewStats?.gitlab?.byRepo || []).map(r => ({ ...r, source: 'gitlab' }))
-                ].sort((a, b) => b.comments - a.comments).slice(0, 20).map((repo, i) => (
+                {reviewSources.flatMap(id =>
+                  (stats.reviewStats[id].byRepo || []).map(r => ({ ...r, source: id }))
+                ).sort((a, b) => b.comments - a.comments).slice(0, 20).map((repo, i) => (
                   <div key={i} className="repo-item">
                     <div className="repo-name">
                       <span className={`source-tag ${repo.source}`}>
-                        {repo.source === 'github' ? 'GH' : 'GL'}
+                        {getSourceTag(repo.source)}
                       </span>
                       {repo.repo}
                     </div>
@@ -357,7 +390,7 @@ function PRsPage() {
                   <label>Source:</label>
                   <select value={filters.source} onChange={e => updateFilter('source', e.target.value)}>
                     <option value="all">All Sources</option>
-                    {filterOptions.sources.map(s => <option key={s} value={s}>{s === 'github' ? 'GitHub' : 'GitLab'}</option>)}
+                    {filterOptions.sources.map(s => <option key={s} value={s}>{getSourceName(s)}</option>)}
                   </select>
                 </div>
                 <div className="filter-group">
@@ -399,7 +432,7 @@ function PRsPage() {
                             </td>
                             <td>
                               <span className={`source-badge ${item._source}`}>
-                                {item._source === 'github' ? 'GitHub' : 'GitLab'}
+                                {getSourceName(item._source)}
                               </span>
                             </td>
                             <td>{getItemRepo(item)}</td>
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
 import { getJiraUrl } from '../utils/urlHelpers';
 import clientCache from '../utils/clientCache';
+import { getViewAsUserId } from '../utils/apiHelpers';
 import StatsCard from '../components/StatsCard';
 import Skeleton from '../components/ui/Skeleton';
 import DateFilter from '../components/DateFilter';
@@ -34,6 +35,8 @@ function ProjectsPage() {
     if (mockParam) query.append('mock', 'true');
     if (dateRange.start) query.append('start', dateRange.start);
     if (dateRange.end) query.append('end', dateRange.end);
+    const viewAsUserId = getViewAsUserId();
+    if (viewAsUserId) query.append('user', viewAsUserId);
     
     const queryString = query.toString() ? `?${query.toString()}` : '';
     const cacheKey = `/api/projects${queryString}`;
@@ -0,0 +1,331 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import axios from 'axios';
+import ErrorBanner from '../components/ui/ErrorBanner';
+import Skeleton from '../components/ui/Skeleton';
+import './LeaderboardPage.css';
+import './RosterPage.css';
+
+const EMPTY_FORM = { id: '', name: '', githubUsername: '', gitlabUsername: '', bitbucketUsername: '', jiraEmail: '', linearEmail: '', level: '', role: '', team: '' };
+
+const IDENTITY_COLUMNS = [
+  { key: 'github', label: 'GitHub', value: (user) => user.github?.username },
+  { key: 'gitlab', label: 'GitLab', value: (user) => user.gitlab?.username },
+  { key: 'bitbucket', label: 'Bitbucket', value: (user) => user.bitbucket?.username },
+  { key: 'jira', label: 'Jira', value: (user) => user.jira?.email },
+  { key: 'linear', label: 'Linear', value: (user) => user.linear?.email }
+];
+
+const STATUS_LABELS = {
+  ok: '✓',
+  ambiguous: 'Ambiguous',
+  not_found: 'Not found',
+  error: 'Error',
+  skipped: '—'
+};
+
+const toForm = (user) => ({
+  id: user.id || '',
+  name: user.name || '',
+  githubUsername: user.github?.username || '',
+  gitlabUsername: user.gitlab?.username || '',
+  bitbucketUsername: user.bitbucket?.username || '',
+  jiraEmail: user.jira?.email || '',
+  linearEmail: user.linear?.email || '',
+  level: user.level || '',
+  role: user.role || '',
+  team: user.team || ''
+});
+
+// Identity cell with its resolution status badge
+function IdentityCell({ value, resolution }) {
+  const status = resolution?.status;
+  const title = resolution?.detail || (resolution?.account ? resolution.account.name || resolution.account.login || resolution.account.username : '');
+
+  return (
+    <td className="identity-cell">
+      <span className="identity-value">{value || '-'}</span>
+      {value && status && (
+        <span className={`identity-status identity-status-${status}`} title={title || undefined}>
+          {STATUS_LABELS[status] || status}
+        </span>
+      )}
+    </td>
+  );
+}
+
+// Add / edit form
+function RosterForm({ form, levels, roles, isEditing, saving, onChange, onSubmit, onCancel }) {
+  const field = (name, label, props = {}) => (
+    <label className="roster-field">
+      <span>{label}</span>
+      <input
+        value={form[name]}
+        onChange={(e) => onChange({ ...form, [name]: e.target.value })}
+        {...props}
+      />
+    </label>
+  );
+
+  return (
+    <form className="roster-form" onSubmit={onSubmit}>
+      <h2>{isEditing ? `Edit ${form.id}` : 'Add User'}</h2>
+      <div className="roster-form-fields">
+        {field('id', 'ID', { placeholder: 'FIRST-LAST', disabled: isEditing, required: true })}
+        {field('name', 'Name', { placeholder: 'First Last' })}
+        {field('githubUsername', 'GitHub username')}
+        {field('gitlabUsername', 'GitLab user id', { inputMode: 'numeric' })}
+        {field('bitbucketUsername', 'Bitbucket username')}
+        {field('jiraEmail', 'Jira email', { type: 'email' })}
+        {field('linearEmail', 'Linear email', { type: 'email' })}
+        <label className="roster-field">
+          <span>Level</span>
+          <select value={form.level} onChange={(e) => onChange({ ...form, level: e.target.value })}>
+            <option value="">—</option>
+            {levels.map(level => (
+              <option key={level} value={level}>{level}</option>
+            ))}
+          </select>
+        </label>
+        <label className="roster-field">
+          <span>Role</span>
+          <select value={form.role} onChange={(e) => onChange({ ...form, role: e.target.value })}>
+            <option value="">engineer</option>
+            {roles.filter(role => role !== 'engineer').map(role => (
+              <option key={role} value={role}>{role}</option>
+            ))}
+          </select>
+        </label>
+        {field('team', 'Team', { placeholder: 'Managers see their team' })}
+      </div>
+      <div className="roster-form-actions">
+        <button type="submit" className="roster-button primary" disabled={saving}>
+          {saving ? 'Saving...' : isEditing ? 'Save' : 'Add'}
+        </button>
+        {isEditing && (
+          <button type="button" className="roster-button" onClick={onCancel}>Cancel</button>
+        )}
+      </div>
+    </form>
+  );
+}
+
+function RosterPage() {
+  const [users, setUsers] = useState([]);
+  const [source, setSource] = useState(null);
+  const [editable, setEditable] = useState(false);
+  const [levels, setLevels] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [resolution, setResolution] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [resolving, setResolving] = useState(false);
+  const [error, setError] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [showUnresolvedOnly, setShowUnresolvedOnly] = useState(false);
+
+  const fetchRoster = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await axios.get('/api/users');
+      setUsers(response.data.users || []);
+      setSource(response.data.source);
+      setEditable(response.data.editable);
+      setLevels(response.data.levels || []);
+      setRoles(response.data.roles || []);
+    } catch (err) {
+      setError('Failed to load the roster.');
+      console.error('Error fetching roster:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const fetchResolution = useCallback(async () => {
+    setResolving(true);
+    try {
+      // Resolution calls every service for every user - allow plenty of time
+      const response = await axios.get('/api/users/resolution', { timeout: 120000 });
+      const byId = {};
+      (response.data.users || []).forEach(entry => { byId[entry.id] = entry; });
+      setResolution(byId);
+    } catch (err) {
+      console.error('Error resolving identities:', err);
+    } finally {
+      setResolving(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchRoster();
+    fetchResolution();
+  }, [fetchRoster, fetchResolution]);
+
+  const resetForm = () => {
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+
+    const body = {
+      id: form.id.trim(),
+      name: form.name,
+      github: { username: form.githubUsername },
+      gitlab: { username: form.gitlabUsername },
+      bitbucket: { username: form.bitbucketUsername },
+      jira: { email: form.jiraEmail },
+      linear: { email: form.linearEmail },
+      level: form.level,
+      role: form.role,
+      team: form.team
+    };
+
+    try {
+      if (editingId) {
+        await axios.put(`/api/users/${encodeURIComponent(editingId)}`, body);
+      } else {
+        await axios.post('/api/users', body);
+      }
+      resetForm();
+      await fetchRoster();
+      fetchResolution();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save user.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm(`Remove ${id} from the roster?`)) return;
+    setError(null);
+    try {
+      await axios.delete(`/api/users/${encodeURIComponent(id)}`);
+      if (editingId === id) resetForm();
+      await fetchRoster();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete user.');
+    }
+  };
+
+  const isUnresolved = useCallback((id) => {
+    const entry = resolution[id];
+    return entry && IDENTITY_COLUMNS.some(col => ['ambiguous', 'not_found', 'error'].includes(entry[col.key]?.status));
+  }, [resolution]);
+
+  const unresolvedCount = useMemo(
+    () => users.filter(user => isUnresolved(user.id)).length,
+    [users, isUnresolved]
+  );
+
+  const visibleUsers = showUnresolvedOnly ? users.filter(user => isUnresolved(user.id)) : users;
+
+  return (
+    <div className="leaderboard-page roster-page">
+      <div className="leaderboard-header">
+        <h1>Team Roster</h1>
+        <div className="roster-summary">
+          <span>{users.length} users</span>
+          {resolving ? (
+            <span className="roster-resolving">Checking identities...</span>
+          ) : (
+            <label className="roster-filter">
+              <input
+                type="checkbox"
+                checked={showUnresolvedOnly}
+                onChange={(e) => setShowUnresolvedOnly(e.target.checked)}
+              />
+              Only unresolved ({unresolvedCount})
+            </label>
+          )}
+          <button className="roster-button" onClick={fetchResolution} disabled={resolving}>
+            Re-check
+          </button>
+        </div>
+      </div>
+
+      <ErrorBanner message={error} />
+
+      {source && !editable && (
+        <div className="leaderboard-info">
+          <p className="info-text">
+            Users are loaded from {source === 'url' ? 'the engineering-metrics API' : source === 'file' ? 'ENGINEERING_METRICS_USERS_FILE' : 'engineering-metrics source files'} and
+            can't be edited here. Unset the ENGINEERING_METRICS_* variables to manage server/config/users.json.
+          </p>
+        </div>
+      )}
+
+      {editable && (
+        <RosterForm
+          form={form}
+          levels={levels}
+          roles={roles}
+          isEditing={!!editingId}
+          saving={saving}
+          onChange={setForm}
+          onSubmit={handleSubmit}
+          onCancel={resetForm}
+        />
+      )}
+
+      <div className="leaderboard-table-container">
+        <table className="leaderboard-table roster-table">
+          <thead>
+            <tr>
+              <th>ID</th>
+              <th>Name</th>
+              {IDENTITY_COLUMNS.map(col => (
+                <th key={col.key}>{col.label}</th>
+              ))}
+              <th>Level</th>
+              <th>Role</th>
+              <th>Team</th>
+              {editable && <th></th>}
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              [...Array(5)].map((_, i) => (
+                <tr key={i}>
+                  <td colSpan={editable ? 11 : 10}><Skeleton variant="text" width="100%" height="16px" /></td>
+                </tr>
+              ))
+            ) : visibleUsers.length === 0 ? (
+              <tr>
+                <td colSpan={editable ? 11 : 10} className="empty-state">No users</td>
+              </tr>
+            ) : visibleUsers.map(user => (
+              <tr key={user.id} className={isUnresolved(user.id) ? 'roster-unresolved' : ''}>
+                <td className="name-cell">{user.id}</td>
+                <td>{user.name || '-'}</td>
+                {IDENTITY_COLUMNS.map(col => (
+                  <IdentityCell key={col.key} value={col.value(user)} resolution={resolution[user.id]?.[col.key]} />
+                ))}
+                <td>{user.level || '-'}</td>
+                <td>{user.role || 'engineer'}</td>
+                <td>{user.team || '-'}</td>
+                {editable && (
+                  <td className="roster-actions">
+                    <button className="roster-button" onClick={() => { setEditingId(user.id); setForm(toForm(user)); }}>
+                      Edit
+                    </button>
+                    <button className="roster-button danger" onClick={() => handleDelete(user.id)}>
+                      Delete
+                    </button>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default RosterPage;
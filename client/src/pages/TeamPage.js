@@ -0,0 +1,289 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { format, parseISO } from 'date-fns';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer
+} from 'recharts';
+import DateFilter from '../components/DateFilter';
+import StatsCard from '../components/StatsCard';
+import { usePreviousPeriodStats } from '../hooks/usePreviousPeriodStats';
+import BarChartCard from '../components/BarChartCard';
+import ChartCard from '../components/ChartCard';
+import ErrorBanner from '../components/ui/ErrorBanner';
+import Skeleton from '../components/ui/Skeleton';
+import { getCurrentWorkYearStart, formatWorkYearLabel } from '../utils/dateHelpers';
+import { buildApiUrl } from '../utils/apiHelpers';
+import clientCache from '../utils/clientCache';
+import './LeaderboardPage.css';
+import './TeamPage.css';
+
+const LEVEL_COLORS = {
+  P1: '#90cdf4',
+  P2: '#4299e1',
+  P3: '#667eea',
+  P4: '#553c9a',
+  contractor: '#ed8936',
+  unassigned: '#a0aec0'
+};
+
+// Metrics selectable for the per-level trend chart
+const TREND_METRICS = [
+  { key: 'created', label: 'PRs/MRs Created' },
+  { key: 'merged', label: 'PRs/MRs Merged' },
+  { key: 'comments', label: 'Review Comments' },
+  { key: 'issues', label: 'Jira Issues' }
+];
+
+// Columns of the member share table
+const SHARE_COLUMNS = [
+  { key: 'created', label: 'Created' },
+  { key: 'reviews', label: 'Reviews' },
+  { key: 'comments', label: 'Comments' },
+  { key: 'storyPoints', label: 'Story Points' },
+  { key: 'resolved', label: 'Resolved' }
+];
+
+const formatMonth = (month) => format(parseISO(`${month}-01`), 'MMM yyyy');
+
+// Per-member monthly averages, one line per level
+function LevelTrendChart({ byLevel }) {
+  const [metric, setMetric] = useState(TREND_METRICS[0].key);
+
+  const months = [...new Set(byLevel.flatMap(level => level.monthly.map(m => m.month)))].sort();
+  const chartData = months.map(month => {
+    const point = { month: formatMonth(month) };
+    byLevel.forEach(level => {
+      point[level.level] = level.monthly.find(m => m.month === month)?.[metric] ?? 0;
+    });
+    return point;
+  });
+
+  if (chartData.length === 0) return null;
+
+  return (
+    <ChartCard title="Trends by Level (per member)">
+      <div className="team-trend-controls">
+        {TREND_METRICS.map(option => (
+          <button
+            key={option.key}
+            className={`team-trend-button ${metric === option.key ? 'active' : ''}`}
+            onClick={() => setMetric(option.key)}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+      <ResponsiveContainer width="100%" height={300}>
+        <LineChart data={chartData}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="month" angle={-45} textAnchor="end" height={80} />
+          <YAxis />
+          <Tooltip />
+          <Legend />
+          {byLevel.map(level => (
+            <Line
+              key={level.level}
+              type="monotone"
+              dataKey={level.level}
+              name={`${level.level} (${level.members})`}
+              stroke={LEVEL_COLORS[level.level] || '#718096'}
+              strokeWidth={2}
+              dot={false}
+            />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+    </ChartCard>
+  );
+}
+
+function TeamPage() {
+  const [team, setTeam] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const isMockMode = new URLSearchParams(window.location.search).get('mock') === 'true';
+
+  const workYearStart = getCurrentWorkYearStart();
+  const [dateRange, setDateRange] = useState({
+    label: formatWorkYearLabel(workYearStart),
+    start: workYearStart,
+    end: null,
+    type: 'custom'
+  });
+
+  const fetchTeam = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    const url = buildApiUrl('/api/stats/team', dateRange);
+    const cached = clientCache.get(url, dateRange);
+    if (cached) {
+      setTeam(cached);
+    }
+
+    try {
+      // Built from the leaderboard, which can take a while on a cold cache
+      const response = await axios.get(url, {
+        params: isMockMode ? { mock: true } : {},
+        timeout: 120000
+      });
+      setTeam(response.data);
+      clientCache.set(url, dateRange, response.data);
+    } catch (err) {
+      setError(err.code === 'ECONNABORTED'
+        ? 'Request timed out. Team stats load every member - please wait or try again.'
+        : 'Failed to fetch team stats.');
+      console.error('Error fetching team stats:', err);
+      if (!cached) setTeam(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [dateRange, isMockMode]);
+
+  useEffect(() => {
+    fetchTeam();
+  }, [fetchTeam]);
+
+  // Compare mode: team totals for the previous period
+  const { previousStats } = usePreviousPeriodStats(dateRange, ['/api/stats/team'], isMockMode ? '&mock=true' : '');
+  const previousTotals = previousStats['/api/stats/team']?.totals;
+  const previousValue = (key) => (previousTotals ? previousTotals[key] || 0 : undefined);
+
+  const totals = team?.totals;
+  const monthlyData = (team?.monthly || []).map(m => ({ ...m, month: formatMonth(m.month) }));
+
+  return (
+    <div className="leaderboard-page team-page">
+      <header className="leaderboard-header">
+        <h1>Team</h1>
+        <DateFilter value={dateRange} onChange={setDateRange} allowCompare={true} />
+      </header>
+
+      <ErrorBanner message={error} onRetry={fetchTeam} />
+
+      {loading && !team ? (
+        <>
+          <div className="loading-message">
+            <p>Loading stats for all team members... This may take a minute.</p>
+          </div>
+          <div className="cards-grid">
+            {[...Array(4)].map((_, i) => (
+              <Skeleton key={i} variant="stat-card" />
+            ))}
+          </div>
+        </>
+      ) : team && (
+        <>
+          <div className="cards-grid">
+            <StatsCard
+              title="Members"
+              value={totals.members}
+              previousValue={previousValue('members')}
+              subtitle={`${totals.activeMembers} active${totals.membersWithErrors > 0 ? `, ${totals.membersWithErrors} with errors` : ''}`}
+            />
+            <StatsCard title="PRs/MRs Created" value={totals.created.toLocaleString()} previousValue={previousValue('created')} subtitle={`${totals.merged.toLocaleString()} merged`} />
+            <StatsCard title="Reviews" value={totals.reviews.toLocaleString()} previousValue={previousValue('reviews')} subtitle={`${totals.comments.toLocaleString()} comments`} />
+            <StatsCard title="Issues Resolved" value={totals.resolved.toLocaleString()} previousValue={previousValue('resolved')} subtitle={`${totals.storyPoints.toLocaleString()} story points`} />
+            <StatsCard title="Combined Velocity" value={totals.velocity} previousValue={previousValue('velocity')} subtitle="Sum of member averages (pts/sprint)" />
+          </div>
+
+          <div className="team-charts">
+            <BarChartCard
+              title="Monthly Throughput"
+              data={monthlyData}
+              xAxisKey="month"
+              bars={[
+                { dataKey: 'created', fill: '#667eea', name: 'PRs/MRs Created' },
+                { dataKey: 'merged', fill: '#48bb78', name: 'Merged' },
+                { dataKey: 'issues', fill: '#ed8936', name: 'Jira Issues' }
+              ]}
+            />
+            <BarChartCard
+              title="Monthly Review Comments"
+              data={monthlyData}
+              xAxisKey="month"
+              bars={[{ dataKey: 'comments', fill: '#4299e1', name: 'Comments' }]}
+            />
+            <LevelTrendChart byLevel={team.byLevel || []} />
+          </div>
+
+          <div className="leaderboard-table-container team-level-table">
+            <table className="leaderboard-table">
+              <thead>
+                <tr>
+                  <th>Level</th>
+                  <th>Members</th>
+                  {SHARE_COLUMNS.map(col => (
+                    <th key={col.key}>{col.label} / member</th>
+                  ))}
+                  <th>Velocity / member</th>
+                </tr>
+              </thead>
+              <tbody>
+                {(team.byLevel || []).map(level => (
+                  <tr key={level.level}>
+                    <td className="name-cell">{level.level}</td>
+                    <td>{level.members}</td>
+                    {SHARE_COLUMNS.map(col => (
+                      <td key={col.key}>{level.perMember[col.key].toLocaleString()}</td>
+                    ))}
+                    <td>{level.perMember.velocity}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <h2 className="team-section-title">Share of Work</h2>
+          <div className="leaderboard-table-container">
+            <table className="leaderboard-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Level</th>
+                  {SHARE_COLUMNS.map(col => (
+                    <th key={col.key}>{col.label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {team.members.length === 0 ? (
+                  <tr>
+                    <td colSpan={SHARE_COLUMNS.length + 2} className="empty-state">No team members</td>
+                  </tr>
+                ) : team.members.map(member => (
+                  <tr key={member.id}>
+                    <td className="name-cell">
+                      {member.id}
+                      {member.hasErrors && <span className="identity-warning" title="Some stats failed to load">⚠️</span>}
+                    </td>
+                    <td>{member.level}</td>
+                    {SHARE_COLUMNS.map(col => (
+                      <td key={col.key} className="share-cell">
+                        <span className="share-value">{member[col.key].toLocaleString()}</span>
+                        <span className="share-bar">
+                          <span className="share-bar-fill" style={{ width: `${Math.min(member.share[col.key], 100)}%` }} />
+                        </span>
+                        <span className="share-percent">{member.share[col.key]}%</span>
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default TeamPage;
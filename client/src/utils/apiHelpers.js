@@ -1,5 +1,31 @@
+/**
+ * Roster user the pages are viewed as (?user=<id> in the page URL)
+ * @returns {string|null} User id, or null for the configured user
+ */
+export function getViewAsUserId() {
+  return new URLSearchParams(window.location.search).get('user');
+}
+
+/**
+ * Build a page link that views the page as a roster user (keeps ?mock=true)
+ * @param {string} path - Page path (e.g., '/logbook')
+ * @param {string|null} userId - Roster user id, null for the configured user
+ * @returns {string} Path with query string
+ */
+export function buildViewAsLink(path, userId) {
+  const params = new URLSearchParams(window.location.search);
+  if (userId) {
+    params.set('user', userId);
+  } else {
+    params.delete('user');
+  }
+  const queryString = params.toString();
+  return queryString ? `${path}?${queryString}` : path;
+}
+
 /**
  * Build API URL with date range query parameters
+ * Adds ?user=<id> when viewing as a roster user (see getViewAsUserId)
  * @param {string} endpoint - API endpoint (e.g., '/api/stats')
  * @param {Object} dateRange - Date range object
  * @returns {string} Full URL with query params
@@ -13,6 +39,9 @@ export function buildApiUrl(endpoint, dateRange) {
     if (dateRange.start) params.append('start', dateRange.start);
     if (dateRange.end) params.append('end', dateRange.end);
   }
+
+  const viewAsUserId = getViewAsUserId();
+  if (viewAsUserId) params.append('user', viewAsUserId);
   
   const queryString = params.toString();
   return queryString ? `${endpoint}?${queryString}` : endpoint;
@@ -1,8 +1,12 @@
 /**
  * Simple client-side cache for API responses
- * Prevents unnecessary refetches when navigating between pages
+ * Prevents unnecessary refetches when navigating between pages.
+ * Entries for endpoints the server announces as refreshed (see liveUpdates.js) are dropped.
  */
 
+import { getViewAsUserId } from './apiHelpers';
+import { subscribeToUpdates, affectsEndpoint } from './liveUpdates';
+
 class ClientCache {
   constructor() {
     this.cache = new Map();
@@ -10,11 +14,12 @@ class ClientCache {
   }
 
   /**
-   * Generate cache key from endpoint and dateRange
+   * Generate cache key from endpoint, dateRange and the view-as user
    */
   getKey(endpoint, dateRange) {
     const dateRangeStr = dateRange ? JSON.stringify(dateRange) : 'all';
-    return `${endpoint}:${dateRangeStr}`;
+    const viewAsUserId = getViewAsUserId();
+    return viewAsUserId ? `${endpoint}:${dateRangeStr}:user=${viewAsUserId}` : `${endpoint}:${dateRangeStr}`;
   }
 
   /**
@@ -60,6 +65,18 @@ class ClientCache {
     }
   }
 
+  /**
+   * Drop every entry for the endpoints a refresh event lists (any date range or user)
+   * Keys start with the endpoint, sometimes with its query string (see getKey).
+   */
+  invalidate(refresh) {
+    for (const key of this.cache.keys()) {
+      if (affectsEndpoint(refresh, key.split(':')[0])) {
+        this.cache.delete(key);
+      }
+    }
+  }
+
   /**
    * Clean up expired entries
    */
@@ -76,9 +93,10 @@ class ClientCache {
 // Singleton instance
 const clientCache = new ClientCache();
 
-// Clean up expired entries every minute
+// Clean up expired entries every minute, and drop refreshed ones as they're announced
 if (typeof window !== 'undefined') {
   setInterval(() => clientCache.cleanup(), 60 * 1000);
+  subscribeToUpdates(refresh => clientCache.invalidate(refresh));
 }
 
 export default clientCache;
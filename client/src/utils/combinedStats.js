@@ -76,30 +76,20 @@ export function combinePRLists(...sources) {
 }
 
 /**
- * Calculate combined stats from GitHub and GitLab data
- * Uses engineering-metrics aligned `created` field for totals,
- * and monthly PR/MR data for averages
+ * Calculate combined PR/MR stats across code sources
+ * Uses the server's normalized summary (summarizeEntry, from /api/stats/git):
+ * `created` for totals, and monthly created counts for averages
+ * @param {Object|null} summary - { created, bySource, monthly }
  */
-export function calculateCombinedStats(githubStats, gitlabStats) {
-  const githubPRs = githubStats?.monthlyPRs || [];
-  const gitlabMRs = gitlabStats?.monthlyMRs || [];
-  
-  const combinedMonthly = combineMonthlyData(githubPRs, gitlabMRs);
-  
-  const avgPRsPerMonth = calculateAverage(combinedMonthly);
-  
-  // Use engineering-metrics aligned `created` field if available, fallback to `total`
-  // If created is 0 but total exists, use total (GraphQL contributionsCollection might miss some PRs)
-  const githubCreated = githubStats?.created > 0 ? githubStats.created : (githubStats?.total ?? 0);
-  const gitlabCreated = gitlabStats?.created ?? gitlabStats?.total ?? 0;
-  const totalPRs = githubCreated + gitlabCreated;
-  
+export function calculateCombinedStats(summary) {
+  const monthlyCreated = Object.fromEntries(
+    Object.entries(summary?.monthly || {}).map(([month, counts]) => [month, counts.created || 0])
+  );
+
   return {
-    totalPRs,
-    avgPRsPerMonth,
+    totalPRs: summary?.created || 0,
+    avgPRsPerMonth: calculateAverage(monthlyCreated),
     // Individual platform counts for subtitle
-    githubCount: githubCreated,
-    gitlabCount: gitlabCreated
+    bySource: summary?.bySource || {}
   };
 }
-
@@ -1,21 +1,54 @@
+import axios from 'axios';
+import { addDays, differenceInCalendarDays, format } from 'date-fns';
+
+// Work calendar periods from GET /api/config/calendar, resolved and named by the server
+// (server/utils/calendar.js): each unit's [{ start, end, name }] as Dates, current first.
+// Empty until loaded; the date picker then offers only its "Last N days" presets
+let periods = { workYear: [], half: [], quarter: [], sprint: [] };
+
+// "Last N days" presets
+const LAST_DAYS_PRESETS = [7, 14, 30, 90, 180, 365];
+// Completed sprints offered as "Last N sprints"
+const LAST_SPRINTS_PRESETS = [3, 6];
+
 /**
- * Get the start date of the current work year (September to August)
- * Work year runs from September to August
+ * Format a local date as YYYY-MM-DD (toISOString would shift it to UTC)
  */
-export function getCurrentWorkYearStart() {
-  const now = new Date();
-  const currentYear = now.getFullYear();
-  const currentMonth = now.getMonth(); // 0-11, where 8 = September
-  
-  if (currentMonth >= 8) {
-    // September or later - work year started this September
-    return new Date(currentYear, 8, 1).toISOString().split('T')[0];
-  } else {
-    // Before September - work year started last September
-    return new Date(currentYear - 1, 8, 1).toISOString().split('T')[0];
+export function toDateString(date) {
+  return format(date, 'yyyy-MM-dd');
+}
+
+/**
+ * Parse YYYY-MM-DD as a local date
+ */
+export function parseDateString(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Load the work calendar periods around today from the server (before the app renders)
+ */
+export async function loadCalendarConfig() {
+  try {
+    const response = await axios.get('/api/config/calendar', { params: { date: toDateString(new Date()) } });
+    periods = Object.fromEntries(Object.entries(response.data.periods).map(([unit, list]) => [
+      unit,
+      list.map(period => ({ ...period, start: parseDateString(period.start), end: parseDateString(period.end) }))
+    ]));
+  } catch (err) {
+    console.error('Error loading the work calendar:', err);
   }
 }
 
+/**
+ * Get the start date of the current work year (from the work calendar; a year back until it loads)
+ */
+export function getCurrentWorkYearStart() {
+  const current = periods.workYear[0];
+  return toDateString(current ? current.start : addDays(new Date(), -364));
+}
+
 /**
  * Format work year label
  */
@@ -23,12 +56,168 @@ export function formatWorkYearLabel(startDate) {
   // Parse date string and format using UTC to avoid timezone issues
   const [year, month, day] = startDate.split('-').map(Number);
   const date = new Date(Date.UTC(year, month - 1, day)); // month is 0-indexed
-  
+
   // Format using UTC methods to avoid timezone conversion
   const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
   const monthName = monthNames[date.getUTCMonth()];
   const yearStr = date.getUTCFullYear();
-  
+
   return `Current Work Year (${monthName} ${yearStr} - Present)`;
 }
 
+/**
+ * "Sep 2025 - Present", "Jun - Aug 2026", "Sep 2025 - Feb 2026"
+ */
+function formatMonthSpan(start, end) {
+  if (!end) return `${format(start, 'MMM yyyy')} - Present`;
+  if (start.getFullYear() === end.getFullYear()) return `${format(start, 'MMM')} - ${format(end, 'MMM yyyy')}`;
+  return `${format(start, 'MMM yyyy')} - ${format(end, 'MMM yyyy')}`;
+}
+
+/**
+ * "Oct 6 - Oct 19, 2026", "Dec 22, 2025 - Jan 4, 2026", "Oct 6, 2026 - Present"
+ * @param {string} start - YYYY-MM-DD
+ * @param {string|null} end - YYYY-MM-DD, null for present
+ */
+export function formatDateSpan(start, end) {
+  const startDate = parseDateString(start);
+  if (!end) return `${format(startDate, 'MMM d, yyyy')} - Present`;
+  const endDate = parseDateString(end);
+  return startDate.getFullYear() === endDate.getFullYear()
+    ? `${format(startDate, 'MMM d')} - ${format(endDate, 'MMM d, yyyy')}`
+    : `${format(startDate, 'MMM d, yyyy')} - ${format(endDate, 'MMM d, yyyy')}`;
+}
+
+/**
+ * A date range the pages pass to buildApiUrl, plus `preset` (the DateFilter choice) and
+ * `period` (what the previous period is: { unit } for a work calendar period, { days } otherwise)
+ */
+function buildRange(preset, label, start, end, period) {
+  return {
+    preset,
+    label,
+    start: toDateString(start),
+    end: end ? toDateString(end) : null,
+    period,
+    type: 'custom'
+  };
+}
+
+// Work years and halves: the current one runs to the present
+function getWorkYearRanges() {
+  const [current, previous] = periods.workYear;
+  const [half, previousHalf] = periods.half;
+  if (!previous || !previousHalf) return [];
+
+  return [
+    buildRange('work-year', formatWorkYearLabel(toDateString(current.start)), current.start, null, { unit: 'workYear' }),
+    buildRange('previous-work-year', `Previous Work Year (${formatMonthSpan(previous.start, previous.end)})`, previous.start, previous.end, { unit: 'workYear' }),
+    buildRange('half', `${half.name} (${formatMonthSpan(half.start, null)})`, half.start, null, { unit: 'half' }),
+    buildRange('previous-half', `${previousHalf.name} (${formatMonthSpan(previousHalf.start, previousHalf.end)})`, previousHalf.start, previousHalf.end, { unit: 'half' })
+  ];
+}
+
+// The current fiscal quarter (to the present) and the three before it
+function getQuarterRanges() {
+  return periods.quarter.slice(0, 4).map(({ start, end, name }, offset) => {
+    const label = offset === 0 ? `This Quarter: ${name} (${formatMonthSpan(start, null)})` : `${name} (${formatMonthSpan(start, end)})`;
+    return buildRange(`quarter-${offset}`, label, start, offset === 0 ? null : end, { unit: 'quarter' });
+  });
+}
+
+/**
+ * Last N days up to today
+ */
+export function getLastDaysRange(days, today = new Date()) {
+  return buildRange(`days-${days}`, `Last ${days} Days`, addDays(today, -(days - 1)), null, { days });
+}
+
+// Sprint length on the calendar's cadence
+const getSprintLengthDays = () => {
+  const [current] = periods.sprint;
+  return current ? differenceInCalendarDays(current.end, current.start) + 1 : 0;
+};
+
+// Sprints on the calendar's cadence: the current one (to the present) and the last completed ones
+function getSprintRanges() {
+  const [current, last] = periods.sprint;
+  if (!last) return [];
+  const lengthDays = getSprintLengthDays();
+  const span = (start, end) => formatDateSpan(toDateString(start), end ? toDateString(end) : null);
+
+  return [
+    buildRange('sprint-0', `Current Sprint (${span(current.start, null)})`, current.start, null, { unit: 'sprint' }),
+    buildRange('sprint-1', `Last Sprint (${span(last.start, last.end)})`, last.start, last.end, { unit: 'sprint' }),
+    ...LAST_SPRINTS_PRESETS
+      .filter(count => periods.sprint[count])
+      .map(count => {
+        const start = periods.sprint[count].start;
+        return buildRange(`sprints-${count}`, `Last ${count} Sprints (${span(start, last.end)})`, start, last.end, { days: count * lengthDays });
+      })
+  ];
+}
+
+/**
+ * DateFilter presets, grouped
+ * @param {Date} today - Reference date
+ * @returns {Array<Object>} [{ label, ranges: [dateRange] }]
+ */
+export function getDateRangePresets(today = new Date()) {
+  return [
+    { label: 'Work Year', ranges: getWorkYearRanges() },
+    { label: 'Quarters', ranges: getQuarterRanges() },
+    { label: 'Last N Days', ranges: LAST_DAYS_PRESETS.map(days => getLastDaysRange(days, today)) },
+    { label: `Sprints (${getSprintLengthDays()} days)`, ranges: getSprintRanges() }
+  ].filter(group => group.ranges.length > 0);
+}
+
+/**
+ * A custom range between two dates (end null: to the present)
+ */
+export function getCustomRange(start, end = null) {
+  return {
+    preset: 'custom',
+    label: `Custom (${formatDateSpan(start, end)})`,
+    start,
+    end: end || null,
+    type: 'custom'
+  };
+}
+
+/**
+ * The equivalent earlier range, for "compare to previous period"
+ * Work calendar periods compare with the period before (a quarter to date with the same number
+ * of days at the start of the previous quarter); other ranges step back their own length.
+ * @param {Object} dateRange - Date range
+ * @param {Date} today - Reference date for open-ended ranges
+ * @returns {Object|null} Previous date range, null when the range has no start (all time)
+ */
+export function getPreviousPeriod(dateRange, today = new Date()) {
+  if (!dateRange?.start) return null;
+  const start = parseDateString(dateRange.start);
+  const end = dateRange.end ? parseDateString(dateRange.end) : today;
+
+  // The loaded period before the one the range starts with (other ranges step back their length)
+  const unitPeriods = periods[dateRange.period?.unit] || [];
+  const index = unitPeriods.findIndex(period => toDateString(period.start) === dateRange.start);
+  const previous = index >= 0 ? unitPeriods[index + 1] : null;
+
+  let previousStart;
+  let previousEnd;
+  if (previous) {
+    const toDate = addDays(previous.start, differenceInCalendarDays(end, start));
+    previousStart = previous.start;
+    previousEnd = dateRange.end || toDate > previous.end ? previous.end : toDate;
+  } else {
+    const days = dateRange.period?.days || differenceInCalendarDays(end, start) + 1;
+    previousStart = addDays(start, -days);
+    previousEnd = addDays(end, -days);
+  }
+
+  const range = {
+    start: toDateString(previousStart),
+    end: toDateString(previousEnd),
+    type: 'custom'
+  };
+  return { ...range, label: `Previous Period (${formatDateSpan(range.start, range.end)})` };
+}
@@ -0,0 +1,34 @@
+/**
+ * Leaderboard entry helpers
+ */
+
+/**
+ * Get an entry's display name
+ */
+export function getEntryName(entry) {
+  const user = entry?.user || {};
+  return user.id || Object.values(user.identities || {})[0] || user.githubUsername || user.gitlabUsername || user.jiraEmail || '';
+}
+
+/**
+ * Get an entry's metrics summed across all sources
+ * Uses the normalized summary the server adds to each entry (see server/services/registry.js).
+ * Tracker metrics are null when the user has no tracker data, so cells show '-' instead of 0.
+ */
+export function getEntryMetrics(entry) {
+  const summary = entry?.summary || {};
+  const hasTracker = (summary.kinds || []).includes('tracker');
+  const trackerValue = (value) => (hasTracker ? value || 0 : null);
+
+  return {
+    created: summary.created || 0,
+    reviews: summary.reviews || 0,
+    comments: summary.comments || 0,
+    velocity: trackerValue(summary.velocity),
+    storyPoints: trackerValue(summary.storyPoints),
+    resolved: trackerValue(summary.resolved),
+    avgResolutionTime: trackerValue(summary.avgResolutionTime),
+    ctoiFixed: trackerValue(summary.ctoiFixed),
+    ctoiParticipated: trackerValue(summary.ctoiParticipated)
+  };
+}
@@ -0,0 +1,60 @@
+/**
+ * Live updates from the server's /api/events stream
+ * One EventSource is shared by every subscriber. Each refresh event lists the
+ * API endpoints whose data changed: { sources, endpoints, reason, event, timestamp }.
+ */
+
+// Closed streams (e.g. a 401 before sign-in) are retried after this long
+const RECONNECT_MS = 30 * 1000;
+
+const listeners = new Set();
+let eventSource = null;
+let reconnectTimer = null;
+
+function connect() {
+  if (eventSource || typeof EventSource === 'undefined') return;
+  // Mock mode has no live data
+  if (new URLSearchParams(window.location.search).get('mock') === 'true') return;
+
+  eventSource = new EventSource('/api/events', { withCredentials: true });
+  eventSource.addEventListener('refresh', (e) => {
+    try {
+      const refresh = JSON.parse(e.data);
+      listeners.forEach(listener => listener(refresh));
+    } catch (err) {
+      console.error('Invalid live update:', err);
+    }
+  });
+  eventSource.onerror = () => {
+    // The browser reconnects by itself unless the server refused the stream
+    if (eventSource.readyState !== EventSource.CLOSED) return;
+    eventSource = null;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = setTimeout(() => {
+      if (listeners.size > 0) connect();
+    }, RECONNECT_MS);
+  };
+}
+
+/**
+ * Subscribe to refresh events
+ * @param {Function} listener - Called with each refresh event
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeToUpdates(listener) {
+  listeners.add(listener);
+  connect();
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+/**
+ * Whether a refresh event affects an endpoint
+ * @param {Object} refresh - Refresh event
+ * @param {string} endpoint - API endpoint (e.g., '/api/stats/git'), query string ignored
+ * @returns {boolean}
+ */
+export function affectsEndpoint(refresh, endpoint) {
+  return (refresh.endpoints || []).includes(endpoint.split('?')[0]);
+}
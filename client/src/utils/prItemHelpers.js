@@ -2,6 +2,23 @@
  * Helper functions for PR/MR items
  */
 
+const SOURCE_NAMES = { github: 'GitHub', gitlab: 'GitLab', bitbucket: 'Bitbucket' };
+const SOURCE_TAGS = { github: 'GH', gitlab: 'GL', bitbucket: 'BB' };
+
+/**
+ * Display name of a code source (github -> GitHub)
+ */
+export function getSourceName(source) {
+  return SOURCE_NAMES[source] || source;
+}
+
+/**
+ * Short tag of a code source (github -> GH)
+ */
+export function getSourceTag(source) {
+  return SOURCE_TAGS[source] || source.slice(0, 2).toUpperCase();
+}
+
 /**
  * Get the status of a PR/MR item
  */
@@ -34,7 +51,7 @@ export function getItemUrl(item) {
       return `https://github.com/${repoMatch[1]}/pull/${item.number}`;
     }
   }
-  return item.web_url || '#';
+  return item.web_url || item.html_url || '#';
 }
 
 /**
@@ -7,7 +7,8 @@ export function renderErrorSection(source, icon, error) {
   const icons = {
     github: '📦',
     gitlab: '🔷',
-    jira: '📋'
+    jira: '📋',
+    linear: '📐'
   };
   
   return (
@@ -40,3 +41,11 @@ export function getSourceConfig(source) {
   return configs[source] || {};
 }
 
+
+/**
+ * Trackers whose stats come in the Jira shape, shown with JiraSection instead of a SourceSection:
+ * the page their issues are listed on, and the priority tables their data supports (CTOI is Jira-only)
+ */
+export const JIRA_LAYOUT_TRACKERS = {
+  linear: { itemsPath: '/issues?source=linear', sections: ['cycleTime'] }
+};
@@ -2,124 +2,90 @@ require('dotenv').config();
 
 const express = require('express');
 const cors = require('cors');
+const crypto = require('crypto');
 const { exec } = require('child_process');
 const cron = require('node-cron');
 const cache = require('./utils/cache');
-const githubService = require('./services/github');
-const gitlabService = require('./services/gitlab');
-const jiraService = require('./services/jira');
+const snapshotStore = require('./utils/snapshotStore');
+const { getProviders, fetchAllStats, getItemsRoute, getProviderDatasets, buildItemsResponse } = require('./services/registry');
 const { fetchProjectsWithAnalytics } = require('./routes/projects');
 const { fetchLeaderboard } = require('./routes/stats');
+const jiraService = require('./services/jira');
+const { isAuthEnabled, authenticate, requireSession, requireRole } = require('./utils/authHelpers');
+const { isRateLimitError } = require('./utils/apiHelpers');
+const { runInBackground } = require('./utils/requestScheduler');
+const { getSyncStatus, resetSyncStores } = require('./utils/syncStore');
+const { publishRefresh } = require('./utils/liveEvents');
+const { resolveCalendarRange } = require('./utils/calendar');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // --- Background Cache Warmer ---
+// Its requests run in the scheduler's background lane, behind dashboard requests
+
+// Fingerprints of each source's warmed data, so open dashboards only hear about changes
+const warmedFingerprints = new Map();
+
+function hasChanged(key, value) {
+  const fingerprint = crypto.createHash('sha1').update(JSON.stringify(value ?? null)).digest('hex');
+  const changed = warmedFingerprints.has(key) && warmedFingerprints.get(key) !== fingerprint;
+  warmedFingerprints.set(key, fingerprint);
+  return changed;
+}
+
 async function warmCache() {
   const startTime = Date.now();
   
-  const now = new Date();
-  const currentYear = now.getFullYear();
-  const currentMonth = now.getMonth();
-  
-  const currentWorkYearStart = currentMonth >= 8 
-    ? new Date(currentYear, 8, 1) 
-    : new Date(currentYear - 1, 8, 1);
-  
-  const previousWorkYearStart = new Date(currentWorkYearStart.getFullYear() - 1, 8, 1);
-  const previousWorkYearEnd = new Date(currentWorkYearStart.getFullYear(), 7, 31);
-    
-  const formatDate = (d) => d.getFullYear() + '-' + 
-                   String(d.getMonth() + 1).padStart(2, '0') + '-' + 
-                   String(d.getDate()).padStart(2, '0');
-  
-  const currentStartStr = formatDate(currentWorkYearStart);
-  const previousStartStr = formatDate(previousWorkYearStart);
-  const previousEndStr = formatDate(previousWorkYearEnd);
-
+  // Current (to the present) and previous work year, from the work calendar
   const ranges = [
-    { start: currentStartStr, end: null },
-    { start: previousStartStr, end: previousEndStr }
+    resolveCalendarRange('workyear'),
+    resolveCalendarRange('previousworkyear')
   ];
 
   let detectedRateLimit = false;
+  const changedSources = new Set();
   
   try {
     for (const range of ranges) {
       const rangeKey = JSON.stringify(range);
       
-      const [githubStats, gitlabStats, jiraStats, githubReviews, gitlabReviews] = await Promise.allSettled([
-        githubService.getStats(range),
-        gitlabService.getStats(range),
-        jiraService.getStats(range),
-        githubService.getReviewComments(range),
-        gitlabService.getReviewComments(range)
-      ]);
+      const { stats, reviewStats, rateLimited } = await fetchAllStats(range, { reviews: true });
       
       // Check if any requests hit rate limits
-      const allResults = [githubStats, gitlabStats, jiraStats, githubReviews, gitlabReviews];
-      const hasRateLimit = allResults.some(result => 
-        result.status === 'rejected' && 
-        (result.reason?.response?.status === 429 || result.reason?.message?.includes('429'))
-      );
-      
-      if (hasRateLimit && !detectedRateLimit) {
+      if (rateLimited && !detectedRateLimit) {
         detectedRateLimit = true;
         console.warn('⚠️ Rate limiting detected, will skip leaderboard warming');
       }
       
       const statsResult = {
-        github: githubStats.status === 'fulfilled' ? githubStats.value : { error: githubStats.reason?.message },
-        gitlab: gitlabStats.status === 'fulfilled' ? gitlabStats.value : { error: gitlabStats.reason?.message },
-        jira: jiraStats.status === 'fulfilled' ? jiraStats.value : { error: jiraStats.reason?.message },
+        ...stats,
         timestamp: new Date().toISOString()
       };
       cache.set(`stats:${rangeKey}`, statsResult, 300);
+      snapshotStore.recordStats(statsResult, range);
       
-      const reviewStatsResult = {
-        github: githubReviews.status === 'fulfilled' ? githubReviews.value : { totalComments: 0, prsReviewed: 0, avgCommentsPerPR: 0, avgReviewsPerMonth: 0, byRepo: [] },
-        gitlab: gitlabReviews.status === 'fulfilled' ? gitlabReviews.value : { totalComments: 0, mrsReviewed: 0, avgCommentsPerMR: 0, avgReviewsPerMonth: 0, byRepo: [] }
-      };
-      
+      const gitStats = {};
+      getProviders({ kind: 'code' }).forEach(provider => { gitStats[provider.id] = stats[provider.id]; });
       cache.set(`stats-git:${rangeKey}`, {
-        github: statsResult.github,
-        gitlab: statsResult.gitlab,
-        reviewStats: reviewStatsResult,
+        ...gitStats,
+        reviewStats,
         timestamp: statsResult.timestamp
       }, 300);
       cache.set(`stats-jira:${rangeKey}`, statsResult.jira, 300);
+      getProviders().forEach(provider => {
+        if (hasChanged(`stats:${provider.id}:${rangeKey}`, stats[provider.id])) changedSources.add(provider.id);
+      });
       
-      try {
-        const prs = await githubService.getAllPRsForPage(range);
-        const prsData = { 
-          prs, 
-          baseUrl: process.env.GITHUB_BASE_URL?.replace(/\/$/, '') || 'https://github.com' 
-        };
-        cache.set(`prs:${rangeKey}`, prsData, 300);
-      } catch (e) {
-        console.error('Error warming PRs:', e.message);
-      }
-
-      try {
-        const mrs = await gitlabService.getAllMRsForPage(range);
-        const mrsData = { 
-          mrs, 
-          baseUrl: process.env.GITLAB_BASE_URL?.replace(/\/$/, '') || 'https://gitlab.com' 
-        };
-        cache.set(`mrs:${rangeKey}`, mrsData, 300);
-      } catch (e) {
-        console.error('Error warming MRs:', e.message);
-      }
-
-      try {
-        const issues = await jiraService.getAllIssuesForPage(range);
-        const issuesData = { 
-          issues, 
-          baseUrl: process.env.JIRA_BASE_URL?.replace(/\/$/, '') 
-        };
-        cache.set(`issues:${rangeKey}`, issuesData, 120);
-      } catch (e) {
-        console.error('Error warming Issues:', e.message);
+      // Warm each configured provider's items page
+      for (const provider of getProviders({ configuredOnly: true })) {
+        try {
+          const items = await provider.getItemsForPage(range);
+          cache.set(`${getItemsRoute(provider)}:${rangeKey}`, buildItemsResponse(provider, items), provider.itemsTtl);
+          if (hasChanged(`items:${provider.id}:${rangeKey}`, items)) changedSources.add(provider.id);
+        } catch (e) {
+          console.error(`Error warming ${provider.name} ${provider.itemLabel}:`, e.message);
+        }
       }
       
       try {
@@ -128,7 +94,7 @@ async function warmCache() {
       } catch (e) {
         console.error('Error warming Projects:', e.message);
         // Check if projects warming hit rate limits
-        if (e.message?.includes('429') || e.response?.status === 429) {
+        if (isRateLimitError(e)) {
           detectedRateLimit = true;
           console.warn('⚠️ Rate limiting detected from Projects warming');
         }
@@ -142,7 +108,7 @@ async function warmCache() {
         } catch (e) {
           // Don't fail the entire cache warming if leaderboard fails
           // Leaderboard is expensive and can hit rate limits
-          if (e.message?.includes('429') || e.response?.status === 429) {
+          if (isRateLimitError(e)) {
             detectedRateLimit = true;
             console.warn('⚠️ Leaderboard warming skipped due to rate limiting');
           } else {
@@ -155,16 +121,28 @@ async function warmCache() {
   } catch (error) {
     console.error('Cache warming failed:', error.message);
   }
+
+  if (changedSources.size > 0) {
+    publishRefresh({
+      sources: [...changedSources],
+      endpoints: getProviders().filter(provider => changedSources.has(provider.id))
+        .flatMap(provider => getProviderDatasets(provider).map(dataset => dataset.endpoint)),
+      reason: 'warmer'
+    });
+  }
 }
 
 // Schedule cache warming every 10 minutes
 cron.schedule('*/10 * * * *', () => {
-  warmCache();
+  runInBackground(warmCache);
 });
 
-// Start warming immediately on server start
-setTimeout(() => {
-  warmCache();
+// Start warming immediately on server start (after Jira field discovery)
+setTimeout(async () => {
+  if (jiraService.isConfigured()) {
+    await jiraService.discoverFields();
+  }
+  runInBackground(warmCache);
 }, 5000);
 
 // Kill any existing process on the port
@@ -200,7 +178,20 @@ function killProcessOnPort(port) {
   });
 }
 
-app.use(cors());
+// TRUST_PROXY (hop count) makes req.ip the client address behind a reverse proxy,
+// so sign-in throttling counts clients rather than the proxy
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || 1);
+}
+
+// CORS_ORIGINS limits cross-origin access (and allows the session cookie) to those origins
+const corsOrigins = process.env.CORS_ORIGINS?.split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(corsOrigins?.length ? cors({ origin: corsOrigins, credentials: true }) : cors());
+
+// Webhooks are signed by the sources rather than sent with a session, and
+// verified over the raw body, so they come before the JSON parser and auth
+app.use('/api/webhooks', require('./routes/webhooks'));
+
 app.use(express.json());
 
 // Health check
@@ -208,19 +199,30 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok' });
 });
 
+// Work calendar (fiscal year, quarters, sprints): the client needs it before sign-in
+app.use('/api/config', require('./routes/config'));
+
+// Sessions and roles (see utils/authHelpers.js); everything below /api/auth needs a session
+if (!isAuthEnabled()) {
+  console.warn('⚠️ AUTH_SECRET not set. The dashboard is open to anyone who can reach the server.');
+}
+app.use('/api', authenticate);
+app.use('/api/auth', require('./routes/auth'));
+app.use('/api', requireSession);
+
 // Clear all caches
-app.post('/api/clear-cache', (req, res) => {
+app.post('/api/clear-cache', requireRole('admin'), (req, res) => {
   cache.clear();
   res.json({ status: 'ok', message: 'Cache cleared' });
 });
 
-app.get('/api/clear-cache', (req, res) => {
+app.get('/api/clear-cache', requireRole('admin'), (req, res) => {
   cache.clear();
   res.json({ status: 'ok', message: 'Cache cleared. Refresh the page to fetch fresh data.' });
 });
 
 // Debug endpoint
-app.get('/api/debug/env', (req, res) => {
+app.get('/api/debug/env', requireRole('admin'), (req, res) => {
   res.json({
     GITLAB_USERNAME: process.env.GITLAB_USERNAME ? 'set' : 'not set',
     GITLAB_TOKEN: process.env.GITLAB_TOKEN ? 'set' : 'not set',
@@ -236,12 +238,38 @@ app.get('/api/debug/env', (req, res) => {
     ADOBE_TECHNICAL_ACCOUNT_EMAIL: process.env.ADOBE_TECHNICAL_ACCOUNT_EMAIL ? 'set' : 'not set',
     ADOBE_PRIVATE_KEY: process.env.ADOBE_PRIVATE_KEY ? 'set' : 'not set',
     ADOBE_REPORT_SUITE_ID: process.env.ADOBE_REPORT_SUITE_ID || 'not set',
+    ADOBE_GLOBAL_COMPANY_ID: process.env.ADOBE_GLOBAL_COMPANY_ID || 'not set',
+    ADOBE_PRIVATE_KEY_FILE: process.env.ADOBE_PRIVATE_KEY_FILE ? 'set' : 'not set',
     ENGINEERING_METRICS_USERS_URL: process.env.ENGINEERING_METRICS_USERS_URL || 'not set',
     ENGINEERING_METRICS_USERS_FILE: process.env.ENGINEERING_METRICS_USERS_FILE || 'not set',
     ENGINEERING_METRICS_PATH: process.env.ENGINEERING_METRICS_PATH || 'not set',
+    AUTH_SECRET: process.env.AUTH_SECRET ? 'set' : 'not set',
+    GITHUB_WEBHOOK_SECRET: process.env.GITHUB_WEBHOOK_SECRET ? 'set' : 'not set',
+    GITLAB_WEBHOOK_SECRET: process.env.GITLAB_WEBHOOK_SECRET ? 'set' : 'not set',
+    JIRA_WEBHOOK_SECRET: process.env.JIRA_WEBHOOK_SECRET ? 'set' : 'not set',
   });
 });
 
+// Jira custom field mapping (story points, sprint, epic link, root cause)
+app.get('/api/debug/jira-fields', requireRole('admin'), async (req, res) => {
+  try {
+    const mapping = req.query.refresh === 'true' && jiraService.isConfigured()
+      ? await jiraService.discoverFields({ refresh: true })
+      : jiraService.getFieldMapping();
+    res.json(mapping);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Incremental sync stores per source (?reset=true drops them so the next requests download everything)
+app.get('/api/debug/sync', requireRole('admin'), (req, res) => {
+  if (req.query.reset === 'true') {
+    resetSyncStores();
+  }
+  res.json({ sources: getSyncStatus() });
+});
+
 // Mount API routes
 const apiRoutes = require('./routes');
 app.use('/api', apiRoutes);
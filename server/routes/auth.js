@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const {
+  isAuthEnabled,
+  getRole,
+  checkLogin,
+  getLoginRetryAfter,
+  recordLoginFailure,
+  clearLoginFailures,
+  createSessionToken,
+  revokeSessions,
+  setSessionCookie
+} = require('../utils/authHelpers');
+
+/**
+ * Public view of the signed-in user
+ */
+function describeSession(auth) {
+  return {
+    authEnabled: auth.enabled,
+    user: auth.user
+      ? { id: auth.user.id, name: auth.user.name || auth.user.id, role: auth.role, team: auth.user.team || null }
+      : null,
+    role: auth.role
+  };
+}
+
+// Get the signed-in user ({ authEnabled: false } when AUTH_SECRET isn't set)
+router.get('/me', (req, res) => {
+  res.json(describeSession(req.auth));
+});
+
+// Sign in with a roster id and password: { userId, password }
+// Repeated failures from one IP or for one user id get 429 until the window passes
+router.post('/login', async (req, res) => {
+  if (!isAuthEnabled()) {
+    return res.status(400).json({ error: 'Authentication is not enabled (set AUTH_SECRET)' });
+  }
+
+  try {
+    const { userId, password } = req.body || {};
+    const retryAfter = getLoginRetryAfter(req.ip, userId);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: `Too many failed sign-ins, try again in ${Math.ceil(retryAfter / 60)} minutes` });
+    }
+
+    const user = await checkLogin(userId, password);
+    if (!user) {
+      recordLoginFailure(req.ip, userId);
+      return res.status(401).json({ error: 'Invalid user id or password' });
+    }
+    clearLoginFailures(user.id);
+
+    const token = createSessionToken(user);
+    setSessionCookie(req, res, token);
+    res.json({ ...describeSession({ enabled: true, user, role: getRole(user) }), token });
+  } catch (error) {
+    console.error('Error signing in:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sign out (revokes the user's sessions, on every device, and clears the session cookie)
+router.post('/logout', (req, res) => {
+  try {
+    if (req.auth.user) revokeSessions(req.auth.user.id);
+    setSessionCookie(req, res, '');
+    res.json({ status: 'ok' });
+  } catch (error) {
+    console.error('Error signing out:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
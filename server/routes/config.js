@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const { CALENDAR_RANGES, loadCalendarConfig, resolveCalendarRange, listCalendarPeriods, parseDate } = require('../utils/calendar');
+
+// Periods per unit for the client's date picker, current first: its presets and the one
+// before each (compare to previous period)
+const CLIENT_PERIOD_COUNTS = { workYear: 3, half: 3, quarter: 5, sprint: 7 };
+
+// Get the work calendar, today's ?range= periods (workyear, previousquarter, ...) and the
+// resolved periods the client's date picker offers (?date=YYYY-MM-DD: the client's today)
+router.get('/calendar', (req, res) => {
+  const { date } = req.query;
+  if (date !== undefined && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(parseDate(date).getTime()))) {
+    return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+  }
+
+  try {
+    const today = date ? parseDate(date) : new Date();
+    // The file path stays on the server (this route is open before sign-in)
+    const { file, ...calendar } = loadCalendarConfig();
+    const ranges = Object.fromEntries(Object.keys(CALENDAR_RANGES).map(name => [name, resolveCalendarRange(name, today)]));
+    const periods = Object.fromEntries(Object.entries(CLIENT_PERIOD_COUNTS).map(([unit, count]) => [unit, listCalendarPeriods(unit, count, today)]));
+    res.json({ calendar, ranges, periods });
+  } catch (error) {
+    console.error('Error loading calendar:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
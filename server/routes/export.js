@@ -0,0 +1,339 @@
+const express = require('express');
+const router = express.Router();
+const { parseDateRange } = require('../utils/requestHelpers');
+const { FORMATS, sendExport } = require('../utils/exportFormats');
+const { generateMockLeaderboard } = require('../utils/mockData');
+const { getUsers } = require('../utils/userHelpers');
+const { filterEntriesForRole } = require('../utils/authHelpers');
+const { getProviders, getItemsForUser, summarizeEntry } = require('../services/registry');
+const { fetchLeaderboard } = require('./stats');
+const { fetchLogbook } = require('./logbook');
+
+// --- Item accessors, matching the pages' filter and sort values (client/src/utils/prItemHelpers.js) ---
+
+const getItemStatus = (item) => (
+  item._source === 'github' && item.state === 'closed' && item.pull_request?.merged_at ? 'merged' : item.state
+);
+
+function getItemRepo(item) {
+  if (item._source === 'github') {
+    const match = item.repository_url?.match(/repos\/(.+)$/);
+    return match ? match[1] : 'Unknown';
+  }
+  return item._projectName || item.project?.path_with_namespace || item.project?.name || item.project_id?.toString() || 'Unknown';
+}
+
+const getMergedDate = (item) => (item._source === 'github' ? item.pull_request?.merged_at : item.merged_at);
+const toDate = (value) => (value ? new Date(value) : null);
+
+// Leaderboard name sort key (client/src/utils/leaderboardHelpers.js getEntryName)
+function getEntryName(entry) {
+  const user = entry?.user || {};
+  return user.id || Object.values(user.identities || {})[0] || user.githubUsername || user.gitlabUsername || user.jiraEmail || '';
+}
+
+// Months in a date range, as the Leaderboard page counts them for comments per month
+function countMonthsInRange(dateRange) {
+  if (!dateRange?.start) return 1;
+  const start = new Date(dateRange.start);
+  const end = dateRange.end ? new Date(dateRange.end) : new Date();
+  return Math.max(1, (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + end.getUTCMonth() - start.getUTCMonth() + 1);
+}
+
+// Every provider of a kind's raw items, tagged with _source like the pages tag them
+async function fetchItemsOfKind(kind, dateRange, user, mock) {
+  const providers = getProviders({ kind, configuredOnly: !mock });
+  const results = await Promise.all(providers.map(provider => {
+    if (mock) {
+      return Promise.resolve(provider.getMockData ? provider.getMockData()[provider.itemsKey] || [] : []);
+    }
+    return getItemsForUser(provider, dateRange, user);
+  }));
+  return providers.flatMap((provider, i) => results[i].map(item => ({ item: { ...item, _source: provider.id }, provider })));
+}
+
+/**
+ * Exportable page data
+ * - fetchRows(context) resolves the page's raw records
+ * - filters / sorts: the page's filter and sort keys, applied to raw records
+ * - columns and toRow(record, context): the exported table
+ */
+const EXPORTS = {
+  // PRs/MRs page: every code source (getAllPRsForPage, getAllMRsForPage, ...)
+  prs: {
+    title: 'PRs and MRs',
+    fetchRows: ({ dateRange, user, mock }) => fetchItemsOfKind('code', dateRange, user, mock),
+    filters: {
+      status: ({ item }) => getItemStatus(item),
+      source: ({ item }) => item._source,
+      repo: ({ item }) => getItemRepo(item)
+    },
+    sorts: {
+      title: ({ item }) => item.title || '',
+      source: ({ item }) => item._source || '',
+      repo: ({ item }) => getItemRepo(item),
+      created: ({ item }) => new Date(item.created_at || 0),
+      merged: ({ item }) => (getMergedDate(item) ? new Date(getMergedDate(item)) : new Date(0)),
+      default: ({ item }) => new Date(item.updated_at || 0)
+    },
+    columns: [
+      { key: 'source', header: 'Source' },
+      { key: 'key', header: 'Number' },
+      { key: 'title', header: 'Title' },
+      { key: 'repo', header: 'Repository' },
+      { key: 'status', header: 'Status' },
+      { key: 'created', header: 'Created', type: 'date' },
+      { key: 'merged', header: 'Merged', type: 'date' },
+      { key: 'updated', header: 'Updated', type: 'date' },
+      { key: 'url', header: 'URL' }
+    ],
+    toRow: ({ item, provider }) => {
+      const normalized = provider.normalizeItem(item);
+      return {
+        source: provider.name,
+        key: normalized.key,
+        title: item.title,
+        repo: getItemRepo(item),
+        status: getItemStatus(item),
+        created: item.created_at,
+        merged: getMergedDate(item),
+        updated: item.updated_at,
+        url: normalized.url
+      };
+    }
+  },
+
+  // Issues page: every tracker (getAllIssuesForPage, Linear)
+  issues: {
+    title: 'Issues',
+    fetchRows: ({ dateRange, user, mock }) => fetchItemsOfKind('tracker', dateRange, user, mock),
+    filters: {
+      source: ({ item }) => item._source,
+      status: ({ item }) => item.fields?.status?.name,
+      project: ({ item }) => item.fields?.project?.key,
+      sprint: ({ item }) => item._sprintName
+    },
+    sorts: {
+      key: ({ item }) => item.key || '',
+      sprint: ({ item }) => item._sprintName || '',
+      inProgress: ({ item }) => toDate(item._inProgressDate),
+      qaReady: ({ item }) => toDate(item._qaReadyDate),
+      default: ({ item }) => new Date(item.fields?.updated || 0)
+    },
+    columns: [
+      { key: 'source', header: 'Source' },
+      { key: 'key', header: 'Key' },
+      { key: 'summary', header: 'Summary' },
+      { key: 'type', header: 'Type' },
+      { key: 'status', header: 'Status' },
+      { key: 'project', header: 'Project' },
+      { key: 'sprint', header: 'Sprint' },
+      { key: 'storyPoints', header: 'Story Points', type: 'number' },
+      { key: 'created', header: 'Created', type: 'date' },
+      { key: 'inProgress', header: 'In Progress', type: 'date' },
+      { key: 'qaReady', header: 'QA Ready', type: 'date' },
+      { key: 'resolved', header: 'Resolved', type: 'date' },
+      { key: 'updated', header: 'Updated', type: 'date' },
+      { key: 'url', header: 'URL' }
+    ],
+    toRow: ({ item, provider }) => {
+      const normalized = provider.normalizeItem(item);
+      return {
+        source: provider.name,
+        key: item.key,
+        summary: normalized.title,
+        type: normalized.type,
+        status: normalized.state,
+        project: normalized.container,
+        sprint: item._sprintName,
+        storyPoints: normalized.storyPoints,
+        created: normalized.createdAt,
+        inProgress: item._inProgressDate,
+        qaReady: item._qaReadyDate,
+        resolved: normalized.resolvedAt,
+        updated: item.fields?.updated,
+        url: normalized.url
+      };
+    }
+  },
+
+  // Leaderboard page (admins: everyone, managers: their team, engineers: themselves)
+  leaderboard: {
+    title: 'Leaderboard',
+    fetchRows: async ({ dateRange, auth, mock }) => {
+      const leaderboard = mock ? generateMockLeaderboard() : await fetchLeaderboard(dateRange);
+      const entries = mock ? leaderboard : filterEntriesForRole(auth, leaderboard, await getUsers());
+      return (Array.isArray(entries) ? entries : []).map(entry => ({ entry, summary: entry.summary || summarizeEntry(entry) }));
+    },
+    filters: {
+      level: ({ entry }) => entry.user?.level,
+      team: ({ entry }) => entry.user?.team
+    },
+    // Column ids of the Leaderboard table
+    sorts: {
+      name: ({ entry }) => getEntryName(entry),
+      'git-created': ({ summary }) => summary.created || 0,
+      'git-reviews': ({ summary }) => summary.reviews || 0,
+      'git-comments': ({ summary }) => summary.comments || 0,
+      'git-comments-per-month': ({ summary }) => summary.comments || 0,
+      'jira-velocity': ({ summary }) => summary.velocity || 0,
+      'jira-story-points': ({ summary }) => summary.storyPoints || 0,
+      'jira-resolved': ({ summary }) => summary.resolved || 0,
+      'jira-resolution-time': ({ summary }) => summary.avgResolutionTime || 0,
+      'jira-ctoi-fixed': ({ summary }) => summary.ctoiFixed || 0,
+      'jira-ctoi-participated': ({ summary }) => summary.ctoiParticipated || 0
+    },
+    columns: [
+      { key: 'name', header: 'Name' },
+      { key: 'level', header: 'Level' },
+      { key: 'team', header: 'Team' },
+      { key: 'created', header: 'PRs/MRs Created', type: 'number' },
+      { key: 'reviews', header: 'Reviews', type: 'number' },
+      { key: 'comments', header: 'Comments', type: 'number' },
+      { key: 'commentsPerMonth', header: 'Comments/Month', type: 'number' },
+      { key: 'velocity', header: 'Velocity (SP/sprint)', type: 'number' },
+      { key: 'storyPoints', header: 'Story Points', type: 'number' },
+      { key: 'resolved', header: 'Resolved', type: 'number' },
+      { key: 'avgResolutionTime', header: 'Avg Resolution Time (days)', type: 'number' },
+      { key: 'ctoiFixed', header: 'CTOI Fixed', type: 'number' },
+      { key: 'ctoiParticipated', header: 'CTOI Participated', type: 'number' }
+    ],
+    toRow: ({ entry, summary }, { dateRange }) => {
+      // Tracker metrics are blank (not 0) for users without tracker data, like the page's '-'
+      const tracker = (value) => ((summary.kinds || []).includes('tracker') ? value || 0 : null);
+      return {
+        name: entry.user?.name || entry.user?.id,
+        level: entry.user?.level,
+        team: entry.user?.team,
+        created: summary.created || 0,
+        reviews: summary.reviews || 0,
+        comments: summary.comments || 0,
+        commentsPerMonth: (summary.comments || 0) / countMonthsInRange(dateRange),
+        velocity: tracker(summary.velocity),
+        storyPoints: tracker(summary.storyPoints),
+        resolved: tracker(summary.resolved),
+        avgResolutionTime: tracker(summary.avgResolutionTime),
+        ctoiFixed: tracker(summary.ctoiFixed),
+        ctoiParticipated: tracker(summary.ctoiParticipated)
+      };
+    }
+  },
+
+  // Logbook page: every source's normalized items by month (most recent first)
+  logbook: {
+    title: 'Logbook',
+    fetchRows: async ({ dateRange, user, mock }) => {
+      const logbook = await fetchLogbook(dateRange, user, { mock });
+      const sourceNames = Object.fromEntries(logbook.sources.map(source => [source.id, source.name]));
+      return logbook.months.flatMap(month => Object.values(month.items).flat().map(item => ({
+        month,
+        item,
+        sourceName: sourceNames[item.source] || item.source
+      })));
+    },
+    filters: {
+      source: ({ item }) => item.source
+    },
+    sorts: {},
+    columns: [
+      { key: 'month', header: 'Month' },
+      { key: 'source', header: 'Source' },
+      { key: 'key', header: 'Key' },
+      { key: 'title', header: 'Title' },
+      { key: 'type', header: 'Type' },
+      { key: 'state', header: 'State' },
+      { key: 'container', header: 'Repository / Project' },
+      { key: 'storyPoints', header: 'Story Points', type: 'number' },
+      { key: 'created', header: 'Created', type: 'date' },
+      { key: 'completed', header: 'Merged / Resolved', type: 'date' },
+      { key: 'url', header: 'URL' }
+    ],
+    toRow: ({ month, item, sourceName }) => ({
+      month: month.label,
+      source: sourceName,
+      key: item.key,
+      title: item.title,
+      type: item.type,
+      state: item.state,
+      container: item.container,
+      storyPoints: item.storyPoints,
+      created: item.createdAt,
+      completed: item.mergedAt || item.resolvedAt,
+      url: item.url
+    })
+  }
+};
+
+// Filters and sort work like the pages' (client/src/utils/filterHelpers.js): 'all' skips a filter, empty values sort last
+function applyFilters(records, filters, query) {
+  const active = Object.entries(filters).filter(([key]) => query[key] && query[key] !== 'all');
+  return records.filter(record => active.every(([key, getValue]) => getValue(record) === query[key]));
+}
+
+function applySort(records, sorts, sortBy, order) {
+  const getValue = sorts[sortBy] || sorts.default;
+  if (!sortBy || !getValue) return records;
+  const valueOf = (record) => {
+    const value = getValue(record);
+    return value instanceof Date ? value.getTime() : value;
+  };
+
+  return [...records].sort((a, b) => {
+    const aVal = valueOf(a);
+    const bVal = valueOf(b);
+    if (aVal == null && bVal == null) return 0;
+    if (aVal == null) return 1;
+    if (bVal == null) return -1;
+    const comparison = aVal > bVal ? 1 : aVal < bVal ? -1 : 0;
+    return order === 'asc' ? comparison : -comparison;
+  });
+}
+
+// Export a page's data: /prs, /issues, /leaderboard, /logbook
+// ?format=csv|xlsx|json, the page's date range (?start=&end=) and ?user=<id>,
+// its filters by key (?status=merged&repo=...) and sort (?sort=created&order=asc)
+router.get('/:dataset', async (req, res) => {
+  const dataset = EXPORTS[req.params.dataset];
+  if (!dataset) {
+    return res.status(404).json({ error: `Unknown export: ${req.params.dataset} (one of ${Object.keys(EXPORTS).join(', ')})` });
+  }
+  const format = req.query.format || 'csv';
+  if (!FORMATS[format]) {
+    return res.status(400).json({ error: `format must be one of ${Object.keys(FORMATS).join(', ')}` });
+  }
+
+  try {
+    // The Logbook has no date filter: no range means all time rather than the default range
+    const dateRange = req.params.dataset === 'logbook'
+      ? { start: req.query.start || null, end: req.query.end || null }
+      : parseDateRange(req.query);
+    const context = {
+      dateRange,
+      user: req.viewAsUser,
+      auth: req.auth || { role: 'admin', user: null },
+      mock: req.query.mock === 'true'
+    };
+
+    const records = await dataset.fetchRows(context);
+    const sorted = applySort(applyFilters(records, dataset.filters, req.query), dataset.sorts, req.query.sort, req.query.order);
+    const rows = sorted.map(record => dataset.toRow(record, context));
+
+    const filters = Object.fromEntries(Object.keys(dataset.filters)
+      .filter(key => req.query[key] && req.query[key] !== 'all')
+      .map(key => [key, req.query[key]]));
+    const userSuffix = req.viewAsUser ? `-${req.viewAsUser.id}` : '';
+    sendExport(res, {
+      format,
+      filename: `${req.params.dataset}${userSuffix}-${new Date().toISOString().split('T')[0]}`,
+      title: dataset.title,
+      columns: dataset.columns,
+      rows,
+      meta: { dateRange, filters, sort: req.query.sort ? { by: req.query.sort, order: req.query.order || 'desc' } : null }
+    });
+  } catch (error) {
+    console.error(`Error exporting ${req.params.dataset}:`, error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const snapshotStore = require('../utils/snapshotStore');
+const { parseDateRange } = require('../utils/requestHelpers');
+
+const SOURCE_PATTERN = /^[a-z0-9-]+$/i;
+
+// List snapshot sources and the days recorded for each
+router.get('/sources', async (req, res) => {
+  try {
+    const sources = await snapshotStore.listSources();
+    res.json({ sources });
+  } catch (error) {
+    console.error('Error listing snapshot sources:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List subjects (user ids) recorded for a source
+router.get('/:source/subjects', async (req, res) => {
+  const { source } = req.params;
+  if (!SOURCE_PATTERN.test(source)) {
+    return res.status(400).json({ error: `Invalid source: ${source}` });
+  }
+
+  try {
+    const subjects = await snapshotStore.listSubjects(source);
+    res.json({ source, subjects });
+  } catch (error) {
+    console.error('Error listing snapshot subjects:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the trend of a metric over time
+// e.g. /api/history?source=jira&metric=velocity.averageVelocity&start=2025-09-01
+//      /api/history?source=leaderboard&subject=NILAY-BARDE&metric=github.created
+router.get('/', async (req, res) => {
+  const { source, metric, subject, since, until } = req.query;
+
+  if (!source) {
+    return res.status(400).json({ error: 'source query parameter is required (github, gitlab, jira, leaderboard)' });
+  }
+  if (!SOURCE_PATTERN.test(source)) {
+    return res.status(400).json({ error: `Invalid source: ${source}` });
+  }
+
+  try {
+    const dateRange = parseDateRange(req.query);
+    const points = await snapshotStore.getHistory({
+      source,
+      dateRange,
+      subject: subject || undefined,
+      metric: metric || null,
+      since: since || null,
+      until: until || null
+    });
+
+    res.json({
+      source,
+      subject: subject || 'default',
+      metric: metric || null,
+      dateRange,
+      points
+    });
+  } catch (error) {
+    console.error('Error fetching history:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -2,257 +2,103 @@ const express = require('express');
 const router = express.Router();
 const cache = require('../utils/cache');
 const { createCachedEndpoint } = require('../utils/endpointHelpers');
-const { setCacheHeaders } = require('../utils/requestHelpers');
-const { generateMockPRsData, generateMockMRsData, generateMockIssuesData } = require('../utils/mockData');
-const githubService = require('../services/github');
-const gitlabService = require('../services/gitlab');
-const jiraService = require('../services/jira');
+const { setCacheHeaders, resolveViewAsUser } = require('../utils/requestHelpers');
+const { requireRole } = require('../utils/authHelpers');
+const requestScheduler = require('../utils/requestScheduler');
+const liveEvents = require('../utils/liveEvents');
+const { generateMockImpactMetrics } = require('../utils/mockData');
+const { getProviders, describeProvider, getItemsRoute, buildItemsResponse, getItemsForUser } = require('../services/registry');
+const adobeService = require('../services/adobe');
 
 // Import route modules
 const statsRoutes = require('./stats');
 const projectsRoutes = require('./projects');
+const logbookRoutes = require('./logbook');
+const reportsRoutes = require('./reports');
+const exportRoutes = require('./export');
+const historyRoutes = require('./history');
+const usersRoutes = require('./users');
+const scopeRoutes = require('./scope');
+const vaultRoutes = require('./vault');
+
+// ?user=<id> views any page as a roster user (req.viewAsUser)
+router.use(resolveViewAsUser);
 
 // Mount route modules
 router.use('/stats', statsRoutes);
 router.use('/projects', projectsRoutes);
-
-// Get GitHub PRs
-router.get('/prs', (req, res, next) => {
-  if (req.query.mock === 'true') {
-    console.log('⚠ Using MOCK PRs data');
-    return res.json(generateMockPRsData());
-  }
-  return createCachedEndpoint({
-    cacheKeyPrefix: 'prs',
-    fetchFn: (dateRange) => githubService.getAllPRsForPage(dateRange),
-    ttl: 300,
-    transformResponse: (prs) => ({
-      prs,
-      baseUrl: process.env.GITHUB_BASE_URL?.replace(/\/$/, '') || 'https://github.com'
-    })
-  })(req, res, next);
+router.use('/logbook', logbookRoutes);
+router.use('/reports', reportsRoutes);
+router.use('/export', exportRoutes);
+router.use('/history', requireRole('admin'), historyRoutes);
+router.use('/users', usersRoutes);
+router.use('/scope', scopeRoutes);
+router.use('/vault', vaultRoutes);
+
+// List source providers (code hosts and trackers)
+router.get('/providers', (req, res) => {
+  res.json({ providers: getProviders().map(describeProvider) });
 });
 
-// Get GitLab MRs
-router.get('/mrs', (req, res, next) => {
-  if (req.query.mock === 'true') {
-    console.log('⚠ Using MOCK MRs data');
-    return res.json(generateMockMRsData());
-  }
-  return createCachedEndpoint({
-    cacheKeyPrefix: 'mrs',
-    fetchFn: (dateRange) => gitlabService.getAllMRsForPage(dateRange),
-    ttl: 300,
-    transformResponse: (mrs) => ({
-      mrs,
-      baseUrl: process.env.GITLAB_BASE_URL?.replace(/\/$/, '') || 'https://gitlab.com'
-    })
-  })(req, res, next);
+// Live refresh announcements (Server-Sent Events, see utils/liveEvents.js)
+router.get('/events', liveEvents.subscribe);
+
+// Request scheduler state per API host: queues, header limits, retries and 429s
+router.get('/ratelimits', requireRole('admin'), (req, res) => {
+  res.json({ hosts: requestScheduler.getStatus(), timestamp: new Date().toISOString() });
 });
 
-// Get Jira issues
-router.get('/issues', (req, res, next) => {
-  if (req.query.mock === 'true') {
-    console.log('⚠ Using MOCK Issues data');
-    return res.json(generateMockIssuesData());
-  }
-  return createCachedEndpoint({
-    cacheKeyPrefix: 'issues',
-    fetchFn: (dateRange) => jiraService.getAllIssuesForPage(dateRange),
-    ttl: 120,
-    transformResponse: (issues) => ({
-      issues,
-      baseUrl: process.env.JIRA_BASE_URL?.replace(/\/$/, '')
-    })
-  })(req, res, next);
+// Get each provider's items: /prs (GitHub), /mrs (GitLab), /bitbucket-prs (Bitbucket), /issues (Jira), ...
+// ?user=<id> lists a roster user's items instead
+getProviders().forEach(provider => {
+  router.get(`/${getItemsRoute(provider)}`, (req, res, next) => {
+    if (req.query.mock === 'true') {
+      if (!provider.getMockData) {
+        return res.json({ ...buildItemsResponse(provider, []), mock: true });
+      }
+      console.log(`⚠ Using MOCK ${provider.name} ${provider.itemLabel} data`);
+      return res.json({ ...provider.getMockData(), source: provider.id, itemsKey: provider.itemsKey });
+    }
+    return createCachedEndpoint({
+      cacheKeyPrefix: getItemsRoute(provider),
+      fetchFn: (dateRange, user) => getItemsForUser(provider, dateRange, user),
+      ttl: provider.itemsTtl || 300,
+      transformResponse: (items) => buildItemsResponse(provider, items)
+    })(req, res, next);
+  });
 });
 
-// Get Logbook data (aggregated timeline by month)
-router.get('/logbook', async (req, res) => {
-  const { startDate, endDate } = req.query;
-  const useMock = req.query.mock === 'true';
-  
-  const dateRange = {
-    start: startDate || null,
-    end: endDate || null
-  };
+// Get feature impact metrics from Adobe Analytics (with mock support)
+router.get('/impact-metrics', async (req, res) => {
+  if (req.query.mock === 'true' || process.env.ADOBE_MOCK === 'true') {
+    return res.json(generateMockImpactMetrics());
+  }
   
-  const cacheKey = `logbook:${JSON.stringify(dateRange)}`;
-  const cached = cache.get(cacheKey);
-  if (cached) {
-    setCacheHeaders(res, true);
-    return res.json(cached);
+  if (!adobeService.isConfigured()) {
+    return res.status(503).json({
+      error: 'Adobe Analytics not configured',
+      hint: `Adobe Analytics not configured. Missing: ${adobeService.getMissingConfig().join(', ')}`
+    });
   }
-
+  
   try {
-    // Fetch data from all services in parallel (reuses cached data)
-    const [jiraIssues, githubPRs, gitlabMRs] = await Promise.all([
-      jiraService.getAllIssuesForPage(dateRange).catch(err => {
-        console.warn('Jira fetch failed:', err.message);
-        return [];
-      }),
-      githubService.getAllPRsForPage(dateRange).catch(err => {
-        console.warn('GitHub fetch failed:', err.message);
-        return [];
-      }),
-      gitlabService.getAllMRsForPage(dateRange).catch(err => {
-        console.warn('GitLab fetch failed:', err.message);
-        return [];
-      })
-    ]);
-
-    // Helper to get month key from date string
-    const getMonthKey = (dateStr) => {
-      if (!dateStr) return null;
-      const date = new Date(dateStr);
-      if (isNaN(date.getTime())) return null;
-      return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-    };
-
-    // Helper to format month label
-    const formatMonthLabel = (monthKey) => {
-      const [year, month] = monthKey.split('-');
-      const date = new Date(year, parseInt(month) - 1, 1);
-      return date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
-    };
-
-    // Group items by month
-    const monthsMap = new Map();
-
-    // Process Jira issues (group by created date)
-    const { getStoryPoints } = require('../services/jira/scope');
-    for (const issue of jiraIssues) {
-      // Use _inProgressDate if available, otherwise created date
-      const dateToUse = issue._inProgressDate || issue.fields?.created;
-      const monthKey = getMonthKey(dateToUse);
-      if (!monthKey) continue;
-
-      if (!monthsMap.has(monthKey)) {
-        monthsMap.set(monthKey, {
-          month: monthKey,
-          label: formatMonthLabel(monthKey),
-          metrics: { totalItems: 0, jiraIssues: 0, githubPRs: 0, gitlabMRs: 0, storyPoints: 0 },
-          items: { jira: [], github: [], gitlab: [] }
-        });
-      }
-
-      const monthData = monthsMap.get(monthKey);
-      const storyPoints = getStoryPoints(issue);
-      
-      monthData.items.jira.push({
-        key: issue.key,
-        summary: issue.fields?.summary || '',
-        description: issue.fields?.description || '',
-        type: issue.fields?.issuetype?.name || 'Unknown',
-        status: issue.fields?.status?.name || 'Unknown',
-        storyPoints,
-        project: issue.fields?.project?.key || '',
-        created: issue.fields?.created,
-        resolved: issue.fields?.resolutiondate
-      });
-      
-      monthData.metrics.jiraIssues++;
-      monthData.metrics.totalItems++;
-      monthData.metrics.storyPoints += storyPoints;
-    }
-
-    // Process GitHub PRs (group by created date)
-    for (const pr of githubPRs) {
-      const monthKey = getMonthKey(pr.created_at);
-      if (!monthKey) continue;
-
-      if (!monthsMap.has(monthKey)) {
-        monthsMap.set(monthKey, {
-          month: monthKey,
-          label: formatMonthLabel(monthKey),
-          metrics: { totalItems: 0, jiraIssues: 0, githubPRs: 0, gitlabMRs: 0, storyPoints: 0 },
-          items: { jira: [], github: [], gitlab: [] }
-        });
-      }
-
-      const monthData = monthsMap.get(monthKey);
-      
-      monthData.items.github.push({
-        id: pr.id,
-        number: pr.number,
-        title: pr.title || '',
-        repo: pr._repoName || '',
-        url: pr.html_url || '',
-        state: pr.state || '',
-        created: pr.created_at,
-        merged: pr.merged_at || pr.pull_request?.merged_at
-      });
-      
-      monthData.metrics.githubPRs++;
-      monthData.metrics.totalItems++;
-    }
-
-    // Process GitLab MRs (group by created date)
-    for (const mr of gitlabMRs) {
-      const monthKey = getMonthKey(mr.created_at);
-      if (!monthKey) continue;
-
-      if (!monthsMap.has(monthKey)) {
-        monthsMap.set(monthKey, {
-          month: monthKey,
-          label: formatMonthLabel(monthKey),
-          metrics: { totalItems: 0, jiraIssues: 0, githubPRs: 0, gitlabMRs: 0, storyPoints: 0 },
-          items: { jira: [], github: [], gitlab: [] }
-        });
-      }
-
-      const monthData = monthsMap.get(monthKey);
-      
-      monthData.items.gitlab.push({
-        id: mr.id,
-        iid: mr.iid,
-        title: mr.title || '',
-        project: mr._projectPath || mr._projectName || '',
-        url: mr.web_url || '',
-        state: mr.state || '',
-        created: mr.created_at,
-        merged: mr.merged_at
-      });
-      
-      monthData.metrics.gitlabMRs++;
-      monthData.metrics.totalItems++;
-    }
-
-    // Convert to array and sort by month (most recent first)
-    const months = Array.from(monthsMap.values())
-      .sort((a, b) => b.month.localeCompare(a.month));
-
-    // Calculate totals
-    const totals = {
-      totalItems: months.reduce((sum, m) => sum + m.metrics.totalItems, 0),
-      jiraIssues: months.reduce((sum, m) => sum + m.metrics.jiraIssues, 0),
-      githubPRs: months.reduce((sum, m) => sum + m.metrics.githubPRs, 0),
-      gitlabMRs: months.reduce((sum, m) => sum + m.metrics.gitlabMRs, 0),
-      storyPoints: months.reduce((sum, m) => sum + m.metrics.storyPoints, 0),
-      monthsActive: months.length
-    };
-
-    const result = {
-      months,
-      totals,
-      baseUrls: {
-        jira: process.env.JIRA_BASE_URL?.replace(/\/$/, '') || '',
-        github: process.env.GITHUB_BASE_URL?.replace(/\/$/, '') || 'https://github.com',
-        gitlab: process.env.GITLAB_BASE_URL?.replace(/\/$/, '') || 'https://gitlab.com'
-      }
-    };
-
-    cache.set(cacheKey, result, 300); // 5 minute cache
-    setCacheHeaders(res, false);
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 90, 1), 365);
+    const cached = cache.get(`impact-metrics:${days}`);
+    const result = await adobeService.getImpactMetrics(days);
+    
+    setCacheHeaders(res, !!cached);
     res.json(result);
   } catch (error) {
-    console.error('Error fetching logbook data:', error);
-    res.status(500).json({ error: error.message });
+    console.error('Error fetching impact metrics:', error);
+    res.status(500).json({
+      error: error.message,
+      hint: error.message?.includes('authentication') ? 'Check ADOBE_* credentials in .env' : undefined
+    });
   }
 });
 
 // Clear cache endpoint
-router.post('/cache/clear', (req, res) => {
+router.post('/cache/clear', requireRole('admin'), (req, res) => {
   const { prefix } = req.body;
   if (prefix) {
     cache.deleteByPrefix(prefix);
@@ -264,7 +110,7 @@ router.post('/cache/clear', (req, res) => {
 });
 
 // Get MRs reviewed by the user (comments + approvals)
-router.get('/reviews', async (req, res) => {
+router.get('/reviews', requireRole('admin'), async (req, res) => {
   try {
     const { gitlabApi } = require('../services/gitlab/api');
     const { getCurrentUserId } = require('../services/gitlab/events');
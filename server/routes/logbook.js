@@ -0,0 +1,120 @@
+const express = require('express');
+const router = express.Router();
+const cache = require('../utils/cache');
+const { setCacheHeaders, buildViewAsCacheKey } = require('../utils/requestHelpers');
+const { getProviders, describeProvider, getItemsForUser } = require('../services/registry');
+
+// Helper to get month key from date string
+const getMonthKey = (dateStr) => {
+  if (!dateStr) return null;
+  const date = new Date(dateStr);
+  if (isNaN(date.getTime())) return null;
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+// Helper to format month label
+const formatMonthLabel = (monthKey) => {
+  const [year, month] = monthKey.split('-');
+  const date = new Date(year, parseInt(month) - 1, 1);
+  return date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+};
+
+// Helper to build the logbook (for the env user, or a roster user): every provider's items grouped by month
+async function fetchLogbook(dateRange, user = null, { mock = false } = {}) {
+  const providers = getProviders();
+
+  // Fetch items from all providers in parallel (reuses cached data)
+  const itemsBySource = await Promise.all(providers.map(provider => {
+    if (mock) {
+      return Promise.resolve(provider.getMockData ? provider.getMockData()[provider.itemsKey] : []);
+    }
+    return getItemsForUser(provider, dateRange, user).catch(err => {
+      console.warn(`${provider.name} fetch failed:`, err.message);
+      return [];
+    });
+  }));
+
+  const emptyBySource = () => Object.fromEntries(providers.map(provider => [provider.id, 0]));
+
+  // Group normalized items by month
+  const monthsMap = new Map();
+
+  providers.forEach((provider, index) => {
+    for (const rawItem of itemsBySource[index]) {
+      const item = provider.normalizeItem(rawItem);
+      const monthKey = getMonthKey(item.loggedAt);
+      if (!monthKey) continue;
+
+      if (!monthsMap.has(monthKey)) {
+        monthsMap.set(monthKey, {
+          month: monthKey,
+          label: formatMonthLabel(monthKey),
+          metrics: { totalItems: 0, storyPoints: 0, bySource: emptyBySource() },
+          items: Object.fromEntries(providers.map(p => [p.id, []]))
+        });
+      }
+
+      const monthData = monthsMap.get(monthKey);
+      monthData.items[provider.id].push(item);
+      monthData.metrics.bySource[provider.id]++;
+      monthData.metrics.totalItems++;
+      monthData.metrics.storyPoints += item.storyPoints || 0;
+    }
+  });
+
+  // Convert to array and sort by month (most recent first)
+  const months = Array.from(monthsMap.values())
+    .sort((a, b) => b.month.localeCompare(a.month));
+
+  // Calculate totals
+  const totals = {
+    totalItems: months.reduce((sum, m) => sum + m.metrics.totalItems, 0),
+    storyPoints: months.reduce((sum, m) => sum + m.metrics.storyPoints, 0),
+    bySource: emptyBySource(),
+    monthsActive: months.length
+  };
+  months.forEach(m => {
+    Object.entries(m.metrics.bySource).forEach(([source, count]) => { totals.bySource[source] += count; });
+  });
+
+  return {
+    months,
+    totals,
+    sources: providers.map(describeProvider),
+    baseUrls: Object.fromEntries(providers.map(provider => [provider.id, provider.getBaseUrl()]))
+  };
+}
+
+// Get Logbook data (aggregated timeline by month), ?user=<id> for a roster user's logbook
+router.get('/', async (req, res) => {
+  const { startDate, endDate } = req.query;
+  const useMock = req.query.mock === 'true';
+
+  const dateRange = {
+    start: startDate || null,
+    end: endDate || null
+  };
+
+  try {
+    const user = req.viewAsUser;
+    const cacheKey = buildViewAsCacheKey('logbook', user, dateRange);
+    const cached = !useMock && cache.get(cacheKey);
+    if (cached) {
+      setCacheHeaders(res, true);
+      return res.json(cached);
+    }
+
+    const result = await fetchLogbook(dateRange, user, { mock: useMock });
+
+    if (!useMock) cache.set(cacheKey, result, 300); // 5 minute cache
+    setCacheHeaders(res, false);
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching logbook data:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export helper functions for use in other routes
+module.exports = router;
+module.exports.fetchLogbook = fetchLogbook;
@@ -1,13 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const cache = require('../utils/cache');
-const { parseDateRange, setCacheHeaders } = require('../utils/requestHelpers');
+const { parseDateRange, setCacheHeaders, buildViewAsCacheKey } = require('../utils/requestHelpers');
 const { generateMockProjectsData } = require('../utils/mockData');
 const jiraService = require('../services/jira');
+const { getProvider, getViewAsCredentials } = require('../services/registry');
 
-// Helper to fetch projects
-async function fetchProjectsWithAnalytics(dateRange) {
-  const projectsData = await jiraService.getProjectsByEpic(dateRange);
+// Helper to fetch projects (for the env user, or a roster user)
+async function fetchProjectsWithAnalytics(dateRange, user = null) {
+  const projectsData = await jiraService.getProjectsByEpic(dateRange, getViewAsCredentials(getProvider('jira'), user));
   
   return {
     ...projectsData,
@@ -16,7 +17,7 @@ async function fetchProjectsWithAnalytics(dateRange) {
   };
 }
 
-// Get projects grouped by epic
+// Get projects grouped by epic, ?user=<id> for a roster user's epics
 router.get('/', async (req, res) => {
   if (req.query.mock === 'true') {
     console.log('⚠ Using MOCK Projects data');
@@ -25,7 +26,8 @@ router.get('/', async (req, res) => {
   
   const startTime = Date.now();
   const dateRange = parseDateRange(req.query);
-  const cacheKey = `projects-v3:${JSON.stringify(dateRange)}`;
+  const user = req.viewAsUser;
+  const cacheKey = buildViewAsCacheKey('projects-v3', user, dateRange);
   
   const cached = cache.get(cacheKey);
   if (cached) {
@@ -34,7 +36,7 @@ router.get('/', async (req, res) => {
   }
 
   try {
-    const result = await fetchProjectsWithAnalytics(dateRange);
+    const result = await fetchProjectsWithAnalytics(dateRange, user);
     
     cache.set(cacheKey, result, 300);
     console.log(`✓ projects-v3 fetched in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
@@ -42,7 +44,7 @@ router.get('/', async (req, res) => {
     res.json(result);
   } catch (error) {
     console.error('Projects error:', error.message);
-    res.status(500).json({ error: error.message });
+    res.status(error.status === 404 ? 404 : 500).json({ error: error.message });
   }
 });
 
@@ -0,0 +1,165 @@
+const express = require('express');
+const router = express.Router();
+const { parseDateRange } = require('../utils/requestHelpers');
+const { generateMockStatsData, generateMockProjectsData, generateMockImpactMetrics } = require('../utils/mockData');
+const { formatDateRangeForResponse } = require('../utils/dateHelpers');
+const { buildPromotionReport } = require('../utils/promotionReport');
+const { buildDashboardReport } = require('../utils/dashboardReport');
+const { fetchAllStats, summarizeEntry } = require('../services/registry');
+const adobeService = require('../services/adobe');
+const { fetchBenchmarks } = require('./stats');
+const { fetchProjectsWithAnalytics } = require('./projects');
+const { fetchLogbook } = require('./logbook');
+
+// Levels a packet can target (contractors have no promotion track)
+const TARGET_LEVELS = ['P1', 'P2', 'P3', 'P4'];
+const DOCUMENTS = { 'self-assessment': 'selfAssessment', 'stats-artifact': 'statsArtifact' };
+
+// Adobe reports look back a number of days, so the range becomes days back from today
+function getImpactDays(dateRange) {
+  if (!dateRange?.start) return 365;
+  const days = Math.ceil((Date.now() - new Date(dateRange.start).getTime()) / (24 * 60 * 60 * 1000));
+  return Math.min(Math.max(days, 1), 365);
+}
+
+// Stats, projects and impact for the packet; optional sources that fail are left out
+async function fetchReportData(dateRange, user, auth, mock) {
+  if (mock) {
+    const stats = generateMockStatsData();
+    return {
+      logbook: await fetchLogbook(dateRange, null, { mock: true }),
+      stats,
+      benchmarks: await fetchBenchmarks(auth, dateRange, { mock: true }),
+      projects: generateMockProjectsData(),
+      impact: generateMockImpactMetrics()
+    };
+  }
+
+  const [logbook, { stats, reviewStats }, benchmarks, projects, impact] = await Promise.all([
+    fetchLogbook(dateRange, user),
+    fetchAllStats(dateRange, { reviews: true, user }),
+    fetchBenchmarks(auth, dateRange),
+    fetchProjectsWithAnalytics(dateRange, user).catch(error => {
+      console.warn('Promotion report: projects unavailable:', error.message);
+      return null;
+    }),
+    process.env.ADOBE_MOCK === 'true'
+      ? generateMockImpactMetrics()
+      : adobeService.isConfigured()
+        ? adobeService.getImpactMetrics(getImpactDays(dateRange)).catch(error => {
+          console.warn('Promotion report: impact metrics unavailable:', error.message);
+          return null;
+        })
+        : null
+  ]);
+  return { logbook, stats: { ...stats, reviewStats }, benchmarks, projects, impact };
+}
+
+// Generate the promotion packet (self-assessment and stats artifact) from Logbook, stats and benchmarks
+// ?start=&end= range, ?level= target (default: the level above the user's), ?user=<id> for a roster user
+// POST { narrative: { <sectionId>: markdown } } replaces the drafted narrative sections
+// ?format=markdown|html&document=self-assessment|stats-artifact downloads one document
+const handlePromotionReport = async (req, res) => {
+  const params = { ...req.query, ...(req.body || {}) };
+  const useMock = params.mock === 'true' || params.mock === true;
+  const user = req.viewAsUser;
+  const auth = req.auth || { role: 'admin', user: null };
+
+  const currentLevel = useMock ? 'P2' : user?.level;
+  const nextLevel = TARGET_LEVELS.includes(currentLevel) ? TARGET_LEVELS[TARGET_LEVELS.indexOf(currentLevel) + 1] : null;
+  const level = String(params.level || nextLevel || '').toUpperCase();
+  if (!TARGET_LEVELS.includes(level)) {
+    return res.status(400).json({ error: `level must be one of ${TARGET_LEVELS.join(', ')} (no level above ${currentLevel || 'an unknown level'})` });
+  }
+  if (params.format && !['markdown', 'html', 'json'].includes(params.format)) {
+    return res.status(400).json({ error: 'format must be markdown, html or json' });
+  }
+  if (params.format && params.format !== 'json' && !DOCUMENTS[params.document]) {
+    return res.status(400).json({ error: `document must be one of ${Object.keys(DOCUMENTS).join(', ')}` });
+  }
+
+  try {
+    const dateRange = parseDateRange(params);
+    const { logbook, stats, benchmarks, projects, impact } = await fetchReportData(dateRange, user, auth, useMock);
+    const report = buildPromotionReport({
+      name: params.name || user?.name || user?.id || 'Your Name',
+      level,
+      dateRange,
+      logbook,
+      summary: summarizeEntry(stats),
+      ctoi: stats.jira?.ctoi || null,
+      benchmarks,
+      projects,
+      impact,
+      narrative: params.narrative && typeof params.narrative === 'object' ? params.narrative : {}
+    });
+
+    if (params.format === 'markdown' || params.format === 'html') {
+      const doc = report.documents[DOCUMENTS[params.document]];
+      const extension = params.format === 'html' ? 'html' : 'md';
+      res.type(params.format === 'html' ? 'text/html' : 'text/markdown');
+      res.attachment(`${doc.filename}.${extension}`);
+      return res.send(params.format === 'html' ? doc.html : doc.markdown);
+    }
+
+    res.json({
+      user: user ? { id: user.id, name: user.name, level: user.level } : null,
+      level,
+      dateRange: formatDateRangeForResponse(dateRange),
+      ...report,
+      ...(useMock && { mock: true })
+    });
+  } catch (error) {
+    console.error('Error generating promotion report:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+router.get('/promotion', handlePromotionReport);
+router.post('/promotion', handlePromotionReport);
+
+// Printable dashboard: every section for the range as one static HTML page with SVG charts
+// ?start=&end= or ?range=, ?user=<id> for a roster user, ?download=true to save the file
+router.get('/dashboard', async (req, res) => {
+  const useMock = req.query.mock === 'true';
+  const user = req.viewAsUser;
+  const auth = req.auth || { role: 'admin', user: null };
+
+  try {
+    const dateRange = parseDateRange(req.query);
+    const [{ stats, reviewStats }, benchmarks, projects] = useMock
+      ? [{ stats: generateMockStatsData(), reviewStats: null }, await fetchBenchmarks(auth, dateRange, { mock: true }), generateMockProjectsData()]
+      : await Promise.all([
+        fetchAllStats(dateRange, { reviews: true, user }),
+        fetchBenchmarks(auth, dateRange).catch(error => {
+          console.warn('Dashboard report: benchmarks unavailable:', error.message);
+          return null;
+        }),
+        fetchProjectsWithAnalytics(dateRange, user).catch(error => {
+          console.warn('Dashboard report: projects unavailable:', error.message);
+          return null;
+        })
+      ]);
+
+    const entry = { ...stats, reviewStats: reviewStats || {} };
+    const html = buildDashboardReport({
+      name: user?.name || user?.id || null,
+      level: useMock ? 'P2' : user?.level || null,
+      dateRange,
+      stats: entry,
+      summary: summarizeEntry(entry),
+      benchmarks,
+      projects
+    });
+
+    if (req.query.download === 'true') {
+      res.attachment(`engineering-stats-${user ? `${user.id}-` : ''}${new Date().toISOString().split('T')[0]}.html`);
+    }
+    res.type('text/html').send(html);
+  } catch (error) {
+    console.error('Error generating dashboard report:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const cache = require('../utils/cache');
+const jiraService = require('../services/jira');
+const { loadScopeRules, reloadScopeRules, validateScopeRule } = require('../services/jira/scope');
+const { requireRole } = require('../utils/authHelpers');
+const { getProvider, getProviderDatasets } = require('../services/registry');
+
+// Reloading the rules clears caches, so it's admin-only
+const requireAdminToReload = (req, res, next) => (
+  req.query.reload === 'true' ? requireRole('admin')(req, res, next) : next()
+);
+
+// Get the Jira scope rules (?reload=true re-reads the rules file)
+router.get('/rules', requireAdminToReload, (req, res) => {
+  if (req.query.reload === 'true') {
+    reloadScopeRules();
+    // Untracked tickets are computed into the cached Jira stats and everything built from them
+    cache.deleteByPrefix('jira-stats:');
+    getProviderDatasets(getProvider('jira')).forEach(dataset => cache.deleteByPrefix(dataset.cachePrefix));
+  }
+  res.json(loadScopeRules());
+});
+
+// Test the scope rules (or one candidate rule) against an issue: { issueKey, rule? }
+router.post('/test', requireRole('admin'), async (req, res) => {
+  const { issueKey, rule } = req.body || {};
+
+  if (!issueKey || !/^[A-Z][A-Z0-9_]*-\d+$/i.test(issueKey)) {
+    return res.status(400).json({ error: 'issueKey is required (e.g. "SEWEB-123")' });
+  }
+  if (rule) {
+    const errors = validateScopeRule(rule);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: `Invalid rule: ${errors.join('; ')}` });
+    }
+  }
+  if (!jiraService.isConfigured()) {
+    return res.status(503).json({ error: 'Jira not configured' });
+  }
+
+  try {
+    res.json(await jiraService.testScope(issueKey.toUpperCase(), rule || null));
+  } catch (error) {
+    console.error('Error testing scope rules:', error.message);
+    res.status(error.status === 404 ? 404 : 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,21 +1,28 @@
 const express = require('express');
 const router = express.Router();
 const cache = require('../utils/cache');
-const { parseDateRange, setCacheHeaders } = require('../utils/requestHelpers');
+const snapshotStore = require('../utils/snapshotStore');
+const { parseDateRange, setCacheHeaders, buildViewAsCacheKey } = require('../utils/requestHelpers');
 const { createCachedEndpoint, createSimpleEndpoint } = require('../utils/endpointHelpers');
-const { generateMockStatsData } = require('../utils/mockData');
+const { generateMockStatsData, generateMockLeaderboard } = require('../utils/mockData');
+const { calculateTeamStats } = require('../utils/teamStats');
+const { formatDateRangeForResponse } = require('../utils/dateHelpers');
+const { getUsers } = require('../utils/userHelpers');
+const { requireRole, filterEntriesForRole } = require('../utils/authHelpers');
 const githubService = require('../services/github');
 const gitlabService = require('../services/gitlab');
 const jiraService = require('../services/jira');
+const { getProviders, getProvider, getViewAsCredentials, fetchAllStats, summarizeEntry } = require('../services/registry');
 
-// Get all stats (with mock support)
+// Get all stats (with mock support), ?user=<id> for a roster user
 router.get('/', async (req, res) => {
   if (req.query.mock === 'true') {
     return res.json(generateMockStatsData());
   }
   
   const dateRange = parseDateRange(req.query);
-  const cacheKey = `stats:${JSON.stringify(dateRange)}`;
+  const user = req.viewAsUser;
+  const cacheKey = buildViewAsCacheKey('stats', user, dateRange);
   
   const cached = cache.get(cacheKey);
   if (cached) {
@@ -31,25 +38,30 @@ router.get('/', async (req, res) => {
   }, 600000);
   
   try {
-    const [githubStats, gitlabStats, jiraStats] = await Promise.allSettled([
-      githubService.getStats(dateRange),
-      gitlabService.getStats(dateRange),
-      jiraService.getStats(dateRange)
-    ]);
+    const { stats: sourceStats, errors } = await fetchAllStats(dateRange, { user });
 
     clearTimeout(timeout);
     timeoutCleared = true;
 
     if (res.headersSent) return;
 
+    // A roster user's missing sources are reported like failed ones
+    if (user) {
+      getProviders().forEach(provider => {
+        if (!sourceStats[provider.id]) {
+          sourceStats[provider.id] = { error: errors[provider.id] || `${user.name || user.id} has no ${provider.name} account on the roster` };
+        }
+      });
+    }
+
     const stats = {
-      github: githubStats.status === 'fulfilled' ? githubStats.value : { error: githubStats.reason?.message },
-      gitlab: gitlabStats.status === 'fulfilled' ? gitlabStats.value : { error: gitlabStats.reason?.message },
-      jira: jiraStats.status === 'fulfilled' ? jiraStats.value : { error: jiraStats.reason?.message },
+      ...sourceStats,
       timestamp: new Date().toISOString()
     };
 
     cache.set(cacheKey, stats, 300);
+    // Snapshots track the env-configured user only
+    if (!user) snapshotStore.recordStats(stats, dateRange);
     setCacheHeaders(res, false);
     res.json(stats);
   } catch (error) {
@@ -62,7 +74,7 @@ router.get('/', async (req, res) => {
 });
 
 // Debug endpoint for GitHub contributions
-router.get('/github/debug', async (req, res) => {
+router.get('/github/debug', requireRole('admin'), async (req, res) => {
   try {
     const dateRange = parseDateRange(req.query);
     const { getContributionStats } = require('../services/github/stats');
@@ -86,7 +98,7 @@ router.get('/github/debug', async (req, res) => {
 });
 
 // Debug endpoint to check a specific PR for reviews
-router.get('/github/pr/:owner/:repo/:number', async (req, res) => {
+router.get('/github/pr/:owner/:repo/:number', requireRole('admin'), async (req, res) => {
   try {
     const { owner, repo, number } = req.params;
     const { githubApi } = require('../services/github/api');
@@ -152,68 +164,66 @@ router.get('/github/pr/:owner/:repo/:number', async (req, res) => {
 
 // Get GitHub stats
 router.get('/github', createSimpleEndpoint({
-  fetchFn: (dateRange) => githubService.getStats(dateRange)
+  fetchFn: (dateRange, user) => githubService.getStats(dateRange, getViewAsCredentials(getProvider('github'), user))
 }));
 
 // Get GitLab stats
 router.get('/gitlab', createSimpleEndpoint({
-  fetchFn: (dateRange) => gitlabService.getStats(dateRange)
+  fetchFn: (dateRange, user) => gitlabService.getStats(dateRange, getViewAsCredentials(getProvider('gitlab'), user))
 }));
 
-// Get Git stats (GitHub + GitLab) with mock support and smart caching
+// Get Git stats (all code providers) with mock support and smart caching
+// Every code provider's stats, their review stats, and `summary` (summarizeEntry: combined
+// and per-source normalized metrics, so the client doesn't need each source's stats shape)
 router.get('/git', async (req, res) => {
   if (req.query.mock === 'true') {
     const mockStats = generateMockStatsData();
-    return res.json({
+    const gitStats = {
       github: mockStats.github,
       gitlab: mockStats.gitlab,
+      bitbucket: mockStats.bitbucket,
       reviewStats: mockStats.reviewStats || {
         github: { totalComments: 142, prsReviewed: 45, avgCommentsPerPR: 3.2, avgReviewsPerMonth: 5.6, byRepo: [] },
-        gitlab: { totalComments: 89, mrsReviewed: 32, avgCommentsPerMR: 2.8, avgReviewsPerMonth: 4.0, byRepo: [] }
-      },
-      timestamp: new Date().toISOString()
-    });
+        gitlab: { totalComments: 89, mrsReviewed: 32, avgCommentsPerMR: 2.8, avgReviewsPerMonth: 4.0, byRepo: [] },
+        bitbucket: { totalComments: 37, prsReviewed: 14, avgCommentsPerPR: 2.6, avgReviewsPerMonth: 2.3, byRepo: [] }
+      }
+    };
+    return res.json({ ...gitStats, summary: summarizeEntry(gitStats), timestamp: new Date().toISOString() });
   }
   
   try {
     const dateRange = parseDateRange(req.query);
-    const rangeKey = JSON.stringify(dateRange);
+    const user = req.viewAsUser;
     
-    const ownCacheKey = `stats-git:${rangeKey}`;
+    const ownCacheKey = buildViewAsCacheKey('stats-git', user, dateRange);
     const cached = cache.get(ownCacheKey);
     if (cached && cached.reviewStats) {
       setCacheHeaders(res, true);
       return res.json(cached);
     }
     
-    const combinedStats = cache.get(`stats:${rangeKey}`);
+    const combinedStats = cache.get(buildViewAsCacheKey('stats', user, dateRange));
     if (combinedStats && combinedStats.reviewStats) {
       setCacheHeaders(res, true);
+      const gitStats = { reviewStats: combinedStats.reviewStats };
+      getProviders({ kind: 'code' }).forEach(provider => { gitStats[provider.id] = combinedStats[provider.id]; });
       return res.json({
-        github: combinedStats.github,
-        gitlab: combinedStats.gitlab,
-        reviewStats: combinedStats.reviewStats,
+        ...gitStats,
+        summary: summarizeEntry(gitStats),
         timestamp: combinedStats.timestamp
       });
     }
-    const [githubStats, gitlabStats, githubReviews, gitlabReviews] = await Promise.allSettled([
-      githubService.getStats(dateRange),
-      gitlabService.getStats(dateRange),
-      githubService.getReviewComments(dateRange),
-      gitlabService.getReviewComments(dateRange)
-    ]);
+    const { stats, reviewStats } = await fetchAllStats(dateRange, { kind: 'code', reviews: true, user });
     
     const result = {
-      github: githubStats.status === 'fulfilled' ? githubStats.value : { error: githubStats.reason?.message },
-      gitlab: gitlabStats.status === 'fulfilled' ? gitlabStats.value : { error: gitlabStats.reason?.message },
-      reviewStats: {
-        github: githubReviews.status === 'fulfilled' ? githubReviews.value : { totalComments: 0, prsReviewed: 0, avgCommentsPerPR: 0, avgReviewsPerMonth: 0, byRepo: [] },
-        gitlab: gitlabReviews.status === 'fulfilled' ? gitlabReviews.value : { totalComments: 0, mrsReviewed: 0, avgCommentsPerMR: 0, avgReviewsPerMonth: 0, byRepo: [] }
-      },
+      ...stats,
+      reviewStats,
+      summary: summarizeEntry({ ...stats, reviewStats }),
       timestamp: new Date().toISOString()
     };
     
     cache.set(ownCacheKey, result, 300);
+    if (!user) snapshotStore.recordStats(result, dateRange);
     setCacheHeaders(res, false);
     res.json(result);
   } catch (error) {
@@ -230,29 +240,30 @@ router.get('/jira', async (req, res) => {
   
   try {
     const dateRange = parseDateRange(req.query);
-    const rangeKey = JSON.stringify(dateRange);
+    const user = req.viewAsUser;
     
-    const combinedStats = cache.get(`stats:${rangeKey}`);
+    const combinedStats = cache.get(buildViewAsCacheKey('stats', user, dateRange));
     if (combinedStats && combinedStats.jira) {
       setCacheHeaders(res, true);
       return res.json(combinedStats.jira);
     }
     
-    const ownCacheKey = `stats-jira:${rangeKey}`;
+    const ownCacheKey = buildViewAsCacheKey('stats-jira', user, dateRange);
     const cached = cache.get(ownCacheKey);
     if (cached) {
       setCacheHeaders(res, true);
       return res.json(cached);
     }
     
-    const result = await jiraService.getStats(dateRange);
+    const result = await jiraService.getStats(dateRange, getViewAsCredentials(getProvider('jira'), user));
     
     cache.set(ownCacheKey, result, 300);
+    if (!user) snapshotStore.record('jira', dateRange, result);
     setCacheHeaders(res, false);
     res.json(result);
   } catch (error) {
     console.error('Error fetching jira stats:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status === 404 ? 404 : 500).json({ error: error.message });
   }
 });
 
@@ -260,7 +271,8 @@ router.get('/jira', async (req, res) => {
 router.get('/ctoi', async (req, res) => {
   try {
     const dateRange = parseDateRange(req.query);
-    const cacheKey = `ctoi-stats:${JSON.stringify(dateRange)}`;
+    const user = req.viewAsUser;
+    const cacheKey = buildViewAsCacheKey('ctoi-stats', user, dateRange);
     
     const cached = cache.get(cacheKey);
     if (cached) {
@@ -268,101 +280,141 @@ router.get('/ctoi', async (req, res) => {
       return res.json(cached);
     }
     
-    const result = await jiraService.getCTOIStats(dateRange);
+    const result = await jiraService.getCTOIStats(dateRange, getViewAsCredentials(getProvider('jira'), user));
     
     cache.set(cacheKey, result, 300);
     setCacheHeaders(res, false);
     res.json(result);
   } catch (error) {
     console.error('Error fetching CTOI stats:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status === 404 ? 404 : 500).json({ error: error.message });
   }
 });
 
-/**
- * Fetch all stats for a single user (GitHub, GitLab, Jira)
- * Uses operator tokens to query other users' stats
- */
-async function fetchUserStats(user, dateRange) {
-  const userId = user.id || user.github?.username || user.gitlab?.username || user.jira?.email || 'unknown';
-  const userResult = {
-    user: {
-      id: userId,
-      githubUsername: user.github?.username,
-      gitlabUsername: user.gitlab?.username,
-      jiraEmail: user.jira?.email,
-      level: user.level || null
-    },
-    github: null,
-    gitlab: null,
-    jira: null,
-    errors: {}
-  };
-  
-  // Fetch all services in parallel (including review stats)
-  const [githubStats, gitlabStats, jiraStats, githubReviews, gitlabReviews] = await Promise.allSettled([
-    user.github?.username ? githubService.getStats(dateRange, {
-      username: user.github.username,
-      token: user.github.token || process.env.GITHUB_TOKEN,
-      baseURL: user.github.baseURL || process.env.GITHUB_BASE_URL || 'https://github.com'
-    }) : Promise.resolve(null),
-    user.gitlab?.username ? gitlabService.getStats(dateRange, {
-      username: user.gitlab.username,
-      token: user.gitlab.token || process.env.GITLAB_TOKEN,
-      baseURL: user.gitlab.baseURL || process.env.GITLAB_BASE_URL || 'https://gitlab.com'
-    }) : Promise.resolve(null),
-    user.jira?.email ? jiraService.getStats(dateRange, {
-      email: user.jira.email,
-      pat: user.jira.pat || process.env.JIRA_PAT,
-      baseURL: user.jira.baseURL || process.env.JIRA_BASE_URL
-    }) : Promise.resolve(null),
-    user.github?.username ? githubService.getReviewComments(dateRange, {
-      username: user.github.username,
-      token: user.github.token || process.env.GITHUB_TOKEN,
-      baseURL: user.github.baseURL || process.env.GITHUB_BASE_URL || 'https://github.com'
-    }) : Promise.resolve(null),
-    user.gitlab?.username ? gitlabService.getReviewComments(dateRange, {
-      username: user.gitlab.username,
-      token: user.gitlab.token || process.env.GITLAB_TOKEN,
-      baseURL: user.gitlab.baseURL || process.env.GITLAB_BASE_URL || 'https://gitlab.com'
-    }) : Promise.resolve(null)
-  ]);
-  
-  // Process results
-  if (githubStats.status === 'fulfilled' && githubStats.value) {
-    userResult.github = githubStats.value;
-  } else if (githubStats.status === 'rejected') {
-    console.error(`  ❌ GitHub stats failed for ${userId}:`, githubStats.reason?.message);
-    userResult.errors.github = githubStats.reason?.message;
-  }
-  
-  if (gitlabStats.status === 'fulfilled' && gitlabStats.value) {
-    userResult.gitlab = gitlabStats.value;
-  } else if (gitlabStats.status === 'rejected') {
-    console.error(`  ❌ GitLab stats failed for ${userId}:`, gitlabStats.reason?.message);
-    userResult.errors.gitlab = gitlabStats.reason?.message;
+// Get stats for a single source provider with normalized metrics
+// (the dashboard uses this for sources without a dedicated section)
+router.get('/sources/:id', async (req, res) => {
+  const provider = getProvider(req.params.id);
+  if (!provider) {
+    return res.status(404).json({ error: `Unknown source: ${req.params.id}` });
   }
-  
-  if (jiraStats.status === 'fulfilled' && jiraStats.value) {
-    userResult.jira = jiraStats.value;
-  } else if (jiraStats.status === 'rejected') {
-    console.error(`  ❌ Jira stats failed for ${userId}:`, jiraStats.reason?.message);
-    userResult.errors.jira = jiraStats.reason?.message;
-  }
-  
-  // Process review stats
-  const reviewStats = {};
-  if (githubReviews.status === 'fulfilled' && githubReviews.value) {
-    reviewStats.github = githubReviews.value;
+
+  if (req.query.mock === 'true') {
+    const stats = provider.getMockStats ? provider.getMockStats() : null;
+    return res.json({
+      source: provider.id,
+      stats,
+      reviewStats: null,
+      summary: stats ? provider.summarize(stats, null) : null,
+      mock: true
+    });
   }
-  if (gitlabReviews.status === 'fulfilled' && gitlabReviews.value) {
-    reviewStats.gitlab = gitlabReviews.value;
+
+  try {
+    const dateRange = parseDateRange(req.query);
+    const user = req.viewAsUser;
+    const cacheKey = buildViewAsCacheKey(`stats-source:${provider.id}`, user, dateRange);
+
+    const cached = cache.get(cacheKey);
+    if (cached) {
+      setCacheHeaders(res, true);
+      return res.json(cached);
+    }
+
+    const credentials = getViewAsCredentials(provider, user);
+
+    // Reuse the combined stats when the cache warmer already fetched them
+    const combinedStats = cache.get(buildViewAsCacheKey('stats', user, dateRange));
+    const gitStats = cache.get(buildViewAsCacheKey('stats-git', user, dateRange));
+    const [stats, reviewStats] = await Promise.all([
+      combinedStats?.[provider.id] && !combinedStats[provider.id].error
+        ? combinedStats[provider.id]
+        : provider.getStats(dateRange, credentials),
+      !provider.getReviewStats
+        ? null
+        : gitStats?.reviewStats?.[provider.id] || provider.getReviewStats(dateRange, credentials).catch(() => null)
+    ]);
+
+    const result = {
+      source: provider.id,
+      stats,
+      reviewStats,
+      summary: provider.summarize(stats, reviewStats),
+      timestamp: new Date().toISOString()
+    };
+
+    cache.set(cacheKey, result, 300);
+    setCacheHeaders(res, false);
+    res.json(result);
+  } catch (error) {
+    console.error(`Error fetching ${provider.name} stats:`, error);
+    res.status(error.status === 404 ? 404 : 500).json({ error: error.message });
   }
+});
+
+/**
+ * Get the stable id for a roster user
+ */
+function getUserId(user) {
+  const identity = getProviders().map(provider => provider.getIdentity(user)).find(Boolean);
+  return user.id || identity || 'unknown';
+}
+
+/**
+ * Build the user part of a leaderboard entry
+ */
+function buildEntryUser(user) {
+  const identities = {};
+  getProviders().forEach(provider => {
+    const identity = provider.getIdentity(user);
+    if (identity) identities[provider.id] = identity;
+  });
+
+  return {
+    id: getUserId(user),
+    githubUsername: user.github?.username,
+    gitlabUsername: user.gitlab?.username,
+    jiraEmail: user.jira?.email,
+    identities,
+    level: user.level || null
+  };
+}
+
+/**
+ * Build an empty leaderboard entry (one null stats slot per provider)
+ */
+function buildEmptyEntry(user, errors = {}) {
+  const entry = { user: buildEntryUser(user) };
+  getProviders().forEach(provider => { entry[provider.id] = null; });
+  entry.errors = errors;
+  return entry;
+}
+
+/**
+ * Fetch all stats for a single user from every provider they have an identity on
+ * Uses the user's own tokens from the credential vault where registered, otherwise
+ * operator tokens (which can't see every user's events, so reviews and comments are approximate)
+ * @returns {Promise<Object>} { entry, rateLimited } - leaderboard entry, and whether any provider hit a rate limit
+ */
+async function fetchUserStats(user, dateRange) {
+  const userResult = buildEmptyEntry(user);
+  const { stats, reviewStats, errors, rateLimited } = await fetchAllStats(dateRange, { reviews: true, user });
+
+  getProviders().forEach(provider => {
+    if (stats[provider.id]) {
+      userResult[provider.id] = stats[provider.id];
+    }
+    if (errors[provider.id]) {
+      console.error(`  ❌ ${provider.name} stats failed for ${userResult.user.id}:`, errors[provider.id]);
+      userResult.errors[provider.id] = errors[provider.id];
+    }
+  });
+
   if (Object.keys(reviewStats).length > 0) {
     userResult.reviewStats = reviewStats;
   }
   
-  return userResult;
+  return { entry: userResult, rateLimited };
 }
 
 /**
@@ -432,18 +484,13 @@ async function fetchLeaderboard(dateRange, skipCache = false) {
   const defaultUserCachedGitStats = cache.get(`stats-git:${rangeKey}`);
   const defaultUserCachedJiraStats = cache.get(`stats-jira:${rangeKey}`);
   
-  // Process users in batches to avoid overwhelming APIs and improve perceived performance
-  // Each batch processes in parallel, but batches run sequentially with delays
-  const BATCH_SIZE = 5; // Reduced from 10 to reduce API load
+  // Process users in batches so each user's requests aren't queued behind the whole roster
+  // (and hit the per-user timeout); the request scheduler paces the API calls themselves
+  const BATCH_SIZE = 5;
   const leaderboard = [];
   let rateLimited = false;
   
   for (let i = 0; i < processedUsers.length; i += BATCH_SIZE) {
-    // Add delay between batches to avoid rate limiting (except for first batch)
-    if (i > 0 && !rateLimited) {
-      await new Promise(resolve => setTimeout(resolve, 2000)); // 2 second delay between batches
-    }
-    
     const batch = processedUsers.slice(i, i + BATCH_SIZE);
     
     // If we're rate limited, skip remaining batches and use cached data if available
@@ -453,58 +500,32 @@ async function fetchLeaderboard(dateRange, skipCache = false) {
     }
     
     // Fetch stats for batch in parallel with timeout
-    const batchPromises = batch.map((user, userIndex) => {
+    const batchPromises = batch.map((user) => {
       // Check if this is the default user - if so, use cached stats instead
       if (isDefaultUser(user) && defaultUserCachedStats) {
-        const userId = user.id || user.github?.username || user.gitlab?.username || user.jira?.email || 'unknown';
-        return Promise.resolve({
-          user: {
-            id: userId,
-            githubUsername: user.github?.username,
-            gitlabUsername: user.gitlab?.username,
-            jiraEmail: user.jira?.email,
-            level: user.level || null
-          },
-          github: defaultUserCachedStats.github,
-          gitlab: defaultUserCachedStats.gitlab,
-          jira: defaultUserCachedStats.jira || defaultUserCachedJiraStats,
-          reviewStats: defaultUserCachedGitStats?.reviewStats || null,
-          errors: {}
+        const entry = buildEmptyEntry(user);
+        getProviders().forEach(provider => {
+          entry[provider.id] = defaultUserCachedStats[provider.id] || null;
         });
+        entry.jira = defaultUserCachedStats.jira || defaultUserCachedJiraStats || null;
+        entry.reviewStats = defaultUserCachedGitStats?.reviewStats || null;
+        return Promise.resolve(entry);
       }
       
-      // Add small delay between users within batch to spread out requests
-      const delay = userIndex * 100; // 100ms delay between users
-      return new Promise(resolve => setTimeout(resolve, delay))
-        .then(() => Promise.race([
-          fetchUserStats(user, dateRange),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Request timeout')), 30000) // 30s timeout per user
-          )
-        ]))
-        .catch(error => {
-          const userId = user.id || user.github?.username || user.gitlab?.username || user.jira?.email || 'unknown';
-          
-          // Check if this is a rate limit error
-          if (error.response?.status === 429 || error.message?.includes('429')) {
+      return Promise.race([
+        fetchUserStats(user, dateRange),
+        new Promise((_, reject) => 
+          setTimeout(() => reject(new Error('Request timeout')), 30000) // 30s timeout per user
+        )
+      ])
+        .then(result => {
+          if (result.rateLimited) {
             rateLimited = true;
-            console.warn(`⚠️ Rate limited (429) detected for ${userId}, will skip remaining batches`);
+            console.warn(`⚠️ Rate limited (429) detected for ${getUserId(user)}, will skip remaining batches`);
           }
-          
-          return {
-            user: {
-              id: userId,
-              githubUsername: user.github?.username,
-              gitlabUsername: user.gitlab?.username,
-              jiraEmail: user.jira?.email,
-              level: user.level || null
-            },
-            github: null,
-            gitlab: null,
-            jira: null,
-            errors: { general: error.message || 'Request timeout' }
-          };
-        });
+          return result.entry;
+        })
+        .catch(error => buildEmptyEntry(user, { general: error.message || 'Request timeout' }));
     });
     
     const batchResults = await Promise.allSettled(batchPromises);
@@ -512,21 +533,7 @@ async function fetchLeaderboard(dateRange, skipCache = false) {
       if (result.status === 'fulfilled') {
         leaderboard.push(result.value);
       } else {
-        const user = batch[index];
-        const userId = user.id || user.github?.username || user.gitlab?.username || user.jira?.email || 'unknown';
-        leaderboard.push({
-          user: {
-            id: userId,
-            githubUsername: user.github?.username,
-            gitlabUsername: user.gitlab?.username,
-            jiraEmail: user.jira?.email,
-            level: user.level || null
-          },
-          github: null,
-          gitlab: null,
-          jira: null,
-          errors: { general: result.reason?.message || 'Unknown error' }
-        });
+        leaderboard.push(buildEmptyEntry(batch[index], { general: result.reason?.message || 'Unknown error' }));
       }
     });
     
@@ -536,7 +543,11 @@ async function fetchLeaderboard(dateRange, skipCache = false) {
     }
   }
   
+  // Normalized metrics summed across providers (used by benchmarks, team stats and the client)
+  leaderboard.forEach(entry => { entry.summary = summarizeEntry(entry); });
+  
   cache.set(cacheKey, leaderboard, 300);
+  snapshotStore.recordLeaderboard(leaderboard, dateRange);
   return leaderboard;
 }
 
@@ -571,53 +582,24 @@ function calculateBenchmarks(leaderboard) {
     };
   }
 
-  // Helper to extract metrics from an entry
+  // Helper to extract metrics from an entry (summed across providers)
   const extractMetrics = (entry) => {
-    const github = entry.github || {};
-    const gitlab = entry.gitlab || {};
-    const jira = entry.jira || {};
-    const reviewStats = entry.reviewStats || {};
-    
-    // Git Created (PRs/MRs)
-    const githubCreated = github.created > 0 ? github.created : (github.total ?? 0);
-    const gitlabCreated = gitlab.created ?? gitlab.total ?? 0;
-    const created = githubCreated + gitlabCreated;
-    
-    // Git Reviews
-    const githubReviews = reviewStats.github?.prsReviewed || github.reviews || 0;
-    const gitlabReviews = reviewStats.gitlab?.mrsReviewed || 0;
-    const reviews = githubReviews + gitlabReviews;
-    
-    // Git Comments
-    const githubComments = reviewStats.github?.totalComments || 0;
-    const gitlabComments = reviewStats.gitlab?.totalComments || 0;
-    const comments = githubComments + gitlabComments;
-    
-    // Comments per month - calculate based on monthly data if available
-    const githubPRs = github.monthlyPRs || [];
-    const gitlabMRs = gitlab.monthlyMRs || [];
-    const monthsWithData = new Set([...githubPRs, ...gitlabMRs].map(item => item.month)).size;
-    const commentsPerMonth = monthsWithData > 0 ? comments / monthsWithData : 0;
-    
-    // Jira metrics
-    const velocity = jira.velocity?.combinedAverageVelocity || jira.velocity?.averageVelocity || 0;
-    const storyPoints = jira.totalStoryPoints || 0;
-    const resolved = jira.resolved || 0;
-    const avgResolutionTime = jira.avgResolutionTime || 0;
-    const ctoiFixed = jira.ctoi?.fixed || 0;
-    const ctoiParticipated = jira.ctoi?.participated || 0;
+    const summary = entry.summary || summarizeEntry(entry);
+    
+    // Comments per month - based on months with PR/MR activity
+    const commentsPerMonth = summary.activeMonths > 0 ? summary.comments / summary.activeMonths : 0;
     
     return {
-      created,
-      reviews,
-      comments,
+      created: summary.created,
+      reviews: summary.reviews,
+      comments: summary.comments,
       commentsPerMonth,
-      velocity,
-      storyPoints,
-      resolved,
-      avgResolutionTime,
-      ctoiFixed,
-      ctoiParticipated
+      velocity: summary.velocity,
+      storyPoints: summary.storyPoints,
+      resolved: summary.resolved,
+      avgResolutionTime: summary.avgResolutionTime,
+      ctoiFixed: summary.ctoiFixed,
+      ctoiParticipated: summary.ctoiParticipated
     };
   };
 
@@ -709,34 +691,115 @@ function calculateBenchmarks(leaderboard) {
   return benchmarks;
 }
 
-// Get leaderboard stats for all users
+// Benchmark groups with fewer members are hidden from engineers (an average of one or two people identifies them)
+const MIN_BENCHMARK_GROUP = 3;
+
+/**
+ * Leaderboard entries benchmarks are averaged over: everyone for admins, the
+ * signed-in user's team otherwise (users without a team are one team)
+ */
+function getBenchmarkEntries(auth, leaderboard, users) {
+  if (auth.role === 'admin' || !Array.isArray(leaderboard)) return leaderboard;
+  const team = auth.user?.team || null;
+  const teamIds = new Set(users.filter(user => (user.team || null) === team).map(user => user.id));
+  return leaderboard.filter(entry => teamIds.has(entry.user?.id));
+}
+
+/**
+ * Clear benchmark groups (fte, p1-p4) with fewer than MIN_BENCHMARK_GROUP members
+ */
+function hideSmallBenchmarkGroups(benchmarks, entries) {
+  const counts = { fte: entries.length };
+  entries.forEach(entry => {
+    const level = entry.user?.level?.toLowerCase();
+    if (level) counts[level] = (counts[level] || 0) + 1;
+  });
+
+  return Object.fromEntries(Object.entries(benchmarks).map(([group, metrics]) => [
+    group,
+    (counts[group] || 0) >= MIN_BENCHMARK_GROUP
+      ? metrics
+      : Object.fromEntries(Object.keys(metrics).map(key => [key, null]))
+  ]));
+}
+
+/**
+ * Benchmarks the signed-in user may see (see getBenchmarkEntries and hideSmallBenchmarkGroups)
+ * @param {Object} auth - req.auth
+ * @param {Object|null} dateRange - Date range
+ * @param {Object} options - { mock } to average the mock leaderboard
+ * @returns {Promise<Object>} { fte, p1, p2, p3, p4 }
+ */
+async function fetchBenchmarks(auth, dateRange, { mock = false } = {}) {
+  if (mock) return calculateBenchmarks(generateMockLeaderboard());
+
+  // Fetch leaderboard to calculate benchmarks (use cache if available to avoid duplicate fetches)
+  const leaderboard = await fetchLeaderboard(dateRange, false);
+  const entries = getBenchmarkEntries(auth, leaderboard, await getUsers()) || [];
+  return auth.role === 'engineer'
+    ? hideSmallBenchmarkGroups(calculateBenchmarks(entries), entries)
+    : calculateBenchmarks(entries);
+}
+
+// Get leaderboard stats (admins: everyone, managers: their team, engineers: themselves)
 router.get('/leaderboard', async (req, res) => {
   try {
     const dateRange = parseDateRange(req.query);
     const rangeKey = JSON.stringify(dateRange);
     
     // Load users to build cache key
-    const { getUsers } = require('../utils/userHelpers');
     const users = await getUsers();
     const cacheKey = `leaderboard:${users.map(u => u.id || u.github?.username || u.gitlab?.username || u.jira?.email || 'unknown').join(',')}:${rangeKey}`;
     const cached = cache.get(cacheKey);
     
     const leaderboard = await fetchLeaderboard(dateRange);
     
+    // Flag users whose identities failed the last verification run (npm run verify-users)
+    const { getFindingsByUserId } = require('../utils/verifyUsers');
+    const findingsByUserId = getFindingsByUserId();
+    const annotated = Array.isArray(leaderboard)
+      ? leaderboard.map(entry => findingsByUserId[entry.user?.id]
+        ? { ...entry, identityFindings: findingsByUserId[entry.user.id] }
+        : entry)
+      : leaderboard;
+    
     setCacheHeaders(res, !!cached);
-    res.json(leaderboard);
+    res.json(filterEntriesForRole(req.auth, annotated, users));
   } catch (error) {
     console.error('Error fetching leaderboard:', error);
     res.status(500).json({ error: 'Failed to fetch leaderboard stats' });
   }
 });
 
+// Get team-level aggregates (totals, monthly throughput, member shares, per-level trends)
+// Managers get their own team's aggregates
+router.get('/team', requireRole('manager'), async (req, res) => {
+  if (req.query.mock === 'true') {
+    return res.json({ ...calculateTeamStats(generateMockLeaderboard()), mock: true });
+  }
+
+  try {
+    const dateRange = parseDateRange(req.query);
+    const leaderboard = filterEntriesForRole(req.auth, await fetchLeaderboard(dateRange), await getUsers());
+    res.json({
+      ...calculateTeamStats(leaderboard),
+      dateRange: formatDateRangeForResponse(dateRange)
+    });
+  } catch (error) {
+    console.error('Error calculating team stats:', error);
+    res.status(500).json({ error: 'Failed to calculate team stats' });
+  }
+});
+
 // Get benchmarks (FTE and per-level averages)
+// Admins get everyone's averages; others their team's, and engineers only groups of MIN_BENCHMARK_GROUP or more
 router.get('/benchmarks', async (req, res) => {
   try {
     const dateRange = parseDateRange(req.query);
     const rangeKey = JSON.stringify(dateRange);
-    const cacheKey = `benchmarks:${rangeKey}`;
+    const { role, user } = req.auth;
+    const scope = role === 'admin' ? 'all' : `${role}:team=${user?.team || ''}`;
+    const cacheKey = `benchmarks:${scope}:${rangeKey}`;
     
     // Check cache
     const cached = cache.get(cacheKey);
@@ -745,9 +808,7 @@ router.get('/benchmarks', async (req, res) => {
       return res.json(cached);
     }
     
-    // Fetch leaderboard to calculate benchmarks (use cache if available to avoid duplicate fetches)
-    const leaderboard = await fetchLeaderboard(dateRange, false); // Use cache if available
-    const benchmarks = calculateBenchmarks(leaderboard);
+    const benchmarks = await fetchBenchmarks(req.auth, dateRange);
     
     // Cache for 5 minutes
     cache.set(cacheKey, benchmarks, 300);
@@ -762,4 +823,5 @@ router.get('/benchmarks', async (req, res) => {
 
 module.exports = router;
 module.exports.fetchLeaderboard = fetchLeaderboard;
+module.exports.fetchBenchmarks = fetchBenchmarks;
 
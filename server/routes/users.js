@@ -0,0 +1,172 @@
+const express = require('express');
+const router = express.Router();
+const cache = require('../utils/cache');
+const { getUsers, getRosterSource, loadRoster, saveRoster, validateUser, toPublicUser, VALID_LEVELS, VALID_ROLES } = require('../utils/userHelpers');
+const { requireRole, canViewUser, filterUsersForRole } = require('../utils/authHelpers');
+const { resolveUserIdentities } = require('../utils/identityHelpers');
+const { verifyUsers, loadLastReport } = require('../utils/verifyUsers');
+const { parseDateRange } = require('../utils/requestHelpers');
+
+let verificationInProgress = null;
+
+/**
+ * Reject writes when the roster comes from engineering-metrics instead of users.json
+ * @returns {boolean} true if the request was rejected
+ */
+function rejectIfReadOnly(res) {
+  const source = getRosterSource();
+  if (source === 'config') return false;
+  res.status(409).json({
+    error: `Roster is read-only: users are loaded from ${source} (unset ENGINEERING_METRICS_* to edit server/config/users.json)`
+  });
+  return true;
+}
+
+// Leaderboard and benchmarks are built from the roster
+function invalidateRosterCaches() {
+  cache.deleteByPrefix('leaderboard:');
+  cache.deleteByPrefix('benchmarks:');
+}
+
+// List the roster (managers see their team, engineers themselves)
+router.get('/', async (req, res) => {
+  try {
+    const source = getRosterSource();
+    const users = filterUsersForRole(req.auth, await getUsers());
+    res.json({
+      source,
+      editable: source === 'config' && req.auth.role === 'admin',
+      levels: VALID_LEVELS,
+      roles: VALID_ROLES,
+      users: users.map(toPublicUser)
+    });
+  } catch (error) {
+    console.error('Error loading users:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Check which identities resolve against GitHub, GitLab and Jira
+router.get('/resolution', requireRole('admin'), async (req, res) => {
+  try {
+    const users = await getUsers();
+    const results = [];
+    // Sequential to stay well under API rate limits (results are cached)
+    for (const user of users) {
+      results.push({ id: user.id, name: user.name || user.id, ...(await resolveUserIdentities(user)) });
+    }
+    res.json({ users: results });
+  } catch (error) {
+    console.error('Error resolving user identities:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Identity verification report (mismatches, ambiguous matches, zero-activity accounts)
+// Returns the last saved report; ?refresh=true (or no saved report) runs the checks
+router.get('/verification', requireRole('admin'), async (req, res) => {
+  try {
+    const lastReport = loadLastReport();
+    if (lastReport && req.query.refresh !== 'true') {
+      return res.json(lastReport);
+    }
+
+    // Share one run between concurrent requests
+    if (!verificationInProgress) {
+      verificationInProgress = verifyUsers(parseDateRange(req.query))
+        .finally(() => { verificationInProgress = null; });
+    }
+    res.json(await verificationInProgress);
+  } catch (error) {
+    console.error('Error verifying user identities:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a single user with identity resolution
+router.get('/:id', async (req, res) => {
+  try {
+    const users = await getUsers();
+    const user = users.find(u => u.id === req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: `User ${req.params.id} not found` });
+    }
+    if (!canViewUser(req.auth, user)) {
+      return res.status(403).json({ error: `Not allowed to view ${user.name || user.id}` });
+    }
+    res.json({ user: toPublicUser(user), identities: await resolveUserIdentities(user) });
+  } catch (error) {
+    console.error('Error loading user:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add a user to the roster
+router.post('/', requireRole('admin'), (req, res) => {
+  if (rejectIfReadOnly(res)) return;
+
+  try {
+    const users = loadRoster();
+    const { user, errors } = validateUser(req.body, users);
+    if (errors.length > 0) {
+      const status = errors.some(e => e.includes('already')) ? 409 : 400;
+      return res.status(status).json({ error: errors.join('; '), errors });
+    }
+
+    saveRoster([...users, user]);
+    invalidateRosterCaches();
+    res.status(201).json({ user: toPublicUser(user) });
+  } catch (error) {
+    console.error('Error adding user:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a user (the id can't change)
+router.put('/:id', requireRole('admin'), (req, res) => {
+  if (rejectIfReadOnly(res)) return;
+
+  try {
+    const users = loadRoster();
+    const index = users.findIndex(u => u.id === req.params.id);
+    if (index === -1) {
+      return res.status(404).json({ error: `User ${req.params.id} not found` });
+    }
+
+    const { user, errors } = validateUser({ ...req.body, id: req.params.id }, users, req.params.id);
+    if (errors.length > 0) {
+      const status = errors.some(e => e.includes('already')) ? 409 : 400;
+      return res.status(status).json({ error: errors.join('; '), errors });
+    }
+
+    const updated = [...users];
+    updated[index] = user;
+    saveRoster(updated);
+    invalidateRosterCaches();
+    res.json({ user: toPublicUser(user) });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a user from the roster
+router.delete('/:id', requireRole('admin'), (req, res) => {
+  if (rejectIfReadOnly(res)) return;
+
+  try {
+    const users = loadRoster();
+    if (!users.some(u => u.id === req.params.id)) {
+      return res.status(404).json({ error: `User ${req.params.id} not found` });
+    }
+
+    saveRoster(users.filter(u => u.id !== req.params.id));
+    invalidateRosterCaches();
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,181 @@
+const express = require('express');
+const router = express.Router();
+const cache = require('../utils/cache');
+const credentialVault = require('../utils/credentialVault');
+const { requireRole } = require('../utils/authHelpers');
+const { getUsers } = require('../utils/userHelpers');
+const { getProviders, getProvider } = require('../services/registry');
+
+// Sources users can register tokens for
+const getVaultProviders = () => getProviders().filter(provider => provider.credentialField && provider.checkCredentials);
+
+/**
+ * Roster user whose tokens a request manages: the ?user=<id> view-as user, or the signed-in user
+ * Only admins can manage other users' tokens.
+ * @returns {Object|null} Roster user, null if the response was sent
+ */
+function getVaultUser(req, res) {
+  const user = req.viewAsUser || req.auth?.user;
+  if (!user) {
+    res.status(400).json({ error: 'Choose a roster user with ?user=<id>' });
+    return null;
+  }
+  if (req.auth?.user?.id !== user.id && req.auth?.role !== 'admin') {
+    res.status(403).json({ error: 'Only admins can manage other users\' tokens' });
+    return null;
+  }
+  return user;
+}
+
+/**
+ * Resolve :provider to a source users can register tokens for
+ * @returns {Object|null} Provider, null if the response was sent
+ */
+function getVaultProvider(req, res) {
+  const provider = getProvider(req.params.provider);
+  if (!provider || !provider.credentialField) {
+    res.status(404).json({ error: `Unknown source: ${req.params.provider}` });
+    return null;
+  }
+  return provider;
+}
+
+// The leaderboard and benchmarks were computed with the previous token
+function invalidateUserCaches() {
+  cache.deleteByPrefix('leaderboard:');
+  cache.deleteByPrefix('benchmarks:');
+}
+
+// Every route but the listing needs VAULT_KEY
+function requireVault(req, res, next) {
+  if (!credentialVault.isVaultEnabled()) {
+    return res.status(503).json({ error: 'Credential vault not configured (set VAULT_KEY)' });
+  }
+  next();
+}
+
+/**
+ * Check a token (and its login, for sources that take one) against the user's roster identity
+ */
+function checkToken(provider, user, secret, login = null) {
+  const credentials = provider.getCredentials(user);
+  if (!credentials) {
+    const error = new Error(`${user.name || user.id} has no ${provider.name} account on the roster`);
+    error.status = 400;
+    throw error;
+  }
+  const checked = { ...credentials, [provider.credentialField]: secret };
+  if (provider.credentialLoginField) {
+    checked[provider.credentialLoginField] = login;
+  }
+  return provider.checkCredentials(checked);
+}
+
+// Get a user's registered tokens (no secrets) per source
+router.get('/', (req, res) => {
+  const user = getVaultUser(req, res);
+  if (!user) return;
+
+  const entries = credentialVault.isVaultEnabled() ? credentialVault.listEntries(user.id) : {};
+  res.json({
+    enabled: credentialVault.isVaultEnabled(),
+    expiryWarningDays: credentialVault.EXPIRY_WARNING_DAYS,
+    user: { id: user.id, name: user.name || user.id },
+    sources: getVaultProviders().map(provider => ({
+      id: provider.id,
+      name: provider.name,
+      icon: provider.icon || '',
+      credentialLabel: provider.credentialLabel || 'Token',
+      credentialLoginLabel: provider.credentialLoginLabel || null,
+      identity: provider.getIdentity(user),
+      credential: entries[provider.id] || null
+    }))
+  });
+});
+
+// Every user's token status (admins), for expiry and scope warnings
+router.get('/status', requireRole('admin'), requireVault, async (req, res) => {
+  try {
+    const entries = credentialVault.listAllEntries();
+    const users = await getUsers();
+    res.json({
+      users: users
+        .filter(user => entries[user.id])
+        .map(user => ({ id: user.id, name: user.name || user.id, credentials: entries[user.id] }))
+    });
+  } catch (error) {
+    console.error('Error loading vault status:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Register a token for a source: { token, login?, expiresAt? } (checked before it's stored)
+router.put('/:provider', requireVault, async (req, res) => {
+  const user = getVaultUser(req, res);
+  const provider = user && getVaultProvider(req, res);
+  if (!provider) return;
+
+  const { token, login, expiresAt } = req.body || {};
+  if (!token || typeof token !== 'string') {
+    return res.status(400).json({ error: 'token is required' });
+  }
+  if (login !== undefined && login !== null && typeof login !== 'string') {
+    return res.status(400).json({ error: 'login must be a string' });
+  }
+  const tokenLogin = (provider.credentialLoginField && login?.trim()) || null;
+  if (expiresAt && isNaN(new Date(expiresAt).getTime())) {
+    return res.status(400).json({ error: 'expiresAt must be a date (YYYY-MM-DD)' });
+  }
+
+  try {
+    const check = await checkToken(provider, user, token.trim(), tokenLogin);
+    if (check.missingScopes.length > 0) {
+      return res.status(400).json({ error: `Token is missing required scopes: ${check.missingScopes.join(', ')}`, check });
+    }
+
+    const credential = credentialVault.setSecret(user.id, provider.id, token.trim(), {
+      ...check,
+      expiresAt: check.expiresAt || (expiresAt ? new Date(expiresAt).toISOString() : null)
+    }, tokenLogin);
+    invalidateUserCaches();
+    res.json({ credential });
+  } catch (error) {
+    console.error(`Error registering ${provider.name} token for ${user.id}:`, error.message);
+    // Rejected tokens (401/403 from the source) are bad input, not server errors
+    res.status(error.status && error.status < 500 ? 400 : 500).json({ error: error.message });
+  }
+});
+
+// Re-check a stored token (scopes, expiry, still valid)
+router.post('/:provider/check', requireVault, async (req, res) => {
+  const user = getVaultUser(req, res);
+  const provider = user && getVaultProvider(req, res);
+  if (!provider) return;
+
+  const secret = credentialVault.getSecret(user.id, provider.id);
+  if (!secret) {
+    return res.status(404).json({ error: `No usable ${provider.name} token registered` });
+  }
+
+  try {
+    const check = await checkToken(provider, user, secret, credentialVault.getLogin(user.id, provider.id));
+    res.json({ credential: credentialVault.updateCheck(user.id, provider.id, check) });
+  } catch (error) {
+    res.json({ credential: credentialVault.updateCheck(user.id, provider.id, { error: error.message }) });
+  }
+});
+
+// Remove a stored token
+router.delete('/:provider', requireVault, (req, res) => {
+  const user = getVaultUser(req, res);
+  const provider = user && getVaultProvider(req, res);
+  if (!provider) return;
+
+  if (!credentialVault.removeSecret(user.id, provider.id)) {
+    return res.status(404).json({ error: `No ${provider.name} token registered` });
+  }
+  invalidateUserCaches();
+  res.status(204).end();
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+const cache = require('../utils/cache');
+const { publishRefresh } = require('../utils/liveEvents');
+const { getProvider, getProviderDatasets } = require('../services/registry');
+
+// Signatures are computed over the body as sent, so it's kept raw until verified
+router.use(express.raw({ type: '*/*', limit: '5mb' }));
+
+// Receive a source's webhook: /github, /gitlab, /jira (see each provider's webhooks.js)
+router.post('/:provider', async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider?.handleWebhook) {
+    return res.status(404).json({ error: `No webhooks for source: ${req.params.provider}` });
+  }
+  if (!provider.isWebhookConfigured()) {
+    return res.status(503).json({ error: `${provider.name} webhooks not configured (set ${provider.id.toUpperCase()}_WEBHOOK_SECRET)` });
+  }
+  if (!provider.verifyWebhook(req)) {
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(req.body.toString('utf8'));
+  } catch {
+    return res.status(400).json({ error: 'Webhook body must be JSON' });
+  }
+
+  try {
+    const result = await provider.handleWebhook(payload, req.headers);
+    if (result.ignored) {
+      return res.json({ event: result.event || null, ignored: true });
+    }
+
+    console.log(`🔔 ${provider.name} webhook ${result.event}: ${result.updated} stores updated`);
+    // Nothing loaded changed (an item or commenter no cached stats include), so the caches still hold
+    if (!result.updated && !result.tracked) {
+      return res.json({ event: result.event, updated: 0, invalidated: [] });
+    }
+
+    // Response caches built from the source (every user and range), then the service's own
+    const datasets = getProviderDatasets(provider);
+    const invalidated = [...new Set([...datasets.map(dataset => dataset.cachePrefix), ...result.cachePrefixes])];
+    invalidated.forEach(prefix => cache.deleteByPrefix(prefix));
+
+    publishRefresh({
+      sources: [provider.id],
+      endpoints: datasets.map(dataset => dataset.endpoint),
+      reason: 'webhook',
+      event: result.event
+    });
+    res.json({ event: result.event, updated: result.updated, invalidated });
+  } catch (error) {
+    console.error(`Error handling ${provider.name} webhook:`, error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
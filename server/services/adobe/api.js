@@ -0,0 +1,134 @@
+/**
+ * Adobe Analytics API Client
+ *
+ * Handles JWT (service account) auth via @adobe/jwt-auth and the
+ * Analytics 2.0 reports API.
+ */
+
+const fs = require('fs');
+const auth = require('@adobe/jwt-auth');
+const cache = require('../../utils/cache');
+const { createApiClient, handleApiError } = require('../../utils/apiHelpers');
+
+const ADOBE_CLIENT_ID = process.env.ADOBE_CLIENT_ID;
+const ADOBE_CLIENT_SECRET = process.env.ADOBE_CLIENT_SECRET;
+const ADOBE_ORG_ID = process.env.ADOBE_ORG_ID;
+const ADOBE_TECHNICAL_ACCOUNT_ID = process.env.ADOBE_TECHNICAL_ACCOUNT_ID;
+const ADOBE_REPORT_SUITE_ID = process.env.ADOBE_REPORT_SUITE_ID;
+const ADOBE_GLOBAL_COMPANY_ID = process.env.ADOBE_GLOBAL_COMPANY_ID;
+const ADOBE_META_SCOPES = process.env.ADOBE_META_SCOPES || 'ent_analytics_bulk_ingest_sdk';
+const ADOBE_IMS_URL = (process.env.ADOBE_IMS_URL || 'https://ims-na1.adobelogin.com').replace(/\/$/, '');
+const ADOBE_ANALYTICS_BASE_URL = (process.env.ADOBE_ANALYTICS_BASE_URL || 'https://analytics.adobe.io').replace(/\/$/, '');
+
+const TOKEN_CACHE_KEY = 'adobe-access-token';
+
+/**
+ * Read the private key from ADOBE_PRIVATE_KEY or ADOBE_PRIVATE_KEY_FILE
+ * .env files can't hold multi-line values, so literal "\n" sequences are expanded
+ */
+function getPrivateKey() {
+  if (process.env.ADOBE_PRIVATE_KEY) {
+    return process.env.ADOBE_PRIVATE_KEY.replace(/\\n/g, '\n');
+  }
+  if (process.env.ADOBE_PRIVATE_KEY_FILE) {
+    try {
+      return fs.readFileSync(process.env.ADOBE_PRIVATE_KEY_FILE, 'utf8');
+    } catch (error) {
+      console.error(`Could not read ADOBE_PRIVATE_KEY_FILE: ${error.message}`);
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the names of required ADOBE_* variables that are not set
+ */
+function getMissingConfig() {
+  const required = {
+    ADOBE_CLIENT_ID,
+    ADOBE_CLIENT_SECRET,
+    ADOBE_ORG_ID,
+    ADOBE_TECHNICAL_ACCOUNT_ID,
+    ADOBE_REPORT_SUITE_ID,
+    ADOBE_GLOBAL_COMPANY_ID
+  };
+  const missing = Object.entries(required).filter(([, value]) => !value).map(([name]) => name);
+  if (!process.env.ADOBE_PRIVATE_KEY && !process.env.ADOBE_PRIVATE_KEY_FILE) {
+    missing.push('ADOBE_PRIVATE_KEY');
+  }
+  return missing;
+}
+
+function isConfigured() {
+  return getMissingConfig().length === 0;
+}
+
+/**
+ * Exchange a signed JWT for an IMS access token (cached until shortly before expiry)
+ */
+async function getAccessToken() {
+  const cached = cache.get(TOKEN_CACHE_KEY);
+  if (cached) return cached;
+
+  try {
+    const response = await auth({
+      clientId: ADOBE_CLIENT_ID,
+      clientSecret: ADOBE_CLIENT_SECRET,
+      technicalAccountId: ADOBE_TECHNICAL_ACCOUNT_ID,
+      orgId: ADOBE_ORG_ID,
+      privateKey: getPrivateKey(),
+      metaScopes: ADOBE_META_SCOPES.split(',').map(scope => scope.trim()),
+      ims: ADOBE_IMS_URL
+    });
+
+    // expires_in is in milliseconds; refresh 5 minutes early
+    const ttlSeconds = Math.max(60, Math.floor((response.expires_in || 0) / 1000) - 300);
+    cache.set(TOKEN_CACHE_KEY, response.access_token, ttlSeconds);
+    return response.access_token;
+  } catch (error) {
+    throw new Error(`Adobe authentication failed: ${error.message}`);
+  }
+}
+
+/**
+ * Create an Analytics 2.0 API client with a fresh access token
+ */
+async function createAnalyticsClient() {
+  const token = await getAccessToken();
+  return createApiClient({
+    baseURL: `${ADOBE_ANALYTICS_BASE_URL}/api/${ADOBE_GLOBAL_COMPANY_ID}`,
+    token,
+    headers: {
+      'x-api-key': ADOBE_CLIENT_ID,
+      'x-proxy-global-company-id': ADOBE_GLOBAL_COMPANY_ID,
+      Accept: 'application/json'
+    },
+    timeout: 60000
+  });
+}
+
+/**
+ * Run a report request against the configured report suite
+ * @param {Object} body - Report request body (rsid is filled in)
+ * @returns {Promise<Object>} Report response ({ rows, summaryData, totalPages, ... })
+ */
+async function runReport(body) {
+  const client = await createAnalyticsClient();
+  try {
+    const response = await client.post('/reports', {
+      rsid: ADOBE_REPORT_SUITE_ID,
+      ...body
+    });
+    return response.data;
+  } catch (error) {
+    handleApiError(error, 'Adobe Analytics');
+  }
+}
+
+module.exports = {
+  runReport,
+  getAccessToken,
+  isConfigured,
+  getMissingConfig,
+  ADOBE_REPORT_SUITE_ID
+};
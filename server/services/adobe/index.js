@@ -0,0 +1,169 @@
+/**
+ * Adobe Analytics Service
+ *
+ * Attributes clicks on shipped features using ranked reports over evar67
+ * (page context). Features are defined in server/config/impactFeatures.json
+ * (or ADOBE_FEATURES_FILE).
+ *
+ * EXPORTS:
+ * - getImpactMetrics(days) - Features, totals, byLeague and resumeBullets for the Logbook
+ * - loadFeatures() - Feature definitions
+ * - isConfigured() / getMissingConfig() - Credential checks
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cache = require('../../utils/cache');
+const { isConfigured, getMissingConfig } = require('./api');
+const { getFeatureBreakdown, getFeatureDailyTrend } = require('./reports');
+const {
+  getDateRange,
+  calculateComparison,
+  parsePageFromEvar67,
+  formatPageLabel,
+  SPORTS_MAP
+} = require('../../utils/analyticsHelpers');
+
+const DEFAULT_FEATURES_FILE = path.join(__dirname, '..', '..', 'config', 'impactFeatures.json');
+const MAX_PAGES_PER_FEATURE = 5;
+
+/**
+ * Load feature definitions
+ * @returns {Array} [{ name, search, metric, launchDate, segmentId }]
+ */
+function loadFeatures() {
+  const filePath = process.env.ADOBE_FEATURES_FILE || DEFAULT_FEATURES_FILE;
+  try {
+    const features = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return Array.isArray(features) ? features.filter(f => f.name && f.search) : [];
+  } catch (error) {
+    console.error(`Could not load impact features from ${filePath}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Group evar67 rows into page labels (e.g. "NFL Gamecast") with click counts
+ */
+function groupRowsByPage(rows) {
+  const pages = new Map();
+  for (const row of rows) {
+    const page = parsePageFromEvar67(row.value);
+    if (!page) continue;
+    pages.set(page, (pages.get(page) || 0) + row.count);
+  }
+  return Array.from(pages.entries())
+    .map(([page, clicks]) => ({ page, clicks }))
+    .sort((a, b) => b.clicks - a.clicks);
+}
+
+const formatNumber = (num) => num.toLocaleString('en-US');
+
+/**
+ * Build resume bullets from computed feature metrics
+ */
+function buildResumeBullets(features, byLeague, totalClicks, days) {
+  if (features.length === 0 || totalClicks === 0) return [];
+
+  const bullets = [];
+  const leagueCount = byLeague.filter(l => l.league !== SPORTS_MAP.other).length;
+
+  bullets.push(
+    `Built ${features.length} user-facing feature${features.length !== 1 ? 's' : ''} that drove ` +
+    `${formatNumber(totalClicks)} clicks in the last ${days} days` +
+    (leagueCount > 0 ? ` across ${leagueCount} leagues` : '')
+  );
+
+  for (const feature of features.slice(0, 3)) {
+    if (feature.clicks === 0) continue;
+    const pages = feature.pages.slice(0, 2).join(' and ');
+    bullets.push(
+      `Shipped ${feature.name}, generating ${formatNumber(feature.clicks)} clicks ` +
+      `(${feature.percentage}% of attributed engagement)` + (pages ? ` on ${pages}` : '')
+    );
+  }
+
+  for (const feature of features) {
+    if (feature.comparison?.changePercent > 0) {
+      bullets.push(
+        `Launched ${feature.name}, lifting average daily clicks ${feature.comparison.changePercent}% ` +
+        `(${formatNumber(feature.comparison.avgClicksBefore)} → ${formatNumber(feature.comparison.avgClicksAfter)})`
+      );
+    }
+  }
+
+  return bullets;
+}
+
+/**
+ * Get feature impact metrics for the Logbook
+ * @param {number} days - Days back from today (default 90)
+ * @returns {Promise<Object>} { features, totals, byLeague, resumeBullets }
+ */
+async function getImpactMetrics(days = 90) {
+  const cacheKey = `impact-metrics:${days}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+
+  const featureDefs = loadFeatures();
+  const leagueClicks = new Map();
+  const features = [];
+
+  // Run sequentially - Analytics API allows few concurrent report requests
+  for (const def of featureDefs) {
+    const breakdown = await getFeatureBreakdown(def, days);
+    const pages = groupRowsByPage(breakdown.rows);
+
+    for (const { page, clicks } of pages) {
+      const sport = page.split(':')[0];
+      const league = SPORTS_MAP[sport] || sport.toUpperCase();
+      leagueClicks.set(league, (leagueClicks.get(league) || 0) + clicks);
+    }
+
+    let comparison = null;
+    if (def.launchDate && def.segmentId) {
+      const dailyData = await getFeatureDailyTrend(def, days);
+      comparison = calculateComparison(dailyData, def.launchDate);
+    }
+
+    features.push({
+      name: def.name,
+      clicks: breakdown.total,
+      pages: pages.slice(0, MAX_PAGES_PER_FEATURE).map(p => formatPageLabel(p.page)),
+      launchDate: def.launchDate || null,
+      comparison
+    });
+  }
+
+  const attributedClicks = features.reduce((sum, f) => sum + f.clicks, 0);
+  features.forEach(feature => {
+    feature.percentage = attributedClicks > 0 ? Math.round((feature.clicks / attributedClicks) * 100) : 0;
+  });
+  features.sort((a, b) => b.clicks - a.clicks);
+
+  const byLeague = Array.from(leagueClicks.entries())
+    .map(([league, totalClicks]) => ({ league, totalClicks }))
+    .sort((a, b) => b.totalClicks - a.totalClicks);
+
+  const { startDate, endDate } = getDateRange(days);
+  const result = {
+    features,
+    totals: {
+      attributedClicks,
+      totalClicks: attributedClicks,
+      dateRange: { start: startDate, end: endDate }
+    },
+    byLeague,
+    resumeBullets: buildResumeBullets(features, byLeague, attributedClicks, days)
+  };
+
+  cache.set(cacheKey, result, 3600);
+  return result;
+}
+
+module.exports = {
+  getImpactMetrics,
+  loadFeatures,
+  isConfigured,
+  getMissingConfig
+};
@@ -0,0 +1,90 @@
+/**
+ * Adobe Analytics Reports
+ *
+ * Ranked and trended report helpers used to attribute clicks to features.
+ */
+
+const { runReport } = require('./api');
+const { createGlobalFilters, parseDateToISO } = require('../../utils/analyticsHelpers');
+
+const PAGE_DIMENSION = 'variables/evar67';
+const DAY_DIMENSION = 'variables/daterangeday';
+const DEFAULT_METRIC = 'metrics/occurrences';
+const MAX_ROWS = 200;
+
+/**
+ * Run a ranked report and return { rows: [{ value, count }], total }
+ * @param {Object} options - Report options
+ * @param {string} options.dimension - Dimension to rank (default evar67)
+ * @param {string} options.metric - Metric id (default occurrences)
+ * @param {string} options.search - Search clause applied to the dimension (e.g. "CONTAINS 'odds'")
+ * @param {Array} options.globalFilters - Global filters (date range, segments)
+ * @param {number} options.limit - Max rows
+ */
+async function runRankedReport({ dimension = PAGE_DIMENSION, metric = DEFAULT_METRIC, search = null, globalFilters, limit = MAX_ROWS }) {
+  const data = await runReport({
+    globalFilters,
+    metricContainer: {
+      metrics: [{ columnId: '0', id: metric }]
+    },
+    dimension,
+    ...(search ? { search: { clause: search } } : {}),
+    settings: {
+      limit,
+      page: 0,
+      countRepeatInstances: true
+    }
+  });
+
+  const rows = (data?.rows || []).map(row => ({
+    value: row.value,
+    count: row.data?.[0] || 0
+  }));
+
+  return {
+    rows,
+    total: data?.summaryData?.totals?.[0] ?? rows.reduce((sum, row) => sum + row.count, 0)
+  };
+}
+
+/**
+ * Get clicks for a feature broken down by evar67 page values
+ * @param {Object} feature - Feature definition from impactFeatures.json
+ * @param {number} days - Days back from today
+ */
+async function getFeatureBreakdown(feature, days) {
+  return runRankedReport({
+    dimension: feature.dimension || PAGE_DIMENSION,
+    metric: feature.metric || DEFAULT_METRIC,
+    search: feature.search,
+    globalFilters: createGlobalFilters(days)
+  });
+}
+
+/**
+ * Get daily clicks for a feature (requires a segment that isolates the feature)
+ * @returns {Promise<Array>} [{ date, clicks }]
+ */
+async function getFeatureDailyTrend(feature, days) {
+  if (!feature.segmentId) return [];
+
+  const { rows } = await runRankedReport({
+    dimension: DAY_DIMENSION,
+    metric: feature.metric || DEFAULT_METRIC,
+    globalFilters: [
+      ...createGlobalFilters(days),
+      { type: 'segment', segmentId: feature.segmentId }
+    ],
+    limit: days + 1
+  });
+
+  return rows
+    .map(row => ({ date: parseDateToISO(row.value), clicks: row.count }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+module.exports = {
+  runRankedReport,
+  getFeatureBreakdown,
+  getFeatureDailyTrend
+};
@@ -0,0 +1,139 @@
+/**
+ * Local Adobe IMS + Analytics 2.0 stub server
+ *
+ * Lets the Adobe service be exercised end to end without real credentials.
+ * It answers the JWT exchange and the reports endpoint with deterministic
+ * data, and writes a throwaway RSA key the JWT can be signed with.
+ *
+ * Usage:
+ *   npm run adobe-stub
+ * then start the server with the environment variables it prints.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+
+const PORT = process.env.ADOBE_STUB_PORT || 3030;
+const KEY_FILE = path.join(__dirname, '..', '..', 'data', 'adobe-stub', 'private.pem');
+
+const STUB_PAGES = [
+  'espn:nfl:gamecast:oddsstrip',
+  'espn:nfl:scoreboard:oddsstrip',
+  'espn:nba:scoreboard:oddsstrip',
+  'espn:nba:gamecast:odds',
+  'espn:nhl:gamecast:odds',
+  'espn:college-football:gamecast:betsixpack',
+  'espn:nfl:gamecast:betsixpack',
+  'espn:mlb:schedule:oddsstrip',
+  'espn:soccer:match:gamecast:odds'
+];
+
+/**
+ * Deterministic pseudo-random count for a string, so repeated runs match
+ */
+function stubCount(value, max = 50000) {
+  const hash = crypto.createHash('md5').update(value).digest();
+  return 1000 + (hash.readUInt32BE(0) % max);
+}
+
+/**
+ * Evaluate the subset of search clause syntax the service sends:
+ * CONTAINS 'x' terms joined with AND
+ */
+function matchesClause(value, clause) {
+  if (!clause) return true;
+  const terms = [...clause.matchAll(/CONTAINS\s+'([^']+)'/gi)].map(match => match[1].toLowerCase());
+  return terms.every(term => value.toLowerCase().includes(term));
+}
+
+function buildDailyRows(dateRange) {
+  const [start, end] = (dateRange || '').split('/').map(d => new Date(d));
+  const rows = [];
+  if (isNaN(start) || isNaN(end)) return rows;
+
+  for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
+    const label = d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    rows.push({ itemId: String(rows.length), value: label, data: [stubCount(label, 5000)] });
+  }
+  return rows;
+}
+
+function ensureKeyFile() {
+  if (fs.existsSync(KEY_FILE)) return;
+  const { privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    publicKeyEncoding: { type: 'spki', format: 'pem' }
+  });
+  fs.mkdirSync(path.dirname(KEY_FILE), { recursive: true });
+  fs.writeFileSync(KEY_FILE, privateKey);
+}
+
+function createStubApp() {
+  const app = express();
+  app.use(express.json());
+
+  // IMS JWT exchange (multipart body from @adobe/jwt-auth - contents are not checked)
+  app.post('/ims/exchange/jwt', (req, res) => {
+    res.json({
+      token_type: 'bearer',
+      access_token: 'stub-access-token',
+      expires_in: 24 * 60 * 60 * 1000
+    });
+  });
+
+  // Analytics 2.0 reports
+  app.post('/api/:companyId/reports', (req, res) => {
+    if (req.get('Authorization') !== 'Bearer stub-access-token') {
+      return res.status(401).json({ error_code: '401013', message: 'Oauth token is not valid' });
+    }
+
+    const { dimension, search, globalFilters = [], settings = {} } = req.body || {};
+    const dateRange = globalFilters.find(f => f.type === 'dateRange')?.dateRange;
+
+    let rows;
+    if (dimension === 'variables/daterangeday') {
+      rows = buildDailyRows(dateRange);
+    } else {
+      rows = STUB_PAGES
+        .filter(page => matchesClause(page, search?.clause))
+        .map((page, index) => ({ itemId: String(index), value: page, data: [stubCount(page)] }))
+        .sort((a, b) => b.data[0] - a.data[0]);
+    }
+
+    rows = rows.slice(0, settings.limit || 50);
+    res.json({
+      totalPages: 1,
+      firstPage: true,
+      lastPage: true,
+      numberOfElements: rows.length,
+      totalElements: rows.length,
+      rows,
+      summaryData: { totals: [rows.reduce((sum, row) => sum + row.data[0], 0)] }
+    });
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  ensureKeyFile();
+  createStubApp().listen(PORT, () => {
+    const baseUrl = `http://localhost:${PORT}`;
+    console.log(`Adobe stub server running on ${baseUrl}`);
+    console.log('\nStart the dev server with:\n');
+    console.log(`ADOBE_IMS_URL=${baseUrl}`);
+    console.log(`ADOBE_ANALYTICS_BASE_URL=${baseUrl}`);
+    console.log('ADOBE_CLIENT_ID=stub-client');
+    console.log('ADOBE_CLIENT_SECRET=stub-secret');
+    console.log('ADOBE_ORG_ID=stub-org@AdobeOrg');
+    console.log('ADOBE_TECHNICAL_ACCOUNT_ID=stub-account@techacct.adobe.com');
+    console.log('ADOBE_GLOBAL_COMPANY_ID=stubco');
+    console.log('ADOBE_REPORT_SUITE_ID=stub-rsid');
+    console.log(`ADOBE_PRIVATE_KEY_FILE=${KEY_FILE}`);
+  });
+}
+
+module.exports = { createStubApp };
@@ -0,0 +1,127 @@
+/**
+ * Bitbucket API Client
+ *
+ * Handles REST client setup for Bitbucket Cloud (api.bitbucket.org/2.0) and
+ * Bitbucket Server / Data Center (<base>/rest/api/1.0). The flavor is picked
+ * from BITBUCKET_BASE_URL: bitbucket.org is Cloud, anything else is Server.
+ */
+
+const { createApiClient } = require('../../utils/apiHelpers');
+
+const BITBUCKET_USERNAME = process.env.BITBUCKET_USERNAME;
+const BITBUCKET_TOKEN = process.env.BITBUCKET_TOKEN;
+const BITBUCKET_BASE_URL = (process.env.BITBUCKET_BASE_URL || 'https://bitbucket.org').replace(/\/$/, '');
+// Cloud app passwords / API tokens use Basic auth with this login; without it the token is sent as Bearer
+const BITBUCKET_AUTH_USER = process.env.BITBUCKET_AUTH_USER;
+// Cloud only: limit authored PRs to one workspace
+const BITBUCKET_WORKSPACE = process.env.BITBUCKET_WORKSPACE;
+// Repositories scanned for reviews (and for authored PRs on Server): "PROJECT/repo" or "workspace/repo"
+const BITBUCKET_REPOS = (process.env.BITBUCKET_REPOS || '')
+  .split(',')
+  .map(repo => repo.trim())
+  .filter(repo => repo.includes('/'));
+
+if (!BITBUCKET_USERNAME || !BITBUCKET_TOKEN) {
+  console.warn('Bitbucket credentials not configured. Bitbucket stats will not be available.');
+}
+
+/**
+ * Whether a base URL points at Bitbucket Cloud
+ */
+function isCloud(baseURL = BITBUCKET_BASE_URL) {
+  try {
+    return /(^|\.)bitbucket\.org$/i.test(new URL(baseURL).hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * REST API root for a base URL
+ */
+function getApiBaseUrl(baseURL = BITBUCKET_BASE_URL) {
+  return isCloud(baseURL)
+    ? 'https://api.bitbucket.org/2.0'
+    : `${baseURL.replace(/\/$/, '')}/rest/api/1.0`;
+}
+
+/**
+ * Create REST API client with custom credentials
+ * @param {string} username - Bitbucket identity the stats are for
+ * @param {string} token - Access token or Cloud app password
+ * @param {string} baseURL - Bitbucket base URL
+ * @param {string|null} authUser - Cloud only: the login an app password belongs to (Basic auth);
+ *   null sends the token as Bearer
+ */
+function createRestClient(username, token, baseURL = BITBUCKET_BASE_URL, authUser = null) {
+  const basicAuth = authUser && isCloud(baseURL);
+  return createApiClient({
+    baseURL: getApiBaseUrl(baseURL),
+    token: basicAuth ? Buffer.from(`${authUser}:${token}`).toString('base64') : token,
+    authType: basicAuth ? 'Basic' : 'Bearer'
+  });
+}
+
+/**
+ * Basic auth login for credentials: theirs when given, BITBUCKET_AUTH_USER for the operator token
+ * @param {Object|null} credentials - { username, token, baseURL, authUser } (see provider.getCredentials)
+ */
+function getAuthUser(credentials) {
+  return credentials ? credentials.authUser || null : BITBUCKET_AUTH_USER || null;
+}
+
+// REST API client for the configured user
+const bitbucketApi = BITBUCKET_TOKEN ? createRestClient(BITBUCKET_USERNAME, BITBUCKET_TOKEN, BITBUCKET_BASE_URL, BITBUCKET_AUTH_USER) : null;
+
+/**
+ * Fetch every page of a paged collection
+ * Cloud pages link to the next page (`next`), Server pages give `nextPageStart`.
+ * @param {Object} client - REST client
+ * @param {string} url - Collection URL
+ * @param {Object} params - Query params (arrays are sent as repeated keys)
+ * @param {Object} options - { maxPages, stopWhen(pageValues) to stop early on newest-first lists }
+ */
+async function fetchAllPages(client, url, params = {}, { maxPages = 50, stopWhen = null } = {}) {
+  const values = [];
+  let nextUrl = url;
+  let nextParams = params;
+  let page = 0;
+
+  while (nextUrl && page < maxPages) {
+    const response = await client.get(nextUrl, {
+      params: nextParams,
+      paramsSerializer: { indexes: null }
+    });
+    const data = response.data || {};
+    const pageValues = data.values || [];
+    values.push(...pageValues);
+    page++;
+
+    if (pageValues.length === 0 || (stopWhen && stopWhen(pageValues))) break;
+
+    if (data.next) {
+      // Cloud: absolute URL that already carries the query
+      nextUrl = data.next;
+      nextParams = undefined;
+    } else if (data.isLastPage === false) {
+      nextParams = { ...params, start: data.nextPageStart };
+    } else {
+      nextUrl = null;
+    }
+  }
+
+  return values;
+}
+
+module.exports = {
+  BITBUCKET_USERNAME,
+  BITBUCKET_TOKEN,
+  BITBUCKET_BASE_URL,
+  BITBUCKET_WORKSPACE,
+  BITBUCKET_REPOS,
+  bitbucketApi,
+  isCloud,
+  createRestClient,
+  getAuthUser,
+  fetchAllPages
+};
@@ -0,0 +1,202 @@
+/**
+ * Bitbucket Review Comments
+ *
+ * Bitbucket has no per-user activity feed, so reviews are found by scanning
+ * the repositories in BITBUCKET_REPOS: PRs the user took part in (and didn't
+ * author) are read for their comments and approvals.
+ */
+
+const cache = require('../../utils/cache');
+const { getDateRange, isInDateRange } = require('../../utils/dateHelpers');
+const {
+  BITBUCKET_USERNAME,
+  BITBUCKET_TOKEN,
+  BITBUCKET_BASE_URL,
+  BITBUCKET_REPOS,
+  isCloud,
+  createRestClient,
+  getAuthUser,
+  fetchAllPages
+} = require('./api');
+const { parseRepo } = require('./prs');
+
+const MAX_PRS_PER_REPO = 100;
+const CACHE_TTL = 300; // 5 minutes
+const CLOUD_STATES = ['OPEN', 'MERGED', 'DECLINED', 'SUPERSEDED'];
+
+/**
+ * Calculate months in date range
+ */
+function calculateMonthsInRange(dateRange) {
+  if (!dateRange) return 1;
+
+  const range = getDateRange(dateRange);
+  if (range.start === null && range.end === null) return 12;
+
+  const start = range.start;
+  const end = range.end || new Date();
+
+  const monthsDiff = (end.getUTCFullYear() - start.getUTCFullYear()) * 12
+    + (end.getUTCMonth() - start.getUTCMonth()) + 1;
+
+  return Math.max(1, monthsDiff);
+}
+
+/**
+ * Whether a Bitbucket user object is the given identity
+ * (Cloud: nickname, account id or {uuid}; Server: user name or slug)
+ */
+function isUser(user, identity) {
+  if (!user || !identity) return false;
+  const wanted = identity.toLowerCase();
+  return [user.nickname, user.account_id, user.uuid, user.username, user.name, user.slug]
+    .some(value => value?.toLowerCase() === wanted);
+}
+
+/**
+ * Cloud: { prId -> [{ type: 'comment' | 'approval', date }] } for PRs the user took part in
+ */
+async function fetchCloudReviews(client, fullName, username, range) {
+  const prs = await fetchAllPages(client, `/repositories/${fullName}/pullrequests`, {
+    state: CLOUD_STATES,
+    pagelen: 50,
+    sort: '-updated_on',
+    fields: '+values.participants',
+    q: range.start ? `updated_on >= ${range.start.toISOString()}` : undefined
+  }, { maxPages: Math.ceil(MAX_PRS_PER_REPO / 50) });
+
+  const participated = prs.filter(pr =>
+    !isUser(pr.author, username) &&
+    (pr.participants || []).some(participant => isUser(participant.user, username))
+  );
+
+  const reviews = new Map();
+  for (const pr of participated) {
+    const activity = await fetchAllPages(client, `/repositories/${fullName}/pullrequests/${pr.id}/activity`, { pagelen: 50 });
+    const actions = [];
+    activity.forEach(entry => {
+      if (entry.comment && isUser(entry.comment.user, username)) {
+        actions.push({ type: 'comment', date: entry.comment.created_on });
+      } else if (entry.approval && isUser(entry.approval.user, username)) {
+        actions.push({ type: 'approval', date: entry.approval.date });
+      }
+    });
+    reviews.set(pr.id, actions);
+  }
+  return reviews;
+}
+
+/**
+ * Server: { prId -> [{ type: 'comment' | 'approval', date }] } for PRs the user reviewed or commented on
+ */
+async function fetchServerReviews(client, fullName, username, range) {
+  const { owner, slug } = parseRepo(fullName);
+  const basePath = `/projects/${owner}/repos/${slug}/pull-requests`;
+  const olderThanRange = (values) => {
+    const last = values[values.length - 1];
+    return !!(range.start && last?.updatedDate && new Date(last.updatedDate) < range.start);
+  };
+
+  const prs = new Map();
+  for (const role of ['REVIEWER', 'PARTICIPANT']) {
+    const values = await fetchAllPages(client, basePath, {
+      state: 'ALL',
+      order: 'NEWEST',
+      'username.1': username,
+      'role.1': role,
+      limit: 100
+    }, { maxPages: Math.ceil(MAX_PRS_PER_REPO / 100), stopWhen: olderThanRange });
+    values.forEach(pr => prs.set(pr.id, pr));
+  }
+
+  const reviews = new Map();
+  for (const pr of prs.values()) {
+    const activities = await fetchAllPages(client, `${basePath}/${pr.id}/activities`, { limit: 100 });
+    const actions = [];
+    activities.forEach(activity => {
+      if (!isUser(activity.user, username)) return;
+      const date = new Date(activity.createdDate).toISOString();
+      if (activity.action === 'COMMENTED' && activity.commentAction === 'ADDED') {
+        actions.push({ type: 'comment', date });
+      } else if (activity.action === 'APPROVED' || activity.action === 'REVIEWED') {
+        actions.push({ type: 'approval', date });
+      }
+    });
+    reviews.set(pr.id, actions);
+  }
+  return reviews;
+}
+
+/**
+ * Fetch review stats for a user
+ * @param {Object|null} dateRange - Date range to query
+ * @param {Object|null} credentials - { username, token, baseURL }
+ */
+async function getReviewComments(dateRange = null, credentials = null) {
+  const username = credentials?.username || BITBUCKET_USERNAME;
+  const token = credentials?.token || BITBUCKET_TOKEN;
+  const baseURL = credentials?.baseURL || BITBUCKET_BASE_URL;
+
+  const emptyResult = {
+    totalComments: 0, prsReviewed: 0, avgCommentsPerPR: 0,
+    avgReviewsPerMonth: 0, avgCommentsPerMonth: 0, byRepo: [], monthlyComments: {}
+  };
+
+  if (!username || !token || BITBUCKET_REPOS.length === 0) return emptyResult;
+
+  const cacheKey = `bitbucket-comments:v1:${username}:${JSON.stringify(dateRange)}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+
+  const client = createRestClient(username, token, baseURL, getAuthUser(credentials));
+  const range = getDateRange(dateRange);
+  const fetchReviews = isCloud(baseURL) ? fetchCloudReviews : fetchServerReviews;
+
+  const commentsByMonth = new Map();
+  const byRepo = [];
+  let totalComments = 0;
+  let prsReviewed = 0;
+
+  for (const fullName of BITBUCKET_REPOS) {
+    const reviews = await fetchReviews(client, fullName, username, range);
+    let repoComments = 0;
+    let repoReviewed = 0;
+
+    for (const actions of reviews.values()) {
+      const inRange = actions.filter(action => action.date && isInDateRange(action.date, dateRange));
+      if (inRange.length === 0) continue;
+
+      repoReviewed++;
+      inRange.filter(action => action.type === 'comment').forEach(action => {
+        repoComments++;
+        const month = action.date.substring(0, 7);
+        commentsByMonth.set(month, (commentsByMonth.get(month) || 0) + 1);
+      });
+    }
+
+    totalComments += repoComments;
+    prsReviewed += repoReviewed;
+    if (repoReviewed > 0) {
+      byRepo.push({ repo: fullName, comments: repoComments, prsReviewed: repoReviewed });
+    }
+  }
+
+  const totalMonths = calculateMonthsInRange(dateRange);
+
+  const result = {
+    totalComments,
+    prsReviewed,
+    avgCommentsPerPR: prsReviewed > 0 ? Math.round((totalComments / prsReviewed) * 10) / 10 : 0,
+    avgReviewsPerMonth: Math.round((prsReviewed / totalMonths) * 10) / 10,
+    avgCommentsPerMonth: Math.round((totalComments / totalMonths) * 10) / 10,
+    byRepo: byRepo.sort((a, b) => b.comments - a.comments),
+    monthlyComments: Object.fromEntries(commentsByMonth)
+  };
+
+  cache.set(cacheKey, result, CACHE_TTL);
+  return result;
+}
+
+module.exports = {
+  getReviewComments
+};
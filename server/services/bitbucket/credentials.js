@@ -0,0 +1,45 @@
+/**
+ * Bitbucket Credentials - Check a token before it goes in the vault
+ */
+
+const { handleApiError } = require('../../utils/apiHelpers');
+const { buildTokenCheck } = require('../../utils/serviceHelpers');
+const { createRestClient, isCloud } = require('./api');
+
+/**
+ * Check who a token belongs to
+ * Cloud reports the account (/user). Server names the authenticated user in
+ * the X-AUSERNAME header of any request.
+ * @param {Object} credentials - { username, token, baseURL, authUser } (see provider.getCredentials)
+ * @returns {Promise<Object>} { account, scopes, missingScopes, expiresAt }
+ */
+async function checkToken(credentials) {
+  const client = createRestClient(credentials.username, credentials.token, credentials.baseURL, credentials.authUser);
+  const cloud = isCloud(credentials.baseURL);
+
+  let response;
+  try {
+    response = await client.get(cloud ? '/user' : `/users/${encodeURIComponent(credentials.username)}`);
+  } catch (error) {
+    handleApiError(error, 'Bitbucket', { logError: false });
+  }
+
+  if (cloud) {
+    const user = response.data;
+    return buildTokenCheck('Bitbucket', {
+      account: user.nickname || user.username,
+      accountIds: [user.username, user.account_id, user.uuid],
+      expected: credentials.username
+    });
+  }
+
+  const account = response.headers['x-ausername'];
+  return buildTokenCheck('Bitbucket', {
+    account: account || credentials.username,
+    expected: account ? credentials.username : null
+  });
+}
+
+module.exports = {
+  checkToken
+};
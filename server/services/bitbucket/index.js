@@ -0,0 +1,34 @@
+/**
+ * Bitbucket Service
+ *
+ * Orchestrator module that re-exports all Bitbucket service functions.
+ * Works with Bitbucket Cloud and Bitbucket Server / Data Center.
+ *
+ * EXPORTS:
+ * - getStats(dateRange) - Main stats with PR list
+ * - getAllPRsForPage(dateRange, credentials) - PR list for PRs page
+ * - getReviewComments(dateRange) - Review comment statistics
+ */
+
+const { prepareItemsForPage } = require('../../utils/serviceHelpers');
+const { getAllPullRequests } = require('./prs');
+const { getStats } = require('./stats');
+const { getReviewComments } = require('./comments');
+
+/**
+ * Get all PRs for the PRs page with date filtering
+ * @param {Object|null} dateRange - Optional date range
+ * @param {Object|null} credentials - Optional credentials (another roster user)
+ */
+async function getAllPRsForPage(dateRange = null, credentials = null) {
+  const prs = await getAllPullRequests(credentials, dateRange);
+  const transformFn = (pr) => ({ ...pr, _projectName: pr._repoName || 'unknown' });
+  return prepareItemsForPage(prs, dateRange, transformFn);
+}
+
+// Re-export all functions
+module.exports = {
+  getStats,
+  getAllPRsForPage,
+  getReviewComments
+};
@@ -0,0 +1,81 @@
+/**
+ * Bitbucket source provider (see services/registry.js)
+ */
+
+const bitbucketService = require('./index');
+const { checkToken } = require('./credentials');
+const { addMonthlySeries, normalizeBaseUrl } = require('../../utils/serviceHelpers');
+const { generateMockBitbucketPRsData, generateMockStatsData } = require('../../utils/mockData');
+
+const getBaseUrl = () => normalizeBaseUrl(process.env.BITBUCKET_BASE_URL, 'https://bitbucket.org');
+
+module.exports = {
+  id: 'bitbucket',
+  name: 'Bitbucket',
+  kind: 'code',
+  icon: '🪣',
+  order: 25,
+  itemsKey: 'prs',
+  // GitHub already serves /api/prs
+  itemsRoute: 'bitbucket-prs',
+  itemLabel: 'PRs',
+  itemsTtl: 300,
+
+  isConfigured: () => !!(process.env.BITBUCKET_USERNAME && process.env.BITBUCKET_TOKEN),
+  getBaseUrl,
+
+  getIdentity: (user) => user.bitbucket?.username || null,
+
+  getCredentials(user) {
+    if (!user.bitbucket?.username) return null;
+    return {
+      username: user.bitbucket.username,
+      token: user.bitbucket.token || process.env.BITBUCKET_TOKEN,
+      baseURL: user.bitbucket.baseURL || process.env.BITBUCKET_BASE_URL || 'https://bitbucket.org',
+      // The operator's login only goes with the operator's token
+      authUser: user.bitbucket.token ? user.bitbucket.authUser || null : process.env.BITBUCKET_AUTH_USER || null
+    };
+  },
+
+  credentialField: 'token',
+  credentialLabel: 'HTTP access token or app password',
+  credentialLoginField: 'authUser',
+  credentialLoginLabel: 'Login for Cloud app passwords (leave empty for access tokens)',
+  checkCredentials: checkToken,
+
+  getStats: (dateRange, credentials = null) => bitbucketService.getStats(dateRange, credentials),
+  getReviewStats: (dateRange, credentials = null) => bitbucketService.getReviewComments(dateRange, credentials),
+  getItemsForPage: (dateRange, credentials = null) => bitbucketService.getAllPRsForPage(dateRange, credentials),
+  getMockData: generateMockBitbucketPRsData,
+  getMockStats: () => generateMockStatsData().bitbucket,
+
+  normalizeItem: (pr) => ({
+    source: 'bitbucket',
+    id: pr.id,
+    key: `#${pr.number}`,
+    title: pr.title || '',
+    url: pr.html_url || '',
+    state: pr.state || '',
+    container: pr._repoName || pr._projectName || '',
+    createdAt: pr.created_at,
+    loggedAt: pr.created_at,
+    mergedAt: pr.merged_at || null
+  }),
+
+  summarize(stats, reviewStats) {
+    const monthly = {};
+    addMonthlySeries(monthly, stats.monthlyPRs, 'created');
+    addMonthlySeries(monthly, stats.monthlyMerged, 'merged');
+    Object.entries(reviewStats?.monthlyComments || {}).forEach(([month, count]) => {
+      addMonthlySeries(monthly, [{ month, count }], 'comments');
+    });
+
+    return {
+      created: stats.created ?? stats.total ?? 0,
+      merged: stats.merged || 0,
+      reviews: reviewStats?.prsReviewed || 0,
+      comments: reviewStats?.totalComments || 0,
+      monthly
+    };
+  }
+};
@@ -0,0 +1,147 @@
+/**
+ * Bitbucket Pull Requests
+ *
+ * Fetches PRs authored by a user from Bitbucket Cloud or Server and
+ * normalizes both into one shape (GitHub-style field names).
+ */
+
+const cache = require('../../utils/cache');
+const { getDateRange } = require('../../utils/dateHelpers');
+const { handleApiError } = require('../../utils/apiHelpers');
+const {
+  BITBUCKET_USERNAME,
+  BITBUCKET_TOKEN,
+  BITBUCKET_BASE_URL,
+  BITBUCKET_WORKSPACE,
+  BITBUCKET_REPOS,
+  isCloud,
+  createRestClient,
+  getAuthUser,
+  fetchAllPages
+} = require('./api');
+
+const CLOUD_STATES = ['OPEN', 'MERGED', 'DECLINED', 'SUPERSEDED'];
+const toIso = (timestamp) => (timestamp ? new Date(timestamp).toISOString() : null);
+
+/**
+ * Normalize a Cloud PR
+ * Cloud has no merge timestamp, so merged PRs use closed_on (or their last update)
+ */
+function normalizeCloudPR(pr) {
+  const repoName = pr.destination?.repository?.full_name || 'unknown';
+  const state = pr.state?.toLowerCase();
+  return {
+    id: `${repoName}#${pr.id}`,
+    number: pr.id,
+    title: pr.title,
+    state,
+    created_at: pr.created_on,
+    updated_at: pr.updated_on,
+    merged_at: state === 'merged' ? (pr.closed_on || pr.updated_on) : null,
+    html_url: pr.links?.html?.href,
+    _repoName: repoName
+  };
+}
+
+/**
+ * Normalize a Server / Data Center PR (dates are epoch milliseconds)
+ */
+function normalizeServerPR(pr) {
+  const repo = pr.toRef?.repository;
+  const repoName = repo ? `${repo.project?.key}/${repo.slug}` : 'unknown';
+  const state = pr.state?.toLowerCase();
+  return {
+    id: `${repoName}#${pr.id}`,
+    number: pr.id,
+    title: pr.title,
+    state,
+    created_at: toIso(pr.createdDate),
+    updated_at: toIso(pr.updatedDate),
+    merged_at: state === 'merged' ? toIso(pr.closedDate || pr.updatedDate) : null,
+    html_url: pr.links?.self?.[0]?.href,
+    _repoName: repoName
+  };
+}
+
+/**
+ * Split "PROJECT/repo" into its parts
+ */
+function parseRepo(fullName) {
+  const [owner, ...rest] = fullName.split('/');
+  return { owner, slug: rest.join('/') };
+}
+
+/**
+ * Fetch all PRs authored by user (newest first, stops at the range start)
+ * Cloud lists a user's PRs directly. Server can only list the token owner's PRs
+ * (dashboard), so other users need BITBUCKET_REPOS to scan.
+ * @param {Object|null} credentials - Optional credentials { username, token, baseURL }
+ * @param {Object|null} dateRange - Optional date range
+ */
+async function getAllPullRequests(credentials = null, dateRange = null) {
+  const username = credentials?.username || BITBUCKET_USERNAME;
+  const token = credentials?.token || BITBUCKET_TOKEN;
+  const baseURL = credentials?.baseURL || BITBUCKET_BASE_URL;
+
+  const cacheKey = `bitbucket-prs:v1:${username}:${JSON.stringify(dateRange)}`;
+  const cached = cache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const client = createRestClient(username, token, baseURL, getAuthUser(credentials));
+  const { start } = getDateRange(dateRange);
+  const olderThanRange = (field) => (values) => {
+    const last = values[values.length - 1];
+    return !!(start && last?.[field] && new Date(last[field]) < start);
+  };
+
+  let prs = [];
+  try {
+    if (isCloud(baseURL)) {
+      const path = BITBUCKET_WORKSPACE
+        ? `/workspaces/${encodeURIComponent(BITBUCKET_WORKSPACE)}/pullrequests/${encodeURIComponent(username)}`
+        : `/pullrequests/${encodeURIComponent(username)}`;
+      const values = await fetchAllPages(client, path, {
+        state: CLOUD_STATES,
+        pagelen: 50,
+        sort: '-created_on'
+      }, { stopWhen: olderThanRange('created_on') });
+      prs = values.map(normalizeCloudPR);
+    } else if (BITBUCKET_REPOS.length > 0) {
+      for (const fullName of BITBUCKET_REPOS) {
+        const { owner, slug } = parseRepo(fullName);
+        const values = await fetchAllPages(client, `/projects/${owner}/repos/${slug}/pull-requests`, {
+          state: 'ALL',
+          order: 'NEWEST',
+          'username.1': username,
+          'role.1': 'AUTHOR',
+          limit: 100
+        }, { stopWhen: olderThanRange('createdDate') });
+        prs.push(...values.map(normalizeServerPR));
+      }
+    } else {
+      if (token === BITBUCKET_TOKEN && username !== BITBUCKET_USERNAME) {
+        throw new Error('Bitbucket Server needs BITBUCKET_REPOS (or a per-user token) to fetch PRs for other users');
+      }
+      const values = await fetchAllPages(client, '/dashboard/pull-requests', {
+        role: 'AUTHOR',
+        state: 'ALL',
+        order: 'NEWEST',
+        limit: 100
+      }, { stopWhen: olderThanRange('createdDate') });
+      prs = values.map(normalizeServerPR);
+    }
+  } catch (error) {
+    if (!error.response) throw error;
+    handleApiError(error, 'Bitbucket');
+  }
+
+  cache.set(cacheKey, prs, 300);
+  return prs;
+}
+
+module.exports = {
+  getAllPullRequests,
+  parseRepo
+};
@@ -0,0 +1,66 @@
+/**
+ * Bitbucket Stats
+ *
+ * Handles stats calculation from authored PR data.
+ */
+
+const cache = require('../../utils/cache');
+const { calculatePRStats } = require('../../utils/statsHelpers');
+const { BITBUCKET_USERNAME, BITBUCKET_TOKEN } = require('./api');
+const { getAllPullRequests } = require('./prs');
+
+/**
+ * Get Bitbucket stats in the same shape as the GitHub/GitLab stats
+ * @param {Object|null} dateRange - Optional date range
+ * @param {Object|null} credentials - Optional credentials { username, token, baseURL }
+ */
+async function getStats(dateRange = null, credentials = null) {
+  const username = credentials?.username || BITBUCKET_USERNAME;
+  const token = credentials?.token || BITBUCKET_TOKEN;
+
+  if (!username || !token) {
+    throw new Error('Bitbucket credentials not configured');
+  }
+
+  const cacheKey = `bitbucket-stats:v1:${username}:${JSON.stringify(dateRange)}`;
+  const cached = cache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const prs = await getAllPullRequests(credentials, dateRange);
+
+  const prStats = calculatePRStats(prs, [], dateRange, {
+    mergedField: 'merged_at',
+    getState: (pr) => pr.state,
+    isMerged: (pr) => pr.state === 'merged',
+    isOpen: (pr) => pr.state === 'open',
+    // Superseded PRs were replaced by another PR, which counts as closed
+    isClosed: (pr) => pr.state === 'declined' || pr.state === 'superseded',
+    groupByKey: (pr) => pr._repoName || 'unknown'
+  });
+
+  const result = {
+    source: 'bitbucket',
+    username: username,
+    created: prStats.total,
+    merged: prStats.merged,
+    total: prStats.total,
+    open: prStats.open,
+    closed: prStats.closed,
+    avgPRsPerMonth: prStats.avgPRsPerMonth,
+    monthlyPRs: prStats.monthlyPRs,
+    monthlyMerged: prStats.monthlyMerged,
+    reposAuthored: prStats.reposAuthored,
+    repoBreakdown: prStats.repoBreakdown,
+    byRepository: prStats.grouped,
+    prs: prStats.items
+  };
+
+  cache.set(cacheKey, result, 300);
+  return result;
+}
+
+module.exports = {
+  getStats
+};
@@ -91,9 +91,9 @@ async function graphqlQuery(query, variables = {}, customClient = null) {
 
 // GraphQL Queries
 const AUTHORED_PRS_QUERY = `
-  query getAuthoredPRs($login: String!, $cursor: String) {
+  query getAuthoredPRs($login: String!, $cursor: String, $orderField: IssueOrderField = CREATED_AT) {
     user(login: $login) {
-      pullRequests(first: 100, after: $cursor, orderBy: {field: CREATED_AT, direction: DESC}) {
+      pullRequests(first: 100, after: $cursor, orderBy: {field: $orderField, direction: DESC}) {
         nodes {
           id
           number
@@ -148,6 +148,22 @@ const PR_REVIEWS_QUERY = `
         pullRequestReviewContributions(first: 100, after: $cursor) {
           totalCount
           nodes {
+            occurredAt
+            pullRequestReview {
+              id
+              body
+              submittedAt
+              comments(first: 100) {
+                totalCount
+                nodes {
+                  createdAt
+                }
+                pageInfo {
+                  hasNextPage
+                  endCursor
+                }
+              }
+            }
             pullRequest {
               id
               number
@@ -166,6 +182,25 @@ const PR_REVIEWS_QUERY = `
   }
 `;
 
+// Remaining comments for reviews with more than 100 inline comments
+const REVIEW_COMMENTS_QUERY = `
+  query getReviewComments($id: ID!, $cursor: String) {
+    node(id: $id) {
+      ... on PullRequestReview {
+        comments(first: 100, after: $cursor) {
+          nodes {
+            createdAt
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    }
+  }
+`;
+
 module.exports = {
   GITHUB_USERNAME,
   GITHUB_TOKEN,
@@ -177,5 +212,6 @@ module.exports = {
   createRestClient,
   AUTHORED_PRS_QUERY,
   CONTRIBUTIONS_QUERY,
-  PR_REVIEWS_QUERY
+  PR_REVIEWS_QUERY,
+  REVIEW_COMMENTS_QUERY
 };
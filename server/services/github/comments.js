@@ -2,18 +2,43 @@
  * GitHub Review Comments
  * 
  * Handles fetching review comments made by user on others' PRs.
- * Uses contributionsCollection GraphQL API (like engineering-metrics).
+ * Uses contributionsCollection GraphQL API (like engineering-metrics), reading
+ * each review's comments so counts and months come from real timestamps.
  */
 
 const cache = require('../../utils/cache');
-const { graphqlQuery, PR_REVIEWS_QUERY, GITHUB_USERNAME, GITHUB_TOKEN, createGraphQLClient } = require('./api');
+const { getDateRange } = require('../../utils/dateHelpers');
+const { graphqlQuery, PR_REVIEWS_QUERY, REVIEW_COMMENTS_QUERY, GITHUB_USERNAME, GITHUB_TOKEN, createGraphQLClient } = require('./api');
 
 /**
- * Fetch all PR review contributions with pagination to get unique PRs
+ * Fetch the rest of a review's inline comments when it has more than the first page
+ */
+async function fetchRemainingReviewComments(reviewId, cursor, customClient) {
+  const timestamps = [];
+  let hasNextPage = true;
+  
+  while (hasNextPage) {
+    const data = await graphqlQuery(REVIEW_COMMENTS_QUERY, { id: reviewId, cursor }, customClient);
+    const comments = data.node?.comments;
+    if (!comments?.nodes) break;
+    
+    timestamps.push(...comments.nodes.map(c => c.createdAt));
+    hasNextPage = comments.pageInfo?.hasNextPage || false;
+    cursor = comments.pageInfo?.endCursor;
+  }
+  
+  return timestamps;
+}
+
+/**
+ * Fetch all PR review contributions with pagination
+ * Returns unique PRs reviewed plus the timestamp of every comment left in those reviews.
+ * A review counts its inline comments, plus one for a non-empty review body.
  */
 async function fetchAllPRReviews(username, from, to, customClient) {
   const uniquePRs = new Set();
   const prsByRepo = new Map();
+  const comments = []; // [{ repo, createdAt }]
   let cursor = null;
   let hasNextPage = true;
   
@@ -31,17 +56,37 @@ async function fetchAllPRReviews(username, from, to, customClient) {
       
       for (const node of contributions.nodes) {
         const pr = node.pullRequest;
+        const repoName = pr?.repository?.nameWithOwner || 'unknown';
+        
         if (pr?.id) {
           uniquePRs.add(pr.id);
-          
-          const repoName = pr.repository?.nameWithOwner;
-          if (repoName) {
-            if (!prsByRepo.has(repoName)) {
-              prsByRepo.set(repoName, new Set());
-            }
-            prsByRepo.get(repoName).add(pr.id);
+          if (!prsByRepo.has(repoName)) {
+            prsByRepo.set(repoName, new Set());
+          }
+          prsByRepo.get(repoName).add(pr.id);
+        }
+        
+        const review = node.pullRequestReview;
+        if (!review) continue;
+        
+        if (review.body?.trim()) {
+          comments.push({ repo: repoName, createdAt: review.submittedAt || node.occurredAt });
+        }
+        
+        const reviewComments = review.comments;
+        const timestamps = (reviewComments?.nodes || []).map(c => c.createdAt);
+        if (reviewComments?.pageInfo?.hasNextPage) {
+          try {
+            const remaining = await fetchRemainingReviewComments(review.id, reviewComments.pageInfo.endCursor, customClient);
+            timestamps.push(...remaining);
+          } catch (error) {
+            console.warn(`⚠️ Error fetching remaining comments for review ${review.id}:`, error.message);
           }
         }
+        
+        for (const createdAt of timestamps) {
+          comments.push({ repo: repoName, createdAt });
+        }
       }
       
       hasNextPage = contributions.pageInfo?.hasNextPage || false;
@@ -52,7 +97,13 @@ async function fetchAllPRReviews(username, from, to, customClient) {
     }
   }
   
-  return { uniquePRs, prsByRepo };
+  // Only keep comments made inside the requested window
+  const inRange = comments.filter(c => {
+    const date = new Date(c.createdAt);
+    return !isNaN(date.getTime()) && date >= from && date <= to;
+  });
+  
+  return { uniquePRs, prsByRepo, comments: inRange };
 }
 
 /**
@@ -61,7 +112,6 @@ async function fetchAllPRReviews(username, from, to, customClient) {
 function calculateMonthsInRange(dateRange) {
   if (!dateRange) return 1;
   
-  const { getDateRange } = require('../../utils/dateHelpers');
   const range = getDateRange(dateRange);
   
   if (range.start === null && range.end === null) {
@@ -98,47 +148,45 @@ async function getReviewComments(dateRange = null, credentials = null) {
   }
 
   // Include username in cache key to avoid cache collisions
-  const cacheKey = `github-comments:v6:${username}:${JSON.stringify(dateRange)}`;
+  const cacheKey = `github-comments:v7:${username}:${JSON.stringify(dateRange)}`;
   const cached = cache.get(cacheKey);
   if (cached) {
     return cached;
   }
 
-  const to = dateRange?.end ? new Date(dateRange.end) : new Date();
+  // The end date is inclusive: count comments up to the end of that day
+  const to = dateRange?.end ? getDateRange(dateRange).end : new Date();
   const from = dateRange?.start ? new Date(dateRange.start) : new Date(to.getTime() - 365 * 24 * 60 * 60 * 1000);
 
   try {
     const customClient = credentials ? createGraphQLClient(username, token, baseURL) : null;
     
-    // Fetch unique PRs reviewed by paginating through all PR review contributions
-    const { uniquePRs, prsByRepo } = await fetchAllPRReviews(username, from, to, customClient);
+    // Fetch unique PRs reviewed and every review comment by paginating through PR review contributions
+    const { uniquePRs, prsByRepo, comments } = await fetchAllPRReviews(username, from, to, customClient);
     const prsReviewed = uniquePRs.size;
+    const totalComments = comments.length;
+    const avgCommentsPerPR = prsReviewed > 0 
+      ? Math.round((totalComments / prsReviewed) * 10) / 10 
+      : 0;
+    
+    // Comment counts per repository and per month (UTC, from real comment timestamps)
+    const commentsByRepo = new Map();
+    const monthlyComments = {};
+    for (const comment of comments) {
+      commentsByRepo.set(comment.repo, (commentsByRepo.get(comment.repo) || 0) + 1);
+      const monthKey = new Date(comment.createdAt).toISOString().substring(0, 7);
+      monthlyComments[monthKey] = (monthlyComments[monthKey] || 0) + 1;
+    }
     
     // Build breakdown by repository with unique PR counts
     const byRepo = Array.from(prsByRepo.entries())
       .map(([repo, prIds]) => ({
         repo,
         prsReviewed: prIds.size,
-        comments: 0 // contributionsCollection doesn't provide comment counts
+        comments: commentsByRepo.get(repo) || 0
       }))
       .sort((a, b) => b.prsReviewed - a.prsReviewed);
 
-    // Estimate comments: contributionsCollection doesn't provide exact comment counts
-    // Use a reasonable default average (2 comments per PR review is typical)
-    // This matches engineering-metrics approach
-    const DEFAULT_AVG_COMMENTS_PER_PR = 2.0;
-    const avgCommentsPerPR = DEFAULT_AVG_COMMENTS_PER_PR;
-    const totalComments = Math.round(prsReviewed * avgCommentsPerPR);
-
-    // Update byRepo with estimated comments
-    const byRepoWithComments = byRepo.map(r => ({
-      ...r,
-      comments: Math.round(r.prsReviewed * avgCommentsPerPR)
-    }));
-
-    // Calculate monthly breakdown
-    // Since contributionsCollection doesn't provide monthly breakdown,
-    // we'll distribute evenly across the date range
     const totalMonthsInRange = calculateMonthsInRange(dateRange);
     const avgReviewsPerMonth = totalMonthsInRange > 0 
       ? Math.round((prsReviewed / totalMonthsInRange) * 10) / 10 
@@ -147,30 +195,13 @@ async function getReviewComments(dateRange = null, credentials = null) {
       ? Math.round((totalComments / totalMonthsInRange) * 10) / 10
       : 0;
 
-    // Generate monthly breakdown (distribute evenly across months)
-    const monthlyComments = {};
-    if (totalMonthsInRange > 0 && prsReviewed > 0) {
-      const reviewsPerMonth = Math.floor(prsReviewed / totalMonthsInRange);
-      const remainder = prsReviewed % totalMonthsInRange;
-      
-      let currentDate = new Date(from);
-      for (let i = 0; i < totalMonthsInRange; i++) {
-        const monthKey = currentDate.toISOString().substring(0, 7);
-        const reviewsThisMonth = reviewsPerMonth + (i < remainder ? 1 : 0);
-        monthlyComments[monthKey] = Math.round(reviewsThisMonth * avgCommentsPerPR);
-        
-        // Move to next month
-        currentDate.setMonth(currentDate.getMonth() + 1);
-      }
-    }
-
     const result = {
       totalComments,
       prsReviewed,
       avgCommentsPerPR,
       avgReviewsPerMonth,
       avgCommentsPerMonth,
-      byRepo: byRepoWithComments,
+      byRepo,
       monthlyComments
     };
 
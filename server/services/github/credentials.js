@@ -0,0 +1,38 @@
+/**
+ * GitHub Credentials - Check a personal access token before it goes in the vault
+ */
+
+const { handleApiError } = require('../../utils/apiHelpers');
+const { buildTokenCheck } = require('../../utils/serviceHelpers');
+const { createRestClient } = require('./api');
+
+// Private repository PRs and reviews (fine-grained tokens don't report scopes)
+const REQUIRED_SCOPES = [['repo']];
+
+/**
+ * Check who a token belongs to, its scopes and its expiry
+ * @param {Object} credentials - { username, token, baseURL } (see provider.getCredentials)
+ * @returns {Promise<Object>} { account, scopes, missingScopes, expiresAt }
+ */
+async function checkToken(credentials) {
+  let response;
+  try {
+    response = await createRestClient(credentials.username, credentials.token, credentials.baseURL).get('/user');
+  } catch (error) {
+    handleApiError(error, 'GitHub', { logError: false });
+  }
+
+  const scopesHeader = response.headers['x-oauth-scopes'];
+  return buildTokenCheck('GitHub', {
+    account: response.data.login,
+    expected: credentials.username,
+    scopes: scopesHeader !== undefined ? scopesHeader.split(',').map(scope => scope.trim()).filter(Boolean) : null,
+    requiredScopes: REQUIRED_SCOPES,
+    // e.g. "2026-12-01 00:00:00 UTC"
+    expiresAt: response.headers['github-authentication-token-expiration']?.replace(' UTC', 'Z').replace(' ', 'T')
+  });
+}
+
+module.exports = {
+  checkToken
+};
@@ -5,7 +5,7 @@
  * 
  * EXPORTS:
  * - getStats(dateRange) - Main stats with contributions + PR list
- * - getAllPRsForPage(dateRange) - PR list for PRs page
+ * - getAllPRsForPage(dateRange, credentials) - PR list for PRs page
  * - getReviewComments(dateRange) - Review comment statistics
  * - getContributionStats(dateRange) - Contribution stats only
  */
@@ -17,9 +17,11 @@ const { getReviewComments } = require('./comments');
 
 /**
  * Get all PRs for the PRs page with date filtering
+ * @param {Object|null} dateRange - Optional date range
+ * @param {Object|null} credentials - Optional credentials (another roster user)
  */
-async function getAllPRsForPage(dateRange = null) {
-  const prs = await getAllPRs();
+async function getAllPRsForPage(dateRange = null, credentials = null) {
+  const prs = await getAllPRs(credentials);
   return prepareItemsForPage(prs, dateRange);
 }
 
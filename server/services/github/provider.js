@@ -0,0 +1,81 @@
+/**
+ * GitHub source provider (see services/registry.js)
+ */
+
+const githubService = require('./index');
+const { checkToken } = require('./credentials');
+const webhooks = require('./webhooks');
+const { addMonthlySeries, normalizeBaseUrl } = require('../../utils/serviceHelpers');
+const { generateMockPRsData, generateMockStatsData } = require('../../utils/mockData');
+
+const getBaseUrl = () => normalizeBaseUrl(process.env.GITHUB_BASE_URL, 'https://github.com');
+
+module.exports = {
+  id: 'github',
+  name: 'GitHub',
+  kind: 'code',
+  icon: '🐙',
+  order: 10,
+  itemsKey: 'prs',
+  itemLabel: 'PRs',
+  itemsTtl: 300,
+
+  isConfigured: () => !!(process.env.GITHUB_USERNAME && process.env.GITHUB_TOKEN),
+  getBaseUrl,
+
+  getIdentity: (user) => user.github?.username || null,
+
+  getCredentials(user) {
+    if (!user.github?.username) return null;
+    return {
+      username: user.github.username,
+      token: user.github.token || process.env.GITHUB_TOKEN,
+      baseURL: user.github.baseURL || process.env.GITHUB_BASE_URL || 'https://github.com'
+    };
+  },
+
+  credentialField: 'token',
+  credentialLabel: 'Personal access token (classic, repo scope)',
+  checkCredentials: checkToken,
+
+  isWebhookConfigured: webhooks.isWebhookConfigured,
+  verifyWebhook: webhooks.verifyWebhook,
+  handleWebhook: webhooks.handleWebhook,
+
+  getStats: (dateRange, credentials = null) => githubService.getStats(dateRange, credentials),
+  getReviewStats: (dateRange, credentials = null) => githubService.getReviewComments(dateRange, credentials),
+  getItemsForPage: (dateRange, credentials = null) => githubService.getAllPRsForPage(dateRange, credentials),
+  getMockData: generateMockPRsData,
+  getMockStats: () => generateMockStatsData().github,
+
+  normalizeItem: (pr) => ({
+    source: 'github',
+    id: pr.id,
+    key: `#${pr.number}`,
+    title: pr.title || '',
+    url: pr.html_url || '',
+    state: pr.state || '',
+    container: pr._repoName || pr.repository_url?.split('/repos/')[1] || '',
+    createdAt: pr.created_at,
+    loggedAt: pr.created_at,
+    mergedAt: pr.merged_at || pr.pull_request?.merged_at || null
+  }),
+
+  summarize(stats, reviewStats) {
+    const monthly = {};
+    addMonthlySeries(monthly, stats.monthlyPRs, 'created');
+    addMonthlySeries(monthly, stats.monthlyMerged, 'merged');
+    Object.entries(reviewStats?.monthlyComments || {}).forEach(([month, count]) => {
+      addMonthlySeries(monthly, [{ month, count }], 'comments');
+    });
+
+    return {
+      // The contributions query can report 0 created while the PR search found some
+      created: stats.created > 0 ? stats.created : (stats.total ?? 0),
+      merged: stats.merged || 0,
+      reviews: reviewStats?.prsReviewed || stats.reviews || 0,
+      comments: reviewStats?.totalComments || 0,
+      monthly
+    };
+  }
+};
@@ -2,60 +2,131 @@
  * GitHub Pull Requests
  * 
  * Handles fetching PRs via GraphQL API.
+ * Each user's PRs are kept in a sync store (see utils/syncStore.js): the first
+ * sync walks the whole history, later ones walk PRs by most recently updated
+ * and stop at the last sync's watermark. Webhook deliveries update stored PRs
+ * in between (see webhooks.js).
  */
 
-const cache = require('../../utils/cache');
-const { graphqlQuery, AUTHORED_PRS_QUERY, GITHUB_USERNAME, GITHUB_TOKEN, GITHUB_BASE_URL, createGraphQLClient } = require('./api');
+const { createSyncStore, syncItems } = require('../../utils/syncStore');
+const { graphqlQuery, AUTHORED_PRS_QUERY, GITHUB_USERNAME, GITHUB_BASE_URL, createGraphQLClient } = require('./api');
+
+const syncStore = createSyncStore('github');
 
 /**
- * Fetch all PRs authored by user via GraphQL
- * @param {Object|null} credentials - Optional credentials { username, token, baseURL }
+ * Map a GraphQL PR node to the REST-like shape the stats and pages use
  */
-async function getAllPRs(credentials = null) {
-  const username = credentials?.username || GITHUB_USERNAME;
-  const cacheKey = `github-prs:v3:${username}`;
-  const cached = cache.get(cacheKey);
-  if (cached) {
-    return cached;
-  }
+function mapPR(pr) {
+  return {
+    id: pr.id,
+    number: pr.number,
+    title: pr.title,
+    state: pr.state?.toLowerCase(),
+    created_at: pr.createdAt,
+    updated_at: pr.updatedAt,
+    closed_at: pr.closedAt,
+    merged_at: pr.mergedAt, // Also store directly for easier access
+    html_url: pr.url,
+    repository_url: pr.repository?.url?.replace('https://github.com', 'https://api.github.com/repos'),
+    _repoName: pr.repository?.nameWithOwner,
+    pull_request: { merged_at: pr.mergedAt }
+  };
+}
 
-  const allPRs = [];
+/**
+ * Walk a user's authored PRs, newest first
+ * @param {string} username - GitHub login
+ * @param {Object|null} client - GraphQL client (null for the env client)
+ * @param {Object} options - Options
+ * @param {string} options.orderField - CREATED_AT (stable paging for full syncs) or UPDATED_AT
+ * @param {string|null} options.updatedSince - Stop at PRs last updated before this (ISO), UPDATED_AT only
+ * @returns {Promise<Array>} Mapped PRs
+ */
+async function fetchAuthoredPRs(username, client, { orderField = 'CREATED_AT', updatedSince = null } = {}) {
+  const prs = [];
   let hasNextPage = true;
   let cursor = null;
-  const customClient = credentials ? createGraphQLClient(username, credentials.token, credentials.baseURL) : null;
 
   while (hasNextPage) {
-    const data = await graphqlQuery(AUTHORED_PRS_QUERY, { login: username, cursor }, customClient);
+    const data = await graphqlQuery(AUTHORED_PRS_QUERY, { login: username, cursor, orderField }, client);
     const connection = data.user?.pullRequests;
     
     if (!connection?.nodes) break;
 
     for (const pr of connection.nodes) {
-      allPRs.push({
-        id: pr.id,
-        number: pr.number,
-        title: pr.title,
-        state: pr.state?.toLowerCase(),
-        created_at: pr.createdAt,
-        updated_at: pr.updatedAt,
-        closed_at: pr.closedAt,
-        merged_at: pr.mergedAt, // Also store directly for easier access
-        html_url: pr.url,
-        repository_url: pr.repository?.url?.replace('https://github.com', 'https://api.github.com/repos'),
-        _repoName: pr.repository?.nameWithOwner,
-        pull_request: { merged_at: pr.mergedAt }
-      });
+      if (updatedSince && pr.updatedAt < updatedSince) {
+        return prs;
+      }
+      prs.push(mapPR(pr));
     }
 
     hasNextPage = connection.pageInfo.hasNextPage;
     cursor = connection.pageInfo.endCursor;
   }
 
-  cache.set(cacheKey, allPRs, 300);
-  return allPRs;
+  return prs;
+}
+
+/**
+ * Fetch all PRs authored by user via GraphQL
+ * @param {Object|null} credentials - Optional credentials { username, token, baseURL }
+ */
+async function getAllPRs(credentials = null) {
+  const username = credentials?.username || GITHUB_USERNAME;
+  const customClient = credentials ? createGraphQLClient(username, credentials.token, credentials.baseURL) : null;
+
+  const prs = await syncItems(syncStore, `${credentials?.baseURL || GITHUB_BASE_URL}|${username}`, {
+    getId: (pr) => pr.id,
+    fetchAll: () => fetchAuthoredPRs(username, customClient),
+    fetchUpdated: (since) => fetchAuthoredPRs(username, customClient, { orderField: 'UPDATED_AT', updatedSince: since })
+  });
+
+  // Newest first, like the API returns them
+  return prs.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+/**
+ * Store a PR from a `pull_request` webhook in its author's loaded stores
+ * @param {Object} pullRequest - REST PR from the webhook payload
+ * @returns {number} Number of stores updated
+ */
+function applyPullRequestEvent(pullRequest) {
+  const author = pullRequest.user?.login?.toLowerCase();
+  if (!author || !pullRequest.node_id) return 0;
+
+  // Same shape as mapPR (the GraphQL id is the REST node_id; merged PRs are 'merged')
+  const pr = mapPR({
+    id: pullRequest.node_id,
+    number: pullRequest.number,
+    title: pullRequest.title,
+    state: pullRequest.merged_at ? 'merged' : pullRequest.state,
+    createdAt: pullRequest.created_at,
+    updatedAt: pullRequest.updated_at,
+    closedAt: pullRequest.closed_at,
+    mergedAt: pullRequest.merged_at,
+    url: pullRequest.html_url,
+    repository: { nameWithOwner: pullRequest.base?.repo?.full_name, url: pullRequest.base?.repo?.html_url }
+  });
+
+  return syncStore.update(key => key.toLowerCase().endsWith(`|${author}`), state => {
+    state.items[pr.id] = pr;
+    return true;
+  });
+}
+
+/**
+ * Whether a user's PRs are loaded, i.e. stats built since startup can include their reviews
+ * @param {string} login - GitHub login
+ * @returns {boolean}
+ */
+function isTrackedUser(login) {
+  if (!login) return false;
+  const suffix = `|${login.toLowerCase()}`;
+  return syncStore.has(key => key.toLowerCase().endsWith(suffix));
 }
 
 module.exports = {
-  getAllPRs
+  getAllPRs,
+  applyPullRequestEvent,
+  isTrackedUser
 };
-
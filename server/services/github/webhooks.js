@@ -0,0 +1,45 @@
+/**
+ * GitHub Webhooks
+ *
+ * Receives `pull_request`, `pull_request_review`, `pull_request_review_comment`
+ * and `pull_request_review_thread` deliveries (content type application/json),
+ * signed with GITHUB_WEBHOOK_SECRET (X-Hub-Signature-256).
+ */
+
+const { verifyHmacSignature } = require('../../utils/webhookHelpers');
+const { applyPullRequestEvent, isTrackedUser } = require('./prs');
+
+// Stats and review caches (PR counts, contributions, review comments)
+const CACHE_PREFIXES = ['github-stats:', 'github-contributions:', 'github-comments:'];
+const REVIEW_EVENTS = ['pull_request_review', 'pull_request_review_comment', 'pull_request_review_thread'];
+
+const isWebhookConfigured = () => !!process.env.GITHUB_WEBHOOK_SECRET;
+
+function verifyWebhook(req) {
+  return verifyHmacSignature(req.body, req.get('x-hub-signature-256'), process.env.GITHUB_WEBHOOK_SECRET);
+}
+
+/**
+ * Apply a verified delivery
+ * @param {Object} payload - Parsed body
+ * @param {Object} headers - Request headers
+ * @returns {Object} { event, updated, tracked, cachePrefixes } ({ event, ignored } for other events);
+ *   `tracked` marks events that change no stored item but do change a loaded user's stats
+ */
+function handleWebhook(payload, headers) {
+  const event = headers['x-github-event'];
+
+  if (event === 'pull_request') {
+    return { event: `${event}.${payload.action}`, updated: applyPullRequestEvent(payload.pull_request || {}), cachePrefixes: CACHE_PREFIXES };
+  }
+  if (REVIEW_EVENTS.includes(event)) {
+    return { event: `${event}.${payload.action}`, updated: 0, tracked: isTrackedUser(payload.sender?.login), cachePrefixes: CACHE_PREFIXES };
+  }
+  return { event, ignored: true };
+}
+
+module.exports = {
+  isWebhookConfigured,
+  verifyWebhook,
+  handleWebhook
+};
@@ -0,0 +1,45 @@
+/**
+ * GitLab Credentials - Check a personal access token before it goes in the vault
+ */
+
+const { handleApiError } = require('../../utils/apiHelpers');
+const { buildTokenCheck } = require('../../utils/serviceHelpers');
+const { createRestClient } = require('./api');
+
+// Events, MRs and notes of other projects
+const REQUIRED_SCOPES = [['read_api', 'api']];
+
+/**
+ * Check who a token belongs to, its scopes and its expiry
+ * Roster GitLab identities are numeric user ids, so the id and username both match.
+ * @param {Object} credentials - { username, token, baseURL } (see provider.getCredentials)
+ * @returns {Promise<Object>} { account, scopes, missingScopes, expiresAt }
+ */
+async function checkToken(credentials) {
+  const client = createRestClient(credentials.username, credentials.token, credentials.baseURL);
+
+  let user;
+  try {
+    user = (await client.get('/user')).data;
+  } catch (error) {
+    handleApiError(error, 'GitLab', { logError: false });
+  }
+
+  // Token details need GitLab 15.5+
+  const token = await client.get('/personal_access_tokens/self')
+    .then(response => response.data)
+    .catch(() => null);
+
+  return buildTokenCheck('GitLab', {
+    account: user.username,
+    accountIds: [user.id],
+    expected: credentials.username,
+    scopes: token?.scopes || null,
+    requiredScopes: REQUIRED_SCOPES,
+    expiresAt: token?.expires_at
+  });
+}
+
+module.exports = {
+  checkToken
+};
@@ -5,7 +5,7 @@
  * 
  * EXPORTS:
  * - getStats(dateRange) - Main stats with events + MR list
- * - getAllMRsForPage(dateRange) - MR list for MRs page
+ * - getAllMRsForPage(dateRange, credentials) - MR list for MRs page
  * - getReviewComments(dateRange) - Review comment statistics
  * - getActionStats(dateRange) - Action stats only
  */
@@ -18,9 +18,11 @@ const { getActionStats } = require('./events');
 
 /**
  * Get all MRs for the MRs page with date filtering
+ * @param {Object|null} dateRange - Optional date range
+ * @param {Object|null} credentials - Optional credentials (another roster user)
  */
-async function getAllMRsForPage(dateRange = null) {
-  const mrs = await getAllMergeRequests();
+async function getAllMRsForPage(dateRange = null, credentials = null) {
+  const mrs = await getAllMergeRequests(credentials);
   const transformFn = (mr) => ({ ...mr, _projectName: mr._projectPath || 'unknown' });
   return prepareItemsForPage(mrs, dateRange, transformFn);
 }
@@ -1,110 +1,178 @@
 /**
  * GitLab Merge Requests
  * 
- * Handles fetching MRs via GraphQL API and project name resolution.
+ * Handles fetching MRs via the REST API and project name resolution.
+ * Each user's MRs are kept in a sync store (see utils/syncStore.js) covering
+ * MRs created since its floor date: the first sync downloads them all, later
+ * ones only ask for MRs with `updated_after` the last sync's watermark.
+ * Webhook deliveries update stored MRs in between (see webhooks.js).
  */
 
 const cache = require('../../utils/cache');
 const { buildGitLabDateParams } = require('../../utils/gitlabHelpers');
+const { createSyncStore, syncItems } = require('../../utils/syncStore');
 const { gitlabApi, createRestClient } = require('./api');
 const { handleApiError } = require('../../utils/apiHelpers');
 
+const MAX_PAGES = 50; // Limit pagination
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const syncStore = createSyncStore('gitlab');
+
 /**
- * Fetch all MRs authored by user via REST API (supports querying any user)
- * @param {Object|null} credentials - Optional credentials { username, token, baseURL }
+ * Map a REST MR to the shape the stats and pages use
  */
-async function getAllMergeRequests(credentials = null, dateRange = null) {
-  const username = credentials?.username || require('./api').GITLAB_USERNAME;
-  const token = credentials?.token || require('./api').GITLAB_TOKEN;
-  const baseURL = credentials?.baseURL || require('./api').GITLAB_BASE_URL || 'https://gitlab.com';
-  
-  const cacheKey = `gitlab-mrs:v5:${username}:${JSON.stringify(dateRange)}`;
-  const cached = cache.get(cacheKey);
-  if (cached) {
-    return cached;
+function mapMR(mr) {
+  // Extract project path from references or source/target project
+  let projectPath = 'unknown';
+  if (mr.references?.full) {
+    // Extract project path from full reference (e.g., "group/project!123")
+    const match = mr.references.full.match(/^([^!]+)/);
+    if (match) projectPath = match[1];
+  } else if (mr.source?.path_with_namespace) {
+    projectPath = mr.source.path_with_namespace;
+  } else if (mr.target?.path_with_namespace) {
+    projectPath = mr.target.path_with_namespace;
+  } else if (mr.project?.path_with_namespace) {
+    projectPath = mr.project.path_with_namespace;
   }
 
-  const customRestClient = createRestClient(username, token, baseURL);
-  const allMRs = [];
-  let page = 1;
-  const maxPages = 50; // Limit pagination
+  return {
+    id: mr.id,
+    iid: mr.iid,
+    title: mr.title,
+    state: mr.state?.toLowerCase(),
+    created_at: mr.created_at,
+    updated_at: mr.updated_at,
+    merged_at: mr.merged_at,
+    web_url: mr.web_url,
+    project_id: mr.project_id?.toString(),
+    _projectPath: projectPath
+  };
+}
 
-  // Determine if username is numeric (ID) or string (username)
-  const isNumericId = /^\d+$/.test(username);
+/**
+ * Page through a user's authored MRs
+ * @param {Object} client - REST client
+ * @param {string} username - Username or numeric user id
+ * @param {Object} filters - Extra query params (created_after, updated_after, order_by, ...)
+ * @returns {Promise<Array>} Mapped MRs
+ */
+async function fetchAuthoredMRs(client, username, filters) {
+  const mrs = [];
   const params = {
     state: 'all',
     scope: 'all',
     per_page: 100,
-    page: page,
     order_by: 'created_at',
     sort: 'desc',
     // Include project info in response
     with_labels_details: false,
-    with_merge_status_recheck: false
+    with_merge_status_recheck: false,
+    ...filters
   };
-  
+
   // Use author_id for numeric IDs, author_username for usernames
-  if (isNumericId) {
+  if (/^\d+$/.test(username)) {
     params.author_id = username;
   } else {
     params.author_username = username;
   }
-  
-  // Add date range filtering if provided
-  // Note: GitLab's created_before is exclusive, so buildGitLabDateParams adds 1 day
-  // to make it inclusive (include the full end date)
-  Object.assign(params, buildGitLabDateParams(dateRange));
 
-  while (page <= maxPages) {
+  for (let page = 1; page <= MAX_PAGES; page++) {
     try {
-      const response = await customRestClient.get('/merge_requests', {
-        params: {
-          ...params,
-          page: page
-        }
-      });
-
+      const response = await client.get('/merge_requests', { params: { ...params, page } });
       if (response.data.length === 0) break;
-      
-      for (const mr of response.data) {
-        // Extract project path from references or source/target project
-        let projectPath = 'unknown';
-        if (mr.references?.full) {
-          // Extract project path from full reference (e.g., "group/project!123")
-          const match = mr.references.full.match(/^([^!]+)/);
-          if (match) projectPath = match[1];
-        } else if (mr.source?.path_with_namespace) {
-          projectPath = mr.source.path_with_namespace;
-        } else if (mr.target?.path_with_namespace) {
-          projectPath = mr.target.path_with_namespace;
-        } else if (mr.project?.path_with_namespace) {
-          projectPath = mr.project.path_with_namespace;
-        }
-        
-        allMRs.push({
-          id: mr.id,
-          iid: mr.iid,
-          title: mr.title,
-          state: mr.state?.toLowerCase(),
-          created_at: mr.created_at,
-          updated_at: mr.updated_at,
-          merged_at: mr.merged_at,
-          web_url: mr.web_url,
-          project_id: mr.project_id?.toString(),
-          _projectPath: projectPath
-        });
-      }
-
+      mrs.push(...response.data.map(mapMR));
       if (response.data.length < 100) break;
-      page++;
     } catch (error) {
       handleApiError(error, 'GitLab');
       break;
     }
   }
 
-  cache.set(cacheKey, allMRs, 300);
-  return allMRs;
+  return mrs;
+}
+
+/**
+ * Filter stored MRs to a date range, the way created_after / created_before did
+ * (GitLab reads the days as UTC; the end day is included)
+ */
+function filterByCreated(mrs, dateRange) {
+  const start = dateRange?.start ? Date.parse(dateRange.start) : null;
+  const end = dateRange?.end ? Date.parse(dateRange.end) + DAY_MS : null;
+  return mrs.filter(mr => {
+    const created = Date.parse(mr.created_at);
+    return (start === null || created >= start) && (end === null || created < end);
+  });
+}
+
+/**
+ * Fetch all MRs authored by user via REST API (supports querying any user)
+ * @param {Object|null} credentials - Optional credentials { username, token, baseURL }
+ * @param {Object|null} dateRange - Optional date range (on created_at)
+ */
+async function getAllMergeRequests(credentials = null, dateRange = null) {
+  const username = credentials?.username || require('./api').GITLAB_USERNAME;
+  const token = credentials?.token || require('./api').GITLAB_TOKEN;
+  const baseURL = credentials?.baseURL || require('./api').GITLAB_BASE_URL || 'https://gitlab.com';
+  const customRestClient = createRestClient(username, token, baseURL);
+
+  const mrs = await syncItems(syncStore, `${baseURL}|${username}`, {
+    floor: dateRange?.start || null,
+    getId: (mr) => mr.id,
+    fetchAll: (floor) => fetchAuthoredMRs(customRestClient, username, buildGitLabDateParams(floor ? { start: floor } : null)),
+    // Older MRs updated since the last sync are outside the store's floor
+    fetchUpdated: async (since, floor) => filterByCreated(
+      await fetchAuthoredMRs(customRestClient, username, { updated_after: since, order_by: 'updated_at' }),
+      floor ? { start: floor } : null
+    )
+  });
+
+  // Newest first, like the API returns them
+  return filterByCreated(mrs, dateRange).sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+// Webhook timestamps can be "2024-01-02 03:04:05 UTC"
+const toIsoDate = (value) => (value && !isNaN(Date.parse(value)) ? new Date(value).toISOString() : value || null);
+
+/**
+ * Store an MR from a merge request webhook in the loaded stores it belongs to:
+ * its author's (by numeric id, or by username when the author opened it) and
+ * any store that already has it
+ * @param {Object} payload - Merge request webhook payload
+ * @returns {number} Number of stores updated
+ */
+function applyMergeRequestEvent(payload) {
+  const attributes = payload.object_attributes;
+  if (!attributes?.id) return 0;
+
+  const owners = [`|${attributes.author_id}`];
+  if (attributes.action === 'open' && payload.user?.username) {
+    owners.push(`|${payload.user.username.toLowerCase()}`);
+  }
+
+  const mr = mapMR({
+    id: attributes.id,
+    iid: attributes.iid,
+    title: attributes.title,
+    state: attributes.state,
+    created_at: toIsoDate(attributes.created_at),
+    updated_at: toIsoDate(attributes.updated_at),
+    merged_at: toIsoDate(attributes.merged_at),
+    web_url: attributes.url,
+    project_id: attributes.target_project_id,
+    project: payload.project
+  });
+
+  return syncStore.update(() => true, state => {
+    const stored = state.items[mr.id];
+    if (!stored && !owners.some(owner => state.key.toLowerCase().endsWith(owner))) return false;
+    // Payloads without merged_at: the merge event's update time is close enough
+    const mergedAt = mr.merged_at || stored?.merged_at || (mr.state === 'merged' ? mr.updated_at : null);
+    state.items[mr.id] = { ...stored, ...mr, merged_at: mergedAt };
+    return true;
+  });
 }
 
 /**
@@ -154,8 +222,21 @@ async function getProjectNames(projectIds, credentials = null) {
   return projectNamesMap;
 }
 
+/**
+ * Whether a user's MRs are loaded, i.e. stats built since startup can include their comments
+ * @param {string} username - GitLab username
+ * @returns {boolean}
+ */
+function isTrackedUser(username) {
+  if (!username) return false;
+  const suffix = `|${username.toLowerCase()}`;
+  return syncStore.has(key => key.toLowerCase().endsWith(suffix));
+}
+
 module.exports = {
   getAllMergeRequests,
-  getProjectNames
+  getProjectNames,
+  applyMergeRequestEvent,
+  isTrackedUser
 };
 
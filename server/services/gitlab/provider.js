@@ -0,0 +1,80 @@
+/**
+ * GitLab source provider (see services/registry.js)
+ */
+
+const gitlabService = require('./index');
+const { checkToken } = require('./credentials');
+const webhooks = require('./webhooks');
+const { addMonthlySeries, normalizeBaseUrl } = require('../../utils/serviceHelpers');
+const { generateMockMRsData, generateMockStatsData } = require('../../utils/mockData');
+
+const getBaseUrl = () => normalizeBaseUrl(process.env.GITLAB_BASE_URL, 'https://gitlab.com');
+
+module.exports = {
+  id: 'gitlab',
+  name: 'GitLab',
+  kind: 'code',
+  icon: '🦊',
+  order: 20,
+  itemsKey: 'mrs',
+  itemLabel: 'MRs',
+  itemsTtl: 300,
+
+  isConfigured: () => !!(process.env.GITLAB_USERNAME && process.env.GITLAB_TOKEN),
+  getBaseUrl,
+
+  getIdentity: (user) => user.gitlab?.username || null,
+
+  getCredentials(user) {
+    if (!user.gitlab?.username) return null;
+    return {
+      username: user.gitlab.username,
+      token: user.gitlab.token || process.env.GITLAB_TOKEN,
+      baseURL: user.gitlab.baseURL || process.env.GITLAB_BASE_URL || 'https://gitlab.com'
+    };
+  },
+
+  credentialField: 'token',
+  credentialLabel: 'Personal access token (read_api scope)',
+  checkCredentials: checkToken,
+
+  isWebhookConfigured: webhooks.isWebhookConfigured,
+  verifyWebhook: webhooks.verifyWebhook,
+  handleWebhook: webhooks.handleWebhook,
+
+  getStats: (dateRange, credentials = null) => gitlabService.getStats(dateRange, credentials),
+  getReviewStats: (dateRange, credentials = null) => gitlabService.getReviewComments(dateRange, credentials),
+  getItemsForPage: (dateRange, credentials = null) => gitlabService.getAllMRsForPage(dateRange, credentials),
+  getMockData: generateMockMRsData,
+  getMockStats: () => generateMockStatsData().gitlab,
+
+  normalizeItem: (mr) => ({
+    source: 'gitlab',
+    id: mr.id,
+    key: `!${mr.iid}`,
+    title: mr.title || '',
+    url: mr.web_url || '',
+    state: mr.state || '',
+    container: mr._projectPath || mr._projectName || '',
+    createdAt: mr.created_at,
+    loggedAt: mr.created_at,
+    mergedAt: mr.merged_at || null
+  }),
+
+  summarize(stats, reviewStats) {
+    const monthly = {};
+    addMonthlySeries(monthly, stats.monthlyMRs, 'created');
+    addMonthlySeries(monthly, stats.monthlyMerged, 'merged');
+    Object.entries(reviewStats?.monthlyComments || {}).forEach(([month, count]) => {
+      addMonthlySeries(monthly, [{ month, count }], 'comments');
+    });
+
+    return {
+      created: stats.created ?? stats.total ?? 0,
+      merged: stats.merged || 0,
+      reviews: reviewStats?.mrsReviewed || 0,
+      comments: reviewStats?.totalComments || 0,
+      monthly
+    };
+  }
+};
@@ -0,0 +1,42 @@
+/**
+ * GitLab Webhooks
+ *
+ * Receives merge request and comment (note) events, authenticated by the
+ * secret token GitLab sends in X-Gitlab-Token (GITLAB_WEBHOOK_SECRET).
+ */
+
+const { secretsMatch } = require('../../utils/webhookHelpers');
+const { applyMergeRequestEvent, isTrackedUser } = require('./mrs');
+
+// Stats, events (approvals) and review comment caches
+const CACHE_PREFIXES = ['gitlab-stats:', 'gitlab-actions:', 'gitlab-comments:'];
+
+const isWebhookConfigured = () => !!process.env.GITLAB_WEBHOOK_SECRET;
+
+function verifyWebhook(req) {
+  return secretsMatch(req.get('x-gitlab-token'), process.env.GITLAB_WEBHOOK_SECRET);
+}
+
+/**
+ * Apply a verified delivery
+ * @param {Object} payload - Parsed body
+ * @returns {Object} { event, updated, tracked, cachePrefixes } ({ event, ignored } for other events);
+ *   `tracked` marks events that change no stored item but do change a loaded user's stats
+ */
+function handleWebhook(payload) {
+  const event = payload.object_kind;
+
+  if (event === 'merge_request') {
+    return { event: `${event}.${payload.object_attributes?.action || 'update'}`, updated: applyMergeRequestEvent(payload), cachePrefixes: CACHE_PREFIXES };
+  }
+  if (event === 'note') {
+    return { event: `${event}.${payload.object_attributes?.noteable_type || 'unknown'}`, updated: 0, tracked: isTrackedUser(payload.user?.username), cachePrefixes: CACHE_PREFIXES };
+  }
+  return { event, ignored: true };
+}
+
+module.exports = {
+  isWebhookConfigured,
+  verifyWebhook,
+  handleWebhook
+};
@@ -1,5 +1,9 @@
-const { buildJqlDateFilter, buildJqlQuery } = require('../../utils/jiraHelpers');
 const { handleApiError, createApiClient } = require('../../utils/apiHelpers');
+const { ensureFieldsDiscovered, getRequiredFieldIds } = require('./fields');
+const { getScopeFieldIds } = require('./scope');
+const { syncIssues } = require('./sync');
+
+const RESOLVED_STATUSES = ['Done', 'Closed'];
 
 const JIRA_PAT = process.env.JIRA_PAT;
 const JIRA_BASE_URL = process.env.JIRA_BASE_URL;
@@ -48,8 +52,33 @@ async function getCurrentUser(credentials = null) {
   }
 }
 
+/**
+ * Filter synced issues the way the JQL used to: status in (Done, Closed) unless
+ * includeAllStatuses, and the date range on resolutiondate (resolved) or updated (all statuses)
+ * Range days start at local midnight, like JQL dates, so "<= end" stops at the start of the end day.
+ * @returns {Array} Matching issues, most recent first
+ */
+function filterIssues(issues, dateRange, includeAllStatuses) {
+  const dateField = includeAllStatuses ? 'updated' : 'resolutiondate';
+  const start = dateRange?.start ? new Date(`${dateRange.start}T00:00:00`).getTime() : null;
+  const end = dateRange?.end ? new Date(`${dateRange.end}T00:00:00`).getTime() : null;
+  const getTime = (issue) => new Date(issue.fields?.[dateField] || 0).getTime();
+
+  return issues
+    .filter(issue => includeAllStatuses || RESOLVED_STATUSES.includes(issue.fields?.status?.name))
+    .filter(issue => {
+      if (start === null && end === null) return true;
+      if (!issue.fields?.[dateField]) return false;
+      const time = getTime(issue);
+      return (start === null || time >= start) && (end === null || time <= end);
+    })
+    .sort((a, b) => getTime(b) - getTime(a));
+}
+
 /**
  * Get all issues for the current user
+ * Issues come from the user's incremental sync store (see sync.js), so only
+ * issues updated since the last sync are downloaded.
  * @param {Object} dateRange - Optional date range filter
  * @param {Object} options - Options object
  * @param {boolean} options.includeAllStatuses - If true, fetch all issues (not just Done/Closed)
@@ -60,17 +89,7 @@ async function getAllIssues(dateRange = null, options = {}) {
   
   const userEmail = credentials?.email;
   const cache = require('../../utils/cache');
-  const cacheKey = `jira-raw-issues:${userEmail || 'default'}:${includeAllStatuses ? 'all' : 'resolved'}:${JSON.stringify(dateRange)}`;
-  const cached = cache.get(cacheKey);
-  if (cached) {
-    return cached;
-  }
-  
   const client = credentials ? createJiraClient(credentials.pat, credentials.baseURL) : jiraApi;
-  const issues = [];
-  let startAt = 0;
-  const maxResults = 100;
-  let hasMore = true;
   
   // When credentials.email is provided, use it directly (don't call getCurrentUser)
   // getCurrentUser() returns the PAT owner, not the user we're querying for
@@ -108,95 +127,64 @@ async function getAllIssues(dateRange = null, options = {}) {
     }
   }
 
-  // Status filter: either all issues or just resolved
-  const statusFilter = includeAllStatuses 
-    ? '' 
-    : `status in (Done, Closed)`;
-
-  // Date range filter for JQL
-  // For resolved issues, filter by resolutiondate (matches engineering-metrics)
-  // For all-status queries, filter by updated date
-  // Note: Velocity calculation filters months afterward, so date filtering here is correct
-  const dateField = includeAllStatuses ? 'updated' : 'resolutiondate';
-  const dateFilter = buildJqlDateFilter(dateRange, dateField);
-
-  // Build JQL queries - try different assignee formats
+  // Assignee clauses, in order of preference - the first one Jira allows is used
   // When credentials are provided (querying for specific user), skip currentUser() 
   // because it will refer to the PAT owner, not the user we're querying for
-  const baseQueries = [];
-  const orderBy = includeAllStatuses ? 'ORDER BY updated DESC' : 'ORDER BY resolved DESC';
-  const filters = [statusFilter, dateFilter].filter(f => f);
-  
+  const assigneeClauses = [];
   if (!credentials) {
-    // Only use currentUser() when no explicit credentials (default user)
-    baseQueries.push(buildJqlQuery('assignee = currentUser()', filters, orderBy));
+    assigneeClauses.push('assignee = currentUser()');
   }
-  
-  // Always try email and accountId when available
   if (resolvedUserEmail) {
-    baseQueries.push(buildJqlQuery(`assignee = "${resolvedUserEmail}"`, filters, orderBy));
+    assigneeClauses.push(`assignee = "${resolvedUserEmail}"`);
   }
   if (userAccountId) {
-    baseQueries.push(buildJqlQuery(`assignee = ${userAccountId}`, filters, orderBy));
+    assigneeClauses.push(`assignee = ${userAccountId}`);
   }
-  
-  const jqlQueries = baseQueries;
+
+  // Custom field IDs depend on the instance, so look them up first
+  await ensureFieldsDiscovered(jiraApi || client);
 
   // Only fetch fields we actually need to reduce payload size
   const requiredFields = [
     'key', 'summary', 'status', 'created', 'updated', 'resolutiondate',
     'issuetype', 'project', 'timespent', 'timeoriginalestimate',
     'assignee', 'reporter', 'priority', 'description',
-    'labels', 'components', // For ESPN Web scope checking
-    'customfield_10207', // Root Cause field (for CTOI scope checking)
-    'customfield_10105', 'customfield_10020', 'customfield_10007', 'customfield_10000', // Sprint fields
-    'customfield_10106', 'customfield_21766', 'customfield_10016', 'customfield_10021', // Story point fields
-    'customfield_10002', 'customfield_10004', 'customfield_10020',
-    'customfield_10101', // Disney Jira epic link field
-    'customfield_10011', 'customfield_10014', 'customfield_10015', 'customfield_10008', 'customfield_10009', 'customfield_10010', // Common epic link fields
+    'labels', 'components', // For scope checking
+    ...new Set([
+      ...getRequiredFieldIds(), // Story points, sprint, epic link and root cause (see fields.js)
+      ...getScopeFieldIds() // Fields the scope rules read (see scope.js)
+    ]),
     'parent', 'epicLink', 'epicName' // Epic fields
   ];
 
-  let jqlIndex = 0;
-
-  while (hasMore && jqlIndex < jqlQueries.length) {
-    try {
-      const jql = jqlQueries[jqlIndex];
-      const response = await client.post('/rest/api/2/search', {
-        jql: jql,
-        startAt: startAt,
-        maxResults: maxResults,
-        fields: requiredFields,
-        expand: ['names', 'changelog']
-      });
-
-      if (response.data.issues.length === 0) {
-        hasMore = false;
-      } else {
-        issues.push(...response.data.issues);
-        startAt += maxResults;
-        
-        if (response.data.issues.length < maxResults || issues.length >= response.data.total) {
-          hasMore = false;
-        }
-      }
-    } catch (error) {
-      // If 403 and we have more JQL queries to try, try the next one
-      if (error.response?.status === 403 && jqlIndex < jqlQueries.length - 1) {
-        jqlIndex++;
-        startAt = 0;
-        continue;
-      }
-      
-      // For other errors or final query attempt, use standard handler
-      handleApiError(error, 'Jira');
-      hasMore = false;
-    }
-  }
+  // Resolved issues in the range were also updated in it, so both filters need
+  // the store to cover issues updated since the range start
+  const issues = await syncIssues({
+    key: `${credentials?.baseURL || normalizedBaseURL}|${credentials ? userEmail : 'default'}`,
+    client,
+    clauses: assigneeClauses,
+    fields: requiredFields,
+    floor: dateRange?.start || null
+  });
+
+  return filterIssues(issues, dateRange, includeAllStatuses);
+}
 
-  // Cache raw issues for 10 minutes
-  cache.set(cacheKey, issues, 600);
-  return issues;
+/**
+ * Get a single issue by key
+ * @param {string} issueKey - Issue key (e.g. "SEWEB-123")
+ * @param {Array<string>} fields - Fields to fetch
+ * @returns {Promise<Object>} JIRA issue
+ */
+async function getIssue(issueKey, fields) {
+  try {
+    const response = await jiraApi.get(`/rest/api/2/issue/${encodeURIComponent(issueKey)}`, {
+      params: { fields: fields.join(',') }
+    });
+    return response.data;
+  } catch (error) {
+    handleApiError(error, 'Jira');
+  }
 }
 
 /**
@@ -211,6 +199,7 @@ module.exports = {
   jiraApi,
   getCurrentUser,
   getAllIssues,
+  getIssue,
   isConfigured,
   createJiraClient,
   JIRA_PAT,
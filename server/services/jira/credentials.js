@@ -0,0 +1,44 @@
+/**
+ * JIRA Credentials - Check a personal access token before it goes in the vault
+ */
+
+const { handleApiError } = require('../../utils/apiHelpers');
+const { buildTokenCheck } = require('../../utils/serviceHelpers');
+const { createJiraClient } = require('./api');
+
+/**
+ * Check who a token belongs to and its expiry
+ * PATs have no scopes; Data Center reports expiry through the PAT API.
+ * @param {Object} credentials - { email, pat, baseURL } (see provider.getCredentials)
+ * @returns {Promise<Object>} { account, scopes, missingScopes, expiresAt }
+ */
+async function checkToken(credentials) {
+  const client = createJiraClient(credentials.pat, credentials.baseURL);
+
+  let myself;
+  try {
+    myself = (await client.get('/rest/api/2/myself')).data;
+  } catch (error) {
+    handleApiError(error, 'Jira', { logError: false });
+  }
+
+  // The token used for the request isn't marked, so use the one expiring first
+  const tokens = await client.get('/rest/pat/latest/tokens')
+    .then(response => (Array.isArray(response.data) ? response.data : []))
+    .catch(() => []);
+  const expiresAt = tokens
+    .map(token => token.expiringAt)
+    .filter(Boolean)
+    .sort()[0];
+
+  return buildTokenCheck('Jira', {
+    account: myself.emailAddress || myself.name,
+    accountIds: [myself.name, myself.key],
+    expected: credentials.email,
+    expiresAt
+  });
+}
+
+module.exports = {
+  checkToken
+};
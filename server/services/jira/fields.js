@@ -0,0 +1,261 @@
+/**
+ * JIRA Fields - Custom field mapping (story points, sprint, epic link, root cause)
+ *
+ * Custom field IDs differ between Jira instances, so they are discovered from
+ * /rest/api/2/field by name/schema. Each role resolves in this order:
+ *   1. Override from the environment (e.g. JIRA_STORY_POINTS_FIELD=customfield_10016)
+ *   2. Fields discovered on the configured Jira instance
+ *   3. The built-in list of commonly used IDs (until discovery has run, or if it fails)
+ */
+
+const { handleApiError } = require('../../utils/apiHelpers');
+
+// Retry a failed discovery at most this often
+const RETRY_AFTER_MS = 10 * 60 * 1000;
+
+const FIELD_ROLES = {
+  storyPoints: {
+    label: 'Story Points',
+    env: 'JIRA_STORY_POINTS_FIELD',
+    defaults: [
+      'customfield_10106', // Disney Jira story points
+      'customfield_21766', // Disney Jira story points
+      'customfield_10016', // Common in Jira Cloud
+      'customfield_10021', // Another common one
+      'customfield_10002', // Sometimes used
+      'customfield_10004', // Sometimes used
+      'customfield_10020'  // Can be story points (but also sprints)
+    ],
+    // Non-custom field name, also set on Linear issues
+    aliases: ['storyPoints'],
+    match: (field) => /^story ?points?( estimate)?$/i.test(field.name)
+  },
+  sprint: {
+    label: 'Sprint',
+    env: 'JIRA_SPRINT_FIELD',
+    defaults: [
+      'customfield_10020', // Most common
+      'customfield_10105',
+      'customfield_10100',
+      'customfield_10001',
+      'customfield_10005',
+      'customfield_10017',
+      'customfield_10200',
+      'customfield_10201',
+      'customfield_10202',
+      'customfield_10104'
+    ],
+    aliases: ['sprint'],
+    match: (field) => field.schema?.custom === 'com.pyxis.greenhopper.jira:gh-sprint'
+  },
+  epicLink: {
+    label: 'Epic Link',
+    env: 'JIRA_EPIC_LINK_FIELD',
+    defaults: [
+      'customfield_10101', // Disney Jira epic link field
+      'customfield_10011', // Common epic link fields
+      'customfield_10014',
+      'customfield_10015',
+      'customfield_10008',
+      'customfield_10009',
+      'customfield_10010',
+      'customfield_10007'
+    ],
+    aliases: [],
+    match: (field) => field.schema?.custom === 'com.pyxis.greenhopper.jira:gh-epic-link' || /^epic link$/i.test(field.name)
+  },
+  rootCause: {
+    label: 'Root Cause',
+    env: 'JIRA_ROOT_CAUSE_FIELD',
+    defaults: [
+      'customfield_10207' // CTOI Root Cause
+    ],
+    aliases: ['Root Cause'],
+    match: (field) => /root cause/i.test(field.name)
+  }
+};
+
+// Discovery state for the configured Jira instance
+const discovery = {
+  status: 'pending', // pending, running, ok, failed
+  fields: null,      // role -> [{ id, name }]
+  error: null,
+  discoveredAt: null,
+  promise: null
+};
+
+/**
+ * Parse a comma-separated override (e.g. "customfield_10016,customfield_10002")
+ */
+function getOverride(role) {
+  const value = process.env[FIELD_ROLES[role].env];
+  if (!value) return null;
+  const ids = value.split(',').map(id => id.trim()).filter(Boolean);
+  return ids.length > 0 ? ids : null;
+}
+
+/**
+ * Get the custom field IDs for a role
+ * @param {string} role - storyPoints, sprint, epicLink or rootCause
+ * @returns {Array<string>} Field IDs, most specific first
+ */
+function getFieldIds(role) {
+  const override = getOverride(role);
+  if (override) return override;
+
+  const discovered = discovery.fields?.[role];
+  if (discovered && discovered.length > 0) {
+    return discovered.map(field => field.id);
+  }
+
+  return FIELD_ROLES[role].defaults;
+}
+
+/**
+ * Get the field keys to read for a role (custom field IDs, then aliases)
+ * @param {string} role - storyPoints, sprint, epicLink or rootCause
+ * @returns {Array<string>} Keys into issue.fields
+ */
+function getFieldKeys(role) {
+  return [...getFieldIds(role), ...FIELD_ROLES[role].aliases];
+}
+
+/**
+ * Get the first non-empty value of a role's fields on an issue
+ * @param {Object} issue - JIRA issue object
+ * @param {string} role - storyPoints, sprint, epicLink or rootCause
+ * @returns {any|null} Field value
+ */
+function getFieldValue(issue, role) {
+  for (const key of getFieldKeys(role)) {
+    const value = issue.fields?.[key];
+    if (value !== undefined && value !== null && value !== '') {
+      return value;
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the custom field IDs the issue searches need to request
+ * @returns {Array<string>} Unique field IDs across all roles
+ */
+function getRequiredFieldIds() {
+  return [...new Set(Object.keys(FIELD_ROLES).flatMap(getFieldIds))];
+}
+
+/**
+ * Match Jira's field list against the roles
+ * @param {Array} fields - Response of /rest/api/2/field
+ * @returns {Object} role -> [{ id, name }]
+ */
+function matchFields(fields) {
+  const customFields = fields.filter(field => field.custom || field.id?.startsWith('customfield_'));
+  return Object.fromEntries(Object.entries(FIELD_ROLES).map(([role, definition]) => [
+    role,
+    customFields
+      .filter(definition.match)
+      .map(field => ({ id: field.id, name: field.name }))
+  ]));
+}
+
+/**
+ * Discover the custom field IDs on a Jira instance
+ * Failures are recorded (see getFieldMapping) and the last discovered (or
+ * default) IDs stay in use.
+ * @param {Object} client - Jira API client
+ * @returns {Promise<Object>} The field mapping
+ */
+async function discoverFields(client) {
+  if (!client) {
+    discovery.status = 'failed';
+    discovery.error = 'Jira not configured';
+    return getFieldMapping();
+  }
+
+  discovery.status = 'running';
+  try {
+    let response;
+    try {
+      response = await client.get('/rest/api/2/field');
+    } catch (error) {
+      handleApiError(error, 'Jira', { logError: false });
+    }
+
+    discovery.fields = matchFields(response.data || []);
+    discovery.status = 'ok';
+    discovery.error = null;
+    discovery.discoveredAt = new Date().toISOString();
+
+    const summary = Object.entries(discovery.fields)
+      .map(([role, fields]) => `${role}=${fields.map(field => field.id).join(',') || 'default'}`)
+      .join(' ');
+    console.log(`✓ Jira fields discovered: ${summary}`);
+  } catch (error) {
+    discovery.status = 'failed';
+    discovery.error = error.message;
+    discovery.discoveredAt = new Date().toISOString();
+    console.warn('⚠️ Jira field discovery failed, using default field IDs:', error.message);
+  }
+
+  return getFieldMapping();
+}
+
+/**
+ * Run discovery once (shared by concurrent callers), retrying after a failure
+ * @param {Object} client - Jira API client
+ * @param {Object} options - { refresh } to discover again
+ * @returns {Promise<Object>} The field mapping
+ */
+function ensureFieldsDiscovered(client, { refresh = false } = {}) {
+  const retryDue = discovery.status === 'failed' &&
+    Date.now() - new Date(discovery.discoveredAt).getTime() > RETRY_AFTER_MS;
+
+  if (!discovery.promise || retryDue || refresh) {
+    discovery.promise = discoverFields(client);
+  }
+  return discovery.promise;
+}
+
+/**
+ * Get the field mapping in use, for diagnostics
+ * @returns {Object} { status, error, discoveredAt, fields: { role: { source, ids, discovered, defaults } } }
+ */
+function getFieldMapping() {
+  const fields = Object.fromEntries(Object.entries(FIELD_ROLES).map(([role, definition]) => {
+    const discovered = discovery.fields?.[role] || [];
+    let source = 'default';
+    if (getOverride(role)) {
+      source = 'override';
+    } else if (discovered.length > 0) {
+      source = 'discovered';
+    }
+
+    return [role, {
+      label: definition.label,
+      env: definition.env,
+      source,
+      ids: getFieldIds(role),
+      discovered,
+      defaults: definition.defaults
+    }];
+  }));
+
+  return {
+    status: discovery.status,
+    error: discovery.error,
+    discoveredAt: discovery.discoveredAt,
+    fields
+  };
+}
+
+module.exports = {
+  FIELD_ROLES,
+  getFieldIds,
+  getFieldKeys,
+  getFieldValue,
+  getRequiredFieldIds,
+  discoverFields,
+  ensureFieldsDiscovered,
+  getFieldMapping
+};
@@ -1,19 +1,10 @@
+const { getFieldKeys } = require('./fields');
+
 /**
  * Get story points from an issue
  */
 function getStoryPoints(issue) {
-  const storyPointFields = [
-    'customfield_10106', // Disney Jira story points
-    'customfield_21766', // Disney Jira story points
-    'customfield_10016', // Common in Jira Cloud
-    'customfield_10021', // Another common one
-    'customfield_10002', // Sometimes used
-    'customfield_10004', // Sometimes used
-    'customfield_10020', // Can be story points (but also sprints)
-    'storyPoints'        // Direct field name
-  ];
-  
-  for (const fieldName of storyPointFields) {
+  for (const fieldName of getFieldKeys('storyPoints')) {
     const fieldValue = issue.fields?.[fieldName];
     if (fieldValue !== undefined && fieldValue !== null && fieldValue !== '') {
       const points = Number(fieldValue);
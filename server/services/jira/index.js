@@ -4,20 +4,23 @@
  */
 
 const { filterByDateRange, calculateMonthlyStats, calculateTimePeriodStats, formatDateRangeForResponse } = require('../../utils/dateHelpers');
-const { jiraApi, getCurrentUser, getAllIssues, isConfigured, JIRA_PAT, JIRA_BASE_URL } = require('./api');
+const { jiraApi, getCurrentUser, getAllIssues, getIssue, isConfigured, JIRA_PAT, JIRA_BASE_URL } = require('./api');
 const { calculateCycleTimeByPriority, getIssuePriority, getInProgressDate, getQAReadyDate } = require('./cycleTime');
-const { getStoryPoints, isInESPNWebScope } = require('./scope');
+const { getStoryPoints, isInScope, loadScopeRules, getScopeFieldIds, getFieldStrings } = require('./scope');
 const { calculateVelocity } = require('./velocity');
+const { getSprintVelocityByBoard } = require('./sprintReport');
 const { getCTOIStats } = require('./ctoi');
+const { getFieldIds, ensureFieldsDiscovered, getFieldMapping } = require('./fields');
 const { findSprintField, extractSprintInfo, getAllSprints, getBestSprintForIssue, getSprintName, getBoardIdsFromIssues, getBoardName } = require('./sprints');
 
 /**
  * Calculate comprehensive stats from issues
  * @param {Array} issues - Array of JIRA issues  
  * @param {Object|null} dateRange - Optional date range
+ * @param {Object|null} credentials - Optional credentials { email, pat, baseURL } (for sprint reports)
  * @returns {Promise<Object>} Calculated stats
  */
-async function calculateStats(issues, dateRange = null) {
+async function calculateStats(issues, dateRange = null, credentials = null) {
   // Don't filter issues by date - velocity calculation groups by month from resolutiondate
   let filteredIssues = issues;
 
@@ -85,8 +88,12 @@ async function calculateStats(issues, dateRange = null) {
     return sum + getStoryPoints(issue);
   }, 0);
 
-  // Velocity
+  // Velocity (monthly approximation + real per-sprint numbers by board)
   const velocity = calculateVelocity(filteredIssues, dateRange);
+  velocity.byBoard = await getSprintVelocityByBoard(filteredIssues, dateRange, credentials).catch(err => {
+    console.warn('⚠️ Failed to fetch sprint reports:', err.message);
+    return null;
+  });
 
   // Monthly stats
   const monthlyIssues = calculateMonthlyStats(filteredIssues, 'fields.updated', dateRange);
@@ -159,15 +166,8 @@ async function getStats(dateRange = null, credentials = null) {
   }
 
   // Try to reuse enriched issues from getAllIssuesForPage cache if available
-  // This only works when no credentials are provided (both use default user)
-  let issues = null;
-  if (!credentials) {
-    const issuesPageCacheKey = `issues-page:${JSON.stringify(dateRange)}`;
-    const cachedEnrichedIssues = cache.get(issuesPageCacheKey);
-    if (cachedEnrichedIssues) {
-      issues = cachedEnrichedIssues;
-    }
-  }
+  // (both are keyed by the same user)
+  let issues = cache.get(getIssuesPageCacheKey(dateRange, credentials)) || null;
 
   // Fetch both main stats and CTOI stats in parallel
   // If we didn't reuse cache, fetch issues fresh
@@ -182,7 +182,7 @@ async function getStats(dateRange = null, credentials = null) {
   // Use fetched issues (either from cache or fresh fetch)
   issues = fetchedIssues;
   
-  const stats = await calculateStats(issues, dateRange);
+  const stats = await calculateStats(issues, dateRange, credentials);
   
   // Merge CTOI stats into the response
   if (ctoiStats) {
@@ -194,18 +194,28 @@ async function getStats(dateRange = null, credentials = null) {
   return stats;
 }
 
+/**
+ * Cache key for the Issues page list (the env user keeps the unscoped key)
+ */
+function getIssuesPageCacheKey(dateRange, credentials = null) {
+  return credentials?.email
+    ? `issues-page:${credentials.email}:${JSON.stringify(dateRange)}`
+    : `issues-page:${JSON.stringify(dateRange)}`;
+}
+
 /**
  * Get all issues formatted for the Issues page
  * @param {Object|null} dateRange - Optional date range
+ * @param {Object|null} credentials - Optional credentials { email, pat, baseURL }
  * @returns {Promise<Array>} Array of issues
  */
-async function getAllIssuesForPage(dateRange = null) {
+async function getAllIssuesForPage(dateRange = null, credentials = null) {
   if (!isConfigured()) {
     throw new Error('Jira credentials not configured. Please set JIRA_PAT and JIRA_BASE_URL environment variables.');
   }
 
   const cache = require('../../utils/cache');
-  const cacheKey = `issues-page:${JSON.stringify(dateRange)}`;
+  const cacheKey = getIssuesPageCacheKey(dateRange, credentials);
   const cached = cache.get(cacheKey);
   if (cached) {
     return cached;
@@ -213,7 +223,7 @@ async function getAllIssuesForPage(dateRange = null) {
 
   try {
     // Get all issues (not just resolved) for the Issues page
-    const allIssues = await getAllIssues(dateRange, { includeAllStatuses: true });
+    const allIssues = await getAllIssues(dateRange, { includeAllStatuses: true, credentials });
     
     // Enrich issues with sprint name, in progress date, and QA ready date
     const enrichedIssues = allIssues.map(issue => {
@@ -253,13 +263,13 @@ async function getAllIssuesForPage(dateRange = null) {
  * @returns {Promise<Array>} Array of all issues in the epic
  */
 async function getAllIssuesForEpic(epicKey) {
+  await ensureFieldsDiscovered(jiraApi);
+
   const requiredFields = [
     'key', 'summary', 'status', 'created', 'updated', 'resolutiondate',
     'issuetype', 'project', 'assignee', 'parent', 'epicLink', 'epicName',
-    'customfield_10101', 'customfield_10011', 'customfield_10014', 
-    'customfield_10015', 'customfield_10008', 'customfield_10009', 
-    'customfield_10010', 'customfield_10007',
-    'customfield_10106', 'customfield_21766', 'customfield_10016', 'customfield_10021' // Story point fields
+    ...getFieldIds('epicLink'),
+    ...getFieldIds('storyPoints')
   ];
 
   // Build JQL query to find all issues linked to this epic
@@ -268,14 +278,7 @@ async function getAllIssuesForEpic(epicKey) {
     `parent = ${epicKey}`,  // Issues with parent = epic
     `"Epic Link" = ${epicKey}`,  // Standard epic link field
     `epicLink = ${epicKey}`,  // Alternative epic link field
-    `customfield_10101 = ${epicKey}`,  // Disney Jira epic link field
-    `customfield_10011 = ${epicKey}`,  // Common epic link fields
-    `customfield_10014 = ${epicKey}`,
-    `customfield_10015 = ${epicKey}`,
-    `customfield_10008 = ${epicKey}`,
-    `customfield_10009 = ${epicKey}`,
-    `customfield_10010 = ${epicKey}`,
-    `customfield_10007 = ${epicKey}`
+    ...getFieldIds('epicLink').map(fieldId => `${fieldId} = ${epicKey}`)  // Epic link custom fields (see fields.js)
   ];
 
   const jql = `(${epicConditions.join(' OR ')}) AND issuetype != Epic ORDER BY updated DESC`;
@@ -377,15 +380,18 @@ async function getAllIssuesForEpic(epicKey) {
 /**
  * Get projects grouped by epic
  * @param {Object|null} dateRange - Optional date range
+ * @param {Object|null} credentials - Optional credentials { email, pat, baseURL } (the user whose epics to show)
  * @returns {Promise<Object>} Projects by epic
  */
-async function getProjectsByEpic(dateRange = null) {
+async function getProjectsByEpic(dateRange = null, credentials = null) {
   if (!isConfigured()) {
     throw new Error('Jira credentials not configured. Please set JIRA_PAT and JIRA_BASE_URL environment variables.');
   }
 
   const cache = require('../../utils/cache');
-  const cacheKey = `projects-by-epic-v3:${JSON.stringify(dateRange)}`;
+  const cacheKey = credentials?.email
+    ? `projects-by-epic-v3:${credentials.email}:${JSON.stringify(dateRange)}`
+    : `projects-by-epic-v3:${JSON.stringify(dateRange)}`;
   const cached = cache.get(cacheKey);
   if (cached) {
     return cached;
@@ -403,7 +409,7 @@ async function getProjectsByEpic(dateRange = null) {
     }
 
     // Include ALL statuses for projects view
-    const allIssues = await getAllIssues(dateRange, { includeAllStatuses: true });
+    const allIssues = await getAllIssues(dateRange, { includeAllStatuses: true, credentials });
     
     // Filter by date range
     let userIssuesInDateRange = allIssues;
@@ -469,14 +475,8 @@ async function getProjectsByEpic(dateRange = null) {
         }
       }
       
-      // Check common epic link custom fields
-      const epicLinkFields = [
-        'customfield_10101',
-        'customfield_10011', 'customfield_10014', 'customfield_10015',
-        'customfield_10008', 'customfield_10009', 'customfield_10010',
-        'customfield_10007'
-      ];
-      for (const fieldId of epicLinkFields) {
+      // Check epic link custom fields (see fields.js)
+      for (const fieldId of getFieldIds('epicLink')) {
         const value = issue.fields[fieldId];
         if (value) {
           if (typeof value === 'string' && /^[A-Z]+-\d+$/.test(value)) {
@@ -544,11 +544,6 @@ async function getProjectsByEpic(dateRange = null) {
     for (let i = 0; i < epicKeys.length; i++) {
       const epicKey = epicKeys[i];
       
-      // Add a small delay between epic fetches to avoid rate limiting (except for first one)
-      if (i > 0) {
-        await new Promise(resolve => setTimeout(resolve, 300)); // 300ms delay
-      }
-      
       // Get user's issues for this epic
       const userEpicIssues = issuesByEpic[epicKey] || [];
       
@@ -797,6 +792,36 @@ async function getFutureSprints(boardIds) {
   return futureSprints;
 }
 
+/**
+ * Check an issue against the scope rules (or a single candidate rule)
+ * @param {string} issueKey - Issue key (e.g. "SEWEB-123")
+ * @param {Object|null} rule - Optional rule to test instead of the configured rules
+ * @returns {Promise<Object>} Issue summary, the fields the rules read, and the scope check
+ */
+async function testScope(issueKey, rule = null) {
+  const configured = loadScopeRules();
+  const config = rule ? { name: configured.name, rules: [rule] } : configured;
+
+  await ensureFieldsDiscovered(jiraApi);
+  const issue = await getIssue(issueKey, [
+    'summary', 'project', 'labels', 'components', 'status',
+    ...getScopeFieldIds(config)
+  ]);
+
+  const fieldNames = [...new Set(config.rules.flatMap(r => Object.keys(r.fields || {})))];
+  return {
+    key: issue.key,
+    summary: issue.fields?.summary || '',
+    project: issue.fields?.project?.key || '',
+    labels: issue.fields?.labels || [],
+    components: (issue.fields?.components || []).map(c => c.name),
+    fields: Object.fromEntries(fieldNames.map(field => [field, getFieldStrings(issue, field)])),
+    url: `${JIRA_BASE_URL.replace(/\/$/, '')}/browse/${issue.key}`,
+    rulesFile: rule ? null : configured.file,
+    ...isInScope(issue, config)
+  };
+}
+
 // Export public API
 module.exports = {
   // Main stats functions
@@ -813,8 +838,10 @@ module.exports = {
   calculateCycleTimeByPriority,
   getStoryPoints,
   getIssuePriority,
-  isInESPNWebScope,
+  isInScope,
+  testScope,
   getFutureSprints,
+  getSprintVelocityByBoard,
   
   // Sprint utilities
   findSprintField,
@@ -824,6 +851,10 @@ module.exports = {
   getSprintName,
   getBoardIdsFromIssues,
   getBoardName,
+
+  // Custom field mapping
+  discoverFields: (options) => ensureFieldsDiscovered(jiraApi, options),
+  getFieldMapping,
   
   // Internal API (for direct API access if needed)
   jiraApi,
@@ -0,0 +1,87 @@
+/**
+ * Jira source provider (see services/registry.js)
+ */
+
+const jiraService = require('./index');
+const { checkToken } = require('./credentials');
+const webhooks = require('./webhooks');
+const { isConfigured } = require('./api');
+const { getStoryPoints } = require('./scope');
+const { addMonthlySeries, normalizeBaseUrl } = require('../../utils/serviceHelpers');
+const { generateMockIssuesData, generateMockStatsData } = require('../../utils/mockData');
+
+const getBaseUrl = () => normalizeBaseUrl(process.env.JIRA_BASE_URL);
+
+module.exports = {
+  id: 'jira',
+  name: 'Jira',
+  kind: 'tracker',
+  icon: '📋',
+  order: 30,
+  itemsKey: 'issues',
+  itemLabel: 'Issues',
+  itemsTtl: 120,
+  datasets: [
+    { cachePrefix: 'stats-jira:', endpoint: '/api/stats/jira' },
+    { cachePrefix: 'ctoi-stats:', endpoint: '/api/stats/ctoi' }
+  ],
+
+  isConfigured,
+  getBaseUrl,
+
+  getIdentity: (user) => user.jira?.email || null,
+
+  getCredentials(user) {
+    if (!user.jira?.email) return null;
+    return {
+      email: user.jira.email,
+      pat: user.jira.pat || process.env.JIRA_PAT,
+      baseURL: user.jira.baseURL || process.env.JIRA_BASE_URL
+    };
+  },
+
+  credentialField: 'pat',
+  credentialLabel: 'Personal access token',
+  checkCredentials: checkToken,
+
+  isWebhookConfigured: webhooks.isWebhookConfigured,
+  verifyWebhook: webhooks.verifyWebhook,
+  handleWebhook: webhooks.handleWebhook,
+
+  getStats: (dateRange, credentials = null) => jiraService.getStats(dateRange, credentials),
+  getItemsForPage: (dateRange, credentials = null) => jiraService.getAllIssuesForPage(dateRange, credentials),
+  getMockData: generateMockIssuesData,
+  getMockStats: () => generateMockStatsData().jira,
+
+  normalizeItem(issue) {
+    const baseUrl = getBaseUrl();
+    return {
+      source: 'jira',
+      id: issue.id || issue.key,
+      key: issue.key,
+      title: issue.fields?.summary || '',
+      description: issue.fields?.description || '',
+      url: baseUrl ? `${baseUrl}/browse/${issue.key}` : '',
+      state: issue.fields?.status?.name || 'Unknown',
+      type: issue.fields?.issuetype?.name || 'Unknown',
+      container: issue.fields?.project?.key || '',
+      storyPoints: getStoryPoints(issue),
+      createdAt: issue.fields?.created,
+      // Filed under the month work started
+      loggedAt: issue._inProgressDate || issue.fields?.created,
+      resolvedAt: issue.fields?.resolutiondate || null
+    };
+  },
+
+  summarize(stats) {
+    return {
+      resolved: stats.resolved || 0,
+      storyPoints: stats.totalStoryPoints || 0,
+      velocity: stats.velocity?.combinedAverageVelocity || stats.velocity?.averageVelocity || 0,
+      avgResolutionTime: stats.avgResolutionTime || 0,
+      ctoiFixed: stats.ctoi?.fixed || 0,
+      ctoiParticipated: stats.ctoi?.participated || 0,
+      monthly: addMonthlySeries({}, stats.monthlyIssues, 'issues')
+    };
+  }
+};
@@ -1,85 +1,248 @@
 /**
- * JIRA Scope - ESPN Web scope checking and untracked issue detection
- * Matches engineering-metrics project filter logic
+ * JIRA Scope - Configurable scope rules and untracked issue detection
+ *
+ * Scope rules live in server/config/scopeRules.json (or JIRA_SCOPE_RULES_FILE):
+ *   {
+ *     "name": "ESPN Web",
+ *     "rules": [
+ *       { "projects": ["SEWEB"], "labels": ["sportsweb"], "reason": "Missing SPORTSWEB label" },
+ *       { "projects": ["CTOI"], "fields": { "rootCause": ["Code Defect - Client Code - Web"] },
+ *         "reason": "Root Cause is \"{value}\"" }
+ *     ]
+ *   }
+ *
+ * A rule applies to its projects (every project when omitted). Within a rule,
+ * each of labels / components / fields must match one of its values; an issue
+ * is in scope when any rule for its project passes. Field keys are a role from
+ * fields.js (storyPoints, sprint, epicLink, rootCause) or a field ID.
+ * Without a rules file every issue is in scope.
  */
 
+const fs = require('fs');
+const path = require('path');
+const { FIELD_ROLES, getFieldIds, getFieldKeys, getFieldValue } = require('./fields');
+
+const DEFAULT_SCOPE_RULES_FILE = path.join(__dirname, '..', '..', 'config', 'scopeRules.json');
+const RULE_LIST_KEYS = ['labels', 'components'];
+
+let scopeConfig = null;
+
 /**
- * Check if an issue is in ESPN Web scope (tracked by engineering-metrics)
- * 
- * Scope rules:
- * - SEWEB: requires SPORTSWEB/Sportsweb/sportsweb label
- * - CTOI: requires Root Cause = "Code Defect - Client Code - Web"
- * - EFP/EFAE/EFWatch: requires "ESPN Web" component
- * 
- * @param {Object} issue - JIRA issue object
- * @returns {Object} { inScope: boolean, reason: string|null }
+ * Load the scope rules (read once, see reloadScopeRules)
+ * @returns {Object} { name, rules, file, error }
  */
-function isInESPNWebScope(issue) {
-  const project = issue.fields?.project?.key || '';
-  const labels = issue.fields?.labels || [];
-  const rootCause = issue.fields?.customfield_10207 || issue.fields?.['Root Cause'] || '';
-  const components = (issue.fields?.components || []).map(c => c.name);
-  
-  // SEWEB with SPORTSWEB label
-  if (project === 'SEWEB') {
-    const hasSportswebLabel = labels.some(l => 
-      l.toLowerCase() === 'sportsweb' || l.toLowerCase() === 'sports-web'
-    );
-    if (hasSportswebLabel) {
-      return { inScope: true, reason: null };
+function loadScopeRules() {
+  if (scopeConfig) return scopeConfig;
+
+  const file = process.env.JIRA_SCOPE_RULES_FILE || DEFAULT_SCOPE_RULES_FILE;
+  scopeConfig = { name: null, rules: [], file, error: null };
+
+  if (!fs.existsSync(file)) {
+    return scopeConfig;
+  }
+
+  try {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const errors = validateScopeRules(config);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
     }
-    return { inScope: false, reason: 'Missing SPORTSWEB label' };
+    scopeConfig = { name: config.name || null, rules: config.rules, file, error: null };
+  } catch (error) {
+    console.error(`Could not load scope rules from ${file}:`, error.message);
+    scopeConfig.error = error.message;
   }
-  
-  // CTOI with Web root cause
-  if (project === 'CTOI') {
-    // Extract the actual root cause value (could be string or object with value property)
-    const actualRootCause = typeof rootCause === 'object' ? rootCause?.value : rootCause;
-    const isWebRootCause = actualRootCause === 'Code Defect - Client Code - Web';
-    if (isWebRootCause) {
-      return { inScope: true, reason: null };
+
+  return scopeConfig;
+}
+
+/**
+ * Drop the loaded rules so the next check reads the file again
+ * @returns {Object} The reloaded rules
+ */
+function reloadScopeRules() {
+  scopeConfig = null;
+  return loadScopeRules();
+}
+
+const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+/**
+ * Validate a single scope rule
+ * @param {Object} rule - Scope rule
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateScopeRule(rule) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return ['rule must be an object'];
+  }
+
+  const errors = [];
+  if (rule.projects !== undefined && !isStringList(rule.projects)) {
+    errors.push('projects must be a list of project keys');
+  }
+  RULE_LIST_KEYS.forEach(key => {
+    if (rule[key] !== undefined && !isStringList(rule[key])) {
+      errors.push(`${key} must be a list of strings`);
+    }
+  });
+  if (rule.fields !== undefined) {
+    if (!rule.fields || typeof rule.fields !== 'object' || Array.isArray(rule.fields)) {
+      errors.push('fields must map a field to a list of values');
+    } else {
+      Object.entries(rule.fields).forEach(([field, values]) => {
+        if (!isStringList(values)) errors.push(`fields.${field} must be a list of strings`);
+      });
     }
-    // Show what the current root cause is so user knows what to change
-    const currentValue = actualRootCause || '(not set)';
-    return { 
-      inScope: false, 
-      reason: `Root Cause is "${currentValue}" → needs "Code Defect - Client Code - Web"` 
-    };
   }
-  
-  // ESPN Flagship Paywall/App Experience with ESPN Web component
-  if (project === 'EFP' || project === 'EFAE' || project === 'EFWatch') {
-    const hasWebComponent = components.includes('ESPN Web');
-    if (hasWebComponent) {
-      return { inScope: true, reason: null };
+  if (rule.reason !== undefined && typeof rule.reason !== 'string') {
+    errors.push('reason must be a string');
+  }
+  return errors;
+}
+
+/**
+ * Validate a scope rules config ({ name, rules })
+ * @param {Object} config - Scope rules config
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateScopeRules(config) {
+  if (!config || !Array.isArray(config.rules)) {
+    return ['rules must be a list'];
+  }
+  return config.rules.flatMap((rule, index) =>
+    validateScopeRule(rule).map(error => `rules[${index}]: ${error}`)
+  );
+}
+
+/**
+ * Read a field as a list of strings (select options, arrays and plain values)
+ * @param {Object} issue - JIRA issue object
+ * @param {string} field - Role from fields.js or a field ID
+ * @returns {Array<string>} Values (empty if not set)
+ */
+function getFieldStrings(issue, field) {
+  const value = FIELD_ROLES[field] ? getFieldValue(issue, field) : issue.fields?.[field];
+  if (value === undefined || value === null || value === '') return [];
+
+  return (Array.isArray(value) ? value : [value])
+    .map(item => (item && typeof item === 'object' ? item.value || item.name || item.key : item))
+    .filter(item => item !== undefined && item !== null && item !== '')
+    .map(String);
+}
+
+/**
+ * Check one rule against an issue
+ * @param {Object} issue - JIRA issue object
+ * @param {Object} rule - Scope rule
+ * @returns {Object} { passed, checks: [{ type, field, expected, actual, passed }] }
+ */
+function evaluateRule(issue, rule) {
+  const actualByType = {
+    labels: issue.fields?.labels || [],
+    components: (issue.fields?.components || []).map(c => c.name)
+  };
+
+  const checks = [
+    ...RULE_LIST_KEYS.filter(type => rule[type]).map(type => ({
+      type,
+      field: type,
+      expected: rule[type],
+      actual: actualByType[type]
+    })),
+    ...Object.entries(rule.fields || {}).map(([field, expected]) => ({
+      type: 'field',
+      field,
+      expected,
+      actual: getFieldStrings(issue, field)
+    }))
+  ].map(check => {
+    const expected = check.expected.map(value => value.toLowerCase());
+    return { ...check, passed: check.actual.some(value => expected.includes(value.toLowerCase())) };
+  });
+
+  return { passed: checks.every(check => check.passed), checks };
+}
+
+/**
+ * Fill in a reason template: {project}, {name} and {value} (the first field check's value)
+ */
+function formatReason(template, { project, name, checks }) {
+  const fieldCheck = checks.find(check => check.type === 'field') || checks[0];
+  const value = fieldCheck?.actual?.length > 0 ? fieldCheck.actual.join(', ') : '(not set)';
+  return template
+    .replace(/\{project\}/g, project)
+    .replace(/\{name\}/g, name)
+    .replace(/\{value\}/g, value);
+}
+
+/**
+ * Describe a failed rule when it has no reason of its own
+ */
+function describeFailedChecks(checks) {
+  return checks
+    .filter(check => !check.passed)
+    .map(check => `${check.type === 'field' ? check.field : check.type} needs one of: ${check.expected.join(', ')}`)
+    .join('; ');
+}
+
+/**
+ * Check if an issue is in scope
+ * @param {Object} issue - JIRA issue object
+ * @param {Object} config - Scope rules ({ name, rules }), defaults to the configured rules
+ * @returns {Object} { inScope: boolean, reason: string|null, rule: number|null, checks: Array }
+ */
+function isInScope(issue, config = loadScopeRules()) {
+  const project = issue.fields?.project?.key || '';
+  const name = config.name || 'team';
+
+  if (!config.rules || config.rules.length === 0) {
+    return { inScope: true, reason: null, rule: null, checks: [] };
+  }
+
+  const applicable = config.rules
+    .map((rule, index) => ({ rule, index }))
+    .filter(({ rule }) => !rule.projects || rule.projects.includes(project));
+
+  if (applicable.length === 0) {
+    return { inScope: false, reason: `Project "${project}" not in ${name} scope`, rule: null, checks: [] };
+  }
+
+  let firstFailure = null;
+  for (const { rule, index } of applicable) {
+    const { passed, checks } = evaluateRule(issue, rule);
+    if (passed) {
+      return { inScope: true, reason: null, rule: index, checks };
     }
-    return { inScope: false, reason: 'Missing "ESPN Web" component' };
+    if (!firstFailure) firstFailure = { rule, index, checks };
   }
-  
-  // Other projects not in scope
-  return { inScope: false, reason: `Project "${project}" not in ESPN Web scope` };
+
+  const { rule, index, checks } = firstFailure;
+  return {
+    inScope: false,
+    reason: rule.reason ? formatReason(rule.reason, { project, name, checks }) : describeFailedChecks(checks),
+    rule: index,
+    checks
+  };
 }
 
 /**
- * Get story points from issue (tries multiple custom field IDs)
+ * Get the custom field IDs the scope rules read (to request them in searches)
+ * @param {Object} config - Scope rules, defaults to the configured rules
+ * @returns {Array<string>} Field IDs
+ */
+function getScopeFieldIds(config = loadScopeRules()) {
+  const fields = (config.rules || []).flatMap(rule => Object.keys(rule.fields || {}));
+  return [...new Set(fields.flatMap(field => (FIELD_ROLES[field] ? getFieldIds(field) : [field])))];
+}
+
+/**
+ * Get story points from issue (tries each story points field, see fields.js)
  * @param {Object} issue - JIRA issue object
  * @returns {number} Story points (0 if not found)
  */
 function getStoryPoints(issue) {
-  // Try multiple common story point field IDs
-  // Different Jira instances use different custom field IDs
-  const storyPointFields = [
-    'customfield_10106', // Disney Jira story points
-    'customfield_21766', // Disney Jira story points
-    'customfield_10016', // Common in Jira Cloud
-    'customfield_10021', // Another common one
-    'customfield_10002', // Sometimes used
-    'customfield_10004', // Sometimes used
-    'customfield_10020', // Can be story points
-    'storyPoints'        // Direct field name
-  ];
-  
-  for (const fieldName of storyPointFields) {
+  for (const fieldName of getFieldKeys('storyPoints')) {
     const fieldValue = issue.fields?.[fieldName];
     if (fieldValue !== undefined && fieldValue !== null && fieldValue !== '') {
       const points = Number(fieldValue);
@@ -101,7 +264,7 @@ function getStoryPoints(issue) {
 }
 
 /**
- * Categorize issues by ESPN Web scope
+ * Categorize issues by scope
  * @param {Array} issues - Array of JIRA issues
  * @returns {Object} { tracked: Array, untracked: Array }
  */
@@ -110,7 +273,7 @@ function categorizeByScope(issues) {
   const untracked = [];
   
   for (const issue of issues) {
-    const scopeCheck = isInESPNWebScope(issue);
+    const scopeCheck = isInScope(issue);
     if (scopeCheck.inScope) {
       tracked.push(issue);
     } else {
@@ -138,12 +301,18 @@ function buildUntrackedInfo(issue, points, reason) {
     project: issue.fields?.project?.key || '',
     points: points,
     reason: reason,
-    url: `https://jira.disney.com/browse/${issue.key}`
+    url: `${process.env.JIRA_BASE_URL?.replace(/\/$/, '') || ''}/browse/${issue.key}`
   };
 }
 
 module.exports = {
-  isInESPNWebScope,
+  loadScopeRules,
+  reloadScopeRules,
+  validateScopeRules,
+  validateScopeRule,
+  isInScope,
+  getScopeFieldIds,
+  getFieldStrings,
   getStoryPoints,
   categorizeByScope,
   buildUntrackedInfo
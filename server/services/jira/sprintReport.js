@@ -0,0 +1,213 @@
+/**
+ * JIRA Sprint Report - True per-sprint velocity from the Agile sprint report
+ *
+ * Uses the same data as the board's Velocity Chart / Sprint Report:
+ * committed points (estimates at sprint start), completed points,
+ * carry-over (not completed) and scope added after the sprint started.
+ */
+
+const cache = require('../../utils/cache');
+const { jiraApi, createJiraClient } = require('./api');
+const { getBoardIdsFromIssues } = require('./sprints');
+const { getDateRange } = require('../../utils/dateHelpers');
+
+const MAX_SPRINTS_PER_BOARD = 26;
+const CLOSED_SPRINT_TTL = 24 * 60 * 60; // Closed sprint reports don't change
+const ACTIVE_SPRINT_TTL = 600;
+const BOARD_TTL = 3600;
+
+const roundPoints = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Get the estimate value from a sprint report issue
+ * @param {Object} issue - Sprint report issue
+ * @param {string} statistic - 'estimateStatistic' (at sprint start / when added) or 'currentEstimateStatistic'
+ */
+function getEstimate(issue, statistic = 'estimateStatistic') {
+  return issue?.[statistic]?.statFieldValue?.value || 0;
+}
+
+/**
+ * Get board name and its closed/active sprints (newest last)
+ */
+async function getBoardSprints(boardId, client) {
+  const cacheKey = `jira-board-sprints:${client.defaults.baseURL}:${boardId}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+
+  const boardResponse = await client.get(`/rest/agile/1.0/board/${boardId}`).catch(() => null);
+  const sprints = [];
+  let startAt = 0;
+  let isLast = false;
+
+  while (!isLast) {
+    const response = await client.get(`/rest/agile/1.0/board/${boardId}/sprint`, {
+      params: { state: 'closed,active', startAt, maxResults: 50 }
+    });
+    const values = response.data?.values || [];
+    sprints.push(...values);
+    isLast = response.data?.isLast !== false || values.length === 0;
+    startAt += values.length;
+  }
+
+  const result = {
+    boardId,
+    boardName: boardResponse?.data?.name || `Board ${boardId}`,
+    sprints: sprints
+      .filter(sprint => sprint.startDate)
+      .sort((a, b) => new Date(a.startDate) - new Date(b.startDate))
+  };
+
+  cache.set(cacheKey, result, BOARD_TTL);
+  return result;
+}
+
+/**
+ * Fetch the sprint report for a sprint on a board
+ */
+async function getSprintReport(boardId, sprint, client) {
+  const cacheKey = `jira-sprint-report:${client.defaults.baseURL}:${boardId}:${sprint.id}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+
+  const response = await client.get('/rest/greenhopper/1.0/rapid/charts/sprintreport', {
+    params: { rapidViewId: boardId, sprintId: sprint.id }
+  });
+
+  const contents = response.data?.contents || {};
+  cache.set(cacheKey, contents, sprint.state === 'closed' ? CLOSED_SPRINT_TTL : ACTIVE_SPRINT_TTL);
+  return contents;
+}
+
+/**
+ * Summarize sprint report contents into velocity numbers
+ * @param {Object} contents - Sprint report contents
+ * @param {Set<string>} userIssueKeys - Issue keys assigned to the user (for their share)
+ */
+function summarizeSprintReport(contents, userIssueKeys = new Set()) {
+  const added = contents.issueKeysAddedDuringSprint || {};
+  const completedIssues = contents.completedIssues || [];
+  const notCompletedIssues = contents.issuesNotCompletedInCurrentSprint || [];
+  const puntedIssues = contents.puntedIssues || [];
+  const completedElsewhere = contents.issuesCompletedInAnotherSprint || [];
+  const allIssues = [...completedIssues, ...notCompletedIssues, ...puntedIssues, ...completedElsewhere];
+
+  const sumEstimates = (issues, statistic) => issues.reduce((sum, issue) => sum + getEstimate(issue, statistic), 0);
+
+  const committed = sumEstimates(allIssues.filter(issue => !added[issue.key]));
+  const scopeAdded = sumEstimates(allIssues.filter(issue => added[issue.key]));
+  const completed = contents.completedIssuesEstimateSum?.value ?? sumEstimates(completedIssues, 'currentEstimateStatistic');
+  const carryOver = contents.issuesNotCompletedEstimateSum?.value ?? sumEstimates(notCompletedIssues, 'currentEstimateStatistic');
+  const removed = contents.puntedIssuesEstimateSum?.value ?? sumEstimates(puntedIssues, 'currentEstimateStatistic');
+
+  const userCompletedIssues = completedIssues.filter(issue => userIssueKeys.has(issue.key));
+
+  return {
+    committed: roundPoints(committed),
+    completed: roundPoints(completed),
+    carryOver: roundPoints(carryOver),
+    scopeAdded: roundPoints(scopeAdded),
+    removed: roundPoints(removed),
+    completionRate: committed > 0 ? Math.round((completed / committed) * 100) : null,
+    issuesCompleted: completedIssues.length,
+    issuesNotCompleted: notCompletedIssues.length,
+    issuesAdded: Object.keys(added).length,
+    userCompleted: roundPoints(sumEstimates(userCompletedIssues, 'currentEstimateStatistic')),
+    userIssueKeys: userCompletedIssues.map(issue => issue.key)
+  };
+}
+
+/**
+ * Check whether a sprint overlaps a resolved date range
+ */
+function sprintInRange(sprint, range) {
+  const start = new Date(sprint.startDate);
+  const end = new Date(sprint.completeDate || sprint.endDate || sprint.startDate);
+  if (range.start && end < new Date(range.start)) return false;
+  if (range.end && start > new Date(range.end)) return false;
+  return true;
+}
+
+/**
+ * Build per-sprint velocity for one board
+ */
+async function getBoardVelocity(boardId, dateRange, client, userIssueKeys) {
+  const { boardName, sprints } = await getBoardSprints(boardId, client);
+  const range = getDateRange(dateRange);
+  const sprintsInRange = sprints
+    .filter(sprint => sprintInRange(sprint, range))
+    .slice(-MAX_SPRINTS_PER_BOARD);
+
+  const sprintVelocity = [];
+  for (const sprint of sprintsInRange) {
+    try {
+      const contents = await getSprintReport(boardId, sprint, client);
+      sprintVelocity.push({
+        id: sprint.id,
+        name: sprint.name,
+        state: sprint.state,
+        startDate: sprint.startDate,
+        endDate: sprint.endDate,
+        completeDate: sprint.completeDate || null,
+        ...summarizeSprintReport(contents, userIssueKeys)
+      });
+    } catch (error) {
+      console.warn(`⚠️ Failed to fetch sprint report for ${boardName} / ${sprint.name}:`, error.message);
+    }
+  }
+
+  // Averages only include closed sprints (active sprint numbers are still moving)
+  const closed = sprintVelocity.filter(sprint => sprint.state === 'closed');
+  const average = (key) => closed.length > 0
+    ? roundPoints(closed.reduce((sum, sprint) => sum + sprint[key], 0) / closed.length)
+    : 0;
+
+  return {
+    boardId,
+    boardName,
+    sprints: sprintVelocity,
+    averageVelocity: average('completed'),
+    averageCommitted: average('committed'),
+    averageCarryOver: average('carryOver'),
+    averageScopeAdded: average('scopeAdded'),
+    averageUserVelocity: average('userCompleted'),
+    totalSprints: closed.length
+  };
+}
+
+/**
+ * Get per-sprint velocity grouped by board for the boards the user's issues belong to
+ * @param {Array} issues - User's JIRA issues (used to discover boards and the user's share)
+ * @param {Object|null} dateRange - Optional date range
+ * @param {Object|null} credentials - Optional credentials { email, pat, baseURL }
+ * @returns {Promise<Array>} Boards sorted by number of sprints the user contributed to
+ */
+async function getSprintVelocityByBoard(issues, dateRange = null, credentials = null) {
+  const client = credentials ? createJiraClient(credentials.pat, credentials.baseURL) : jiraApi;
+  if (!client) return [];
+
+  const boardIds = getBoardIdsFromIssues(issues);
+  const userIssueKeys = new Set(issues.map(issue => issue.key).filter(Boolean));
+  const boards = [];
+
+  for (const boardId of boardIds) {
+    try {
+      const board = await getBoardVelocity(boardId, dateRange, client, userIssueKeys);
+      if (board.sprints.length > 0) {
+        boards.push(board);
+      }
+    } catch (error) {
+      // Board might not exist or no permission
+      console.warn(`⚠️ Failed to fetch sprints for board ${boardId}:`, error.message);
+    }
+  }
+
+  const contributedSprints = (board) => board.sprints.filter(sprint => sprint.userCompleted > 0).length;
+  return boards.sort((a, b) => contributedSprints(b) - contributedSprints(a));
+}
+
+module.exports = {
+  getSprintVelocityByBoard,
+  summarizeSprintReport,
+  sprintInRange
+};
@@ -2,6 +2,8 @@
  * JIRA Sprints - Sprint parsing and extraction utilities
  */
 
+const { getFieldKeys } = require('./fields');
+
 /**
  * Parse sprint string from Jira's internal format
  * Example: "com.atlassian.greenhopper.service.sprint.Sprint@...[id=123,name=Sprint 1,...]"
@@ -152,26 +154,12 @@ function extractSprintInfo(sprintField, resolvedDate, issueKey = null) {
 }
 
 /**
- * Find sprint field in issue (tries multiple possible field IDs)
+ * Find sprint field in issue (tries each sprint field, see fields.js)
  * @param {Object} issue - JIRA issue object
  * @returns {any|null} Sprint field value
  */
 function findSprintField(issue) {
-  const sprintFieldIds = [
-    'customfield_10020', // Most common
-    'customfield_10105',
-    'customfield_10100',
-    'customfield_10001',
-    'customfield_10005',
-    'customfield_10017',
-    'customfield_10200',
-    'customfield_10201',
-    'customfield_10202',
-    'customfield_10104',
-    'sprint'
-  ];
-  
-  for (const fieldId of sprintFieldIds) {
+  for (const fieldId of getFieldKeys('sprint')) {
     const value = issue.fields?.[fieldId];
     if (value !== undefined && value !== null) {
       // Validate it looks like sprint data
@@ -257,7 +245,8 @@ function getAllSprints(issue) {
         endDate: sprint.endDate ? new Date(sprint.endDate) : null,
         completeDate: sprint.completeDate ? new Date(sprint.completeDate) : null,
         rapidViewId: sprint.rapidViewId,
-        boardId: sprint.boardId
+        boardId: sprint.boardId,
+        boardName: sprint.boardName
       });
     }
   }
@@ -0,0 +1,231 @@
+/**
+ * Jira Issue Sync
+ *
+ * Keeps each user's assigned issues (with changelogs) in a sync store (see
+ * utils/syncStore.js) and only asks Jira for issues updated since the last
+ * sync. getAllIssues (api.js) filters the stored set by status and date range locally.
+ *
+ * - A store holds issues updated on or after its `floor` day (null = all time).
+ *   A request for an earlier range lowers the floor with one full download.
+ * - Updates are fetched with a relative `updated >= -<minutes>m`, which doesn't
+ *   depend on the Jira user's time zone.
+ * - Deleted issues, and issues reassigned to someone else, never match an
+ *   updated-since query, so reconciling compares the stored keys with a
+ *   keys-only query (much cheaper than downloading changelogs again).
+ * - Changing the fetched fields (field discovery, scope rules) forces a full download.
+ * - Webhooks (webhooks.js) write created and updated issues into their assignee's
+ *   stores and drop deleted ones right away, without waiting for the interval.
+ */
+
+const { buildJqlQuery } = require('../../utils/jiraHelpers');
+const { handleApiError } = require('../../utils/apiHelpers');
+const { createSyncStore, coversFloor, lowerFloor, SYNC_INTERVAL_MS, RECONCILE_INTERVAL_MS, SYNC_OVERLAP_MS } = require('../../utils/syncStore');
+
+const PAGE_SIZE = 100;
+
+const syncStore = createSyncStore('jira');
+
+/**
+ * Run a search with every page, trying each assignee clause until one is allowed
+ * @param {Object} client - Jira API client
+ * @param {Array<string>} clauses - Assignee clauses, in order of preference
+ * @param {Array<string>} filters - Extra JQL filters
+ * @param {Array<string>} fields - Fields to fetch
+ * @param {Array<string>} expand - Expansions (e.g. changelog)
+ * @returns {Promise<Object>} { issues, clause } - clause is the one that worked
+ */
+async function searchAll(client, clauses, filters, fields, expand = []) {
+  for (let index = 0; index < clauses.length; index++) {
+    const jql = buildJqlQuery(clauses[index], filters, 'ORDER BY updated DESC');
+    const issues = [];
+    let startAt = 0;
+
+    try {
+      for (;;) {
+        const response = await client.post('/rest/api/2/search', {
+          jql,
+          startAt,
+          maxResults: PAGE_SIZE,
+          fields,
+          expand
+        });
+        const page = response.data.issues || [];
+        issues.push(...page);
+        startAt += PAGE_SIZE;
+        if (page.length < PAGE_SIZE || issues.length >= response.data.total) break;
+      }
+      return { issues, clause: clauses[index] };
+    } catch (error) {
+      // Some instances reject one assignee form (403); try the next
+      if (error.response?.status === 403 && index < clauses.length - 1) continue;
+      handleApiError(error, 'Jira');
+    }
+  }
+  return { issues: [], clause: null };
+}
+
+const floorFilter = (floor) => (floor ? `updated >= "${floor}"` : '');
+
+async function runSync(state, { client, clauses, fields, floor }) {
+  const fieldsKey = fields.join(',');
+  const startedAt = Date.now();
+  const lastSyncAt = state.lastSyncAt ? new Date(state.lastSyncAt).getTime() : 0;
+  let changed = false;
+
+  if (!state.lastSyncAt || state.fieldsKey !== fieldsKey || !coversFloor(state.floor, floor) || !clauses.includes(state.clause)) {
+    // Full download: first sync, new fields or an earlier range
+    const newFloor = state.lastSyncAt ? lowerFloor(state.floor, floor) : floor;
+    const { issues, clause } = await searchAll(client, clauses, [floorFilter(newFloor)], fields, ['names', 'changelog']);
+    state.items = Object.fromEntries(issues.map(issue => [issue.key, issue]));
+    Object.assign(state, {
+      clause,
+      fieldsKey,
+      floor: newFloor,
+      lastSyncAt: new Date(startedAt).toISOString(),
+      lastReconcileAt: new Date(startedAt).toISOString()
+    });
+    console.log(`🔄 jira sync (full) for ${state.key}: ${issues.length} issues since ${newFloor || 'all time'}`);
+    changed = true;
+  } else if (state.stale || startedAt - lastSyncAt >= SYNC_INTERVAL_MS) {
+    const minutes = Math.ceil((startedAt - lastSyncAt + SYNC_OVERLAP_MS) / 60000);
+    const { issues } = await searchAll(client, [state.clause], [`updated >= -${minutes}m`], fields, ['names', 'changelog']);
+    issues.forEach(issue => { state.items[issue.key] = issue; });
+    state.lastSyncAt = new Date(startedAt).toISOString();
+    changed = true;
+  }
+
+  if (startedAt - new Date(state.lastReconcileAt).getTime() >= RECONCILE_INTERVAL_MS) {
+    const { issues } = await searchAll(client, [state.clause], [floorFilter(state.floor)], ['key']);
+    const current = new Set(issues.map(issue => issue.key));
+    const removed = Object.keys(state.items).filter(key => !current.has(key));
+    removed.forEach(key => { delete state.items[key]; });
+    state.lastReconcileAt = new Date(startedAt).toISOString();
+    if (removed.length > 0) {
+      console.log(`🔄 jira sync for ${state.key}: dropped ${removed.length} deleted or reassigned issues`);
+    }
+    changed = true;
+  }
+
+  if (changed) {
+    delete state.stale;
+    syncStore.save(state);
+  }
+  return Object.values(state.items);
+}
+
+/**
+ * Bring a user's stored issues up to date and return them
+ * Concurrent calls for the same store share one sync.
+ * @param {Object} options - Options
+ * @param {string} options.key - Store key (Jira base URL and user)
+ * @param {Object} options.client - Jira API client
+ * @param {Array<string>} options.clauses - Assignee clauses, in order of preference
+ * @param {Array<string>} options.fields - Fields to fetch
+ * @param {string|null} options.floor - Earliest `updated` day needed (YYYY-MM-DD), null for all time
+ * @returns {Promise<Array>} Every stored issue (not filtered by floor or status)
+ */
+function syncIssues({ key, ...options }) {
+  return syncStore.exclusive(key, () => runSync(syncStore.load(key), options));
+}
+
+// Stored copy of a webhook issue: the store's fields (the payload has every field) on top of
+// the stored ones, with the event's changelog entry added to the stored history
+function mapWebhookIssue(payload, stored, fieldsKey) {
+  const { issue, changelog } = payload;
+  const fields = { ...stored?.fields };
+  const fieldIds = fieldsKey ? fieldsKey.split(',') : Object.keys(issue.fields || {});
+  fieldIds.forEach(id => {
+    if (issue.fields && id in issue.fields) fields[id] = issue.fields[id];
+  });
+
+  const histories = [...(stored?.changelog?.histories || [])];
+  if (changelog?.items?.length > 0 && !histories.some(history => history.id === changelog.id)) {
+    histories.push({
+      id: changelog.id,
+      author: payload.user,
+      created: payload.timestamp ? new Date(payload.timestamp).toISOString() : issue.fields?.updated,
+      items: changelog.items
+    });
+  }
+
+  return {
+    ...stored,
+    id: issue.id,
+    key: issue.key,
+    self: issue.self,
+    fields,
+    changelog: { startAt: 0, maxResults: histories.length, total: histories.length, histories }
+  };
+}
+
+/**
+ * Apply a Jira issue webhook to the loaded stores
+ * The issue is written into its assignee's stores (matched by email or username, the
+ * default store by JIRA_EMAIL) and dropped from stores it was reassigned away from.
+ * Stores whose user can't be matched (no JIRA_EMAIL, or an assignee without an email)
+ * only update a copy they already have, and are marked stale so their next request syncs.
+ * @param {Object} payload - Issue webhook payload
+ * @param {Object} options - Options
+ * @param {boolean} options.deleted - The issue was deleted
+ * @returns {number} Number of stores updated
+ */
+function applyIssueEvent(payload, { deleted = false } = {}) {
+  const issue = payload.issue;
+  if (!issue?.key) return 0;
+
+  if (deleted) {
+    return syncStore.update(() => true, state => {
+      if (!state.items[issue.key]) return false;
+      delete state.items[issue.key];
+      return true;
+    });
+  }
+
+  const assignee = issue.fields?.assignee;
+  const assigneeIds = [assignee?.emailAddress, assignee?.name].filter(Boolean).map(id => id.toLowerCase());
+  // An assignee without an email (Cloud privacy settings) can't be matched to a store
+  const assigneeKnown = !assignee || !!assignee.emailAddress;
+
+  return syncStore.update(() => true, state => {
+    const stored = state.items[issue.key];
+    const storeUser = state.key.slice(state.key.lastIndexOf('|') + 1).toLowerCase();
+    const user = storeUser === 'default' ? process.env.JIRA_EMAIL?.toLowerCase() : storeUser;
+
+    if (!user || !assigneeKnown) {
+      state.stale = true;
+      if (!stored) return false;
+    } else if (!assigneeIds.includes(user)) {
+      if (!stored) return false;
+      delete state.items[issue.key];
+      return true;
+    }
+
+    // A newly added issue only has this event's changelog: the next sync fetches the full one
+    if (!stored) state.stale = true;
+    state.items[issue.key] = mapWebhookIssue(payload, stored, state.fieldsKey);
+    return true;
+  });
+}
+
+/**
+ * Whether a comment event touches loaded stores: the issue is stored, or the author's issues are loaded
+ * @param {Object} payload - Jira comment webhook payload
+ * @returns {boolean}
+ */
+function isTrackedComment(payload) {
+  const author = payload.comment?.author;
+  const authorIds = [author?.emailAddress, author?.name].filter(Boolean).map(id => id.toLowerCase());
+  const issueKey = payload.issue?.key;
+
+  return syncStore.has(key => {
+    const storeUser = key.slice(key.lastIndexOf('|') + 1).toLowerCase();
+    const user = storeUser === 'default' ? process.env.JIRA_EMAIL?.toLowerCase() : storeUser;
+    return (user && authorIds.includes(user)) || (issueKey && !!syncStore.load(key).items[issueKey]);
+  });
+}
+
+module.exports = {
+  syncIssues,
+  applyIssueEvent,
+  isTrackedComment
+};
@@ -4,7 +4,7 @@
  */
 
 const { format } = require('date-fns');
-const { isInESPNWebScope, getStoryPoints } = require('./scope');
+const { isInScope, getStoryPoints, buildUntrackedInfo } = require('./scope');
 
 /**
  * Calculate velocity grouped by month (engineering-metrics style)
@@ -20,7 +20,7 @@ function calculateVelocity(issues, dateRange = null) {
     return hasResolution || status === 'done' || status === 'closed';
   });
   
-  // Track issues not in ESPN Web scope (for user awareness)
+  // Track issues outside the scope rules (for user awareness)
   const untrackedByMonth = {};
   
   // Group resolved issues by month (using resolution date)
@@ -48,20 +48,13 @@ function calculateVelocity(issues, dateRange = null) {
       monthlyIssueKeys[monthKey].push(issue.key);
     }
     
-    // Track issues not in ESPN Web scope
-    const scopeCheck = isInESPNWebScope(issue);
+    // Track issues outside the scope rules (see scope.js)
+    const scopeCheck = isInScope(issue);
     if (!scopeCheck.inScope) {
       if (!untrackedByMonth[monthKey]) {
         untrackedByMonth[monthKey] = [];
       }
-      untrackedByMonth[monthKey].push({
-        key: issue.key,
-        summary: issue.fields?.summary || '',
-        project: issue.fields?.project?.key || '',
-        points: storyPoints,
-        reason: scopeCheck.reason,
-        url: `https://jira.disney.com/browse/${issue.key}`
-      });
+      untrackedByMonth[monthKey].push(buildUntrackedInfo(issue, storyPoints, scopeCheck.reason));
     }
   });
   
@@ -116,7 +109,7 @@ function calculateVelocity(issues, dateRange = null) {
       approxVelocity: approxVelocity,
       issues: monthlyIssues[monthKey] || 0,
       issueKeys: monthlyIssueKeys[monthKey] || [],
-      // Issues not tracked by engineering-metrics (outside ESPN Web scope)
+      // Issues not tracked by engineering-metrics (outside the scope rules)
       untracked: untracked,
       untrackedCount: untracked.length,
       untrackedPoints: untrackedPoints,
@@ -143,6 +136,7 @@ function calculateVelocity(issues, dateRange = null) {
     totalPoints: totalPoints,
     totalMonths: totalMonths,
     totalSprints: totalMonths * 2,
+    // Filled in by calculateStats from the Agile sprint report (see sprintReport.js)
     byBoard: null
   };
 }
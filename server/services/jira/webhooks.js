@@ -0,0 +1,47 @@
+/**
+ * Jira Webhooks
+ *
+ * Receives issue and comment events. Jira Cloud signs deliveries with the
+ * webhook's secret (X-Hub-Signature); Jira Data Center can't sign, so the
+ * secret can also be passed in the webhook URL as ?secret=<JIRA_WEBHOOK_SECRET>.
+ */
+
+const { secretsMatch, verifyHmacSignature } = require('../../utils/webhookHelpers');
+const { applyIssueEvent, isTrackedComment } = require('./sync');
+
+// Stats, issue page, CTOI and epic caches
+const CACHE_PREFIXES = ['jira-stats:', 'issues-page:', 'jira-ctoi:', 'projects-by-epic-v3:'];
+const ISSUE_EVENTS = ['jira:issue_created', 'jira:issue_updated', 'jira:issue_deleted'];
+const COMMENT_EVENTS = ['comment_created', 'comment_updated', 'comment_deleted'];
+
+const isWebhookConfigured = () => !!process.env.JIRA_WEBHOOK_SECRET;
+
+function verifyWebhook(req) {
+  const secret = process.env.JIRA_WEBHOOK_SECRET;
+  return verifyHmacSignature(req.body, req.get('x-hub-signature'), secret) || secretsMatch(req.query.secret, secret);
+}
+
+/**
+ * Apply a verified delivery
+ * @param {Object} payload - Parsed body
+ * @returns {Object} { event, updated, tracked, cachePrefixes } ({ event, ignored } for other events);
+ *   `tracked` marks events that change no stored item but do change a loaded user's stats
+ */
+function handleWebhook(payload) {
+  const event = payload.webhookEvent;
+
+  if (ISSUE_EVENTS.includes(event) && payload.issue?.key) {
+    const updated = applyIssueEvent(payload, { deleted: event === 'jira:issue_deleted' });
+    return { event, updated, cachePrefixes: CACHE_PREFIXES };
+  }
+  if (COMMENT_EVENTS.includes(event)) {
+    return { event, updated: 0, tracked: isTrackedComment(payload), cachePrefixes: CACHE_PREFIXES };
+  }
+  return { event, ignored: true };
+}
+
+module.exports = {
+  isWebhookConfigured,
+  verifyWebhook,
+  handleWebhook
+};
@@ -0,0 +1,109 @@
+/**
+ * Linear API Client
+ *
+ * Linear only has a GraphQL API (api.linear.app/graphql). Personal API keys
+ * are sent as-is in the Authorization header (no Bearer prefix).
+ */
+
+const { createApiClient, handleApiError } = require('../../utils/apiHelpers');
+
+const LINEAR_API_KEY = process.env.LINEAR_API_KEY;
+const LINEAR_API_URL = 'https://api.linear.app';
+// Workspace URL used for links, e.g. https://linear.app/your-workspace
+const LINEAR_BASE_URL = (process.env.LINEAR_BASE_URL || 'https://linear.app').replace(/\/$/, '');
+
+if (!LINEAR_API_KEY) {
+  console.warn('Linear API key not configured. Linear stats will not be available.');
+}
+
+/**
+ * Create GraphQL client with a custom API key
+ */
+function createLinearClient(apiKey) {
+  return createApiClient({
+    baseURL: LINEAR_API_URL,
+    token: apiKey,
+    authType: 'Token'
+  });
+}
+
+// GraphQL client for the configured key
+const linearApi = LINEAR_API_KEY ? createLinearClient(LINEAR_API_KEY) : null;
+
+/**
+ * Whether the Linear API key is configured
+ */
+function isConfigured() {
+  return !!LINEAR_API_KEY;
+}
+
+/**
+ * Run a GraphQL query
+ * Linear reports query errors (and rate limiting) in the `errors` array,
+ * sometimes with HTTP 200, so both paths are turned into thrown errors.
+ * @param {Object} client - GraphQL client
+ * @param {string} query - GraphQL query
+ * @param {Object} variables - Query variables
+ * @returns {Promise<Object>} The `data` object
+ */
+async function graphql(client, query, variables = {}) {
+  let response;
+  try {
+    response = await client.post('/graphql', { query, variables });
+  } catch (error) {
+    const errors = error.response?.data?.errors;
+    if (!errors?.length) {
+      handleApiError(error, 'Linear');
+    }
+    response = error.response;
+  }
+
+  const errors = response.data?.errors || [];
+  if (errors.length > 0) {
+    const rateLimited = errors.some(e => e.extensions?.code === 'RATELIMITED');
+    const error = new Error(rateLimited
+      ? 'Linear rate limit exceeded (429). Please retry later.'
+      : `Linear API error: ${errors.map(e => e.message).join('; ')}`);
+    error.status = rateLimited ? 429 : response.status;
+    console.error(`❌ ${error.message}`);
+    throw error;
+  }
+
+  return response.data.data;
+}
+
+/**
+ * Fetch every page of a connection (Relay-style `nodes` + `pageInfo`)
+ * @param {Object} client - GraphQL client
+ * @param {string} query - Query taking an `$after` cursor variable
+ * @param {Object} variables - Other query variables
+ * @param {Function} getConnection - data -> connection object
+ * @param {Object} options - { maxPages }
+ * @returns {Promise<Array>} All nodes
+ */
+async function fetchAllNodes(client, query, variables, getConnection, { maxPages = 20 } = {}) {
+  const nodes = [];
+  let after = null;
+
+  for (let page = 0; page < maxPages; page++) {
+    const data = await graphql(client, query, { ...variables, after });
+    const connection = getConnection(data);
+    if (!connection) break;
+
+    nodes.push(...(connection.nodes || []));
+    if (!connection.pageInfo?.hasNextPage) break;
+    after = connection.pageInfo.endCursor;
+  }
+
+  return nodes;
+}
+
+module.exports = {
+  LINEAR_API_KEY,
+  LINEAR_BASE_URL,
+  linearApi,
+  isConfigured,
+  createLinearClient,
+  graphql,
+  fetchAllNodes
+};
@@ -0,0 +1,30 @@
+/**
+ * Linear Credentials - Check a personal API key before it goes in the vault
+ */
+
+const { buildTokenCheck } = require('../../utils/serviceHelpers');
+const { createLinearClient, graphql } = require('./api');
+
+const VIEWER_QUERY = `
+  query Viewer {
+    viewer { id name email }
+  }
+`;
+
+/**
+ * Check who an API key belongs to (keys have no scopes or expiry)
+ * @param {Object} credentials - { email, apiKey } (see provider.getCredentials)
+ * @returns {Promise<Object>} { account, scopes, missingScopes, expiresAt }
+ */
+async function checkToken(credentials) {
+  const { viewer } = await graphql(createLinearClient(credentials.apiKey), VIEWER_QUERY);
+  return buildTokenCheck('Linear', {
+    account: viewer.email,
+    accountIds: [viewer.id],
+    expected: credentials.email
+  });
+}
+
+module.exports = {
+  checkToken
+};
@@ -0,0 +1,249 @@
+/**
+ * Linear Cycles - Cycles mapped onto Jira sprints
+ *
+ * A cycle becomes a sprint object in the shape jira/sprints.js reads
+ * ({ id, name, state, startDate, endDate, completeDate, boardId, boardName }),
+ * with the cycle's team as the board. Per-cycle velocity comes from the
+ * cycle's daily scope history, in the same shape as the Jira sprint report
+ * (see jira/sprintReport.js) so the velocity charts render either source.
+ */
+
+const cache = require('../../utils/cache');
+const { getDateRange } = require('../../utils/dateHelpers');
+const { getStoryPoints } = require('../jira/scope');
+const { getBestSprintForIssue, getBoardIdsFromIssues } = require('../jira/sprints');
+const { sprintInRange } = require('../jira/sprintReport');
+const { graphql } = require('./api');
+
+const MAX_CYCLES_PER_TEAM = 26;
+const TEAM_CYCLES_TTL = 600;
+
+const TEAM_CYCLES_QUERY = `
+  query TeamCycles($teamId: String!, $after: String) {
+    team(id: $teamId) {
+      id
+      name
+      cycles(first: 50, after: $after) {
+        nodes {
+          id
+          number
+          name
+          startsAt
+          endsAt
+          completedAt
+          scopeHistory
+          completedScopeHistory
+          completedIssueCountHistory
+        }
+        pageInfo { hasNextPage endCursor }
+      }
+    }
+  }
+`;
+
+const roundPoints = (value) => Math.round(value * 10) / 10;
+const last = (values) => (values && values.length > 0 ? values[values.length - 1] : 0);
+
+/**
+ * Sprint state for a cycle: closed, active or future (Jira's sprint states)
+ */
+function getCycleState(cycle) {
+  if (cycle.completedAt) return 'closed';
+  return new Date(cycle.startsAt) <= new Date() ? 'active' : 'future';
+}
+
+/**
+ * Map a Linear cycle onto a Jira sprint object
+ * @param {Object} cycle - Linear cycle { id, number, name, startsAt, endsAt, completedAt }
+ * @param {Object|null} team - Owning team { id, name } (the "board")
+ * @returns {Object} Sprint info
+ */
+function cycleToSprint(cycle, team = null) {
+  return {
+    id: cycle.id,
+    name: cycle.name || `Cycle ${cycle.number}`,
+    state: getCycleState(cycle),
+    startDate: cycle.startsAt,
+    endDate: cycle.endsAt,
+    completeDate: cycle.completedAt || null,
+    boardId: team?.id || null,
+    boardName: team?.name || null
+  };
+}
+
+/**
+ * Group the user's completed points by cycle
+ * @param {Array} issues - Jira-shaped Linear issues
+ * @param {Object|null} dateRange - Optional date range (cycles overlapping it are kept)
+ * @returns {Object} Velocity stats with a per-cycle breakdown
+ */
+function calculateCycleVelocity(issues, dateRange = null) {
+  const range = getDateRange(dateRange);
+  const cycles = new Map();
+  let unplannedPoints = 0;
+
+  issues.filter(issue => issue.fields?.resolutiondate).forEach(issue => {
+    const points = getStoryPoints(issue);
+    const sprint = getBestSprintForIssue(issue);
+    if (!sprint) {
+      // Completed outside any cycle
+      unplannedPoints += points;
+      return;
+    }
+    if (!sprintInRange(sprint, range)) return;
+
+    if (!cycles.has(sprint.id)) {
+      cycles.set(sprint.id, { ...sprint, points: 0, issues: 0, issueKeys: [] });
+    }
+    const cycle = cycles.get(sprint.id);
+    cycle.points += points;
+    cycle.issues++;
+    cycle.issueKeys.push(issue.key);
+  });
+
+  const cycleVelocity = [...cycles.values()]
+    .map(cycle => ({ ...cycle, points: roundPoints(cycle.points) }))
+    .sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+
+  // Averages only include closed cycles (active cycle numbers are still moving)
+  const closed = cycleVelocity.filter(cycle => cycle.state === 'closed');
+  const closedPoints = closed.reduce((sum, cycle) => sum + cycle.points, 0);
+  const averageVelocity = closed.length > 0 ? roundPoints(closedPoints / closed.length) : 0;
+
+  return {
+    cycles: cycleVelocity,
+    averageVelocity,
+    combinedAverageVelocity: averageVelocity,
+    totalPoints: roundPoints(cycleVelocity.reduce((sum, cycle) => sum + cycle.points, 0)),
+    unplannedPoints: roundPoints(unplannedPoints),
+    totalSprints: closed.length,
+    // Filled in by calculateStats from the team cycles (see getCycleVelocityByTeam)
+    byBoard: null
+  };
+}
+
+/**
+ * Get a team's cycles that have started (oldest first)
+ */
+async function getTeamCycles(teamId, client) {
+  const cacheKey = `linear-team-cycles:v1:${teamId}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+
+  const cycles = [];
+  let teamName = null;
+  let after = null;
+  let hasNextPage = true;
+
+  while (hasNextPage) {
+    const data = await graphql(client, TEAM_CYCLES_QUERY, { teamId, after });
+    const connection = data.team?.cycles;
+    teamName = data.team?.name || teamName;
+    cycles.push(...(connection?.nodes || []));
+    hasNextPage = !!connection?.pageInfo?.hasNextPage;
+    after = connection?.pageInfo?.endCursor;
+  }
+
+  const result = {
+    teamName: teamName || `Team ${teamId}`,
+    cycles: cycles
+      .filter(cycle => cycle.startsAt && new Date(cycle.startsAt) <= new Date())
+      .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt))
+  };
+
+  cache.set(cacheKey, result, TEAM_CYCLES_TTL);
+  return result;
+}
+
+/**
+ * Summarize a cycle's scope history into sprint report numbers
+ * Linear keeps the daily total and completed scope, so scope added/removed
+ * is the net change from the first day.
+ * @param {Object} cycle - Linear cycle with scope histories
+ * @param {Array} userIssues - The user's completed issues in this cycle
+ */
+function summarizeCycle(cycle, userIssues) {
+  const committed = cycle.scopeHistory?.[0] || 0;
+  const finalScope = last(cycle.scopeHistory);
+  const completed = last(cycle.completedScopeHistory);
+
+  return {
+    committed: roundPoints(committed),
+    completed: roundPoints(completed),
+    carryOver: roundPoints(Math.max(0, finalScope - completed)),
+    scopeAdded: roundPoints(Math.max(0, finalScope - committed)),
+    removed: roundPoints(Math.max(0, committed - finalScope)),
+    completionRate: committed > 0 ? Math.round((completed / committed) * 100) : null,
+    issuesCompleted: last(cycle.completedIssueCountHistory),
+    userCompleted: roundPoints(userIssues.reduce((sum, issue) => sum + getStoryPoints(issue), 0)),
+    userIssueKeys: userIssues.map(issue => issue.key)
+  };
+}
+
+/**
+ * Build per-cycle velocity for one team
+ */
+async function getTeamVelocity(teamId, dateRange, client, issues) {
+  const { teamName, cycles } = await getTeamCycles(teamId, client);
+  const range = getDateRange(dateRange);
+  const team = { id: teamId, name: teamName };
+
+  const cycleVelocity = cycles
+    .map(cycle => ({ cycle, sprint: cycleToSprint(cycle, team) }))
+    .filter(({ sprint }) => sprintInRange(sprint, range))
+    .slice(-MAX_CYCLES_PER_TEAM)
+    .map(({ cycle, sprint }) => {
+      const userIssues = issues.filter(issue =>
+        issue.fields?.resolutiondate && issue.fields?.sprint?.id === cycle.id
+      );
+      return { ...sprint, ...summarizeCycle(cycle, userIssues) };
+    });
+
+  const closed = cycleVelocity.filter(cycle => cycle.state === 'closed');
+  const average = (key) => closed.length > 0
+    ? roundPoints(closed.reduce((sum, cycle) => sum + cycle[key], 0) / closed.length)
+    : 0;
+
+  return {
+    boardId: teamId,
+    boardName: teamName,
+    sprints: cycleVelocity,
+    averageVelocity: average('completed'),
+    averageCommitted: average('committed'),
+    averageCarryOver: average('carryOver'),
+    averageScopeAdded: average('scopeAdded'),
+    averageUserVelocity: average('userCompleted'),
+    totalSprints: closed.length
+  };
+}
+
+/**
+ * Get per-cycle velocity grouped by team for the teams the user's issues belong to
+ * @param {Array} issues - User's Jira-shaped Linear issues
+ * @param {Object|null} dateRange - Optional date range
+ * @param {Object} client - GraphQL client
+ * @returns {Promise<Array>} Teams sorted by number of cycles the user contributed to
+ */
+async function getCycleVelocityByTeam(issues, dateRange, client) {
+  const teams = [];
+
+  for (const teamId of getBoardIdsFromIssues(issues)) {
+    try {
+      const team = await getTeamVelocity(teamId, dateRange, client, issues);
+      if (team.sprints.length > 0) {
+        teams.push(team);
+      }
+    } catch (error) {
+      console.warn(`⚠️ Failed to fetch cycles for Linear team ${teamId}:`, error.message);
+    }
+  }
+
+  const contributedCycles = (team) => team.sprints.filter(cycle => cycle.userCompleted > 0).length;
+  return teams.sort((a, b) => contributedCycles(b) - contributedCycles(a));
+}
+
+module.exports = {
+  cycleToSprint,
+  calculateCycleVelocity,
+  getCycleVelocityByTeam
+};
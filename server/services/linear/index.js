@@ -0,0 +1,38 @@
+/**
+ * Linear Service
+ *
+ * Orchestrator module that re-exports all Linear service functions.
+ * Issues are mapped onto the Jira issue shape and stats follow the Jira stats
+ * contract, so the Jira section, Issues page and Logbook render both sources.
+ *
+ * EXPORTS:
+ * - getStats(dateRange, credentials) - Main stats (cycle time, velocity by cycle, byType, byProject)
+ * - getAllIssuesForPage(dateRange, credentials) - Issue list for the Issues page
+ */
+
+const cache = require('../../utils/cache');
+const { getAllIssues } = require('./issues');
+const { getStats } = require('./stats');
+
+/**
+ * Get all issues for the Issues page, most recently updated first
+ * @param {Object|null} dateRange - Optional date range
+ * @param {Object|null} credentials - Optional credentials { email, apiKey }
+ */
+async function getAllIssuesForPage(dateRange = null, credentials = null) {
+  const cacheKey = `linear-issues-page:v2:${credentials?.email || 'default'}:${JSON.stringify(dateRange)}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+
+  const issues = await getAllIssues(credentials, dateRange);
+  const sortedIssues = [...issues].sort((a, b) => new Date(b.fields.updated) - new Date(a.fields.updated));
+
+  cache.set(cacheKey, sortedIssues, 120);
+  return sortedIssues;
+}
+
+// Re-export all functions
+module.exports = {
+  getStats,
+  getAllIssuesForPage
+};
@@ -0,0 +1,162 @@
+/**
+ * Linear Issues
+ *
+ * Fetches the user's assigned issues and maps them onto the Jira issue shape
+ * ({ key, fields: { summary, status, issuetype, project, priority, ... } }),
+ * so the Jira cycle time, story point and sprint helpers work on them as-is.
+ */
+
+const cache = require('../../utils/cache');
+const { getDateRange } = require('../../utils/dateHelpers');
+const { LINEAR_API_KEY, linearApi, createLinearClient, graphql, fetchAllNodes } = require('./api');
+const { cycleToSprint } = require('./cycles');
+
+const CACHE_TTL = 120; // 2 minutes, same as Jira
+
+const ISSUES_QUERY = `
+  query Issues($filter: IssueFilter, $after: String) {
+    issues(filter: $filter, first: 100, after: $after, orderBy: updatedAt) {
+      nodes {
+        id
+        identifier
+        title
+        description
+        url
+        priority
+        priorityLabel
+        estimate
+        createdAt
+        updatedAt
+        startedAt
+        completedAt
+        canceledAt
+        state { name type }
+        team { id key name }
+        project { name }
+        labels { nodes { name } }
+        assignee { id name email }
+        cycle { id number name startsAt endsAt completedAt }
+      }
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+/**
+ * Resolve the Linear user id for an email (or the API key owner)
+ * @param {Object} client - GraphQL client
+ * @param {string|null} email - User email, null for the key owner
+ * @returns {Promise<string>} User id
+ */
+async function getUserId(client, email = null) {
+  const cacheKey = `linear-user:v1:${email || 'viewer'}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+
+  let userId;
+  if (email) {
+    const data = await graphql(client, `
+      query UserByEmail($email: String!) {
+        users(filter: { email: { eq: $email } }) { nodes { id } }
+      }
+    `, { email });
+    userId = data.users?.nodes?.[0]?.id;
+    if (!userId) {
+      throw new Error(`Linear user not found: ${email}`);
+    }
+  } else {
+    const data = await graphql(client, 'query Viewer { viewer { id } }');
+    userId = data.viewer.id;
+  }
+
+  cache.set(cacheKey, userId, 600);
+  return userId;
+}
+
+/**
+ * Map a Linear priority (0 = none, 1 = urgent ... 4 = low) onto the P1-P4 names
+ * getIssuePriority understands
+ */
+function getPriorityName(issue) {
+  return issue.priority >= 1 && issue.priority <= 4
+    ? `P${issue.priority}`
+    : issue.priorityLabel || 'No priority';
+}
+
+/**
+ * Map a Linear issue onto the Jira issue shape
+ * Linear has no issue types, so the first label stands in for one.
+ * @param {Object} issue - Linear issue node
+ * @returns {Object} Jira-shaped issue
+ */
+function toJiraShape(issue) {
+  const sprint = issue.cycle ? cycleToSprint(issue.cycle, issue.team) : null;
+  return {
+    id: issue.id,
+    key: issue.identifier,
+    fields: {
+      summary: issue.title,
+      description: issue.description || '',
+      status: { name: issue.state?.name || 'Unknown' },
+      issuetype: { name: issue.labels?.nodes?.[0]?.name || 'Issue' },
+      project: { key: issue.team?.key || 'unknown', name: issue.team?.name || '' },
+      priority: { name: getPriorityName(issue) },
+      assignee: issue.assignee ? { displayName: issue.assignee.name, emailAddress: issue.assignee.email } : null,
+      created: issue.createdAt,
+      updated: issue.updatedAt,
+      resolutiondate: issue.completedAt || null,
+      storyPoints: issue.estimate || null,
+      sprint
+    },
+    _source: 'linear',
+    _url: issue.url,
+    // backlog, unstarted, started, completed, canceled or triage
+    _stateType: issue.state?.type || null,
+    _projectName: issue.project?.name || null,
+    _sprintName: sprint?.name || null,
+    _inProgressDate: issue.startedAt || null
+  };
+}
+
+/**
+ * Get all issues assigned to the user, updated in the date range
+ * @param {Object|null} credentials - Optional credentials { email, apiKey }
+ * @param {Object|null} dateRange - Optional date range
+ * @returns {Promise<Array>} Jira-shaped issues
+ */
+async function getAllIssues(credentials = null, dateRange = null) {
+  const apiKey = credentials?.apiKey || LINEAR_API_KEY;
+  if (!apiKey) {
+    throw new Error('Linear API key not configured. Please set the LINEAR_API_KEY environment variable.');
+  }
+
+  const email = credentials?.email || null;
+  const cacheKey = `linear-issues:v1:${email || 'default'}:${JSON.stringify(dateRange)}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+
+  const client = credentials?.apiKey ? createLinearClient(apiKey) : linearApi;
+  const userId = await getUserId(client, email);
+
+  // Same window as Jira's all-status queries: issues updated in the range
+  const range = getDateRange(dateRange);
+  const filter = { assignee: { id: { eq: userId } } };
+  if (range.start || range.end) {
+    filter.updatedAt = {
+      ...(range.start && { gte: range.start.toISOString() }),
+      ...(range.end && { lte: range.end.toISOString() })
+    };
+  }
+
+  const nodes = await fetchAllNodes(client, ISSUES_QUERY, { filter }, data => data.issues);
+  const issues = nodes.map(toJiraShape);
+
+  cache.set(cacheKey, issues, CACHE_TTL);
+  return issues;
+}
+
+module.exports = {
+  getAllIssues,
+  getUserId,
+  toJiraShape
+};
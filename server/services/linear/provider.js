@@ -0,0 +1,72 @@
+/**
+ * Linear source provider (see services/registry.js)
+ */
+
+const linearService = require('./index');
+const { checkToken } = require('./credentials');
+const { isConfigured } = require('./api');
+const { getStoryPoints } = require('../jira/scope');
+const { addMonthlySeries, normalizeBaseUrl } = require('../../utils/serviceHelpers');
+const { generateMockLinearIssuesData, generateMockStatsData } = require('../../utils/mockData');
+
+module.exports = {
+  id: 'linear',
+  name: 'Linear',
+  kind: 'tracker',
+  icon: '📐',
+  order: 35,
+  itemsKey: 'issues',
+  // Jira already serves /api/issues
+  itemsRoute: 'linear-issues',
+  itemLabel: 'Issues',
+  itemsTtl: 120,
+
+  isConfigured,
+  getBaseUrl: () => normalizeBaseUrl(process.env.LINEAR_BASE_URL, 'https://linear.app'),
+
+  getIdentity: (user) => user.linear?.email || null,
+
+  getCredentials(user) {
+    if (!user.linear?.email) return null;
+    return {
+      email: user.linear.email,
+      apiKey: user.linear.apiKey || process.env.LINEAR_API_KEY
+    };
+  },
+
+  credentialField: 'apiKey',
+  credentialLabel: 'Personal API key',
+  checkCredentials: checkToken,
+
+  getStats: (dateRange, credentials = null) => linearService.getStats(dateRange, credentials),
+  getItemsForPage: (dateRange, credentials = null) => linearService.getAllIssuesForPage(dateRange, credentials),
+  getMockData: generateMockLinearIssuesData,
+  getMockStats: () => generateMockStatsData().linear,
+
+  normalizeItem: (issue) => ({
+    source: 'linear',
+    id: issue.id || issue.key,
+    key: issue.key,
+    title: issue.fields?.summary || '',
+    description: issue.fields?.description || '',
+    url: issue._url || '',
+    state: issue.fields?.status?.name || 'Unknown',
+    type: issue.fields?.issuetype?.name || 'Issue',
+    container: issue.fields?.project?.key || '',
+    storyPoints: getStoryPoints(issue),
+    createdAt: issue.fields?.created,
+    // Filed under the month work started
+    loggedAt: issue._inProgressDate || issue.fields?.created,
+    resolvedAt: issue.fields?.resolutiondate || null
+  }),
+
+  summarize(stats) {
+    return {
+      resolved: stats.resolved || 0,
+      storyPoints: stats.totalStoryPoints || 0,
+      velocity: stats.velocity?.averageVelocity || 0,
+      avgResolutionTime: stats.avgResolutionTime || 0,
+      monthly: addMonthlySeries({}, stats.monthlyIssues, 'issues')
+    };
+  }
+};
@@ -0,0 +1,128 @@
+/**
+ * Linear Stats
+ *
+ * Calculates stats in the same shape as the Jira stats (see jira/index.js),
+ * with velocity by cycle instead of by month.
+ */
+
+const cache = require('../../utils/cache');
+const { calculateMonthlyStats, calculateTimePeriodStats, formatDateRangeForResponse } = require('../../utils/dateHelpers');
+const { calculateCycleTimeByPriority } = require('../jira/cycleTime');
+const { getStoryPoints } = require('../jira/scope');
+const { LINEAR_API_KEY, LINEAR_BASE_URL, linearApi, createLinearClient } = require('./api');
+const { getAllIssues } = require('./issues');
+const { calculateCycleVelocity, getCycleVelocityByTeam } = require('./cycles');
+
+/**
+ * Calculate stats from Jira-shaped Linear issues
+ * @param {Array} issues - Issues from getAllIssues
+ * @param {Object|null} dateRange - Optional date range
+ * @param {Object} client - GraphQL client (for team cycles)
+ * @returns {Promise<Object>} Calculated stats
+ */
+async function calculateStats(issues, dateRange, client) {
+  // Canceled issues (including duplicates) were never worked on
+  const filteredIssues = issues.filter(issue => issue._stateType !== 'canceled');
+
+  const timePeriodStats = calculateTimePeriodStats(filteredIssues, 'fields.updated');
+
+  const resolved = filteredIssues.filter(issue => issue.fields.resolutiondate).length;
+  const done = filteredIssues.filter(issue => issue._stateType === 'completed').length;
+  const inProgress = filteredIssues.length - done;
+
+  // Cycle time (created → completed)
+  const cycleTimeByPriority = calculateCycleTimeByPriority(filteredIssues);
+
+  // Group by label (Linear's stand-in for issue type) and by team
+  const byType = {};
+  const byProject = {};
+  filteredIssues.forEach(issue => {
+    const type = issue.fields.issuetype.name;
+    const teamKey = issue.fields.project.key;
+    const isResolved = !!issue.fields.resolutiondate;
+
+    byType[type] = byType[type] || { total: 0, resolved: 0 };
+    byType[type].total++;
+    if (isResolved) byType[type].resolved++;
+
+    byProject[teamKey] = byProject[teamKey] || { total: 0, resolved: 0, open: 0 };
+    byProject[teamKey].total++;
+    byProject[teamKey][isResolved ? 'resolved' : 'open']++;
+  });
+
+  const totalStoryPoints = filteredIssues.reduce((sum, issue) => sum + getStoryPoints(issue), 0);
+
+  // Velocity (user's points per cycle + team cycle reports)
+  const velocity = calculateCycleVelocity(filteredIssues, dateRange);
+  velocity.byBoard = await getCycleVelocityByTeam(filteredIssues, dateRange, client).catch(err => {
+    console.warn('⚠️ Failed to fetch Linear cycles:', err.message);
+    return null;
+  });
+
+  const monthlyIssues = calculateMonthlyStats(filteredIssues, 'fields.updated', dateRange);
+
+  // Recently updated issues
+  const recentIssues = [...filteredIssues]
+    .sort((a, b) => new Date(b.fields.updated) - new Date(a.fields.updated))
+    .slice(0, 5);
+
+  return {
+    source: 'linear',
+    baseUrl: LINEAR_BASE_URL,
+    total: filteredIssues.length,
+    ...timePeriodStats,
+    resolved,
+    inProgress,
+    done,
+    totalStoryPoints,
+    cycleTime: {
+      P1: cycleTimeByPriority.byPriority.P1.avg,
+      P2: cycleTimeByPriority.byPriority.P2.avg,
+      P3: cycleTimeByPriority.byPriority.P3.avg,
+      P4: cycleTimeByPriority.byPriority.P4.avg,
+      overall: cycleTimeByPriority.overall,
+      counts: cycleTimeByPriority.counts
+    },
+    avgResolutionTime: cycleTimeByPriority.overall || 0,
+    avgResolutionTimeCount: cycleTimeByPriority.counts.total,
+    byType,
+    byProject,
+    velocity,
+    monthlyIssues: monthlyIssues.monthly,
+    avgIssuesPerMonth: monthlyIssues.averagePerMonth,
+    issues: recentIssues,
+    dateRange: formatDateRangeForResponse(dateRange)
+  };
+}
+
+/**
+ * Get Linear stats in the same shape as jiraService.getStats
+ * @param {Object|null} dateRange - Optional date range
+ * @param {Object|null} credentials - Optional credentials { email, apiKey }
+ * @returns {Promise<Object>} Linear stats
+ */
+async function getStats(dateRange = null, credentials = null) {
+  const apiKey = credentials?.apiKey || LINEAR_API_KEY;
+  if (!apiKey) {
+    throw new Error('Linear API key not configured. Please set the LINEAR_API_KEY environment variable.');
+  }
+
+  const email = credentials?.email || 'default';
+  const cacheKey = `linear-stats:v1:${email}:${JSON.stringify(dateRange)}`;
+  const cached = cache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  const issues = await getAllIssues(credentials, dateRange);
+  const client = credentials?.apiKey ? createLinearClient(apiKey) : linearApi;
+  const stats = await calculateStats(issues, dateRange, client);
+
+  cache.set(cacheKey, stats, 120); // 2 minutes
+  return stats;
+}
+
+module.exports = {
+  calculateStats,
+  getStats
+};
@@ -0,0 +1,335 @@
+/**
+ * Source Provider Registry
+ *
+ * Every code host or tracker is a provider module at
+ * services/<id>/provider.js. Providers are discovered at startup, so adding
+ * a source is one new module: the dashboard, logbook, leaderboard, cache
+ * warmer and item routes all iterate the registry instead of naming services.
+ *
+ * A provider exports:
+ * - id, name, kind ('code' | 'tracker'), icon, order
+ * - itemsKey, itemLabel, itemsTtl - response key of the item route, its label and cache TTL
+ * - itemsRoute - optional item route name when itemsKey is taken (default: itemsKey)
+ * - isConfigured() - env credentials are present
+ * - getBaseUrl() - web URL used to build links
+ * - getIdentity(user) - the roster user's identity on this source (or null)
+ * - getCredentials(user) - per-user credentials with env fallbacks (use getUserCredentials,
+ *   which swaps in the user's vault token)
+ * - credentialField, credentialLabel - optional: the token's key in the credentials and
+ *   its label, for tokens users register in the credential vault
+ * - credentialLoginField, credentialLoginLabel - optional: a login stored with the vault
+ *   token (e.g. the account a Bitbucket Cloud app password belongs to) and its label
+ * - checkCredentials(credentials) - optional: check a token before it's stored,
+ *   resolving { account, scopes, missingScopes, expiresAt } (see serviceHelpers.buildTokenCheck)
+ * - datasets - optional [{ cachePrefix, endpoint }]: response caches of the provider's own
+ *   routes (see getProviderDatasets)
+ * - isWebhookConfigured(), verifyWebhook(req), handleWebhook(payload, headers) - optional:
+ *   webhook receiver at /api/webhooks/<id>. verifyWebhook checks the signature (req.body is
+ *   the raw Buffer); handleWebhook updates stored items and resolves
+ *   { event, updated, tracked, cachePrefixes } or { event, ignored } (see routes/webhooks.js)
+ * - getStats(dateRange, credentials) - stats for the env user or given credentials
+ * - getReviewStats(dateRange, credentials) - optional, code providers only
+ * - getItemsForPage(dateRange, credentials) - raw items for the items page
+ * - normalizeItem(item) - raw item -> normalized item (see below)
+ * - summarize(stats, reviewStats) - stats -> normalized metrics (see below)
+ * - getMockData() - optional mock items response for ?mock=true
+ * - getMockStats() - optional mock stats for ?mock=true
+ *
+ * Normalized item:
+ *   { source, id, key, title, description, url, state, type, container,
+ *     storyPoints, createdAt, loggedAt, mergedAt, resolvedAt }
+ * `key` is the display reference (#123, !45, PROJ-1), `container` the repo or
+ * project, and `loggedAt` the date the logbook files the item under.
+ *
+ * Normalized metrics (every field optional, missing = 0):
+ *   { created, merged, reviews, comments, resolved, storyPoints, velocity,
+ *     avgResolutionTime, ctoiFixed, ctoiParticipated,
+ *     monthly: { 'YYYY-MM': { created, merged, comments, issues } } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const credentialVault = require('../utils/credentialVault');
+const { isRateLimitError } = require('../utils/apiHelpers');
+
+const PROVIDER_KINDS = ['code', 'tracker'];
+const SUMMED_METRICS = ['created', 'merged', 'reviews', 'comments', 'resolved', 'storyPoints', 'velocity', 'ctoiFixed', 'ctoiParticipated'];
+const MONTHLY_METRICS = ['created', 'merged', 'comments', 'issues'];
+
+const providers = new Map();
+
+/**
+ * Register a provider (discovered providers are registered automatically)
+ * @param {Object} provider - Provider module
+ */
+function registerProvider(provider) {
+  if (!provider?.id || !provider.name) {
+    throw new Error('Provider must have an id and a name');
+  }
+  if (!PROVIDER_KINDS.includes(provider.kind)) {
+    throw new Error(`Provider ${provider.id} has unknown kind "${provider.kind}" (expected ${PROVIDER_KINDS.join(' or ')})`);
+  }
+  ['isConfigured', 'getStats', 'getItemsForPage', 'normalizeItem', 'summarize'].forEach(fn => {
+    if (typeof provider[fn] !== 'function') {
+      throw new Error(`Provider ${provider.id} is missing ${fn}()`);
+    }
+  });
+  if (providers.has(provider.id)) {
+    throw new Error(`Provider ${provider.id} is already registered`);
+  }
+  providers.set(provider.id, provider);
+}
+
+// Load services/*/provider.js
+function discoverProviders() {
+  const entries = fs.readdirSync(__dirname, { withFileTypes: true });
+  for (const entry of entries) {
+    const providerPath = path.join(__dirname, entry.name, 'provider.js');
+    if (entry.isDirectory() && fs.existsSync(providerPath)) {
+      registerProvider(require(providerPath));
+    }
+  }
+}
+
+/**
+ * Get registered providers, sorted by order
+ * @param {Object} options - Filters
+ * @param {string} options.kind - Only providers of this kind
+ * @param {boolean} options.configuredOnly - Only providers with credentials set
+ * @returns {Array<Object>}
+ */
+function getProviders({ kind = null, configuredOnly = false } = {}) {
+  return [...providers.values()]
+    .filter(provider => !kind || provider.kind === kind)
+    .filter(provider => !configuredOnly || provider.isConfigured())
+    .sort((a, b) => (a.order ?? 100) - (b.order ?? 100));
+}
+
+/**
+ * Get a provider by id
+ * @returns {Object|null}
+ */
+function getProvider(id) {
+  return providers.get(id) || null;
+}
+
+/**
+ * Public provider metadata (for /api/providers and the client)
+ */
+function describeProvider(provider) {
+  return {
+    id: provider.id,
+    name: provider.name,
+    kind: provider.kind,
+    icon: provider.icon || '',
+    itemsKey: provider.itemsKey,
+    itemsRoute: getItemsRoute(provider),
+    itemLabel: provider.itemLabel,
+    configured: provider.isConfigured(),
+    baseUrl: provider.getBaseUrl ? provider.getBaseUrl() : null,
+    hasReviews: typeof provider.getReviewStats === 'function'
+  };
+}
+
+/**
+ * Item route name (/api/<route>), also the items cache key prefix
+ */
+function getItemsRoute(provider) {
+  return provider.itemsRoute || provider.itemsKey;
+}
+
+/**
+ * Response caches built from a provider's data, and the endpoints that serve them
+ * Webhooks delete the caches (routes/webhooks.js); live events tell clients which
+ * endpoints to refetch (utils/liveEvents.js).
+ * @param {Object} provider - Provider module
+ * @returns {Array<Object>} [{ cachePrefix, endpoint }]
+ */
+function getProviderDatasets(provider) {
+  const itemsRoute = getItemsRoute(provider);
+  return [
+    { cachePrefix: `${itemsRoute}:`, endpoint: `/api/${itemsRoute}` },
+    { cachePrefix: `stats-source:${provider.id}:`, endpoint: `/api/stats/sources/${provider.id}` },
+    ...(provider.kind === 'code' ? [{ cachePrefix: 'stats-git:', endpoint: '/api/stats/git' }] : []),
+    ...(provider.datasets || []),
+    // Combined views
+    { cachePrefix: 'stats:', endpoint: '/api/stats' },
+    { cachePrefix: 'projects-v3:', endpoint: '/api/projects' },
+    { cachePrefix: 'logbook:', endpoint: '/api/logbook' },
+    { cachePrefix: 'leaderboard:', endpoint: '/api/stats/leaderboard' },
+    { cachePrefix: 'leaderboard:', endpoint: '/api/stats/team' },
+    { cachePrefix: 'benchmarks:', endpoint: '/api/stats/benchmarks' }
+  ];
+}
+
+/**
+ * Response for the items route: { <itemsKey>: items, baseUrl, source, itemsKey }
+ */
+function buildItemsResponse(provider, items) {
+  return {
+    [provider.itemsKey]: items,
+    baseUrl: provider.getBaseUrl ? provider.getBaseUrl() : null,
+    source: provider.id,
+    itemsKey: provider.itemsKey
+  };
+}
+
+/**
+ * A roster user's credentials for a source
+ * The user's own token from the credential vault replaces the roster or operator token.
+ * @param {Object} provider - Provider module
+ * @param {Object} user - Roster user
+ * @returns {Object|null} Credentials, null when the user has no identity on this source
+ */
+function getUserCredentials(provider, user) {
+  const credentials = provider.getCredentials ? provider.getCredentials(user) : null;
+  if (!credentials || !provider.credentialField) return credentials;
+
+  const secret = credentialVault.getSecret(user.id, provider.id);
+  if (!secret) return credentials;
+  const withSecret = { ...credentials, [provider.credentialField]: secret };
+  // The roster or operator login doesn't belong to the user's own token
+  if (provider.credentialLoginField) {
+    withSecret[provider.credentialLoginField] = credentialVault.getLogin(user.id, provider.id);
+  }
+  return withSecret;
+}
+
+/**
+ * Fetch a provider's items for the env user or a roster user
+ * Sources the user has no account on have no items.
+ * @param {Object} provider - Provider module
+ * @param {Object|null} dateRange - Date range
+ * @param {Object|null} user - Roster user, null for the env-configured user
+ * @returns {Promise<Array>} Raw items
+ */
+function getItemsForUser(provider, dateRange, user) {
+  const credentials = user ? getUserCredentials(provider, user) : null;
+  if (user && !credentials) return Promise.resolve([]);
+  return provider.getItemsForPage(dateRange, credentials);
+}
+
+/**
+ * Credentials for viewing a source as a roster user (see getViewAsUser)
+ * @param {Object} provider - Provider module
+ * @param {Object|null} user - Roster user, null for the env-configured user
+ * @returns {Object|null} Credentials, null for the env-configured user
+ * @throws {Error} status 404 when the user has no identity on this source
+ */
+function getViewAsCredentials(provider, user) {
+  if (!user) return null;
+  const credentials = getUserCredentials(provider, user);
+  if (!credentials) {
+    const error = new Error(`${user.name || user.id} has no ${provider.name} account on the roster`);
+    error.status = 404;
+    throw error;
+  }
+  return credentials;
+}
+
+/**
+ * Fetch stats (and optionally review stats) from every provider in parallel
+ * @param {Object|null} dateRange - Date range
+ * @param {Object} options - Options
+ * @param {string} options.kind - Only providers of this kind
+ * @param {boolean} options.reviews - Also fetch review stats from providers that have them
+ * @param {Object} options.user - Roster user: use their credentials and skip sources they have no identity on
+ * @returns {Promise<Object>} { stats, reviewStats, errors, rateLimited }
+ *   Without a user, failed sources appear in stats as { error } (like the combined stats cache);
+ *   with a user, failed sources are null and listed in errors.
+ */
+async function fetchAllStats(dateRange, { kind = null, reviews = false, user = null } = {}) {
+  const selected = getProviders({ kind });
+  const credentialsFor = (provider) => (user ? getUserCredentials(provider, user) : null);
+  const skip = (provider) => user && !credentialsFor(provider);
+
+  const [statsResults, reviewResults] = await Promise.all([
+    Promise.allSettled(selected.map(provider =>
+      skip(provider) ? Promise.resolve(null) : provider.getStats(dateRange, credentialsFor(provider))
+    )),
+    Promise.allSettled(selected.map(provider =>
+      !reviews || !provider.getReviewStats || skip(provider)
+        ? Promise.resolve(null)
+        : provider.getReviewStats(dateRange, credentialsFor(provider))
+    ))
+  ]);
+
+  const result = { stats: {}, reviewStats: {}, errors: {}, rateLimited: false };
+  selected.forEach((provider, index) => {
+    const stats = statsResults[index];
+    if (stats.status === 'fulfilled') {
+      result.stats[provider.id] = stats.value;
+    } else {
+      result.stats[provider.id] = user ? null : { error: stats.reason?.message };
+      result.errors[provider.id] = stats.reason?.message;
+    }
+
+    const review = reviewResults[index];
+    if (review.status === 'fulfilled' && review.value) {
+      result.reviewStats[provider.id] = review.value;
+    } else if (reviews && provider.getReviewStats && !user) {
+      result.reviewStats[provider.id] = { totalComments: 0, avgReviewsPerMonth: 0, byRepo: [] };
+    }
+
+    if ([stats, review].some(r => r.status === 'rejected' && isRateLimitError(r.reason))) {
+      result.rateLimited = true;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Sum normalized metrics across every provider in a stats entry
+ * @param {Object} entry - { <providerId>: stats, reviewStats: { <providerId>: reviews } }
+ * @returns {Object} Normalized metrics plus bySource, kinds and activeMonths
+ */
+function summarizeEntry(entry) {
+  const summary = { avgResolutionTime: 0, bySource: {}, monthly: {} };
+  SUMMED_METRICS.forEach(key => { summary[key] = 0; });
+
+  const kinds = new Set();
+  const resolutionTimes = [];
+  for (const provider of getProviders()) {
+    const stats = entry?.[provider.id];
+    if (!stats || stats.error) continue;
+
+    const metrics = provider.summarize(stats, entry.reviewStats?.[provider.id] || null);
+    summary.bySource[provider.id] = metrics;
+    kinds.add(provider.kind);
+    SUMMED_METRICS.forEach(key => { summary[key] += metrics[key] || 0; });
+    if (metrics.avgResolutionTime > 0) resolutionTimes.push(metrics.avgResolutionTime);
+
+    Object.entries(metrics.monthly || {}).forEach(([month, counts]) => {
+      summary.monthly[month] = summary.monthly[month] || { created: 0, merged: 0, comments: 0, issues: 0 };
+      MONTHLY_METRICS.forEach(key => { summary.monthly[month][key] += counts[key] || 0; });
+    });
+  }
+
+  if (resolutionTimes.length > 0) {
+    summary.avgResolutionTime = resolutionTimes.reduce((a, b) => a + b, 0) / resolutionTimes.length;
+  }
+  // Kinds of source with data, so clients can tell "no tracker" from zero
+  summary.kinds = [...kinds];
+  // Months with code activity (for comments per month)
+  summary.activeMonths = Object.values(summary.monthly).filter(counts => counts.created > 0).length;
+  return summary;
+}
+
+discoverProviders();
+
+module.exports = {
+  registerProvider,
+  getProviders,
+  getProvider,
+  describeProvider,
+  getItemsRoute,
+  getProviderDatasets,
+  buildItemsResponse,
+  getUserCredentials,
+  getViewAsCredentials,
+  getItemsForUser,
+  fetchAllStats,
+  summarizeEntry,
+  PROVIDER_KINDS
+};
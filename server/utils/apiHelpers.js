@@ -5,6 +5,9 @@
  */
 
 const axios = require('axios');
+const { scheduleRequest, isRateLimitResponse } = require('./requestScheduler');
+
+const baseAdapter = axios.getAdapter(axios.defaults.adapter);
 
 /**
  * Handle API errors consistently across all services
@@ -28,10 +31,10 @@ function handleApiError(error, serviceName, options = {}) {
 
     if (status === 401) {
       errorMessage = `${serviceName} authentication failed. Check credentials.`;
+    } else if (isRateLimitResponse(error.response)) {
+      errorMessage = `${serviceName} rate limit exceeded. Please retry later.`;
     } else if (status === 403) {
       errorMessage = `${serviceName} permission denied. Check API token permissions.`;
-    } else if (status === 429) {
-      errorMessage = `${serviceName} rate limit exceeded. Please retry later.`;
     } else if (status >= 500) {
       errorMessage = `${serviceName} server error (${status}). Please try again later.`;
     } else {
@@ -66,8 +69,21 @@ function handleApiError(error, serviceName, options = {}) {
   return { status: null, message: errorMessage };
 }
 
+/**
+ * Whether an error is (or wraps) a rate limit response (see isRateLimitResponse)
+ * @param {Error} error - Error from an API client or handleApiError
+ * @returns {boolean}
+ */
+function isRateLimitError(error) {
+  return error?.status === 429 ||
+    isRateLimitResponse(error?.response) ||
+    isRateLimitResponse(error?.originalError?.response);
+}
+
 /**
  * Create a standardized axios client with common configuration
+ * Requests go through the rate-limit-aware scheduler (see requestScheduler.js);
+ * pass `priority: 'background'` in a request's config to send it after interactive ones.
  * @param {Object} config - Client configuration
  * @param {string} config.baseURL - Base URL for the API
  * @param {string} config.token - Authentication token
@@ -106,11 +122,17 @@ function createApiClient(config) {
       'Content-Type': 'application/json',
       ...headers
     },
-    timeout
+    timeout,
+    adapter: (requestConfig) => scheduleRequest(
+      axios.getUri(requestConfig),
+      () => baseAdapter(requestConfig),
+      { method: requestConfig.method, priority: requestConfig.priority }
+    )
   });
 }
 
 module.exports = {
   handleApiError,
+  isRateLimitError,
   createApiClient
 };
@@ -0,0 +1,373 @@
+/**
+ * Auth Helpers
+ *
+ * Login with a roster id and password, kept in a signed session token
+ * (HMAC-SHA256 with AUTH_SECRET) sent as an HttpOnly cookie or a Bearer token.
+ * Auth is off until AUTH_SECRET is set; every request is then treated as an admin.
+ *
+ * Roles come from the roster entry's `role` (engineer by default):
+ * - engineer: their own data
+ * - manager: their team (roster users with the same `team`)
+ * - admin: everyone, plus cache and debug routes
+ *
+ * Password hashes are stored in server/data/passwords.json (see setPassword.js),
+ * with a session version per user. Tokens carry the version they were issued
+ * under; signing out or changing the password bumps it, revoking every session.
+ *
+ * Failed logins are throttled per IP and per user id (in memory).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getUsers, VALID_ROLES } = require('./userHelpers');
+
+const PASSWORDS_FILE = process.env.AUTH_PASSWORDS_FILE || path.join(__dirname, '..', 'data', 'passwords.json');
+const SESSION_COOKIE = 'devstats_session';
+const DEFAULT_SESSION_HOURS = 12;
+const ROLE_RANK = { engineer: 0, manager: 1, admin: 2 };
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const MAX_FAILURES_PER_USER = 5;
+const MAX_FAILURES_PER_IP = 20;
+
+// Failed logins in the current window: "ip:<address>" / "user:<id>" -> { count, resetAt }
+const loginFailures = new Map();
+
+function isAuthEnabled() {
+  return !!process.env.AUTH_SECRET;
+}
+
+function getSessionTtlSeconds() {
+  const hours = parseFloat(process.env.AUTH_SESSION_HOURS);
+  return Math.round((hours > 0 ? hours : DEFAULT_SESSION_HOURS) * 3600);
+}
+
+/**
+ * Get a roster user's role
+ * @param {Object|null} user - Roster user
+ * @returns {string} engineer, manager or admin
+ */
+function getRole(user) {
+  return VALID_ROLES.includes(user?.role) ? user.role : 'engineer';
+}
+
+// --- Passwords ---
+
+// Parsed passwords file, re-read when its mtime changes (set-password runs in another process)
+let passwordsCache = { mtimeMs: null, data: {} };
+
+/**
+ * Load the passwords file: userId -> { hash, sessionVersion }
+ * Entries written before session versions existed are plain hash strings.
+ */
+function loadPasswords() {
+  try {
+    const { mtimeMs } = fs.statSync(PASSWORDS_FILE);
+    if (mtimeMs !== passwordsCache.mtimeMs) {
+      const raw = JSON.parse(fs.readFileSync(PASSWORDS_FILE, 'utf8'));
+      const data = Object.fromEntries(Object.entries(raw).map(([userId, entry]) => [
+        userId,
+        typeof entry === 'string' ? { hash: entry, sessionVersion: 0 } : entry
+      ]));
+      passwordsCache = { mtimeMs, data };
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Failed to load passwords file:', error.message);
+    }
+    passwordsCache = { mtimeMs: null, data: {} };
+  }
+  return passwordsCache.data;
+}
+
+// Atomic write, readable by the server user only
+function savePasswords(passwords) {
+  const tmpPath = `${PASSWORDS_FILE}.tmp`;
+  fs.mkdirSync(path.dirname(PASSWORDS_FILE), { recursive: true });
+  fs.writeFileSync(tmpPath, JSON.stringify(passwords, null, 2) + '\n', { mode: 0o600 });
+  fs.renameSync(tmpPath, PASSWORDS_FILE);
+  passwordsCache = { mtimeMs: null, data: {} };
+}
+
+/**
+ * Hash a password (scrypt with a random salt)
+ * @returns {string} "scrypt$<salt>$<hash>"
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Set a roster user's password (signs out their existing sessions)
+ */
+function setPassword(userId, password) {
+  const passwords = { ...loadPasswords() };
+  passwords[userId] = {
+    hash: hashPassword(password),
+    sessionVersion: (passwords[userId]?.sessionVersion || 0) + 1
+  };
+  savePasswords(passwords);
+}
+
+/**
+ * Revoke every session of a roster user (bumps their session version)
+ * @returns {boolean} Whether the user has a password entry
+ */
+function revokeSessions(userId) {
+  const passwords = { ...loadPasswords() };
+  if (!passwords[userId]) return false;
+  passwords[userId] = { ...passwords[userId], sessionVersion: (passwords[userId].sessionVersion || 0) + 1 };
+  savePasswords(passwords);
+  return true;
+}
+
+/**
+ * Check a roster id and password
+ * @returns {Promise<Object|null>} Roster user, or null if the login is invalid
+ */
+async function checkLogin(userId, password) {
+  if (!userId || !password) return null;
+  const users = await getUsers();
+  const user = users.find(u => u.id === userId);
+  const stored = loadPasswords()[userId];
+  if (!user || !stored) return null;
+  return verifyPassword(password, stored.hash) ? user : null;
+}
+
+// --- Login throttling ---
+
+// Current failure window for a key, dropping it once it has passed
+function getFailureEntry(key) {
+  const entry = loginFailures.get(key);
+  if (entry && entry.resetAt <= Date.now()) {
+    loginFailures.delete(key);
+    return null;
+  }
+  return entry || null;
+}
+
+/**
+ * Seconds until a login from this IP for this user id may be tried again
+ * @returns {number} 0 when the login isn't throttled
+ */
+function getLoginRetryAfter(ip, userId) {
+  const blockedUntil = [[`ip:${ip}`, MAX_FAILURES_PER_IP], [`user:${userId}`, MAX_FAILURES_PER_USER]]
+    .map(([key, max]) => {
+      const entry = getFailureEntry(key);
+      return entry && entry.count >= max ? entry.resetAt : null;
+    })
+    .filter(Boolean);
+  return blockedUntil.length > 0 ? Math.ceil((Math.max(...blockedUntil) - Date.now()) / 1000) : 0;
+}
+
+/**
+ * Count a failed login against the IP and the user id
+ */
+function recordLoginFailure(ip, userId) {
+  // Drop passed windows now and then so unknown user ids don't pile up
+  if (loginFailures.size > 1000) {
+    for (const key of loginFailures.keys()) getFailureEntry(key);
+  }
+  const keys = [`ip:${ip}`, ...(userId ? [`user:${userId}`] : [])];
+  for (const key of keys) {
+    const entry = getFailureEntry(key);
+    if (entry) {
+      entry.count++;
+    } else {
+      loginFailures.set(key, { count: 1, resetAt: Date.now() + LOGIN_WINDOW_MS });
+    }
+  }
+}
+
+/**
+ * Clear a user id's failures after a successful login
+ */
+function clearLoginFailures(userId) {
+  loginFailures.delete(`user:${userId}`);
+}
+
+// --- Session tokens ---
+
+function sign(data) {
+  return crypto.createHmac('sha256', process.env.AUTH_SECRET).update(data).digest('base64url');
+}
+
+/**
+ * Create a signed session token for a roster user
+ * @returns {string} "<payload>.<signature>" (base64url)
+ */
+function createSessionToken(user) {
+  const now = Math.floor(Date.now() / 1000);
+  const ver = loadPasswords()[user.id]?.sessionVersion || 0;
+  const payload = Buffer.from(JSON.stringify({ sub: user.id, ver, iat: now, exp: now + getSessionTtlSeconds() })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verify a session token
+ * Tokens issued before the user's last sign-out or password change are rejected.
+ * @returns {Object|null} Payload { sub, ver, iat, exp }, or null if invalid, expired or revoked
+ */
+function verifySessionToken(token) {
+  if (!token || !isAuthEnabled()) return null;
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!(data.exp > Date.now() / 1000)) return null;
+    const stored = loadPasswords()[data.sub];
+    return stored && (stored.sessionVersion || 0) === data.ver ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the session token from the Authorization header or the session cookie
+ */
+function getSessionToken(req) {
+  const header = req.get('authorization');
+  if (header?.startsWith('Bearer ')) return header.slice(7).trim();
+
+  const cookies = req.get('cookie') || '';
+  const match = cookies.split(';').map(c => c.trim()).find(c => c.startsWith(`${SESSION_COOKIE}=`));
+  return match ? decodeURIComponent(match.slice(SESSION_COOKIE.length + 1)) : null;
+}
+
+function setSessionCookie(req, res, token) {
+  const parts = [
+    `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${token ? getSessionTtlSeconds() : 0}`
+  ];
+  if (req.secure) parts.push('Secure');
+  res.set('Set-Cookie', parts.join('; '));
+}
+
+// --- Access checks ---
+
+/**
+ * Whether a signed-in user may see another roster user's data
+ * @param {Object} auth - req.auth
+ * @param {Object} user - Roster user
+ */
+function canViewUser(auth, user) {
+  if (auth.role === 'admin') return true;
+  if (!auth.user || !user) return false;
+  if (user.id === auth.user.id) return true;
+  return auth.role === 'manager' && (user.team || null) === (auth.user.team || null);
+}
+
+/**
+ * Roster users the signed-in user may see
+ * @param {Object} auth - req.auth
+ * @param {Array} users - Roster
+ * @returns {Array} Visible users
+ */
+function filterUsersForRole(auth, users) {
+  if (auth.role === 'admin') return users;
+  return users.filter(user => canViewUser(auth, user));
+}
+
+/**
+ * Leaderboard entries the signed-in user may see (entries are matched by user id)
+ * @param {Object} auth - req.auth
+ * @param {Array} entries - Leaderboard entries ({ user: { id } })
+ * @param {Array} users - Roster
+ */
+function filterEntriesForRole(auth, entries, users) {
+  if (auth.role === 'admin' || !Array.isArray(entries)) return entries;
+  const visibleIds = new Set(filterUsersForRole(auth, users).map(user => user.id));
+  return entries.filter(entry => visibleIds.has(entry.user?.id));
+}
+
+// --- Middleware ---
+
+/**
+ * Express middleware: resolve the session into req.auth = { enabled, user, role }
+ * Requests without a valid session get { user: null, role: null } (see requireSession).
+ */
+function authenticate(req, res, next) {
+  if (!isAuthEnabled()) {
+    req.auth = { enabled: false, user: null, role: 'admin' };
+    return next();
+  }
+
+  const session = verifySessionToken(getSessionToken(req));
+  if (!session) {
+    req.auth = { enabled: true, user: null, role: null };
+    return next();
+  }
+
+  getUsers()
+    .then(users => {
+      // Roles are read from the roster on every request so changes apply immediately
+      const user = users.find(u => u.id === session.sub) || null;
+      req.auth = { enabled: true, user, role: user ? getRole(user) : null };
+      next();
+    })
+    .catch(error => res.status(500).json({ error: error.message }));
+}
+
+/**
+ * Express middleware: 401 unless signed in (or auth is off)
+ */
+function requireSession(req, res, next) {
+  if (req.auth?.role) return next();
+  res.status(401).json({ error: 'Sign in required' });
+}
+
+/**
+ * Express middleware factory: 403 unless the signed-in user has at least this role
+ * @param {string} role - engineer, manager or admin
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.auth?.role) {
+      return res.status(401).json({ error: 'Sign in required' });
+    }
+    if (ROLE_RANK[req.auth.role] < ROLE_RANK[role]) {
+      return res.status(403).json({ error: `Requires the ${role} role` });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  isAuthEnabled,
+  getRole,
+  hashPassword,
+  verifyPassword,
+  setPassword,
+  revokeSessions,
+  checkLogin,
+  getLoginRetryAfter,
+  recordLoginFailure,
+  clearLoginFailures,
+  createSessionToken,
+  verifySessionToken,
+  setSessionCookie,
+  canViewUser,
+  filterUsersForRole,
+  filterEntriesForRole,
+  authenticate,
+  requireSession,
+  requireRole
+};
@@ -0,0 +1,276 @@
+/**
+ * Work Calendar - fiscal year, halves, quarters and sprint cadence
+ *
+ * The calendar lives in server/config/calendar.json (or CALENDAR_CONFIG_FILE):
+ *   {
+ *     "fiscalYearStartMonth": 9,
+ *     "halfYearStartMonths": [9, 3],
+ *     "quarterStartMonths": [9, 12, 3, 6],
+ *     "sprint": { "anchorDate": "2025-01-06", "lengthDays": 14 }
+ *   }
+ *
+ * Months are 1-12. Quarters default to 3 month steps from the fiscal year start and
+ * may be uneven (e.g. [2, 6, 8, 11]); halves default to the first and third quarter.
+ * The sprint anchor is the first day of any sprint.
+ *
+ * The cache warmer, parseDateRange (?range=workyear, ...) and the client's date
+ * helpers all use this calendar; the client gets its periods, already resolved and
+ * named, from GET /api/config/calendar.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CALENDAR_FILE = path.join(__dirname, '..', 'config', 'calendar.json');
+const DEFAULT_FISCAL_YEAR_START_MONTH = 9;
+const DEFAULT_SPRINT = { anchorDate: '2025-01-06', lengthDays: 14 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ?range= values resolved from the calendar: current periods run to the present
+const CALENDAR_RANGES = {
+  workyear: { unit: 'workYear', offset: 0 },
+  previousworkyear: { unit: 'workYear', offset: -1 },
+  half: { unit: 'half', offset: 0 },
+  previoushalf: { unit: 'half', offset: -1 },
+  quarter: { unit: 'quarter', offset: 0 },
+  previousquarter: { unit: 'quarter', offset: -1 },
+  sprint: { unit: 'sprint', offset: 0 },
+  previoussprint: { unit: 'sprint', offset: -1 }
+};
+
+let calendarConfig = null;
+
+const isMonth = (value) => Number.isInteger(value) && value >= 1 && value <= 12;
+
+// Months in fiscal order, starting with the fiscal year start
+const stepMonths = (startMonth, step) => Array.from({ length: 12 / step }, (_, i) => ((startMonth - 1 + i * step) % 12) + 1);
+const sortFiscal = (months, startMonth) => [...months].sort((a, b) => ((a - startMonth + 12) % 12) - ((b - startMonth + 12) % 12));
+
+/**
+ * Validate a calendar configuration
+ * @param {Object} config - Calendar configuration
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateCalendarConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['calendar must be an object'];
+  }
+
+  const errors = [];
+  const startMonth = config.fiscalYearStartMonth ?? DEFAULT_FISCAL_YEAR_START_MONTH;
+  if (!isMonth(startMonth)) {
+    errors.push('fiscalYearStartMonth must be a month number (1-12)');
+  }
+
+  const checkBoundaries = (key, count) => {
+    const months = config[key];
+    if (months === undefined) return;
+    if (!Array.isArray(months) || months.length !== count || !months.every(isMonth) || new Set(months).size !== count) {
+      errors.push(`${key} must be ${count} different month numbers (1-12)`);
+    } else if (!months.includes(startMonth)) {
+      errors.push(`${key} must include fiscalYearStartMonth (${startMonth})`);
+    }
+  };
+  checkBoundaries('halfYearStartMonths', 2);
+  checkBoundaries('quarterStartMonths', 4);
+
+  if (errors.length === 0) {
+    const { halfYearStartMonths, quarterStartMonths } = resolveCalendar(config);
+    if (!halfYearStartMonths.every(month => quarterStartMonths.includes(month))) {
+      errors.push('each half must start with a quarter (halfYearStartMonths in quarterStartMonths)');
+    }
+  }
+
+  if (config.sprint !== undefined) {
+    const { anchorDate, lengthDays } = config.sprint || {};
+    if (anchorDate !== undefined && (!/^\d{4}-\d{2}-\d{2}$/.test(anchorDate) || isNaN(parseDate(anchorDate).getTime()))) {
+      errors.push('sprint.anchorDate must be a date (YYYY-MM-DD)');
+    }
+    if (lengthDays !== undefined && !(Number.isInteger(lengthDays) && lengthDays > 0)) {
+      errors.push('sprint.lengthDays must be a positive whole number');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Fill in the defaults (halves and quarters from the fiscal year start)
+ */
+function resolveCalendar(config = {}) {
+  const fiscalYearStartMonth = config.fiscalYearStartMonth ?? DEFAULT_FISCAL_YEAR_START_MONTH;
+  const quarterStartMonths = sortFiscal(config.quarterStartMonths || stepMonths(fiscalYearStartMonth, 3), fiscalYearStartMonth);
+  return {
+    fiscalYearStartMonth,
+    // The second half starts with the third quarter unless set
+    halfYearStartMonths: sortFiscal(config.halfYearStartMonths || [quarterStartMonths[0], quarterStartMonths[2]], fiscalYearStartMonth),
+    quarterStartMonths,
+    sprint: { ...DEFAULT_SPRINT, ...config.sprint }
+  };
+}
+
+/**
+ * Load the calendar (read once, see reloadCalendarConfig)
+ * @returns {Object} { fiscalYearStartMonth, halfYearStartMonths, quarterStartMonths, sprint, file, error }
+ */
+function loadCalendarConfig() {
+  if (calendarConfig) return calendarConfig;
+
+  const file = process.env.CALENDAR_CONFIG_FILE || DEFAULT_CALENDAR_FILE;
+  calendarConfig = { ...resolveCalendar(), file, error: null };
+
+  if (!fs.existsSync(file)) {
+    return calendarConfig;
+  }
+
+  try {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const errors = validateCalendarConfig(config);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+    calendarConfig = { ...resolveCalendar(config), file, error: null };
+  } catch (error) {
+    console.error(`Could not load calendar from ${file}, using the default calendar:`, error.message);
+    calendarConfig.error = error.message;
+  }
+
+  return calendarConfig;
+}
+
+/**
+ * Drop the loaded calendar so the next use reads the file again
+ * @returns {Object} The reloaded calendar
+ */
+function reloadCalendarConfig() {
+  calendarConfig = null;
+  return loadCalendarConfig();
+}
+
+// Local dates as YYYY-MM-DD (toISOString would shift them to UTC)
+function formatDate(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function parseDate(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Start of the month-based period (from its start months) that contains date
+function getMonthPeriodStart(date, startMonths) {
+  return startMonths
+    .map(month => new Date(date.getMonth() >= month - 1 ? date.getFullYear() : date.getFullYear() - 1, month - 1, 1))
+    .reduce((latest, start) => (start > latest ? start : latest));
+}
+
+// First day after the month-based period starting at start
+function getMonthPeriodNext(start, startMonths) {
+  return startMonths
+    .map(month => {
+      const candidate = new Date(start.getFullYear(), month - 1, 1);
+      return candidate > start ? candidate : new Date(start.getFullYear() + 1, month - 1, 1);
+    })
+    .reduce((earliest, next) => (next < earliest ? next : earliest));
+}
+
+/**
+ * A calendar period around a date
+ * @param {string} unit - 'workYear', 'half', 'quarter' or 'sprint'
+ * @param {Date} date - Reference date (default: today)
+ * @param {number} offset - 0 for the period containing date, -1 for the one before (and so on back)
+ * @returns {Object} { start, end } as YYYY-MM-DD (end is the period's last day)
+ */
+function getCalendarPeriod(unit, date = new Date(), offset = 0) {
+  const calendar = loadCalendarConfig();
+  const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+  if (unit === 'sprint') {
+    const { anchorDate, lengthDays } = calendar.sprint;
+    const anchor = parseDate(anchorDate);
+    const index = Math.floor(Math.round((day - anchor) / DAY_MS) / lengthDays) + offset;
+    const start = addDays(anchor, index * lengthDays);
+    return { start: formatDate(start), end: formatDate(addDays(start, lengthDays - 1)) };
+  }
+
+  const startMonths = {
+    workYear: [calendar.fiscalYearStartMonth],
+    half: calendar.halfYearStartMonths,
+    quarter: calendar.quarterStartMonths
+  }[unit];
+  if (!startMonths) {
+    throw new Error(`Unknown calendar unit: ${unit}`);
+  }
+
+  let start = getMonthPeriodStart(day, startMonths);
+  for (let i = 0; i > offset; i--) {
+    start = getMonthPeriodStart(addDays(start, -1), startMonths);
+  }
+  return { start: formatDate(start), end: formatDate(addDays(getMonthPeriodNext(start, startMonths), -1)) };
+}
+
+/**
+ * Fiscal year name for a date: FY26 for Sep 2025 - Aug 2026 (named by the year it ends in)
+ * @param {Date} date - Any date in the fiscal year
+ * @returns {string}
+ */
+function getFiscalYearName(date) {
+  const start = parseDate(getCalendarPeriod('workYear', date).start);
+  const endYear = loadCalendarConfig().fiscalYearStartMonth === 1 ? start.getFullYear() : start.getFullYear() + 1;
+  return `FY${String(endYear).slice(-2)}`;
+}
+
+/**
+ * A period's name: "FY26", "H1 FY26", "Q2 FY26" (its position in the work year); null for sprints
+ * @param {string} unit - 'workYear', 'half', 'quarter' or 'sprint'
+ * @param {string} start - The period's first day (YYYY-MM-DD)
+ */
+function getPeriodName(unit, start) {
+  const calendar = loadCalendarConfig();
+  const date = parseDate(start);
+  if (unit === 'workYear') return getFiscalYearName(date);
+  if (unit === 'half') return `H${calendar.halfYearStartMonths.indexOf(date.getMonth() + 1) + 1} ${getFiscalYearName(date)}`;
+  if (unit === 'quarter') return `Q${calendar.quarterStartMonths.indexOf(date.getMonth() + 1) + 1} ${getFiscalYearName(date)}`;
+  return null;
+}
+
+/**
+ * The periods of a unit, from the one containing date back
+ * @param {string} unit - 'workYear', 'half', 'quarter' or 'sprint'
+ * @param {number} count - How many periods
+ * @param {Date} date - Reference date (default: today)
+ * @returns {Array<Object>} [{ start, end, name }], most recent first
+ */
+function listCalendarPeriods(unit, count, date = new Date()) {
+  return Array.from({ length: count }, (_, i) => {
+    const period = getCalendarPeriod(unit, date, -i);
+    return { ...period, name: getPeriodName(unit, period.start) };
+  });
+}
+
+/**
+ * Date range for a calendar ?range= name (workyear, previousquarter, ...)
+ * @param {string} name - Range name (see CALENDAR_RANGES)
+ * @param {Date} date - Reference date (default: today)
+ * @returns {Object|null} { start, end } with end null for current periods, null for unknown names
+ */
+function resolveCalendarRange(name, date = new Date()) {
+  const range = CALENDAR_RANGES[name];
+  if (!range) return null;
+  const period = getCalendarPeriod(range.unit, date, range.offset);
+  return { start: period.start, end: range.offset === 0 ? null : period.end };
+}
+
+module.exports = {
+  CALENDAR_RANGES,
+  loadCalendarConfig,
+  reloadCalendarConfig,
+  validateCalendarConfig,
+  getCalendarPeriod,
+  listCalendarPeriods,
+  resolveCalendarRange,
+  formatDate,
+  parseDate
+};
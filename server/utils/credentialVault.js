@@ -0,0 +1,252 @@
+/**
+ * Credential Vault
+ *
+ * Per-user API tokens, encrypted at rest with AES-256-GCM under VAULT_KEY
+ * (64 hex characters, or any passphrase, which is stretched with scrypt).
+ * Each secret is bound to its user and source (as GCM additional data), so
+ * entries can't be swapped between users in the file.
+ *
+ * The file (server/data/vault.json, or VAULT_FILE) looks like:
+ *   { "<userId>": { "<providerId>": { iv, tag, data, login, account, scopes,
+ *     missingScopes, expiresAt, checkedAt, updatedAt, error } } }
+ * Only `data` is secret; `login` is the account some tokens authenticate with
+ * (Bitbucket Cloud app passwords), the rest is check metadata shown in the UI.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const VAULT_FILE = process.env.VAULT_FILE || path.join(__dirname, '..', 'data', 'vault.json');
+const EXPIRY_WARNING_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let vault = null;
+let vaultKey = null;
+const warnedExpired = new Set();
+
+function isVaultEnabled() {
+  return !!process.env.VAULT_KEY;
+}
+
+function getVaultKey() {
+  if (!vaultKey) {
+    const raw = process.env.VAULT_KEY;
+    vaultKey = /^[0-9a-f]{64}$/i.test(raw)
+      ? Buffer.from(raw, 'hex')
+      : crypto.scryptSync(raw, 'developer-stats-vault', 32);
+  }
+  return vaultKey;
+}
+
+function loadVault() {
+  if (vault) return vault;
+  try {
+    vault = JSON.parse(fs.readFileSync(VAULT_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Failed to load credential vault:', error.message);
+    }
+    vault = {};
+  }
+  return vault;
+}
+
+// Atomic write, readable by the server user only
+function saveVault() {
+  const tmpPath = `${VAULT_FILE}.tmp`;
+  fs.mkdirSync(path.dirname(VAULT_FILE), { recursive: true });
+  fs.writeFileSync(tmpPath, JSON.stringify(vault, null, 2) + '\n', { mode: 0o600 });
+  fs.renameSync(tmpPath, VAULT_FILE);
+}
+
+function encrypt(secret, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getVaultKey(), iv);
+  cipher.setAAD(Buffer.from(aad));
+  const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decrypt(entry, aad) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getVaultKey(), Buffer.from(entry.iv, 'base64'));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(entry.data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+const isExpired = (entry) => !!entry.expiresAt && new Date(entry.expiresAt).getTime() <= Date.now();
+
+/**
+ * Get a user's decrypted token for a source
+ * Expired tokens are skipped, so callers fall back to the roster or operator token.
+ * @param {string} userId - Roster user id
+ * @param {string} providerId - Source provider id
+ * @returns {string|null} Token
+ */
+function getSecret(userId, providerId) {
+  if (!isVaultEnabled() || !userId) return null;
+  const entry = loadVault()[userId]?.[providerId];
+  if (!entry) return null;
+
+  if (isExpired(entry)) {
+    const warningKey = `${userId}:${providerId}`;
+    if (!warnedExpired.has(warningKey)) {
+      warnedExpired.add(warningKey);
+      console.warn(`⚠️ ${providerId} token for ${userId} expired on ${entry.expiresAt}, using the fallback token`);
+    }
+    return null;
+  }
+
+  try {
+    return decrypt(entry, `${userId}:${providerId}`);
+  } catch (error) {
+    console.error(`Failed to decrypt ${providerId} token for ${userId} (was VAULT_KEY changed?):`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Get the login stored with a user's token for a source
+ * @param {string} userId - Roster user id
+ * @param {string} providerId - Source provider id
+ * @returns {string|null} Login, null when the token has none
+ */
+function getLogin(userId, providerId) {
+  if (!isVaultEnabled() || !userId) return null;
+  return loadVault()[userId]?.[providerId]?.login || null;
+}
+
+/**
+ * Public view of a vault entry (no secret), with its expiry status
+ * @returns {Object} { login, account, scopes, missingScopes, expiresAt, expiresInDays, checkedAt, updatedAt, error, status }
+ *   status: ok, expiring (within EXPIRY_WARNING_DAYS), expired, invalid (last check failed) or missing_scopes
+ */
+function describeEntry(entry) {
+  const expiresInDays = entry.expiresAt
+    ? Math.floor((new Date(entry.expiresAt).getTime() - Date.now()) / DAY_MS)
+    : null;
+
+  let status = 'ok';
+  if (isExpired(entry)) {
+    status = 'expired';
+  } else if (entry.error) {
+    status = 'invalid';
+  } else if (entry.missingScopes?.length > 0) {
+    status = 'missing_scopes';
+  } else if (expiresInDays !== null && expiresInDays < EXPIRY_WARNING_DAYS) {
+    status = 'expiring';
+  }
+
+  return {
+    login: entry.login || null,
+    account: entry.account || null,
+    scopes: entry.scopes || null,
+    missingScopes: entry.missingScopes || [],
+    expiresAt: entry.expiresAt || null,
+    expiresInDays,
+    checkedAt: entry.checkedAt || null,
+    updatedAt: entry.updatedAt || null,
+    error: entry.error || null,
+    status
+  };
+}
+
+/**
+ * Store a user's token for a source (replaces the existing one)
+ * @param {string} userId - Roster user id
+ * @param {string} providerId - Source provider id
+ * @param {string} secret - Token
+ * @param {Object} check - Check metadata { account, scopes, missingScopes, expiresAt }
+ * @param {string|null} login - Login the token authenticates with, if the source needs one
+ * @returns {Object} Public entry (see describeEntry)
+ */
+function setSecret(userId, providerId, secret, check = {}, login = null) {
+  const data = loadVault();
+  const now = new Date().toISOString();
+  data[userId] = data[userId] || {};
+  data[userId][providerId] = {
+    ...encrypt(secret, `${userId}:${providerId}`),
+    login: login || null,
+    account: check.account || null,
+    scopes: check.scopes || null,
+    missingScopes: check.missingScopes || [],
+    expiresAt: check.expiresAt || null,
+    checkedAt: now,
+    updatedAt: now,
+    error: null
+  };
+  warnedExpired.delete(`${userId}:${providerId}`);
+  saveVault();
+  return describeEntry(data[userId][providerId]);
+}
+
+/**
+ * Record the result of re-checking a stored token
+ * @param {Object} check - { account, scopes, missingScopes, expiresAt } or { error }
+ * @returns {Object|null} Public entry, null if there's no token
+ */
+function updateCheck(userId, providerId, check) {
+  const entry = loadVault()[userId]?.[providerId];
+  if (!entry) return null;
+
+  if (check.error) {
+    entry.error = check.error;
+  } else {
+    entry.account = check.account || entry.account;
+    entry.scopes = check.scopes || null;
+    entry.missingScopes = check.missingScopes || [];
+    // Keep a manually entered expiry when the source doesn't report one
+    entry.expiresAt = check.expiresAt || entry.expiresAt;
+    entry.error = null;
+  }
+  entry.checkedAt = new Date().toISOString();
+  saveVault();
+  return describeEntry(entry);
+}
+
+/**
+ * Remove a user's token for a source
+ * @returns {boolean} Whether a token was removed
+ */
+function removeSecret(userId, providerId) {
+  const data = loadVault();
+  if (!data[userId]?.[providerId]) return false;
+  delete data[userId][providerId];
+  if (Object.keys(data[userId]).length === 0) delete data[userId];
+  saveVault();
+  return true;
+}
+
+/**
+ * List a user's stored tokens (no secrets)
+ * @returns {Object} providerId -> public entry
+ */
+function listEntries(userId) {
+  const entries = loadVault()[userId] || {};
+  return Object.fromEntries(Object.entries(entries).map(([providerId, entry]) => [providerId, describeEntry(entry)]));
+}
+
+/**
+ * List every user's stored tokens (no secrets)
+ * @returns {Object} userId -> providerId -> public entry
+ */
+function listAllEntries() {
+  return Object.fromEntries(Object.keys(loadVault()).map(userId => [userId, listEntries(userId)]));
+}
+
+module.exports = {
+  EXPIRY_WARNING_DAYS,
+  isVaultEnabled,
+  getSecret,
+  getLogin,
+  setSecret,
+  updateCheck,
+  removeSecret,
+  listEntries,
+  listAllEntries
+};
@@ -0,0 +1,469 @@
+/**
+ * Dashboard Report
+ *
+ * Renders the dashboard (combined overview, benchmarks, code host and tracker
+ * sections, top epics) for a date range as one static HTML page with inline
+ * SVG charts, laid out to print to PDF. Served by /api/reports/dashboard.
+ */
+
+const { getProviders } = require('../services/registry');
+const { getDateRange, generateMonthRange } = require('./dateHelpers');
+const { barChart, comparisonChart } = require('./svgCharts');
+
+const COLORS = {
+  primary: '#667eea',
+  secondary: '#22c55e',
+  muted: '#cbd5e1',
+  team: '#f59e0b'
+};
+const BENCHMARK_LEVELS = ['p1', 'p2', 'p3', 'p4'];
+// Epics listed under Top Epics
+const TOP_EPIC_COUNT = 10;
+const PRIORITIES = ['P1', 'P2', 'P3', 'P4'];
+
+// Benchmark metrics (calculateBenchmarks keys), in table order
+const BENCHMARK_METRICS = [
+  { key: 'created', label: 'PRs/MRs Created' },
+  { key: 'reviews', label: 'Reviews' },
+  { key: 'comments', label: 'Comments' },
+  { key: 'commentsPerMonth', label: 'Comments / Month' },
+  { key: 'velocity', label: 'Velocity (SP/sprint)' },
+  { key: 'storyPoints', label: 'Story Points' },
+  { key: 'resolved', label: 'Issues Resolved' },
+  { key: 'avgResolutionTime', label: 'Avg Resolution (days)', lowerIsBetter: true },
+  { key: 'ctoiFixed', label: 'CTOI Fixed' },
+  { key: 'ctoiParticipated', label: 'CTOI Participated' }
+];
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const round = (value) => Math.round((value || 0) * 10) / 10;
+const formatNumber = (value) => (value === null || value === undefined ? '—' : round(value).toLocaleString('en-US'));
+const formatDate = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+const formatMonthKey = (monthKey) => new Date(`${monthKey}-01T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', year: '2-digit', timeZone: 'UTC' });
+
+/**
+ * "Jul 1, 2025 – Present" (no range: the default work year; start and end null: All Time)
+ */
+function formatPeriod(dateRange) {
+  const { start, end } = getDateRange(dateRange);
+  if (!start) return 'All Time';
+  const endLabel = dateRange?.end ? formatDate(end) : 'Present';
+  return `${formatDate(start)} – ${endLabel}`;
+}
+
+/**
+ * Months charted for the range (all time: the months with activity)
+ */
+function getChartMonths(dateRange, summary) {
+  const range = getDateRange(dateRange);
+  if (!range.start) return Object.keys(summary.monthly).sort();
+  return generateMonthRange(range).map(({ month }) => month);
+}
+
+// --- HTML pieces ---
+
+function renderCard(title, value, subtitle = '') {
+  return `<div class="card"><div class="card-title">${escapeHtml(title)}</div>` +
+    `<div class="card-value">${escapeHtml(value)}</div>` +
+    (subtitle ? `<div class="card-subtitle">${escapeHtml(subtitle)}</div>` : '') +
+    '</div>';
+}
+
+function renderTable(columns, rows, { totals = null, className = '' } = {}) {
+  const cell = (column, row, tag = 'td') => {
+    const value = row[column.key];
+    const content = column.html ? value : escapeHtml(column.numeric ? formatNumber(value) : value ?? '—');
+    return `<${tag}${column.numeric ? ' class="num"' : ''}>${content}</${tag}>`;
+  };
+  return `<table class="${['report-table', className].filter(Boolean).join(' ')}">` +
+    `<thead><tr>${columns.map(column => `<th${column.numeric ? ' class="num"' : ''}>${escapeHtml(column.label)}</th>`).join('')}</tr></thead>` +
+    `<tbody>${rows.map(row => `<tr>${columns.map(column => cell(column, row)).join('')}</tr>`).join('')}</tbody>` +
+    (totals ? `<tfoot><tr>${columns.map(column => cell(column, totals)).join('')}</tr></tfoot>` : '') +
+    '</table>';
+}
+
+function renderChart(title, svg) {
+  if (!svg) return '';
+  return `<figure class="chart-card"><figcaption>${escapeHtml(title)}</figcaption>${svg}</figure>`;
+}
+
+// --- Sections ---
+
+function renderOverview(context) {
+  const { summary, months, benchmarks, levelKey } = context;
+  const levelLabel = levelKey ? levelKey.toUpperCase() : null;
+  const compare = (key, value = null) => {
+    const parts = [];
+    if (benchmarks?.fte?.[key] != null) parts.push(`Team avg ${formatNumber(benchmarks.fte[key])}`);
+    if (levelKey && benchmarks?.[levelKey]?.[key] != null) parts.push(`${levelLabel} avg ${formatNumber(benchmarks[levelKey][key])}`);
+    return parts.join(' | ') || value || '';
+  };
+  const codeSources = context.codeProviders
+    .filter(provider => summary.bySource[provider.id])
+    .map(provider => `${formatNumber(summary.bySource[provider.id].created)} ${provider.name}`)
+    .join(', ');
+  const commentsPerMonth = summary.activeMonths > 0 ? summary.comments / summary.activeMonths : 0;
+  const hasTracker = summary.kinds.includes('tracker');
+
+  const cards = [
+    renderCard('Total PRs/MRs', formatNumber(summary.created), [codeSources, compare('created')].filter(Boolean).join(' | ')),
+    renderCard('Avg PRs/MRs per Month', formatNumber(summary.created / months), `Over ${months} month${months === 1 ? '' : 's'}`),
+    renderCard('Reviews', formatNumber(summary.reviews), compare('reviews', 'PRs/MRs reviewed')),
+    renderCard('Comments', formatNumber(summary.comments), compare('comments', 'Comments on PRs/MRs')),
+    commentsPerMonth > 0 ? renderCard('Comments per Month', formatNumber(commentsPerMonth), compare('commentsPerMonth')) : '',
+    hasTracker ? renderCard('Average Velocity per Sprint', formatNumber(summary.velocity), compare('velocity')) : '',
+    hasTracker ? renderCard('Story Points', formatNumber(summary.storyPoints), compare('storyPoints')) : '',
+    hasTracker ? renderCard('Issues Resolved', formatNumber(summary.resolved), compare('resolved')) : ''
+  ];
+
+  return `<section><h2>Combined Overview</h2><div class="cards">${cards.join('')}</div></section>`;
+}
+
+function renderBenchmarks(context) {
+  const { summary, benchmarks, levelKey } = context;
+  if (!benchmarks) return '';
+
+  // The user's values, defined like calculateBenchmarks
+  const mine = {
+    ...summary,
+    commentsPerMonth: summary.activeMonths > 0 ? summary.comments / summary.activeMonths : 0
+  };
+  const hasTracker = summary.kinds.includes('tracker');
+  const metrics = BENCHMARK_METRICS.filter(metric => hasTracker || !['velocity', 'storyPoints', 'resolved', 'avgResolutionTime', 'ctoiFixed', 'ctoiParticipated'].includes(metric.key));
+
+  const columns = [
+    { key: 'label', label: 'Metric' },
+    { key: 'you', label: 'You', numeric: true },
+    { key: 'fte', label: 'Team (FTE)', numeric: true },
+    ...BENCHMARK_LEVELS.map(level => ({ key: level, label: level === levelKey ? `${level.toUpperCase()} (your level)` : level.toUpperCase(), numeric: true }))
+  ];
+  const rows = metrics.map(metric => ({
+    label: metric.lowerIsBetter ? `${metric.label} ↓` : metric.label,
+    you: mine[metric.key] || 0,
+    fte: benchmarks.fte?.[metric.key] ?? null,
+    ...Object.fromEntries(BENCHMARK_LEVELS.map(level => [level, benchmarks[level]?.[metric.key] ?? null]))
+  }));
+
+  // Chart: you against the team average and your level's average
+  const series = [
+    { name: 'You', color: COLORS.primary },
+    { name: 'Team avg', color: COLORS.team },
+    ...(levelKey ? [{ name: `${levelKey.toUpperCase()} avg`, color: COLORS.muted }] : [])
+  ];
+  const chart = comparisonChart({
+    rows: rows.map(row => ({ label: row.label, values: [row.you, row.fte, ...(levelKey ? [row[levelKey]] : [])] })),
+    series,
+    label: 'Your metrics against team and level averages'
+  });
+
+  return '<section class="page-break"><h2>Benchmarks</h2>' +
+    '<p class="note">Averages over users with a non-zero value for the metric. ↓ marks metrics where lower is better.</p>' +
+    renderTable(columns, rows, { className: 'benchmarks-table' }) +
+    renderChart('You vs. averages', chart) +
+    '</section>';
+}
+
+function renderCodeSection(context) {
+  const { summary, codeProviders, chartMonths } = context;
+  const sources = codeProviders.filter(provider => summary.bySource[provider.id]);
+  if (sources.length === 0) return '';
+
+  const columns = [
+    { key: 'source', label: 'Source' },
+    { key: 'created', label: 'Created', numeric: true },
+    { key: 'merged', label: 'Merged', numeric: true },
+    { key: 'reviews', label: 'Reviews', numeric: true },
+    { key: 'comments', label: 'Comments', numeric: true }
+  ];
+  const rows = sources.map(provider => {
+    const metrics = summary.bySource[provider.id];
+    const username = context.stats[provider.id]?.username;
+    return {
+      source: username ? `${provider.name} (@${username})` : provider.name,
+      created: metrics.created || 0,
+      merged: metrics.merged || 0,
+      reviews: metrics.reviews || 0,
+      comments: metrics.comments || 0
+    };
+  });
+  const totals = sources.length > 1
+    ? Object.fromEntries(columns.map(({ key }) => [key, key === 'source' ? 'Total' : rows.reduce((sum, row) => sum + row[key], 0)]))
+    : null;
+
+  const monthly = chartMonths.map(month => summary.monthly[month] || {});
+  const activity = barChart({
+    categories: chartMonths.map(formatMonthKey),
+    series: [
+      { name: 'Created', color: COLORS.primary, values: monthly.map(counts => counts.created || 0) },
+      { name: 'Merged', color: COLORS.secondary, values: monthly.map(counts => counts.merged || 0) }
+    ],
+    label: 'PRs/MRs created and merged per month'
+  });
+  const hasComments = monthly.some(counts => counts.comments > 0);
+  const comments = hasComments ? barChart({
+    categories: chartMonths.map(formatMonthKey),
+    series: [{ name: 'Comments', color: COLORS.primary, values: monthly.map(counts => counts.comments || 0) }],
+    height: 200,
+    label: 'Review comments per month'
+  }) : '';
+
+  const title = sources.length > 1 ? `Git (${sources.map(provider => provider.name).join(' + ')})` : sources[0].name;
+  return `<section><h2>${escapeHtml(title)}</h2>` +
+    renderTable(columns, rows, { totals }) +
+    renderChart('PRs/MRs per Month', activity) +
+    renderChart('Review Comments per Month', comments) +
+    '</section>';
+}
+
+function renderPriorityTables(stats) {
+  const cycleTime = stats.cycleTime;
+  const ctoi = stats.ctoi;
+  const tables = [];
+
+  if (cycleTime?.counts?.total > 0) {
+    const rows = PRIORITIES
+      .map(priority => ({ priority, days: cycleTime[priority], issues: cycleTime.counts[priority] || 0 }))
+      .filter(row => row.issues > 0);
+    tables.push('<div><h3>Cycle Time by Priority</h3>' + renderTable(
+      [{ key: 'priority', label: 'Priority' }, { key: 'days', label: 'Avg Days', numeric: true }, { key: 'issues', label: 'Issues', numeric: true }],
+      rows,
+      { totals: { priority: 'Overall', days: cycleTime.overall, issues: cycleTime.counts.total } }
+    ) + '</div>');
+  }
+
+  if (ctoi && (ctoi.fixed > 0 || ctoi.participated > 0)) {
+    const rows = PRIORITIES
+      .map(priority => ({ priority, fixed: ctoi.byPriority?.[priority]?.fixed || 0, participated: ctoi.byPriority?.[priority]?.participated || 0 }))
+      .filter(row => row.fixed > 0 || row.participated > 0);
+    tables.push('<div><h3>CTOI Participation</h3>' + renderTable(
+      [{ key: 'priority', label: 'Priority' }, { key: 'fixed', label: 'Fixed', numeric: true }, { key: 'participated', label: 'Participated', numeric: true }],
+      rows,
+      { totals: { priority: 'Total', fixed: ctoi.fixed, participated: ctoi.participated } }
+    ) + '</div>');
+  }
+
+  return tables.length > 0 ? `<div class="side-by-side">${tables.join('')}</div>` : '';
+}
+
+function renderVelocityCharts(stats, benchmarks) {
+  const velocity = stats.velocity;
+  if (!velocity) return '';
+  const charts = [];
+  const teamVelocity = benchmarks?.fte?.velocity;
+
+  // Linear: points per cycle; Jira: points per month (points / 2 = approx per sprint)
+  if (velocity.cycles?.length > 0) {
+    charts.push(renderChart('Velocity by Cycle', barChart({
+      categories: velocity.cycles.map(cycle => cycle.name),
+      series: [{ name: 'Points', color: COLORS.primary, values: velocity.cycles.map(cycle => cycle.points || 0) }],
+      referenceLines: teamVelocity ? [{ value: teamVelocity, label: 'Team avg', color: COLORS.team }] : [],
+      label: 'Story points per cycle'
+    })));
+  } else if (velocity.monthlyVelocity?.length > 0) {
+    charts.push(renderChart('Monthly Velocity (Points / 2 = Approx Per Sprint)', barChart({
+      categories: velocity.monthlyVelocity.map(month => month.name),
+      series: [
+        { name: 'Points', color: COLORS.primary, values: velocity.monthlyVelocity.map(month => month.points || 0) },
+        { name: 'Approx per sprint', color: COLORS.muted, values: velocity.monthlyVelocity.map(month => month.approxVelocity || 0) }
+      ],
+      referenceLines: teamVelocity ? [{ value: teamVelocity, label: 'Team avg per sprint', color: COLORS.team }] : [],
+      label: 'Story points per month'
+    })));
+  }
+
+  // Sprint report per board: committed vs completed
+  (velocity.byBoard || []).filter(board => board.sprints?.length > 0).forEach(board => {
+    const averages = board.averageVelocity !== undefined
+      ? ` (avg ${formatNumber(board.averageVelocity)} completed / ${formatNumber(board.averageCommitted)} committed)`
+      : '';
+    charts.push(renderChart(`Sprint Velocity – ${board.boardName}${averages}`, barChart({
+      categories: board.sprints.map(sprint => sprint.name),
+      series: [
+        { name: 'Committed', color: COLORS.muted, values: board.sprints.map(sprint => sprint.committed || 0) },
+        { name: 'Completed', color: COLORS.primary, values: board.sprints.map(sprint => sprint.completed || 0) },
+        { name: 'Yours', color: COLORS.secondary, values: board.sprints.map(sprint => sprint.userCompleted || 0) }
+      ],
+      label: `Committed and completed points per sprint on ${board.boardName}`
+    })));
+  });
+
+  return charts.join('');
+}
+
+function renderTrackerSection(provider, stats, context) {
+  const cycleTime = stats.cycleTime || {};
+  const velocity = stats.velocity;
+  const cycles = velocity?.cycles;
+  const cards = [
+    renderCard('Total Issues', formatNumber(stats.total), `${stats.done || 0} done, ${stats.inProgress || 0} in progress`),
+    renderCard('Total Story Points', formatNumber(stats.totalStoryPoints), `${stats.total || 0} issues`),
+    renderCard('Cycle Time (Avg)', `${formatNumber(cycleTime.overall || stats.avgResolutionTime)} days`,
+      `Created → Resolved (${cycleTime.counts?.total || stats.avgResolutionTimeCount || 0} issues)`),
+    velocity ? renderCard(cycles ? 'Avg Velocity / Cycle' : 'Avg Velocity / Sprint', formatNumber(velocity.averageVelocity),
+      cycles ? `${formatNumber(velocity.totalPoints || 0)} pts across ${cycles.length} cycles` : `${formatNumber(velocity.totalPoints || 0)} pts across ${velocity.totalMonths || 0} months`) : ''
+  ];
+
+  const monthlyIssues = stats.monthlyIssues || [];
+  const issuesChart = monthlyIssues.length > 0 ? barChart({
+    categories: monthlyIssues.map(item => formatMonthKey(item.month)),
+    series: [{ name: 'Issues', color: COLORS.primary, values: monthlyIssues.map(item => item.count || 0) }],
+    height: 200,
+    label: 'Issues per month'
+  }) : '';
+
+  return `<section class="page-break"><h2>${escapeHtml(provider.name)}</h2>` +
+    `<div class="cards">${cards.join('')}</div>` +
+    renderPriorityTables(stats) +
+    renderChart('Issues per Month', issuesChart) +
+    renderVelocityCharts(stats, context.benchmarks) +
+    '</section>';
+}
+
+function renderTopEpics(projects) {
+  // The user's issues and points per epic (the other metrics are epic-wide)
+  const userIssues = (epic) => epic.metrics?.userTotalIssuesAllTime ?? epic.issues?.length ?? 0;
+  const userPoints = (epic) => epic.metrics?.userTotalPointsAllTime || 0;
+  const epics = [...(projects?.epics || [])]
+    .sort((a, b) => userPoints(b) - userPoints(a) || userIssues(b) - userIssues(a))
+    .slice(0, TOP_EPIC_COUNT);
+  if (epics.length === 0) return '';
+
+  const baseUrl = projects.baseUrl?.replace(/\/$/, '');
+  const rows = epics.map(epic => {
+    const metrics = epic.metrics || {};
+    const progress = metrics.epicTotalIssues > 0 ? Math.round(((metrics.totalDoneIssues || 0) / metrics.epicTotalIssues) * 100) : null;
+    const key = escapeHtml(epic.epicKey);
+    return {
+      epic: `${baseUrl ? `<a href="${escapeHtml(`${baseUrl}/browse/${epic.epicKey}`)}">${key}</a>` : key} ${escapeHtml(epic.epicName)}`,
+      project: epic.project,
+      issues: userIssues(epic),
+      points: userPoints(epic),
+      size: `${formatNumber(metrics.epicTotalIssues)} issues / ${formatNumber(metrics.epicTotalPoints)} pts`,
+      progress: progress === null ? '—' : `<span class="progress"><span style="width:${progress}%"></span></span> ${progress}%`
+    };
+  });
+
+  return '<section><h2>Top Epics</h2>' +
+    `<p class="note">Epics with your issues, most story points first${projects.totalEpics > epics.length ? ` (top ${epics.length} of ${projects.totalEpics})` : ''}.</p>` +
+    renderTable([
+      { key: 'epic', label: 'Epic', html: true },
+      { key: 'project', label: 'Project' },
+      { key: 'issues', label: 'Your Issues', numeric: true },
+      { key: 'points', label: 'Your Points', numeric: true },
+      { key: 'size', label: 'Epic Size' },
+      { key: 'progress', label: 'Done', html: true }
+    ], rows) +
+    '</section>';
+}
+
+const STYLES = `
+    @page { size: A4; margin: 14mm; }
+    * { box-sizing: border-box; }
+    body { margin: 0 auto; max-width: 960px; padding: 24px; font-family: 'Inter', system-ui, -apple-system, sans-serif; font-size: 10.5pt; color: #1e293b; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    header { display: flex; justify-content: space-between; align-items: flex-end; border-bottom: 2px solid #1e293b; padding-bottom: 10px; margin-bottom: 20px; }
+    header h1 { margin: 0; font-size: 20pt; }
+    header .period { margin: 4px 0 0; color: #475569; }
+    header .generated { margin: 0; font-size: 9pt; color: #64748b; text-align: right; }
+    h2 { margin: 28px 0 12px; font-size: 14pt; border-bottom: 1px solid #e2e8f0; padding-bottom: 4px; }
+    h3 { margin: 16px 0 8px; font-size: 11pt; color: #475569; }
+    .note { margin: 0 0 10px; font-size: 9pt; color: #64748b; }
+    .cards { display: grid; grid-template-columns: repeat(4, 1fr); gap: 10px; }
+    .card { border: 1px solid #e2e8f0; border-radius: 8px; padding: 10px 12px; break-inside: avoid; }
+    .card-title { font-size: 8.5pt; font-weight: 600; text-transform: uppercase; letter-spacing: 0.3px; color: #64748b; }
+    .card-value { margin: 4px 0; font-size: 18pt; font-weight: 700; }
+    .card-subtitle { font-size: 8.5pt; color: #64748b; }
+    .report-table { width: 100%; border-collapse: collapse; margin: 8px 0 12px; font-size: 9.5pt; break-inside: avoid; }
+    .report-table th, .report-table td { padding: 5px 8px; border-bottom: 1px solid #e2e8f0; text-align: left; }
+    .report-table th { background: #f8fafc; font-size: 8.5pt; font-weight: 600; text-transform: uppercase; letter-spacing: 0.3px; color: #475569; }
+    .report-table .num { text-align: right; font-variant-numeric: tabular-nums; }
+    .report-table tfoot td { font-weight: 600; border-top: 2px solid #cbd5e1; }
+    .side-by-side { display: grid; grid-template-columns: 1fr 1fr; gap: 16px; }
+    .chart-card { margin: 12px 0; padding: 10px 12px; border: 1px solid #e2e8f0; border-radius: 8px; break-inside: avoid; }
+    .chart-card figcaption { margin-bottom: 6px; font-size: 10pt; font-weight: 600; }
+    .chart { display: block; }
+    .progress { display: inline-block; width: 60px; height: 6px; background: #e2e8f0; border-radius: 3px; vertical-align: middle; overflow: hidden; }
+    .progress span { display: block; height: 100%; background: #22c55e; }
+    a { color: #2563eb; text-decoration: none; }
+    footer { margin-top: 28px; padding-top: 8px; border-top: 1px solid #e2e8f0; font-size: 8.5pt; color: #94a3b8; }
+    @media print {
+      body { padding: 0; max-width: none; }
+      .page-break { break-before: page; }
+      h2, h3, figcaption { break-after: avoid; }
+    }
+    @media (max-width: 700px) {
+      .cards { grid-template-columns: repeat(2, 1fr); }
+      .side-by-side { grid-template-columns: 1fr; }
+    }`;
+
+/**
+ * Build the printable dashboard report
+ * @param {Object} data - Report data
+ * @param {string|null} data.name - Name in the title (null: the configured user)
+ * @param {string|null} data.level - The user's roster level (highlighted in benchmarks)
+ * @param {Object|null} data.dateRange - Date range
+ * @param {Object} data.stats - Stats by provider id (fetchAllStats), with reviewStats
+ * @param {Object} data.summary - summarizeEntry of the stats
+ * @param {Object|null} data.benchmarks - fetchBenchmarks result
+ * @param {Object|null} data.projects - fetchProjectsWithAnalytics result (getProjectsByEpic)
+ * @param {Date} data.generatedAt - Generation time
+ * @returns {string} HTML document
+ */
+function buildDashboardReport({ name = null, level = null, dateRange, stats, summary, benchmarks, projects, generatedAt = new Date() }) {
+  const levelKey = BENCHMARK_LEVELS.includes(String(level).toLowerCase()) ? String(level).toLowerCase() : null;
+  const chartMonths = getChartMonths(dateRange, summary);
+  const context = {
+    stats,
+    summary,
+    benchmarks,
+    levelKey,
+    chartMonths,
+    months: Math.max(chartMonths.length, 1),
+    codeProviders: getProviders({ kind: 'code' })
+  };
+
+  const trackerSections = getProviders({ kind: 'tracker' })
+    .filter(provider => stats[provider.id] && !stats[provider.id].error)
+    .map(provider => renderTrackerSection(provider, stats[provider.id], context));
+  const failedSources = getProviders()
+    .filter(provider => stats[provider.id]?.error)
+    .map(provider => `${provider.name}: ${stats[provider.id].error}`);
+
+  const title = name ? `Engineering Stats — ${name}` : 'Engineering Stats';
+  const period = formatPeriod(dateRange);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(`${title} (${period})`)}</title>
+  <style>${STYLES}
+  </style>
+</head>
+<body>
+<header>
+  <div>
+    <h1>${escapeHtml(title)}</h1>
+    <p class="period">${escapeHtml(period)}${level ? ` · ${escapeHtml(level)}` : ''}</p>
+  </div>
+  <p class="generated">Generated ${escapeHtml(formatDate(generatedAt))}</p>
+</header>
+${renderOverview(context)}
+${renderCodeSection(context)}
+${trackerSections.join('\n')}
+${renderTopEpics(projects)}
+${renderBenchmarks(context)}
+<footer>${failedSources.length > 0 ? `Unavailable: ${escapeHtml(failedSources.join('; '))}. ` : ''}Benchmarks average the leaderboard for the same range.</footer>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  buildDashboardReport
+};
@@ -3,13 +3,13 @@
  */
 
 const cache = require('./cache');
-const { parseDateRange, setCacheHeaders } = require('./requestHelpers');
+const { parseDateRange, setCacheHeaders, buildViewAsCacheKey } = require('./requestHelpers');
 
 /**
  * Create a cached endpoint handler
  * @param {Object} options - Handler options
  * @param {string} options.cacheKeyPrefix - Prefix for cache key
- * @param {Function} options.fetchFn - Async function to fetch data
+ * @param {Function} options.fetchFn - Async function to fetch data: (dateRange, user) where user is req.viewAsUser (see resolveViewAsUser)
  * @param {number} options.ttl - Cache TTL in seconds (default: 300)
  * @param {Function} options.transformResponse - Optional function to transform response
  */
@@ -17,7 +17,8 @@ function createCachedEndpoint({ cacheKeyPrefix, fetchFn, ttl = 300, transformRes
   return async (req, res) => {
     try {
       const dateRange = parseDateRange(req.query);
-      const cacheKey = `${cacheKeyPrefix}:${JSON.stringify(dateRange)}`;
+      const user = req.viewAsUser || null;
+      const cacheKey = buildViewAsCacheKey(cacheKeyPrefix, user, dateRange);
       
       const cached = cache.get(cacheKey);
       if (cached) {
@@ -26,7 +27,7 @@ function createCachedEndpoint({ cacheKeyPrefix, fetchFn, ttl = 300, transformRes
       }
       
       const startTime = Date.now();
-      const data = await fetchFn(dateRange);
+      const data = await fetchFn(dateRange, user);
       
       let response = transformResponse ? transformResponse(data) : data;
       
@@ -46,12 +47,14 @@ function createCachedEndpoint({ cacheKeyPrefix, fetchFn, ttl = 300, transformRes
 
 /**
  * Create a simple endpoint handler (no caching)
+ * fetchFn receives (dateRange, user) like createCachedEndpoint
  */
 function createSimpleEndpoint({ fetchFn, transformResponse }) {
   return async (req, res) => {
     try {
       const dateRange = parseDateRange(req.query);
-      const data = await fetchFn(dateRange);
+      const user = req.viewAsUser || null;
+      const data = await fetchFn(dateRange, user);
       const response = transformResponse ? transformResponse(data) : data;
       res.json(response);
     } catch (error) {
@@ -0,0 +1,251 @@
+/**
+ * Export Formats
+ *
+ * Writes table exports (columns + rows) as CSV, XLSX or JSON for /api/export.
+ * XLSX files are built here (a zip of SpreadsheetML parts with inline
+ * strings) so the server needs no spreadsheet dependency.
+ *
+ * A column is { key, header, type } with type 'string' (default), 'number'
+ * or 'date'; rows are plain objects keyed by column key.
+ */
+
+const zlib = require('zlib');
+
+const FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' }
+};
+
+// Cells starting with these run as formulas when a CSV is opened in a spreadsheet
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function formatCell(value, type) {
+  if (value === null || value === undefined || value === '') return '';
+  if (type === 'date') {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? '' : date.toISOString().split('T')[0];
+  }
+  if (type === 'number') {
+    return typeof value === 'number' && isFinite(value) ? Math.round(value * 100) / 100 : '';
+  }
+  return String(value);
+}
+
+/**
+ * Write rows as CSV (RFC 4180, with a BOM so Excel reads UTF-8)
+ * @param {Array<Object>} columns - Column definitions
+ * @param {Array<Object>} rows - Rows keyed by column key
+ * @returns {string} CSV
+ */
+function toCsv(columns, rows) {
+  const escape = (cell) => {
+    let text = String(cell);
+    if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [
+    columns.map(column => escape(column.header)).join(','),
+    ...rows.map(row => columns.map(column => escape(formatCell(row[column.key], column.type))).join(','))
+  ];
+  return `\ufeff${lines.join('\r\n')}\r\n`;
+}
+
+// --- XLSX ---
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  // Control characters are not allowed in XML
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+// A1-style column letters: 0 -> A, 26 -> AA
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function sheetCell(ref, value, style = 0) {
+  const styleAttr = style ? ` s="${style}"` : '';
+  if (value === '') return '';
+  if (typeof value === 'number') return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+  return `<c r="${ref}" t="inlineStr"${styleAttr}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function buildSheet(columns, rows) {
+  const header = `<row r="1">${columns.map((column, i) => sheetCell(`${columnName(i)}1`, column.header, 1)).join('')}</row>`;
+  const body = rows.map((row, r) => (
+    `<row r="${r + 2}">${columns.map((column, i) => sheetCell(`${columnName(i)}${r + 2}`, formatCell(row[column.key], column.type))).join('')}</row>`
+  ));
+  const widths = columns.map((column, i) => `<col min="${i + 1}" max="${i + 1}" width="${column.type === 'string' || !column.type ? 30 : 14}" customWidth="1"/>`);
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    `<cols>${widths.join('')}</cols>` +
+    `<sheetData>${header}${body.join('')}</sheetData>` +
+    '</worksheet>';
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Entries are stamped 1980-01-01 (the zip epoch); files have no meaningful modification time
+const DOS_DATE = (1 << 5) | 1;
+
+// Zip archive of deflated files (no zip64: exports stay far below 4 GB)
+function buildZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(({ name, content }) => {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const data = Buffer.from(content, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt16LE(0, 10); // time
+    local.writeUInt16LE(DOS_DATE, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    localParts.push(local, nameBuffer, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6); // version needed
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(0, 12);
+    central.writeUInt16LE(DOS_DATE, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centralParts.push(central, nameBuffer);
+
+    offset += local.length + nameBuffer.length + compressed.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, ...centralParts, end]);
+}
+
+/**
+ * Write rows as a one-sheet XLSX workbook (bold, frozen header row)
+ * @param {Array<Object>} columns - Column definitions
+ * @param {Array<Object>} rows - Rows keyed by column key
+ * @param {string} sheetName - Worksheet name
+ * @returns {Buffer} XLSX file
+ */
+function toXlsx(columns, rows, sheetName = 'Export') {
+  // Sheet names: at most 31 characters, none of : \ / ? * [ ]
+  const name = sheetName.replace(/[:\\/?*[\]]/g, ' ').slice(0, 31) || 'Export';
+  const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+  return buildZip([
+    {
+      name: '[Content_Types].xml',
+      content: `${xml}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: `${xml}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">` +
+        `<sheets><sheet name="${escapeXml(name)}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: `${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/styles.xml',
+      content: `${xml}<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+        '</styleSheet>'
+    },
+    { name: 'xl/worksheets/sheet1.xml', content: buildSheet(columns, rows) }
+  ]);
+}
+
+/**
+ * Send an export as a download
+ * @param {Object} res - Express response
+ * @param {Object} options - Options
+ * @param {string} options.format - csv, xlsx or json
+ * @param {string} options.filename - File name without extension
+ * @param {string} options.title - Sheet name (XLSX) and title (JSON)
+ * @param {Array<Object>} options.columns - Column definitions
+ * @param {Array<Object>} options.rows - Rows keyed by column key
+ * @param {Object} options.meta - Extra fields for the JSON export (date range, filters)
+ */
+function sendExport(res, { format, filename, title, columns, rows, meta = {} }) {
+  const { extension, contentType } = FORMATS[format];
+  res.set('Content-Type', contentType);
+  res.attachment(`${filename}.${extension}`);
+
+  if (format === 'csv') return res.send(toCsv(columns, rows));
+  if (format === 'xlsx') return res.send(toXlsx(columns, rows, title));
+
+  const formatted = rows.map(row => Object.fromEntries(columns.map(column => {
+    const value = formatCell(row[column.key], column.type);
+    return [column.key, value === '' ? null : value];
+  })));
+  return res.send(JSON.stringify({ title, ...meta, columns, count: rows.length, rows: formatted }, null, 2));
+}
+
+module.exports = {
+  FORMATS,
+  toCsv,
+  toXlsx,
+  sendExport
+};
@@ -0,0 +1,133 @@
+/**
+ * Identity Helpers
+ *
+ * Checks whether roster identities (GitHub username, GitLab id, Jira email)
+ * resolve to real accounts on each service, using the server's credentials.
+ */
+
+const cache = require('./cache');
+const { githubApi } = require('../services/github/api');
+const { gitlabApi } = require('../services/gitlab/api');
+const { jiraApi } = require('../services/jira/api');
+
+const IDENTITY_TTL = 3600;
+
+/**
+ * Build a resolution result
+ * @param {string} status - 'ok' | 'ambiguous' | 'not_found' | 'error' | 'skipped'
+ * @param {Object} extra - { detail, account, candidates }
+ */
+function result(status, extra = {}) {
+  return {
+    status,
+    detail: extra.detail || null,
+    account: extra.account || null,
+    ...(extra.candidates ? { candidates: extra.candidates } : {})
+  };
+}
+
+const toJiraAccount = (user) => ({
+  name: user.displayName,
+  username: user.name || null,
+  key: user.key || user.accountId || null,
+  email: user.emailAddress || null
+});
+
+/**
+ * Run a resolver with caching, mapping 404s to not_found
+ */
+async function cachedResolve(cacheKey, resolver) {
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+
+  let resolution;
+  try {
+    resolution = await resolver();
+  } catch (error) {
+    const status = error.response?.status;
+    resolution = status === 404
+      ? result('not_found', { detail: 'Account not found' })
+      : result('error', { detail: error.message });
+  }
+
+  // Don't cache transient failures
+  if (resolution.status !== 'error') {
+    cache.set(cacheKey, resolution, IDENTITY_TTL);
+  }
+  return resolution;
+}
+
+async function resolveGitHubUser(username) {
+  if (!username) return result('skipped', { detail: 'No GitHub username' });
+  if (!githubApi) return result('skipped', { detail: 'GitHub not configured' });
+
+  return cachedResolve(`identity:github:${username.toLowerCase()}`, async () => {
+    const response = await githubApi.get(`/users/${encodeURIComponent(username)}`);
+    return result('ok', { account: { login: response.data.login, name: response.data.name || null } });
+  });
+}
+
+async function resolveGitLabUser(id) {
+  if (!id) return result('skipped', { detail: 'No GitLab id' });
+  if (!gitlabApi) return result('skipped', { detail: 'GitLab not configured' });
+
+  return cachedResolve(`identity:gitlab:${id}`, async () => {
+    if (/^\d+$/.test(String(id))) {
+      const response = await gitlabApi.get(`/users/${id}`);
+      return result('ok', { account: { username: response.data.username, name: response.data.name || null } });
+    }
+
+    const response = await gitlabApi.get('/users', { params: { username: id } });
+    const user = response.data?.[0];
+    return user
+      ? result('ok', { account: { username: user.username, name: user.name || null } })
+      : result('not_found', { detail: 'Account not found' });
+  });
+}
+
+async function resolveJiraUser(email) {
+  if (!email) return result('skipped', { detail: 'No Jira email' });
+  if (!jiraApi) return result('skipped', { detail: 'Jira not configured' });
+
+  return cachedResolve(`identity:jira:${email.toLowerCase()}`, async () => {
+    // Jira Server/Data Center searches by "username", Cloud by "query"
+    const response = await jiraApi.get('/rest/api/2/user/search', {
+      params: { username: email, query: email, maxResults: 5 }
+    });
+    const users = Array.isArray(response.data) ? response.data : [];
+    const exact = users.find(u => u.emailAddress?.toLowerCase() === email.toLowerCase());
+
+    if (exact) return result('ok', { account: toJiraAccount(exact) });
+    if (users.length === 0) return result('not_found', { detail: 'Account not found' });
+
+    // Email addresses can be hidden by privacy settings - a single hit is trusted
+    if (users.length === 1 && !users[0].emailAddress) {
+      return result('ok', { account: toJiraAccount(users[0]) });
+    }
+    return result('ambiguous', {
+      detail: `No exact email match; ${users.length} similar account${users.length !== 1 ? 's' : ''}`,
+      candidates: users.map(toJiraAccount)
+    });
+  });
+}
+
+/**
+ * Resolve all identities for a roster entry
+ * @param {Object} user - Roster entry
+ * @returns {Promise<Object>} { github, gitlab, jira } resolution results
+ */
+async function resolveUserIdentities(user) {
+  const [github, gitlab, jira] = await Promise.all([
+    resolveGitHubUser(user.github?.username),
+    resolveGitLabUser(user.gitlab?.username),
+    resolveJiraUser(user.jira?.email)
+  ]);
+  return { github, gitlab, jira };
+}
+
+module.exports = {
+  resolveUserIdentities,
+  resolveGitHubUser,
+  resolveGitLabUser,
+  resolveJiraUser
+};
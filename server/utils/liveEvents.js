@@ -0,0 +1,68 @@
+/**
+ * Live Events
+ *
+ * Server-Sent Events stream (GET /api/events) that tells open dashboards when
+ * a webhook or the cache warmer refreshed a dataset, so they refetch only the
+ * affected sections instead of polling. Each announcement is:
+ *
+ *   event: refresh
+ *   data: { sources, endpoints, reason, event, timestamp }
+ *
+ * `endpoints` are API paths (e.g. /api/prs, /api/stats/git) whose responses changed.
+ */
+
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 5000;
+
+const clients = new Set();
+
+/**
+ * Express handler: keep the response open as an event stream
+ */
+function subscribe(req, res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    // no-transform keeps proxies (and the dev server's compression) from buffering events
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  clients.add(res);
+  // Comments keep idle connections from being closed by proxies
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(res);
+  });
+}
+
+/**
+ * Announce refreshed datasets to every open stream
+ * @param {Object} refresh - Refresh details
+ * @param {Array<string>} refresh.sources - Provider ids whose data changed
+ * @param {Array<string>} refresh.endpoints - API paths to refetch
+ * @param {string} refresh.reason - 'webhook' or 'warmer'
+ * @param {string} refresh.event - Optional source event (e.g. pull_request.closed)
+ */
+function publishRefresh({ sources, endpoints, reason, event = null }) {
+  if (clients.size === 0) return;
+  const data = { sources, endpoints: [...new Set(endpoints)], reason, event, timestamp: new Date().toISOString() };
+  const message = `event: refresh\ndata: ${JSON.stringify(data)}\n\n`;
+  clients.forEach(res => res.write(message));
+}
+
+/**
+ * Number of open streams
+ */
+function getClientCount() {
+  return clients.size;
+}
+
+module.exports = {
+  subscribe,
+  publishRefresh,
+  getClientCount
+};
@@ -75,6 +75,40 @@ function generateMockMRsData() {
   return { mrs, baseUrl: 'https://gitlab.com', mock: true };
 }
 
+// Generate mock Bitbucket PRs data
+function generateMockBitbucketPRsData() {
+  const repos = ['PLAT/billing-service', 'PLAT/checkout-web', 'DATA/etl-jobs'];
+  const states = ['merged', 'open', 'merged', 'declined'];
+
+  const prs = [];
+  for (let i = 0; i < 12; i++) {
+    const daysAgo = Math.floor(Math.random() * 30);
+    const createdDate = new Date();
+    createdDate.setDate(createdDate.getDate() - daysAgo);
+    const updatedDate = new Date(createdDate);
+    updatedDate.setDate(updatedDate.getDate() + Math.floor(Math.random() * 3));
+
+    const state = states[i % states.length];
+    const repo = repos[i % repos.length];
+    const [project, slug] = repo.split('/');
+
+    prs.push({
+      id: `${repo}#${300 + i}`,
+      number: 300 + i,
+      title: `[MOCK] ${['Migrate', 'Fix', 'Add', 'Tune'][i % 4]} ${['payment retries', 'cart totals', 'nightly export'][i % 3]}`,
+      state,
+      created_at: createdDate.toISOString(),
+      updated_at: updatedDate.toISOString(),
+      merged_at: state === 'merged' ? updatedDate.toISOString() : null,
+      html_url: `https://bitbucket.example.com/projects/${project}/repos/${slug}/pull-requests/${300 + i}`,
+      _repoName: repo,
+      _projectName: repo
+    });
+  }
+
+  return { prs, baseUrl: 'https://bitbucket.example.com', mock: true };
+}
+
 // Generate mock Issues data
 function generateMockIssuesData() {
   const projectKeys = ['PROJ', 'FEAT', 'BUG'];
@@ -119,6 +153,70 @@ function generateMockIssuesData() {
   return { issues, baseUrl: 'https://jira.example.com', mock: true };
 }
 
+// Generate mock Linear issues data (Jira issue shape, see services/linear/issues.js)
+function generateMockLinearIssuesData() {
+  const teams = [{ id: 'team-web', key: 'WEB', name: 'Web' }, { id: 'team-api', key: 'API', name: 'API' }];
+  const states = [
+    { name: 'Done', type: 'completed' },
+    { name: 'In Progress', type: 'started' },
+    { name: 'Todo', type: 'unstarted' },
+    { name: 'In Review', type: 'started' }
+  ];
+  const labels = ['Feature', 'Bug', 'Improvement'];
+  const cycleLength = 14 * 24 * 60 * 60 * 1000;
+  const currentCycleStart = Date.now() - 7 * 24 * 60 * 60 * 1000;
+
+  const issues = [];
+  for (let i = 0; i < 16; i++) {
+    const team = teams[i % teams.length];
+    const state = states[i % states.length];
+    const cyclesAgo = Math.floor(i / 4);
+    const cycleNumber = 20 - cyclesAgo;
+    const cycleStart = new Date(currentCycleStart - cyclesAgo * cycleLength);
+    const cycleEnd = new Date(cycleStart.getTime() + cycleLength);
+    const createdDate = new Date(cycleStart.getTime() - 2 * 24 * 60 * 60 * 1000);
+    const startedDate = new Date(cycleStart.getTime() + (i % 4) * 24 * 60 * 60 * 1000);
+    const completedDate = state.type === 'completed' ? new Date(startedDate.getTime() + 3 * 24 * 60 * 60 * 1000) : null;
+    const cycleName = `Cycle ${cycleNumber}`;
+
+    issues.push({
+      id: `linear-${i}`,
+      key: `${team.key}-${200 + i}`,
+      fields: {
+        summary: `[MOCK] ${['Build', 'Fix', 'Polish', 'Document'][i % 4]} ${['onboarding flow', 'webhook retries', 'settings page', 'search API'][i % 4]}`,
+        description: '',
+        status: { name: state.name },
+        issuetype: { name: labels[i % labels.length] },
+        project: { key: team.key, name: team.name },
+        priority: { name: `P${(i % 4) + 1}` },
+        assignee: { displayName: 'Mock User', emailAddress: 'mock-user@example.com' },
+        created: createdDate.toISOString(),
+        updated: (completedDate || startedDate).toISOString(),
+        resolutiondate: completedDate ? completedDate.toISOString() : null,
+        storyPoints: [1, 2, 3, 5][i % 4],
+        sprint: {
+          id: `cycle-${team.key}-${cycleNumber}`,
+          name: cycleName,
+          state: cyclesAgo === 0 ? 'active' : 'closed',
+          startDate: cycleStart.toISOString(),
+          endDate: cycleEnd.toISOString(),
+          completeDate: cyclesAgo === 0 ? null : cycleEnd.toISOString(),
+          boardId: team.id,
+          boardName: team.name
+        }
+      },
+      _source: 'linear',
+      _url: `https://linear.app/example/issue/${team.key}-${200 + i}`,
+      _stateType: state.type,
+      _projectName: null,
+      _sprintName: cycleName,
+      _inProgressDate: startedDate.toISOString()
+    });
+  }
+
+  return { issues, baseUrl: 'https://linear.app/example', mock: true };
+}
+
 // Generate mock Projects data
 function generateMockProjectsData() {
   const epicData = [
@@ -234,6 +332,31 @@ function generateMockStatsData() {
     mock: true
   };
   
+  // Generate mock Bitbucket stats
+  const bitbucketMonthly = monthlyMRs.map(item => ({ month: item.month, count: Math.max(1, item.count - 1) }));
+  const bitbucketTotal = bitbucketMonthly.reduce((sum, item) => sum + item.count, 0);
+  const bitbucketMerged = Math.round(bitbucketTotal * 0.8);
+  const bitbucket = {
+    source: 'bitbucket',
+    username: 'mock-user',
+    created: bitbucketTotal,
+    total: bitbucketTotal,
+    merged: bitbucketMerged,
+    open: 1,
+    closed: bitbucketTotal - bitbucketMerged - 1,
+    avgPRsPerMonth: Math.round((bitbucketTotal / bitbucketMonthly.length) * 10) / 10,
+    monthlyPRs: bitbucketMonthly,
+    monthlyMerged: bitbucketMonthly.map(item => ({ month: item.month, count: Math.round(item.count * 0.8) })),
+    reposAuthored: 3,
+    repoBreakdown: [
+      { repo: 'PLAT/billing-service', total: Math.ceil(bitbucketTotal / 2), merged: Math.ceil(bitbucketMerged / 2), open: 1, closed: 0 },
+      { repo: 'PLAT/checkout-web', total: Math.floor(bitbucketTotal / 3), merged: Math.floor(bitbucketMerged / 3), open: 0, closed: 0 },
+      { repo: 'DATA/etl-jobs', total: bitbucketTotal - Math.ceil(bitbucketTotal / 2) - Math.floor(bitbucketTotal / 3), merged: 0, open: 0, closed: 0 }
+    ],
+    prs: [],
+    mock: true
+  };
+
   // Generate mock GitLab stats
   const gitlab = {
     source: 'gitlab',
@@ -289,7 +412,40 @@ function generateMockStatsData() {
       combinedAverageVelocity: 21,
       totalSprints: 6,
       sprints: [],
-      byBoard: {}
+      byBoard: [
+        {
+          boardId: 1,
+          boardName: '[MOCK] Web Team Board',
+          sprints: [1, 2, 3, 4, 5, 6].map(n => {
+            const startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() - (7 - n) * 14);
+            const endDate = new Date(startDate.getTime() + 13 * 24 * 60 * 60 * 1000);
+            const committed = 38 + (n % 3) * 4;
+            const completed = committed - 6 + (n % 2) * 5;
+            return {
+              id: 100 + n,
+              name: `Web Sprint ${40 + n}`,
+              state: n === 6 ? 'active' : 'closed',
+              startDate: startDate.toISOString(),
+              endDate: endDate.toISOString(),
+              completeDate: n === 6 ? null : endDate.toISOString(),
+              committed,
+              completed,
+              carryOver: committed - completed + 3,
+              scopeAdded: 3 + (n % 3),
+              removed: 0,
+              completionRate: Math.round((completed / committed) * 100),
+              userCompleted: 8 + (n % 4) * 2,
+              userIssueKeys: []
+            };
+          }),
+          averageVelocity: 37.5,
+          averageCommitted: 41.6,
+          averageCarryOver: 7.1,
+          averageScopeAdded: 4,
+          averageUserVelocity: 10.4,
+          totalSprints: 5
+        }
+      ]
     },
     issues: [
       { 
@@ -327,19 +483,189 @@ function generateMockStatsData() {
     mock: true
   };
   
+  // Generate mock Linear stats (Jira stats shape, velocity by cycle)
+  const linearCycles = [1, 2, 3, 4, 5, 6].map(n => {
+    const startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() - (7 - n) * 14);
+    const endDate = new Date(startDate.getTime() + 13 * 24 * 60 * 60 * 1000);
+    const committed = 24 + (n % 3) * 3;
+    const completed = committed - 4 + (n % 2) * 3;
+    return {
+      id: `cycle-${14 + n}`,
+      name: `Cycle ${14 + n}`,
+      state: n === 6 ? 'active' : 'closed',
+      startDate: startDate.toISOString(),
+      endDate: endDate.toISOString(),
+      completeDate: n === 6 ? null : endDate.toISOString(),
+      boardId: 'team-web',
+      boardName: '[MOCK] Web',
+      committed,
+      completed,
+      carryOver: committed - completed + 2,
+      scopeAdded: 2 + (n % 2),
+      removed: 0,
+      completionRate: Math.round((completed / committed) * 100),
+      issuesCompleted: 9 + (n % 3),
+      userCompleted: 6 + (n % 3) * 2,
+      userIssueKeys: []
+    };
+  });
+  const linear = {
+    source: 'linear',
+    baseUrl: 'https://linear.app/example',
+    total: 18,
+    resolved: 13,
+    inProgress: 5,
+    done: 13,
+    last30Days: 7,
+    avgResolutionTime: 4.2,
+    avgResolutionTimeCount: 13,
+    totalStoryPoints: 47,
+    avgIssuesPerMonth: 3,
+    monthlyIssues: monthlyIssues.map(item => ({ month: item.month, count: Math.max(1, item.count - 4) })),
+    cycleTime: { P1: 1.5, P2: 3.1, P3: 4.8, P4: 6.5, overall: 4.2, counts: { P1: 2, P2: 4, P3: 5, P4: 2, total: 13 } },
+    byType: {
+      'Feature': { total: 8, resolved: 6 },
+      'Bug': { total: 6, resolved: 5 },
+      'Improvement': { total: 4, resolved: 2 }
+    },
+    byProject: {
+      'WEB': { total: 12, resolved: 9, open: 3 },
+      'API': { total: 6, resolved: 4, open: 2 }
+    },
+    velocity: {
+      cycles: linearCycles.map(cycle => ({
+        id: cycle.id,
+        name: cycle.name,
+        state: cycle.state,
+        startDate: cycle.startDate,
+        endDate: cycle.endDate,
+        boardName: cycle.boardName,
+        points: cycle.userCompleted,
+        issues: 3,
+        issueKeys: []
+      })),
+      averageVelocity: 8,
+      combinedAverageVelocity: 8,
+      totalPoints: 47,
+      unplannedPoints: 0,
+      totalSprints: 5,
+      byBoard: [
+        {
+          boardId: 'team-web',
+          boardName: '[MOCK] Web',
+          sprints: linearCycles,
+          averageVelocity: 23.8,
+          averageCommitted: 26.4,
+          averageCarryOver: 4.6,
+          averageScopeAdded: 2.4,
+          averageUserVelocity: 7.6,
+          totalSprints: 5
+        }
+      ]
+    },
+    issues: [],
+    mock: true
+  };
+
   return {
     github,
     gitlab,
+    bitbucket,
     jira,
+    linear,
     timestamp: new Date().toISOString(),
     mock: true
   };
 }
 
+// Generate mock feature impact metrics (Adobe Analytics)
+function generateMockImpactMetrics() {
+  const features = [
+    { name: '[MOCK] Odds Strip', clicks: 1284500, pages: ['NFL Gamecast', 'NBA Scoreboard', 'NFL Scoreboard'] },
+    { name: '[MOCK] Bet Six Pack', clicks: 642300, pages: ['NFL Gamecast', 'College Football Gamecast'] },
+    { name: '[MOCK] Gamecast Odds Module', clicks: 318900, pages: ['NBA Gamecast', 'NHL Gamecast'] }
+  ];
+  const attributedClicks = features.reduce((sum, f) => sum + f.clicks, 0);
+  
+  const end = new Date();
+  const start = new Date(end);
+  start.setDate(start.getDate() - 90);
+  
+  return {
+    features: features.map(f => ({
+      ...f,
+      percentage: Math.round((f.clicks / attributedClicks) * 100),
+      launchDate: null,
+      comparison: null
+    })),
+    totals: {
+      attributedClicks,
+      totalClicks: attributedClicks,
+      dateRange: {
+        start: start.toISOString().split('T')[0],
+        end: end.toISOString().split('T')[0]
+      }
+    },
+    byLeague: [
+      { league: 'NFL', totalClicks: 1105200 },
+      { league: 'NBA', totalClicks: 512400 },
+      { league: 'College Football', totalClicks: 389100 },
+      { league: 'NHL', totalClicks: 148000 },
+      { league: 'MLB', totalClicks: 91000 }
+    ],
+    resumeBullets: [
+      `Built 3 user-facing features that drove ${attributedClicks.toLocaleString('en-US')} clicks in the last 90 days across 5 leagues`,
+      '[MOCK] Shipped Odds Strip, generating 1,284,500 clicks (57% of attributed engagement) on NFL Gamecast and NBA Scoreboard'
+    ],
+    mock: true
+  };
+}
+
+// Generate mock leaderboard entries (same shape as fetchLeaderboard)
+function generateMockLeaderboard() {
+  const members = [
+    { id: 'MOCK-ALEX', level: 'P4' },
+    { id: 'MOCK-BLAIR', level: 'P3' },
+    { id: 'MOCK-CASEY', level: 'P3' },
+    { id: 'MOCK-DEVON', level: 'P2' },
+    { id: 'MOCK-EMERY', level: 'P2' },
+    { id: 'MOCK-FINLEY', level: 'P1' },
+    { id: 'MOCK-GRAY', level: 'contractor' }
+  ];
+
+  return members.map(({ id, level }) => {
+    const { github, gitlab, jira } = generateMockStatsData();
+    const monthlyComments = Object.fromEntries(
+      github.monthlyPRs.map(item => [item.month, item.count * (2 + Math.floor(Math.random() * 3))])
+    );
+    const totalComments = Object.values(monthlyComments).reduce((sum, count) => sum + count, 0);
+
+    return {
+      user: { id, githubUsername: id.toLowerCase(), gitlabUsername: null, jiraEmail: `${id.toLowerCase()}@example.com`, level },
+      github: {
+        ...github,
+        created: github.monthlyPRs.reduce((sum, item) => sum + item.count, 0),
+        monthlyMerged: github.monthlyPRs.map(item => ({ month: item.month, count: Math.round(item.count * 0.8) }))
+      },
+      gitlab: { ...gitlab, created: gitlab.monthlyMRs.reduce((sum, item) => sum + item.count, 0) },
+      jira,
+      reviewStats: {
+        github: { prsReviewed: 10 + Math.floor(Math.random() * 30), totalComments, monthlyComments }
+      },
+      errors: {},
+      mock: true
+    };
+  });
+}
+
 module.exports = {
   generateMockPRsData,
   generateMockMRsData,
+  generateMockBitbucketPRsData,
   generateMockIssuesData,
+  generateMockLinearIssuesData,
   generateMockProjectsData,
-  generateMockStatsData
+  generateMockStatsData,
+  generateMockImpactMetrics,
+  generateMockLeaderboard
 };
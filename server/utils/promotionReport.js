@@ -0,0 +1,535 @@
+/**
+ * Promotion Report
+ *
+ * Renders the promotion packet in promotion/ (self-assessment and stats
+ * artifact) from Logbook, stats and benchmark data, as Markdown and HTML.
+ * Numbers are generated; narrative sections are user-edited Markdown, with
+ * generated drafts or placeholders until the user writes them.
+ */
+
+const round = (value) => Math.round((value || 0) * 10) / 10;
+const formatNumber = (value) => round(value).toLocaleString('en-US');
+const formatClicks = (clicks) => {
+  if (clicks >= 1e6) return `${round(clicks / 1e6)}M`;
+  if (clicks >= 1e3) return `${Math.round(clicks / 1e3)}K`;
+  return String(clicks);
+};
+const formatMonth = (date) => date.toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+const isDone = (status) => /done|closed|resolved/i.test(status || '');
+const plural = (count, noun) => `${formatNumber(count)} ${noun}${count === 1 ? '' : 's'}`;
+
+// Jira issue types listed under Bug Fixes & Quality
+const BUG_TYPES = ['bug', 'defect', 'incident'];
+// Epics drafted into the key projects and artifacts sections
+const KEY_PROJECT_COUNT = 5;
+
+// Metrics compared against the target level and team averages (summary and benchmark keys)
+const COMPARED_METRICS = [
+  { key: 'velocity', label: 'Velocity', unit: ' SP/sprint' },
+  { key: 'created', label: 'PRs & MRs', unit: '/month', perMonth: true },
+  { key: 'reviews', label: 'Code Reviews', unit: '/month', perMonth: true },
+  { key: 'comments', label: 'Code Review Comments', unit: '' },
+  { key: 'storyPoints', label: 'Story Points', unit: '' },
+  { key: 'resolved', label: 'Issues Resolved', unit: '' },
+  { key: 'ctoiFixed', label: 'CTOI Incidents Fixed', unit: '' }
+];
+
+/**
+ * Editable narrative sections, in document order
+ * draft(context) is the text used until the user provides their own.
+ */
+const NARRATIVE_SECTIONS = [
+  {
+    id: 'rating',
+    document: 'selfAssessment',
+    title: 'Rating & Manager Quote',
+    draft: () => '**Rating:** _Your latest rating_ | Manager: _"A quote from your latest review"_'
+  },
+  {
+    id: 'operating',
+    document: 'selfAssessment',
+    title: 'Operating at the Level',
+    draft: ({ level }) => `_How you already work at the ${level} level: the scope you lead, the problems you own and the patterns others adopt._`
+  },
+  {
+    id: 'problemSolving',
+    document: 'selfAssessment',
+    title: 'High-Complexity Problem Solving',
+    draft: ({ epics }) => (epics.length > 0
+      ? epics.slice(0, 3).map(epic => `- **${epic.name}:** _The hardest problem you solved here and what it enabled._`).join('\n')
+      : '- **_Project_:** _The hardest problem you solved and what it enabled._')
+  },
+  {
+    id: 'innovation',
+    document: 'selfAssessment',
+    title: 'Architectural Innovation',
+    draft: () => '_Patterns, tools or architecture you introduced that others now use._'
+  },
+  {
+    id: 'outcomes',
+    document: 'selfAssessment',
+    title: 'Measurable Outcomes',
+    draft: ({ impact }) => {
+      const features = impact?.features || [];
+      const lines = features.length > 0
+        ? [`- **${formatClicks(impact.totals.attributedClicks)} clicks** (${features.slice(0, 3).map(f => `${f.name}: ${formatClicks(f.clicks)}`).join(', ')}) _and the business result they drove_`]
+        : ['- **_Outcome_** _with the number that shows it_'];
+      return [...lines, '- Performance metrics compared with benchmarks:'].join('\n');
+    }
+  },
+  {
+    id: 'ownership',
+    document: 'selfAssessment',
+    title: 'Ownership & Influence',
+    draft: ({ epics, summary }) => [
+      `**Feature Ownership:** ${epics.length > 0 ? `Led ${epics.slice(0, KEY_PROJECT_COUNT).map(epic => epic.name).join(', ')}.` : '_Features you own end to end._'}`,
+      `**Planning & Documentation:** Resolved ${formatNumber(summary.resolved)} Jira issues. _Tickets you wrote and guides you authored._`,
+      '**Mentorship & Collaboration:** _Who you mentor and which teams you work across._',
+      '**Peer Recognition:** _"Quotes from peer reviews"_'
+    ].join('\n\n')
+  },
+  {
+    id: 'businessNeed',
+    document: 'selfAssessment',
+    title: 'Business Need',
+    draft: ({ level }) => `_Why the team needs a ${level} in this role: the upcoming work that requires it._`
+  },
+  {
+    id: 'artifacts',
+    document: 'selfAssessment',
+    title: 'Artifacts',
+    draft: ({ epics }) => (epics.length > 0
+      ? epics.slice(0, KEY_PROJECT_COUNT).map(epic => `- **${epic.name}:** _Links to the MRs, PRs and docs that show the work_`).join('\n')
+      : '- **_Project_:** _Links to the MRs, PRs and docs that show the work_')
+  },
+  {
+    id: 'impactHighlights',
+    document: 'statsArtifact',
+    title: 'Feature Impact Highlights',
+    draft: () => '**_Feature_:** _Engagement growth or other results beyond clicks_'
+  },
+  {
+    id: 'feedback',
+    document: 'statsArtifact',
+    title: 'Peer & Leadership Feedback',
+    draft: () => [
+      '| Source | Quote |',
+      '|--------|-------|',
+      '| **Manager** | _"Quote"_ |',
+      '| **Lead** | _"Quote"_ |',
+      '| **Peer** | _"Quote"_ |'
+    ].join('\n')
+  },
+  {
+    id: 'keyProjects',
+    document: 'statsArtifact',
+    title: 'Key Projects & Artifacts',
+    draft: ({ epics }) => (epics.length > 0
+      ? epics.slice(0, KEY_PROJECT_COUNT).map(epic => [
+        `### ${epic.name}${epic.span ? ` (${epic.span})` : ''}${epic.inProgress ? ' 🚧' : ''}`,
+        '',
+        '_What was built and why it mattered._',
+        '',
+        `- ${plural(epic.tickets, 'ticket')}, ${plural(epic.storyPoints, 'story point')}`,
+        epic.keyTickets.length > 0 ? `- Key tickets: ${epic.keyTickets.join(', ')}` : null
+      ].filter(line => line !== null).join('\n')).join('\n\n')
+      : '### _Project_\n\n_What was built and why it mattered._')
+  },
+  {
+    id: 'bugFixes',
+    document: 'statsArtifact',
+    title: 'Bug Fixes & Quality',
+    draft: ({ bugs }) => (bugs.length > 0
+      ? ['| Ticket | Fix |', '|--------|-----|', ...bugs.map(bug => `| ${bug.url ? `[${bug.key}](${bug.url})` : bug.key} | ${escapeCell(bug.title)} |`)].join('\n')
+      : '| Ticket | Fix |\n|--------|-----|\n| _KEY-1_ | _What was wrong and how you fixed it_ |')
+  },
+  {
+    id: 'sharedComponents',
+    document: 'statsArtifact',
+    title: 'Shared Components & DX Improvements',
+    draft: () => '- **_Component_** → _MR or ticket_ — _What it made easier for other engineers_'
+  }
+];
+
+function escapeCell(text) {
+  return String(text || '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * Label for the reporting period: "Sep 2024 – Jan 2026" (open ranges start at the first logbook month)
+ */
+function formatPeriod(dateRange, logbook) {
+  const firstMonth = logbook.months[logbook.months.length - 1]?.month;
+  const start = dateRange?.start || (firstMonth ? `${firstMonth}-01` : null);
+  const startLabel = start ? formatMonth(new Date(start)) : 'All Time';
+  const endLabel = dateRange?.end ? formatMonth(new Date(dateRange.end)) : 'Present';
+  return start ? `${startLabel} – ${endLabel}` : startLabel;
+}
+
+/**
+ * Months in the reporting period, for per-month rates
+ */
+function countMonths(dateRange, logbook) {
+  if (!dateRange?.start) return Math.max(logbook.totals.monthsActive, 1);
+  const start = new Date(dateRange.start);
+  const end = dateRange.end ? new Date(dateRange.end) : new Date();
+  return Math.max((end.getUTCFullYear() - start.getUTCFullYear()) * 12 + end.getUTCMonth() - start.getUTCMonth() + 1, 1);
+}
+
+/**
+ * Epics with the user's tickets, story points and the months their tickets span (most points first)
+ */
+function describeEpics(projects, logbook) {
+  const loggedAtByKey = new Map();
+  logbook.months.forEach(month => {
+    Object.values(month.items).flat().forEach(item => {
+      if (item.key && item.loggedAt) loggedAtByKey.set(item.key, new Date(item.loggedAt));
+    });
+  });
+
+  return (projects?.epics || [])
+    .map(epic => {
+      const issues = epic.issues || [];
+      const dates = issues.map(issue => loggedAtByKey.get(issue.key)).filter(Boolean).sort((a, b) => a - b);
+      const first = dates[0] && formatMonth(dates[0]);
+      const last = dates[0] && formatMonth(dates[dates.length - 1]);
+      return {
+        name: epic.epicName || epic.epicKey,
+        tickets: issues.length,
+        storyPoints: issues.reduce((sum, issue) => sum + (issue.storyPoints || 0), 0),
+        inProgress: issues.some(issue => !isDone(issue.status)),
+        span: first ? (first === last ? first : `${first} – ${last}`) : null,
+        keyTickets: [...issues].sort((a, b) => (b.storyPoints || 0) - (a.storyPoints || 0)).slice(0, 4).map(issue => issue.key)
+      };
+    })
+    .filter(epic => epic.tickets > 0)
+    .sort((a, b) => b.storyPoints - a.storyPoints || b.tickets - a.tickets);
+}
+
+/**
+ * Tracker items of a bug type, most recent first
+ */
+function listBugs(logbook, limit = 10) {
+  return logbook.months
+    .flatMap(month => Object.values(month.items).flat())
+    .filter(item => BUG_TYPES.includes((item.type || '').toLowerCase()))
+    .slice(0, limit);
+}
+
+/**
+ * The user's value and the target level and team averages for each compared metric
+ */
+function compareMetrics(context) {
+  const { summary, benchmarks, level, months } = context;
+  const levelAverages = benchmarks?.[level.toLowerCase()] || {};
+  const teamAverages = benchmarks?.fte || {};
+  const rate = (metric, value) => (value === null || value === undefined ? null : (metric.perMonth ? value / months : value));
+
+  return COMPARED_METRICS.map(metric => ({
+    ...metric,
+    mine: rate(metric, summary[metric.key] || 0),
+    levelAverage: rate(metric, levelAverages[metric.key]),
+    teamAverage: rate(metric, teamAverages[metric.key])
+  }));
+}
+
+const formatAverage = (value) => (value === null ? '—' : formatNumber(value));
+
+function buildEngineeringOutputTable(context) {
+  const { logbook } = context;
+  const rows = [
+    ['Months Active', logbook.totals.monthsActive],
+    ['Total Work Items', logbook.totals.totalItems],
+    ...logbook.sources
+      .filter(source => logbook.totals.bySource[source.id] > 0)
+      .map(source => [`${source.name} ${source.itemLabel}`, logbook.totals.bySource[source.id]]),
+    ['Story Points', logbook.totals.storyPoints]
+  ];
+  return ['| Metric | Count |', '|--------|-------|', ...rows.map(([label, count]) => `| ${label} | ${formatNumber(count)} |`)].join('\n');
+}
+
+function buildProductionQuality(ctoi) {
+  const total = (ctoi?.fixed || 0) + (ctoi?.participated || 0);
+  if (total === 0) return '_No CTOI tickets in this period._';
+
+  const rows = ['P1', 'P2', 'P3', 'P4']
+    .map(priority => [priority, ctoi.byPriority?.[priority] || { fixed: 0, participated: 0 }])
+    .filter(([, counts]) => counts.fixed + counts.participated > 0)
+    .map(([priority, counts]) => `| ${priority} | ${counts.fixed + counts.participated} | ${counts.fixed} | ${counts.participated} |`);
+  return [
+    `**${formatNumber(total)} CTOI tickets** handled (${formatNumber(ctoi.fixed)} fixed, ${formatNumber(ctoi.participated)} participated).`,
+    '',
+    '| Priority | Tickets | Fixed | Participated |',
+    '|----------|---------|-------|--------------|',
+    ...rows
+  ].join('\n');
+}
+
+function buildFeatureImpact(impact) {
+  const features = impact?.features || [];
+  if (features.length === 0) return '_Feature impact needs Adobe Analytics (see /api/impact-metrics)._';
+  return [
+    '| Feature | Clicks | % of Clicks |',
+    '|---------|--------|-------------|',
+    ...features.map(f => `| ${escapeCell(f.name)} | ${formatClicks(f.clicks)} | ${f.percentage}% |`),
+    `| **Total** | **${formatClicks(impact.totals.attributedClicks)}** | **100%** |`
+  ].join('\n');
+}
+
+function buildFeatureWorkSummary(epics) {
+  if (epics.length === 0) return '_No epics with your tickets in this period._';
+  return [
+    '| Feature | Tickets | Story Points |',
+    '|---------|---------|--------------|',
+    ...epics.map(epic => `| **${escapeCell(epic.name)}**${epic.inProgress ? ' *(in progress)*' : ''} | ${epic.tickets} | ${formatNumber(epic.storyPoints)} SP |`)
+  ].join('\n');
+}
+
+// Join document blocks with horizontal rules, dropping empty ones
+const joinSections = (blocks) => blocks.filter(Boolean).join('\n\n---\n\n');
+const section = (heading, body) => (body && body.trim() ? `${heading}\n\n${body.trim()}` : null);
+
+function buildSelfAssessment(context, text) {
+  const { name, level, period } = context;
+  const comparison = compareMetrics(context);
+  const comparisonTable = [
+    `| Metric | My Result | ${level} Avg | Team Avg |`,
+    '|--------|-----------|--------|----------|',
+    ...comparison.map(m => `| ${m.label} | **${formatNumber(m.mine)}**${m.unit} | ${formatAverage(m.levelAverage)} | ${formatAverage(m.teamAverage)} |`)
+  ].join('\n');
+
+  return joinSections([
+    [`# ${name} — ${level} Self-Assessment`, text.rating].filter(Boolean).join('\n\n'),
+    section(`## Operating at the ${level} Level`, text.operating),
+    [
+      '## Technical Leadership & Impact',
+      section('### High-Complexity Problem Solving', text.problemSolving),
+      section('### Architectural Innovation', text.innovation),
+      `### Measurable Outcomes\n\n${text.outcomes ? `${text.outcomes.trim()}\n\n` : ''}${comparisonTable}`
+    ].filter(Boolean).join('\n\n'),
+    section('## Ownership & Influence', text.ownership),
+    section('## Business Need', text.businessNeed),
+    section('## Production Quality', buildProductionQuality(context.ctoi)),
+    section(`## Engineering Output (${period})`, buildEngineeringOutputTable(context)),
+    section('**Artifacts:**', text.artifacts)
+  ]) + '\n';
+}
+
+function buildStatsArtifact(context, text) {
+  const { name, level, period, impact, epics } = context;
+  const performanceTable = [
+    '| Metric | Result |',
+    '|--------|--------|',
+    ...compareMetrics(context).map(m => {
+      const versus = m.levelAverage === null ? '' : ` (vs ${formatNumber(m.levelAverage)} ${level} avg)`;
+      return `| **${m.label}** | ${formatNumber(m.mine)}${m.unit}${versus} |`;
+    })
+  ].join('\n');
+
+  return joinSections([
+    `# Supporting Artifact — ${name} | ${level} Promotion`,
+    section(`## Performance Metrics (${period})`, performanceTable),
+    section(`## Engineering Output (${period})`, buildEngineeringOutputTable(context)),
+    section('## Feature Impact', [buildFeatureImpact(impact), text.impactHighlights].filter(Boolean).join('\n\n')),
+    section('## Peer & Leadership Feedback', text.feedback),
+    section(`## Feature Work Summary (${period})`, buildFeatureWorkSummary(epics)),
+    section('## Key Projects & Artifacts', text.keyProjects),
+    section('## Bug Fixes & Quality', text.bugFixes),
+    section('## Shared Components & DX Improvements', text.sharedComponents),
+    '*Data from Engineering Logbook API*'
+  ]) + '\n';
+}
+
+// --- Markdown -> HTML (the subset the packet uses) ---
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const renderEmphasis = (html) => html
+  .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+  .replace(/(^|[^\w*])\*([^*\s][^*]*)\*(?!\w)/g, '$1<em>$2</em>')
+  .replace(/(^|[^\w])_([^_\s][^_]*)_(?!\w)/g, '$1<em>$2</em>');
+
+function renderInline(text) {
+  // Code spans and links are set aside first so emphasis can't reach into URLs
+  const tokens = [];
+  const setAside = (html) => `\u0000${tokens.push(html) - 1}\u0000`;
+  const html = escapeHtml(text)
+    .replace(/`([^`]+)`/g, (match, code) => setAside(`<code>${code}</code>`))
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => setAside(
+      /^(https?:|mailto:|\/)/i.test(url) ? `<a href="${url}">${renderEmphasis(label)}</a>` : renderEmphasis(label)
+    ));
+  return renderEmphasis(html)
+    .replace(/\\\|/g, '|')
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+}
+
+const splitRow = (line) => line.trim().replace(/^\||\|$/g, '').split(/(?<!\\)\|/).map(cell => cell.trim());
+
+function renderTable(lines) {
+  const [header, , ...rows] = lines;
+  return [
+    '<table class="metrics-table">',
+    `  <tr>${splitRow(header).map(cell => `<th>${renderInline(cell)}</th>`).join('')}</tr>`,
+    ...rows.map(row => `  <tr>${splitRow(row).map(cell => `<td>${renderInline(cell)}</td>`).join('')}</tr>`),
+    '</table>'
+  ].join('\n');
+}
+
+/**
+ * Render Markdown (headings, paragraphs, lists, tables, rules, emphasis, links) to HTML
+ * @param {string} markdown - Markdown
+ * @returns {string} HTML fragment
+ */
+function renderMarkdown(markdown) {
+  const blocks = [];
+  let paragraph = [];
+  const lines = markdown.replace(/\r\n/g, '\n').split('\n');
+  const flush = () => {
+    if (paragraph.length > 0) blocks.push(`<p>${paragraph.map(renderInline).join('<br>\n')}</p>`);
+    paragraph = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const heading = line.match(/^(#{1,4})\s+(.*)$/);
+    if (!line.trim()) {
+      flush();
+    } else if (heading) {
+      flush();
+      blocks.push(`<h${heading[1].length}>${renderInline(heading[2])}</h${heading[1].length}>`);
+    } else if (/^\s*(-{3,}|\*{3,})\s*$/.test(line)) {
+      flush();
+      blocks.push('<hr>');
+    } else if (line.trim().startsWith('|') && /^\s*\|?[\s:|-]+\|?\s*$/.test(lines[i + 1] || '')) {
+      flush();
+      const table = [];
+      while (i < lines.length && lines[i].trim().startsWith('|')) table.push(lines[i++]);
+      i--;
+      blocks.push(renderTable(table));
+    } else if (/^\s*[-*]\s+/.test(line)) {
+      flush();
+      const items = [];
+      while (i < lines.length && /^\s*[-*]\s+/.test(lines[i])) items.push(lines[i++].replace(/^\s*[-*]\s+/, ''));
+      i--;
+      blocks.push(`<ul>\n${items.map(item => `  <li>${renderInline(item)}</li>`).join('\n')}\n</ul>`);
+    } else {
+      paragraph.push(line.trim());
+    }
+  }
+  flush();
+  return blocks.join('\n');
+}
+
+// Print layout of promotion/self-assessment.html
+const HTML_STYLES = `
+    @import url('https://fonts.googleapis.com/css2?family=Source+Serif+4:opsz,wght@8..60,400;8..60,600&family=Inter:wght@400;500;600&display=swap');
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { font-family: 'Source Serif 4', Georgia, serif; font-size: 11pt; line-height: 1.5; color: #1a1a1a; max-width: 8.5in; margin: 0 auto; padding: 0.75in 1in; background: white; }
+    @media print { body { padding: 0; max-width: none; } }
+    h1 { font-family: 'Inter', system-ui, sans-serif; font-size: 16pt; font-weight: 600; margin-bottom: 12px; color: #000; }
+    h2 { font-family: 'Inter', system-ui, sans-serif; font-size: 12pt; font-weight: 600; color: #1a1a1a; margin-top: 18px; margin-bottom: 8px; padding-bottom: 4px; border-bottom: 1px solid #e5e5e5; }
+    h3 { font-family: 'Inter', system-ui, sans-serif; font-size: 10.5pt; font-weight: 600; color: #333; margin-top: 12px; margin-bottom: 6px; }
+    h1 + p { background: #f8f8f8; border-left: 3px solid #2563eb; padding: 10px 14px; margin-bottom: 20px; font-size: 10.5pt; }
+    p { margin-bottom: 10px; }
+    ul { margin-left: 18px; margin-bottom: 12px; }
+    li { margin-bottom: 6px; }
+    hr { display: none; }
+    code { font-size: 9.5pt; }
+    .metrics-table { width: 100%; border-collapse: collapse; margin: 12px 0 16px; font-size: 10pt; }
+    .metrics-table th, .metrics-table td { padding: 6px 10px; text-align: left; border: 1px solid #ddd; }
+    .metrics-table th { background: #f5f5f5; font-family: 'Inter', system-ui, sans-serif; font-weight: 600; font-size: 9pt; text-transform: uppercase; letter-spacing: 0.3px; }
+    a { color: #2563eb; text-decoration: none; }
+    a:hover { text-decoration: underline; }`;
+
+/**
+ * Wrap rendered Markdown in a standalone, printable HTML page
+ * @param {string} title - Page title
+ * @param {string} markdown - Document Markdown
+ * @returns {string} HTML document
+ */
+function renderHtmlDocument(title, markdown) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+  <style>${HTML_STYLES}
+  </style>
+</head>
+<body>
+
+${renderMarkdown(markdown)}
+
+</body>
+</html>
+`;
+}
+
+/**
+ * Build the promotion packet
+ * @param {Object} data - Report data
+ * @param {string} data.name - Name on the documents
+ * @param {string} data.level - Target level (P1-P4)
+ * @param {Object|null} data.dateRange - Date range
+ * @param {Object} data.logbook - fetchLogbook result
+ * @param {Object} data.summary - summarizeEntry of the user's stats
+ * @param {Object|null} data.ctoi - Jira CTOI stats ({ fixed, participated, byPriority })
+ * @param {Object} data.benchmarks - fetchBenchmarks result
+ * @param {Object|null} data.projects - fetchProjectsWithAnalytics result
+ * @param {Object|null} data.impact - Adobe impact metrics
+ * @param {Object} data.narrative - User-edited section text by section id (missing = draft)
+ * @returns {Object} { sections: [{ id, document, title, text, edited }], documents: { selfAssessment, statsArtifact } }
+ *   Each document is { filename, markdown, html }.
+ */
+function buildPromotionReport({ name, level, dateRange, logbook, summary, ctoi, benchmarks, projects, impact, narrative = {} }) {
+  const context = {
+    name,
+    level,
+    logbook,
+    summary,
+    ctoi,
+    benchmarks,
+    impact,
+    period: formatPeriod(dateRange, logbook),
+    months: countMonths(dateRange, logbook),
+    epics: describeEpics(projects, logbook),
+    bugs: listBugs(logbook)
+  };
+
+  const sections = NARRATIVE_SECTIONS.map(({ id, document, title, draft }) => {
+    const edited = typeof narrative[id] === 'string';
+    return { id, document, title, text: edited ? narrative[id] : draft(context), edited };
+  });
+  const text = Object.fromEntries(sections.map(s => [s.id, s.text]));
+
+  const slug = `${name}-${level}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const selfAssessment = buildSelfAssessment(context, text);
+  const statsArtifact = buildStatsArtifact(context, text);
+
+  return {
+    sections,
+    documents: {
+      selfAssessment: {
+        filename: `${slug}-self-assessment`,
+        markdown: selfAssessment,
+        html: renderHtmlDocument(`${name} — ${level} Self-Assessment`, selfAssessment)
+      },
+      statsArtifact: {
+        filename: `${slug}-stats-artifact`,
+        markdown: statsArtifact,
+        html: renderHtmlDocument(`Supporting Artifact — ${name} | ${level} Promotion`, statsArtifact)
+      }
+    }
+  };
+}
+
+module.exports = {
+  NARRATIVE_SECTIONS,
+  buildPromotionReport,
+  renderMarkdown
+};
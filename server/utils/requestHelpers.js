@@ -1,5 +1,10 @@
+const { resolveCalendarRange } = require('./calendar');
+const { isAuthEnabled } = require('./authHelpers');
+
 /**
  * Parse date range from request query parameters
+ * ?range= takes last6months, last12months, alltime or a work calendar period
+ * (workyear, previousquarter, ... see utils/calendar.js)
  * @param {Object} query - Express request query object
  * @returns {Object|null} Date range object or null
  */
@@ -25,21 +30,88 @@ function parseDateRange(query) {
       case 'alltime':
         return { start: null, end: null };
       default:
-        return null;
+        return resolveCalendarRange(query.range);
     }
   }
   
   return null;
 }
 
+/**
+ * Get the roster user a request views the dashboard as (?user=<id>)
+ * @param {Object} query - Express request query object
+ * @returns {Promise<Object|null>} Roster user from getUsers(), null for the env-configured user
+ * @throws {Error} status 404 when the id is not on the roster
+ */
+async function getViewAsUser(query) {
+  if (!query.user) return null;
+
+  const { getUsers } = require('./userHelpers');
+  const users = await getUsers();
+  const user = users.find(u => u.id === query.user);
+  if (!user) {
+    const error = new Error(`User ${query.user} not found`);
+    error.status = 404;
+    throw error;
+  }
+  return user;
+}
+
+/**
+ * Express middleware: resolve ?user=<id> into req.viewAsUser (null for the env user)
+ * Unknown ids get a 404, users outside the signed-in user's role a 403 (see
+ * authHelpers.canViewUser). Engineers and managers see their own stats when no
+ * user is given. ?mock=true changes none of this (routes without mock data still
+ * fetch real stats); mock ids that are not on the roster are ignored.
+ */
+function resolveViewAsUser(req, res, next) {
+  const { canViewUser } = require('./authHelpers');
+  const auth = req.auth || { role: 'admin', user: null };
+
+  getViewAsUser(req.query)
+    .catch(error => {
+      if (req.query.mock === 'true' && error.status === 404) return null;
+      throw error;
+    })
+    .then(user => {
+      if (user && !canViewUser(auth, user)) {
+        return res.status(403).json({ error: `Not allowed to view ${user.name || user.id}'s stats` });
+      }
+      req.viewAsUser = user || (auth.role === 'admin' ? null : auth.user);
+      next();
+    })
+    .catch(error => res.status(error.status || 500).json({ error: error.message }));
+}
+
+/**
+ * Build a response cache key scoped to the view-as user
+ * The env-configured user keeps the plain `<prefix>:<dateRange>` key (filled by the cache warmer).
+ * @param {string} prefix - Cache key prefix
+ * @param {Object|null} user - View-as user (see getViewAsUser)
+ * @param {Object|null} dateRange - Date range
+ * @returns {string} Cache key
+ */
+function buildViewAsCacheKey(prefix, user, dateRange) {
+  return user
+    ? `${prefix}:user=${user.id}:${JSON.stringify(dateRange)}`
+    : `${prefix}:${JSON.stringify(dateRange)}`;
+}
+
 /**
  * Set standard cache headers for API responses
  * @param {Object} res - Express response object
  * @param {boolean} isHit - Whether this was a cache hit
  */
 function setCacheHeaders(res, isHit = false) {
-  // Allow browser to cache for 60 seconds, but require revalidation after that
-  res.set('Cache-Control', 'public, max-age=60, s-maxage=60, stale-while-revalidate=30');
+  if (isAuthEnabled()) {
+    // Responses depend on the signed-in user, so shared caches must not store them
+    res.set('Cache-Control', 'private, max-age=60, stale-while-revalidate=30');
+    res.vary('Cookie');
+    res.vary('Authorization');
+  } else {
+    // Allow browser to cache for 60 seconds, but require revalidation after that
+    res.set('Cache-Control', 'public, max-age=60, s-maxage=60, stale-while-revalidate=30');
+  }
   res.set('X-Cache', isHit ? 'HIT' : 'MISS');
 }
 
@@ -56,6 +128,9 @@ function asyncHandler(fn) {
 
 module.exports = {
   parseDateRange,
+  getViewAsUser,
+  resolveViewAsUser,
+  buildViewAsCacheKey,
   setCacheHeaders,
   asyncHandler
 };
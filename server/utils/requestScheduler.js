@@ -0,0 +1,340 @@
+/**
+ * Request Scheduler
+ *
+ * Paces every request made by clients from createApiClient (see apiHelpers.js):
+ * - A token bucket and a concurrency cap per host (API_REQUESTS_PER_SECOND, default 10)
+ * - Pacing from rate limit headers: GitHub X-RateLimit-*, GitLab RateLimit-*,
+ *   Linear X-RateLimit-Requests-*, and Retry-After (Jira, GitHub secondary limits).
+ *   Once less than 20% of a limit is left, the rest is spread until the reset.
+ * - Retries with backoff on 429, 503, rate-limit 403s and dropped connections
+ * - Two lanes: interactive requests (dashboard routes) start before background
+ *   ones (the cache warmer, see runInBackground), and background requests leave
+ *   20% of each limit for interactive ones
+ *
+ * Header limits are tracked per pool within a host, since GitHub counts search
+ * and GraphQL separately from the rest of the REST API.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const DEFAULT_REQUESTS_PER_SECOND = parseFloat(process.env.API_REQUESTS_PER_SECOND) || 10;
+const MAX_CONCURRENT = 8;
+const MAX_RETRIES = 3;
+const BASE_BACKOFF_MS = 1000;
+const LANES = ['interactive', 'background'];
+// Longest a request waits for a limit to reset before failing with 429
+const MAX_WAIT_MS = { interactive: 30 * 1000, background: 10 * 60 * 1000 };
+// Share of each limit background requests leave for interactive ones
+const BACKGROUND_RESERVE = 0.2;
+// Below this share of a limit, spread the remaining requests until the reset
+const PACING_THRESHOLD = 0.2;
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+const LIMIT_HEADERS = ['x-ratelimit-limit', 'ratelimit-limit', 'x-ratelimit-requests-limit'];
+const REMAINING_HEADERS = ['x-ratelimit-remaining', 'ratelimit-remaining', 'x-ratelimit-requests-remaining'];
+const RESET_HEADERS = ['x-ratelimit-reset', 'ratelimit-reset', 'x-ratelimit-requests-reset'];
+
+const laneStorage = new AsyncLocalStorage();
+const hosts = new Map();
+
+/**
+ * Run a function with every request it makes in the background lane
+ * @param {Function} fn - Function (may be async)
+ * @returns {*} The function's return value
+ */
+function runInBackground(fn) {
+  return laneStorage.run('background', fn);
+}
+
+function getHostState(host) {
+  if (!hosts.has(host)) {
+    hosts.set(host, {
+      host,
+      requestsPerSecond: DEFAULT_REQUESTS_PER_SECOND,
+      burst: Math.max(1, Math.ceil(DEFAULT_REQUESTS_PER_SECOND)),
+      tokens: Math.max(1, Math.ceil(DEFAULT_REQUESTS_PER_SECOND)),
+      refilledAt: Date.now(),
+      inFlight: 0,
+      queues: { interactive: [], background: [] },
+      pools: {},
+      timer: null,
+      counts: { requests: 0, retries: 0, rateLimited: 0, rejected: 0 }
+    });
+  }
+  return hosts.get(host);
+}
+
+const getPoolName = (pathname) => {
+  if (/\/search(\/|$)/.test(pathname)) return 'search';
+  if (/\/graphql$/.test(pathname)) return 'graphql';
+  return 'default';
+};
+
+function getPool(state, name) {
+  if (!state.pools[name]) {
+    state.pools[name] = { limit: null, remaining: null, resetAt: null, pausedUntil: 0, lastStartAt: 0 };
+  }
+  return state.pools[name];
+}
+
+const getHeader = (headers, names) => {
+  for (const name of names) {
+    const value = headers?.[name];
+    if (value !== undefined && value !== null && value !== '') return value;
+  }
+  return undefined;
+};
+
+/**
+ * Parse a reset header: epoch milliseconds (Linear), epoch seconds (GitHub, GitLab) or seconds from now
+ * @returns {number|null} Epoch milliseconds
+ */
+function parseResetTime(value, now) {
+  const number = parseFloat(value);
+  if (isNaN(number)) return null;
+  if (number > 1e12) return number;
+  if (number > 1e9) return number * 1000;
+  return now + number * 1000;
+}
+
+/**
+ * Parse Retry-After: seconds or an HTTP date
+ * @returns {number|null} Delay in ms
+ */
+function parseRetryAfter(value, now) {
+  if (value === undefined || value === null) return null;
+  const seconds = parseFloat(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = new Date(value).getTime();
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Record the limit a response reports for its pool
+function updatePool(pool, headers, now) {
+  const remaining = parseInt(getHeader(headers, REMAINING_HEADERS), 10);
+  if (isNaN(remaining)) return;
+  const limit = parseInt(getHeader(headers, LIMIT_HEADERS), 10);
+  pool.remaining = remaining;
+  pool.limit = isNaN(limit) ? pool.limit : limit;
+  pool.resetAt = parseResetTime(getHeader(headers, RESET_HEADERS), now);
+}
+
+/**
+ * How long a request in this pool and lane has to wait for the rate limit
+ * @returns {number} Wait in ms (0 = can start now)
+ */
+function getPoolWait(pool, lane, now) {
+  let wait = Math.max(0, pool.pausedUntil - now);
+  if (pool.remaining === null || !pool.resetAt) return wait;
+  if (now >= pool.resetAt) {
+    pool.remaining = null;
+    pool.resetAt = null;
+    return wait;
+  }
+
+  const reserve = lane === 'background' && pool.limit ? Math.ceil(pool.limit * BACKGROUND_RESERVE) : 0;
+  const available = pool.remaining - reserve;
+  if (available <= 0) return Math.max(wait, pool.resetAt - now);
+
+  if (pool.limit && pool.remaining < pool.limit * PACING_THRESHOLD) {
+    const interval = (pool.resetAt - now) / available;
+    wait = Math.max(wait, pool.lastStartAt + interval - now);
+  }
+  return wait;
+}
+
+// Looks like a 429 from the API so handleApiError and isRateLimitError treat it the same way
+function createRateLimitError(host, waitMs) {
+  const message = `Rate limit for ${host} resets in ${Math.ceil(waitMs / 1000)}s`;
+  const error = new Error(message);
+  error.code = 'ERR_RATE_LIMITED';
+  error.response = { status: 429, statusText: 'Too Many Requests', headers: {}, data: { message } };
+  return error;
+}
+
+/**
+ * Find the first queued request that can start (interactive lane first)
+ * Requests that can't start before their deadline are rejected.
+ * @returns {Object} { job, wait } - job is null when none can start; wait is the shortest wait
+ */
+function findRunnableJob(state, now) {
+  let wait = Infinity;
+  for (const lane of LANES) {
+    const queue = state.queues[lane];
+    for (let i = 0; i < queue.length;) {
+      const job = queue[i];
+      const jobWait = getPoolWait(job.pool, lane, now);
+      if (jobWait > job.deadline - now) {
+        queue.splice(i, 1);
+        state.counts.rejected++;
+        job.reject(createRateLimitError(state.host, jobWait));
+        continue;
+      }
+      if (jobWait === 0) {
+        queue.splice(i, 1);
+        return { job, wait: 0 };
+      }
+      wait = Math.min(wait, jobWait);
+      i++;
+    }
+  }
+  return { job: null, wait };
+}
+
+// Start every queued request that can start, then wake up when the next one can
+function pump(state) {
+  clearTimeout(state.timer);
+  state.timer = null;
+
+  const now = Date.now();
+  state.tokens = Math.min(state.burst, state.tokens + ((now - state.refilledAt) / 1000) * state.requestsPerSecond);
+  state.refilledAt = now;
+
+  let nextWait = Infinity;
+  while (state.inFlight < MAX_CONCURRENT) {
+    if (state.tokens < 1) {
+      const hasQueued = LANES.some(lane => state.queues[lane].length > 0);
+      if (hasQueued) nextWait = ((1 - state.tokens) / state.requestsPerSecond) * 1000;
+      break;
+    }
+
+    const { job, wait } = findRunnableJob(state, now);
+    if (!job) {
+      nextWait = wait;
+      break;
+    }
+
+    state.tokens -= 1;
+    state.inFlight++;
+    state.counts.requests++;
+    job.pool.lastStartAt = now;
+    if (job.pool.remaining !== null) job.pool.remaining--;
+    job.resolve();
+  }
+
+  if (nextWait < Infinity) {
+    state.timer = setTimeout(() => pump(state), Math.ceil(nextWait));
+    state.timer.unref();
+  }
+}
+
+function acquire(state, pool, lane) {
+  return new Promise((resolve, reject) => {
+    state.queues[lane].push({ pool, deadline: Date.now() + MAX_WAIT_MS[lane], resolve, reject });
+    pump(state);
+  });
+}
+
+function release(state) {
+  state.inFlight--;
+  pump(state);
+}
+
+/**
+ * Whether a response is a rate limit: a 429, or a 403 with Retry-After or no requests
+ * remaining (GitHub's primary and secondary limits)
+ */
+function isRateLimitResponse(response) {
+  if (response?.status === 429) return true;
+  return response?.status === 403 &&
+    (getHeader(response.headers, ['retry-after']) !== undefined || String(getHeader(response.headers, REMAINING_HEADERS)) === '0');
+}
+
+/**
+ * How long to wait before retrying a failed request
+ * @returns {number|null} Delay in ms, null if the request shouldn't be retried
+ */
+function getRetryDelay(error, attempt, method, pool, now) {
+  const response = error.response;
+  const backoff = BASE_BACKOFF_MS * 2 ** attempt + Math.random() * 250;
+
+  if (isRateLimitResponse(response) || response?.status === 503) {
+    const retryAfter = parseRetryAfter(getHeader(response.headers, ['retry-after']), now);
+    if (retryAfter !== null) return retryAfter;
+    if (pool.remaining === 0 && pool.resetAt) return Math.max(0, pool.resetAt - now);
+    return backoff;
+  }
+
+  // Dropped connections, only for reads
+  if (!response && RETRYABLE_NETWORK_CODES.includes(error.code) && (method || 'get').toLowerCase() === 'get') {
+    return backoff;
+  }
+  return null;
+}
+
+/**
+ * Run a request through the scheduler
+ * @param {string} url - Full request URL (its host selects the bucket)
+ * @param {Function} send - Sends the request once; resolves with the response or rejects with an axios-style error
+ * @param {Object} options - Options
+ * @param {string} options.method - HTTP method (only GETs are retried after network errors)
+ * @param {string} options.priority - 'interactive' or 'background' (default: the runInBackground context, else interactive)
+ * @returns {Promise<Object>} Response
+ */
+async function scheduleRequest(url, send, { method = 'get', priority } = {}) {
+  const { host, pathname } = new URL(url);
+  const state = getHostState(host);
+  const pool = getPool(state, getPoolName(pathname));
+  const lane = LANES.includes(priority) ? priority : (laneStorage.getStore() || 'interactive');
+
+  for (let attempt = 0; ; attempt++) {
+    await acquire(state, pool, lane);
+
+    let response;
+    try {
+      response = await send();
+    } catch (error) {
+      const now = Date.now();
+      if (error.response) updatePool(pool, error.response.headers, now);
+
+      const delay = getRetryDelay(error, attempt, method, pool, now);
+      const rateLimited = isRateLimitResponse(error.response);
+      if (rateLimited) {
+        state.counts.rateLimited++;
+        // Hold every request in the pool, not just this one
+        pool.pausedUntil = Math.max(pool.pausedUntil, now + (delay || 0));
+      }
+      release(state);
+
+      if (delay === null || attempt >= MAX_RETRIES || delay > MAX_WAIT_MS[lane]) throw error;
+      state.counts.retries++;
+      if (!rateLimited) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+      continue;
+    }
+
+    updatePool(pool, response.headers, Date.now());
+    release(state);
+    return response;
+  }
+}
+
+/**
+ * Scheduler state per host, for /api/ratelimits
+ * @returns {Array} [{ host, requestsPerSecond, inFlight, queued, pools, counts }]
+ */
+function getStatus() {
+  const now = Date.now();
+  const toIso = (time) => (time && time > now ? new Date(time).toISOString() : null);
+  return Array.from(hosts.values()).map(state => ({
+    host: state.host,
+    requestsPerSecond: state.requestsPerSecond,
+    inFlight: state.inFlight,
+    queued: { interactive: state.queues.interactive.length, background: state.queues.background.length },
+    pools: Object.fromEntries(Object.entries(state.pools).map(([name, pool]) => [name, {
+      limit: pool.limit,
+      remaining: pool.remaining,
+      resetAt: toIso(pool.resetAt),
+      pausedUntil: toIso(pool.pausedUntil)
+    }])),
+    counts: { ...state.counts }
+  }));
+}
+
+module.exports = {
+  runInBackground,
+  scheduleRequest,
+  isRateLimitResponse,
+  getStatus
+};
@@ -32,7 +32,63 @@ function prepareItemsForPage(items, dateRange = null, transformFn = null) {
   return filtered;
 }
 
+/**
+ * Add a [{ month, count }] series into a { month: { [key]: count } } map
+ * @param {Object} monthly - Map to add into (mutated)
+ * @param {Array} series - Monthly series from calculateMonthlyStats
+ * @param {string} key - Metric name for the counts
+ * @returns {Object} The map
+ */
+function addMonthlySeries(monthly, series, key) {
+  (series || []).forEach(item => {
+    if (!item?.month || !item.count) return;
+    monthly[item.month] = monthly[item.month] || {};
+    monthly[item.month][key] = (monthly[item.month][key] || 0) + item.count;
+  });
+  return monthly;
+}
+
+/**
+ * Strip the trailing slash from a base URL env var, with a default
+ */
+function normalizeBaseUrl(url, fallback = '') {
+  return url?.replace(/\/$/, '') || fallback;
+}
+
+/**
+ * Build the result of a token check (see provider.checkCredentials)
+ * @param {string} serviceName - Service name for error messages
+ * @param {Object} check - { account, accountIds, expected, scopes, requiredScopes, expiresAt }
+ *   accountIds: every identifier of the token's account (login, id, email) compared with
+ *   expected (the roster identity); requiredScopes: scope groups, each satisfied by any of its scopes
+ * @returns {Object} { account, scopes, missingScopes, expiresAt }
+ * @throws {Error} status 400 when the token belongs to another account
+ */
+function buildTokenCheck(serviceName, { account, accountIds = [], expected, scopes = null, requiredScopes = [], expiresAt = null }) {
+  const ids = [account, ...accountIds].filter(Boolean).map(id => String(id).toLowerCase());
+  if (expected && !ids.includes(String(expected).toLowerCase())) {
+    const error = new Error(`This ${serviceName} token belongs to ${account}, not ${expected}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const missingScopes = scopes
+    ? requiredScopes.filter(group => !group.some(scope => scopes.includes(scope))).map(group => group.join(' or '))
+    : [];
+  const expiry = expiresAt ? new Date(expiresAt) : null;
+
+  return {
+    account,
+    scopes,
+    missingScopes,
+    expiresAt: expiry && !isNaN(expiry.getTime()) ? expiry.toISOString() : null
+  };
+}
+
 module.exports = {
-  prepareItemsForPage
+  prepareItemsForPage,
+  addMonthlySeries,
+  normalizeBaseUrl,
+  buildTokenCheck
 };
 
@@ -0,0 +1,56 @@
+/**
+ * Set a roster user's dashboard password
+ *
+ * Hashes are written to server/data/passwords.json (or AUTH_PASSWORDS_FILE).
+ * The password is read from stdin, so it can be piped in:
+ *   npm run set-password -- <user-id>
+ *   echo "secret" | npm run set-password -- <user-id>
+ */
+
+require('dotenv').config();
+
+const readline = require('readline');
+const { getUsers } = require('./userHelpers');
+const { setPassword } = require('./authHelpers');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+function readPassword() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: false });
+  if (process.stdin.isTTY) process.stdout.write('Password: ');
+  return new Promise(resolve => {
+    rl.once('line', line => {
+      resolve(line);
+      rl.close();
+    });
+    rl.once('close', () => resolve(''));
+  });
+}
+
+async function main() {
+  const userId = process.argv[2];
+  if (!userId) {
+    console.error('Usage: npm run set-password -- <user-id>');
+    process.exit(1);
+  }
+
+  const users = await getUsers();
+  if (!users.some(u => u.id === userId)) {
+    console.error(`❌ User ${userId} is not on the roster`);
+    process.exit(1);
+  }
+
+  const password = await readPassword();
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    console.error(`❌ Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    process.exit(1);
+  }
+
+  setPassword(userId, password);
+  console.log(`✓ Password set for ${userId} (existing sessions are signed out)`);
+}
+
+main().catch(error => {
+  console.error('❌ Failed to set password:', error.message);
+  process.exit(2);
+});
@@ -0,0 +1,244 @@
+/**
+ * Persistent snapshot store for historical stats
+ *
+ * The in-memory cache is lost on every restart, so computed stats are also
+ * written to disk as dated snapshots. Each source gets its own directory with
+ * one JSON file per day:
+ *
+ *   server/data/snapshots/<source>/<YYYY-MM-DD>.json
+ *
+ * A day file maps `<subject>|<rangeKey>` to the latest snapshot taken that
+ * day, so repeated cache warming overwrites the day's entry instead of
+ * growing the file without bound.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getProviders } = require('../services/registry');
+
+const DEFAULT_SNAPSHOT_DIR = path.join(__dirname, '..', 'data', 'snapshots');
+const DEFAULT_SUBJECT = 'default';
+
+// Large per-item arrays that are not useful for trend queries
+const HEAVY_KEYS = new Set(['items', 'prs', 'mrs', 'issues']);
+const MAX_TRIM_DEPTH = 4;
+
+/**
+ * Get YYYY-MM-DD for a date (local time, matches how date ranges are entered)
+ */
+function formatDay(date) {
+  return date.getFullYear() + '-' +
+    String(date.getMonth() + 1).padStart(2, '0') + '-' +
+    String(date.getDate()).padStart(2, '0');
+}
+
+/**
+ * Strip per-item arrays from stats objects before persisting
+ * @param {*} value - Stats value
+ * @param {number} depth - Current recursion depth
+ * @returns {*} Trimmed copy
+ */
+function trimSnapshotData(value, depth = 0) {
+  if (Array.isArray(value)) {
+    return depth >= MAX_TRIM_DEPTH ? value : value.map(item => trimSnapshotData(item, depth + 1));
+  }
+  if (!value || typeof value !== 'object' || depth >= MAX_TRIM_DEPTH) {
+    return value;
+  }
+
+  const trimmed = {};
+  for (const [key, child] of Object.entries(value)) {
+    if (HEAVY_KEYS.has(key) && Array.isArray(child)) continue;
+    trimmed[key] = trimSnapshotData(child, depth + 1);
+  }
+  return trimmed;
+}
+
+/**
+ * Read a value from an object using a dot-separated path (e.g. "velocity.averageVelocity")
+ */
+function getMetricValue(data, metricPath) {
+  if (!metricPath) return data;
+  return metricPath.split('.').reduce((value, key) => {
+    if (value === null || value === undefined) return undefined;
+    return value[key];
+  }, data);
+}
+
+class SnapshotStore {
+  constructor(baseDir = process.env.SNAPSHOT_DIR || DEFAULT_SNAPSHOT_DIR) {
+    this.baseDir = baseDir;
+    // Serialize writes per day file so concurrent records don't clobber each other
+    this.writeQueues = new Map();
+  }
+
+  getDayFile(source, day) {
+    return path.join(this.baseDir, source, `${day}.json`);
+  }
+
+  async readDayFile(filePath) {
+    try {
+      const content = await fs.promises.readFile(filePath, 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`⚠️ Could not read snapshot file ${filePath}:`, error.message);
+      }
+      return {};
+    }
+  }
+
+  async writeDayFile(filePath, contents) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, JSON.stringify(contents));
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  /**
+   * Record a snapshot for a source
+   * @param {string} source - Snapshot source (a provider id, or leaderboard)
+   * @param {Object|null} dateRange - Date range the stats were computed for
+   * @param {Object} data - Stats data
+   * @param {Object} options - Options
+   * @param {string} options.subject - Who the stats belong to (user id, or 'default' for the env user)
+   * @returns {Promise<void>}
+   */
+  record(source, dateRange, data, { subject = DEFAULT_SUBJECT } = {}) {
+    if (!source || !data || data.error) return Promise.resolve();
+
+    const takenAt = new Date();
+    const filePath = this.getDayFile(source, formatDay(takenAt));
+    const rangeKey = JSON.stringify(dateRange || null);
+    const entry = {
+      subject,
+      dateRange: dateRange || null,
+      takenAt: takenAt.toISOString(),
+      data: trimSnapshotData(data)
+    };
+
+    const previous = this.writeQueues.get(filePath) || Promise.resolve();
+    const next = previous
+      .then(async () => {
+        const contents = await this.readDayFile(filePath);
+        contents[`${subject}|${rangeKey}`] = entry;
+        await this.writeDayFile(filePath, contents);
+      })
+      .catch(error => {
+        console.error(`Error recording ${source} snapshot:`, error.message);
+      });
+
+    this.writeQueues.set(filePath, next);
+    next.then(() => {
+      if (this.writeQueues.get(filePath) === next) {
+        this.writeQueues.delete(filePath);
+      }
+    });
+    return next;
+  }
+
+  /**
+   * Record each provider's stats from a combined stats result
+   * Sources that errored are skipped.
+   */
+  recordStats(stats, dateRange, options = {}) {
+    const sources = getProviders().map(provider => provider.id).filter(source => stats?.[source]);
+    return Promise.all(sources.map(source => this.record(source, dateRange, stats[source], options)));
+  }
+
+  /**
+   * Record each leaderboard entry as a snapshot keyed by user id
+   */
+  recordLeaderboard(leaderboard, dateRange) {
+    const entries = (leaderboard || []).filter(entry => entry?.user?.id && !entry.errors?.general);
+    return Promise.all(entries.map(entry =>
+      this.record('leaderboard', dateRange, entry, { subject: entry.user.id })
+    ));
+  }
+
+  /**
+   * List sources with the days available for each
+   * @returns {Promise<Array>} [{ source, days, firstDay, lastDay }]
+   */
+  async listSources() {
+    let sourceDirs;
+    try {
+      sourceDirs = await fs.promises.readdir(this.baseDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const sources = [];
+    for (const dir of sourceDirs.filter(d => d.isDirectory())) {
+      const days = await this.listDays(dir.name);
+      sources.push({
+        source: dir.name,
+        days: days.length,
+        firstDay: days[0] || null,
+        lastDay: days[days.length - 1] || null
+      });
+    }
+    return sources;
+  }
+
+  async listDays(source) {
+    try {
+      const files = await fs.promises.readdir(path.join(this.baseDir, source));
+      return files
+        .filter(file => /^\d{4}-\d{2}-\d{2}\.json$/.test(file))
+        .map(file => file.replace('.json', ''))
+        .sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Get the history of a metric for a source
+   * @param {Object} options - Query options
+   * @param {string} options.source - Snapshot source
+   * @param {Object|null} options.dateRange - Date range the stats were computed for
+   * @param {string} options.subject - Subject (user id or 'default')
+   * @param {string} options.metric - Dot-separated metric path; omit to return whole snapshots
+   * @param {string} options.since - First snapshot day to include (YYYY-MM-DD)
+   * @param {string} options.until - Last snapshot day to include (YYYY-MM-DD)
+   * @returns {Promise<Array>} [{ day, takenAt, value }] sorted by day
+   */
+  async getHistory({ source, dateRange = null, subject = DEFAULT_SUBJECT, metric = null, since = null, until = null }) {
+    const entryKey = `${subject}|${JSON.stringify(dateRange || null)}`;
+    const days = (await this.listDays(source))
+      .filter(day => (!since || day >= since) && (!until || day <= until));
+
+    const points = [];
+    for (const day of days) {
+      const contents = await this.readDayFile(this.getDayFile(source, day));
+      const entry = contents[entryKey];
+      if (!entry) continue;
+
+      points.push({
+        day,
+        takenAt: entry.takenAt,
+        value: getMetricValue(entry.data, metric) ?? null
+      });
+    }
+    return points;
+  }
+
+  /**
+   * List subjects recorded for a source on its most recent day
+   */
+  async listSubjects(source) {
+    const days = await this.listDays(source);
+    if (days.length === 0) return [];
+
+    const contents = await this.readDayFile(this.getDayFile(source, days[days.length - 1]));
+    return [...new Set(Object.values(contents).map(entry => entry.subject))].sort();
+  }
+}
+
+// Create singleton instance
+const snapshotStore = new SnapshotStore();
+
+module.exports = snapshotStore;
@@ -0,0 +1,158 @@
+/**
+ * SVG Charts
+ *
+ * Static inline SVG charts for server-rendered reports (see dashboardReport.js).
+ * They print like the rest of the page, with no script or chart library.
+ *
+ * A series is { name, color, values } with one value per category.
+ */
+
+const FONT = "font-family=\"Inter, system-ui, sans-serif\"";
+const AXIS_COLOR = '#94a3b8';
+const GRID_COLOR = '#e2e8f0';
+const TEXT_COLOR = '#475569';
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatValue = (value) => {
+  const rounded = Math.round((value || 0) * 10) / 10;
+  return rounded.toLocaleString('en-US');
+};
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+// Round axis maximum: 1, 2, 2.5 or 5 times a power of ten, at or above max
+function niceMax(max) {
+  if (max <= 0) return 1;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(max)));
+  const step = [1, 2, 2.5, 5, 10].find(multiple => multiple * magnitude >= max);
+  return step * magnitude;
+}
+
+function renderLegend(series, x, y) {
+  let offset = 0;
+  return series.map(({ name, color }) => {
+    const item = `<rect x="${x + offset}" y="${y - 9}" width="10" height="10" rx="2" fill="${color}"/>` +
+      `<text x="${x + offset + 14}" y="${y}" ${FONT} font-size="11" fill="${TEXT_COLOR}">${escapeXml(name)}</text>`;
+    offset += 24 + name.length * 6.5;
+    return item;
+  }).join('');
+}
+
+/**
+ * Vertical (grouped) bar chart
+ * @param {Object} options - Chart options
+ * @param {Array<string>} options.categories - X axis labels
+ * @param {Array<Object>} options.series - [{ name, color, values }]
+ * @param {Array<Object>} options.referenceLines - Optional [{ value, label, color }] dashed lines (e.g. team averages)
+ * @param {number} options.width - Width in px (the SVG scales to its container)
+ * @param {number} options.height - Height in px
+ * @param {string} options.label - Accessible description
+ * @returns {string} SVG markup ('' without categories)
+ */
+function barChart({ categories, series, referenceLines = [], width = 720, height = 240, label = '' }) {
+  if (!categories?.length || !series?.length) return '';
+
+  // Long or many labels are rotated and get a taller bottom margin
+  const longestLabel = Math.max(...categories.map(category => String(category).length));
+  const rotate = categories.length * Math.min(longestLabel, 14) * 6.5 > width - 60;
+  const margin = { top: 28, right: 16, bottom: rotate ? 64 : 28, left: 44 };
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+
+  const values = series.flatMap(s => s.values.map(value => value || 0));
+  const max = niceMax(Math.max(...values, ...referenceLines.map(line => line.value || 0)));
+  const y = (value) => margin.top + plotHeight - (Math.max(value || 0, 0) / max) * plotHeight;
+
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map(fraction => max * fraction);
+  const grid = ticks.map(tick => (
+    `<line x1="${margin.left}" x2="${width - margin.right}" y1="${y(tick)}" y2="${y(tick)}" stroke="${GRID_COLOR}" stroke-width="1"/>` +
+    `<text x="${margin.left - 6}" y="${y(tick) + 4}" ${FONT} font-size="10" fill="${TEXT_COLOR}" text-anchor="end">${formatValue(tick)}</text>`
+  )).join('');
+
+  const groupWidth = plotWidth / categories.length;
+  const barWidth = Math.max(Math.min((groupWidth * 0.75) / series.length, 40), 2);
+  const showValues = barWidth >= 14;
+  const bars = categories.map((category, i) => {
+    const groupX = margin.left + i * groupWidth + (groupWidth - barWidth * series.length) / 2;
+    const groupBars = series.map((s, j) => {
+      const value = s.values[i] || 0;
+      const x = groupX + j * barWidth;
+      const top = y(value);
+      const bar = `<rect x="${x.toFixed(1)}" y="${top.toFixed(1)}" width="${(barWidth - 1).toFixed(1)}" height="${(margin.top + plotHeight - top).toFixed(1)}" fill="${s.color}" rx="1.5">` +
+        `<title>${escapeXml(`${category}: ${formatValue(value)} ${s.name}`)}</title></rect>`;
+      const valueLabel = showValues && value > 0
+        ? `<text x="${(x + (barWidth - 1) / 2).toFixed(1)}" y="${(top - 3).toFixed(1)}" ${FONT} font-size="9" fill="${TEXT_COLOR}" text-anchor="middle">${formatValue(value)}</text>`
+        : '';
+      return bar + valueLabel;
+    }).join('');
+
+    const labelX = margin.left + (i + 0.5) * groupWidth;
+    const labelY = margin.top + plotHeight + 14;
+    const text = escapeXml(truncate(String(category), 14));
+    const categoryLabel = rotate
+      ? `<text transform="translate(${labelX.toFixed(1)} ${labelY}) rotate(-40)" ${FONT} font-size="10" fill="${TEXT_COLOR}" text-anchor="end">${text}</text>`
+      : `<text x="${labelX.toFixed(1)}" y="${labelY}" ${FONT} font-size="10" fill="${TEXT_COLOR}" text-anchor="middle">${text}</text>`;
+    return groupBars + categoryLabel;
+  }).join('');
+
+  const lines = referenceLines.filter(line => line.value > 0).map(line => (
+    `<line x1="${margin.left}" x2="${width - margin.right}" y1="${y(line.value)}" y2="${y(line.value)}" stroke="${line.color || '#f59e0b'}" stroke-width="1.5" stroke-dasharray="5 4"/>` +
+    `<text x="${width - margin.right}" y="${y(line.value) - 4}" ${FONT} font-size="10" fill="${line.color || '#f59e0b'}" text-anchor="end">${escapeXml(`${line.label}: ${formatValue(line.value)}`)}</text>`
+  )).join('');
+
+  const axis = `<line x1="${margin.left}" x2="${width - margin.right}" y1="${margin.top + plotHeight}" y2="${margin.top + plotHeight}" stroke="${AXIS_COLOR}" stroke-width="1"/>`;
+  const legend = series.length > 1 ? renderLegend(series, margin.left, 14) : '';
+
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="${escapeXml(label)}" xmlns="http://www.w3.org/2000/svg">` +
+    `${grid}${axis}${bars}${lines}${legend}</svg>`;
+}
+
+/**
+ * Horizontal comparison bars: one row per metric, each row scaled to its own maximum
+ * (metrics have different units, so rows are compared within themselves only)
+ * @param {Object} options - Chart options
+ * @param {Array<Object>} options.rows - [{ label, values }] with one value per series (null = no data)
+ * @param {Array<Object>} options.series - [{ name, color }]
+ * @param {number} options.width - Width in px
+ * @param {string} options.label - Accessible description
+ * @returns {string} SVG markup ('' without rows)
+ */
+function comparisonChart({ rows, series, width = 720, label = '' }) {
+  if (!rows?.length || !series?.length) return '';
+
+  const labelWidth = 170;
+  const barHeight = 12;
+  const rowHeight = series.length * (barHeight + 2) + 12;
+  const top = 26;
+  const plotWidth = width - labelWidth - 60;
+  const height = top + rows.length * rowHeight + 4;
+
+  const body = rows.map((row, i) => {
+    const rowY = top + i * rowHeight;
+    const max = Math.max(...row.values.map(value => value || 0)) || 1;
+    const bars = series.map((s, j) => {
+      const value = row.values[j];
+      const barY = rowY + j * (barHeight + 2);
+      if (value === null || value === undefined) {
+        return `<text x="${labelWidth}" y="${barY + barHeight - 2}" ${FONT} font-size="10" fill="${AXIS_COLOR}">—</text>`;
+      }
+      const barWidth = Math.max((value / max) * plotWidth, value > 0 ? 2 : 0);
+      return `<rect x="${labelWidth}" y="${barY}" width="${barWidth.toFixed(1)}" height="${barHeight}" fill="${s.color}" rx="1.5"/>` +
+        `<text x="${(labelWidth + barWidth + 4).toFixed(1)}" y="${barY + barHeight - 2}" ${FONT} font-size="10" fill="${TEXT_COLOR}">${formatValue(value)}</text>`;
+    }).join('');
+    return `<text x="0" y="${rowY + (series.length * (barHeight + 2)) / 2 + 3}" ${FONT} font-size="11" fill="#1e293b">${escapeXml(row.label)}</text>${bars}`;
+  }).join('');
+
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="${escapeXml(label)}" xmlns="http://www.w3.org/2000/svg">` +
+    `${renderLegend(series, labelWidth, 14)}${body}</svg>`;
+}
+
+module.exports = {
+  barChart,
+  comparisonChart
+};
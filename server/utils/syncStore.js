@@ -0,0 +1,194 @@
+/**
+ * Sync Stores
+ *
+ * Persisted item sets for incremental syncs (Jira issues, GitHub PRs, GitLab MRs),
+ * so a cache miss only downloads what changed since the last sync instead of a
+ * user's whole history. Each source has a directory of per-user JSON files:
+ *
+ *   server/data/sync/<source>/<hash>.json   (or SYNC_DIR/<source>)
+ *
+ * A store records a watermark (lastSyncAt, when the last sync started) and a
+ * floor (the earliest date it covers, null = all time). Updates are fetched at
+ * most every SYNC_INTERVAL_SECONDS (default 60); every SYNC_RECONCILE_HOURS
+ * (default 6) the store is reconciled so deleted or reassigned items drop out.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SYNC_ROOT = process.env.SYNC_DIR || path.join(__dirname, '..', 'data', 'sync');
+const SYNC_INTERVAL_MS = (parseFloat(process.env.SYNC_INTERVAL_SECONDS) || 60) * 1000;
+const RECONCILE_INTERVAL_MS = (parseFloat(process.env.SYNC_RECONCILE_HOURS) || 6) * 60 * 60 * 1000;
+// Overlap between updated-since windows, for clock skew and slow indexing
+const SYNC_OVERLAP_MS = 5 * 60 * 1000;
+
+const syncStores = new Map();
+
+// Whether a store with this floor already has every item a request from `floor` needs
+const coversFloor = (storeFloor, floor) => storeFloor === null || (floor !== null && storeFloor <= floor);
+const lowerFloor = (a, b) => (a === null || b === null ? null : (a < b ? a : b));
+
+/**
+ * Create (or get) the sync store for a source
+ * @param {string} source - Source id, also the directory name (e.g. 'github')
+ * @returns {Object} { load, save, exclusive, update, has, getStatus, reset }
+ */
+function createSyncStore(source) {
+  if (syncStores.has(source)) return syncStores.get(source);
+
+  const dir = path.join(SYNC_ROOT, source);
+  const states = new Map();
+  const inFlight = new Map();
+  const getFile = (key) => path.join(dir, `${crypto.createHash('sha1').update(key).digest('hex').slice(0, 16)}.json`);
+
+  // Load a user's state (from memory, then disk)
+  function load(key) {
+    if (states.has(key)) return states.get(key);
+
+    let state = null;
+    try {
+      state = JSON.parse(fs.readFileSync(getFile(key), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to load ${source} sync store for ${key}:`, error.message);
+      }
+    }
+    if (!state || state.key !== key) {
+      state = { key, floor: null, lastSyncAt: null, lastReconcileAt: null, items: {} };
+    }
+    states.set(key, state);
+    return state;
+  }
+
+  // Atomic write (stores can be large, a partial file would force a full download)
+  function save(state) {
+    const file = getFile(state.key);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(state));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  // Run one sync per key at a time; callers that arrive mid-sync run theirs after it
+  function exclusive(key, fn) {
+    const pending = inFlight.get(key);
+    if (pending) {
+      return pending.catch(() => {}).then(() => exclusive(key, fn));
+    }
+    const promise = Promise.resolve().then(fn).finally(() => inFlight.delete(key));
+    inFlight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Change loaded states in place (webhook deliveries), saving the ones fn changed
+   * States not loaded since startup catch up with their next sync instead.
+   * @param {Function} match - (key) => whether to visit the state
+   * @param {Function} fn - (state) => true when it changed the state
+   * @returns {number} Number of states changed
+   */
+  function update(match, fn) {
+    let changed = 0;
+    for (const state of states.values()) {
+      if (match(state.key) && fn(state)) {
+        save(state);
+        changed++;
+      }
+    }
+    return changed;
+  }
+
+  // Whether a state matching is loaded (a user's state loads when their stats are built)
+  function has(match) {
+    return Array.from(states.keys()).some(match);
+  }
+
+  function getStatus() {
+    return Array.from(states.values()).map(state => ({
+      key: state.key,
+      floor: state.floor,
+      items: Object.keys(state.items).length,
+      lastSyncAt: state.lastSyncAt,
+      lastReconcileAt: state.lastReconcileAt
+    }));
+  }
+
+  // Drop every state so the next request downloads everything again
+  function reset() {
+    for (const key of states.keys()) {
+      fs.rmSync(getFile(key), { force: true });
+    }
+    states.clear();
+  }
+
+  const store = { source, load, save, exclusive, update, has, getStatus, reset };
+  syncStores.set(source, store);
+  return store;
+}
+
+/**
+ * Bring a user's items up to date and return them
+ * - First sync, an earlier floor or a due reconcile: fetchAll(floor) replaces the items
+ * - Otherwise, once SYNC_INTERVAL_SECONDS have passed: fetchUpdated(since) is merged in
+ * @param {Object} store - Store from createSyncStore
+ * @param {string} key - User key (base URL and user)
+ * @param {Object} options - Options
+ * @param {string|null} options.floor - Earliest date needed (YYYY-MM-DD), null for all time
+ * @param {Function} options.getId - Item id
+ * @param {Function} options.fetchAll - async (floor) => items
+ * @param {Function} options.fetchUpdated - async (sinceIso, floor) => items updated since then
+ * @returns {Promise<Array>} Every stored item (not filtered by floor)
+ */
+function syncItems(store, key, { floor = null, getId, fetchAll, fetchUpdated }) {
+  return store.exclusive(key, async () => {
+    const state = store.load(key);
+    const startedAt = Date.now();
+    const lastSyncAt = state.lastSyncAt ? new Date(state.lastSyncAt).getTime() : 0;
+    const lastReconcileAt = state.lastReconcileAt ? new Date(state.lastReconcileAt).getTime() : 0;
+
+    if (!state.lastSyncAt || !coversFloor(state.floor, floor) || startedAt - lastReconcileAt >= RECONCILE_INTERVAL_MS) {
+      const newFloor = state.lastSyncAt ? lowerFloor(state.floor, floor) : floor;
+      const items = await fetchAll(newFloor);
+      state.items = Object.fromEntries(items.map(item => [getId(item), item]));
+      state.floor = newFloor;
+      state.lastReconcileAt = new Date(startedAt).toISOString();
+      console.log(`🔄 ${store.source} sync (full) for ${key}: ${items.length} items since ${newFloor || 'all time'}`);
+    } else if (startedAt - lastSyncAt >= SYNC_INTERVAL_MS) {
+      const items = await fetchUpdated(new Date(lastSyncAt - SYNC_OVERLAP_MS).toISOString(), state.floor);
+      items.forEach(item => { state.items[getId(item)] = item; });
+    } else {
+      return Object.values(state.items);
+    }
+
+    state.lastSyncAt = new Date(startedAt).toISOString();
+    store.save(state);
+    return Object.values(state.items);
+  });
+}
+
+/**
+ * Status of every source's stores loaded since startup, for /api/debug/sync
+ * @returns {Object} source -> [{ key, floor, items, lastSyncAt, lastReconcileAt }]
+ */
+function getSyncStatus() {
+  return Object.fromEntries(Array.from(syncStores.values()).map(store => [store.source, store.getStatus()]));
+}
+
+/**
+ * Drop every source's stores so the next requests download everything again
+ */
+function resetSyncStores() {
+  syncStores.forEach(store => store.reset());
+}
+
+module.exports = {
+  SYNC_INTERVAL_MS,
+  RECONCILE_INTERVAL_MS,
+  SYNC_OVERLAP_MS,
+  coversFloor,
+  lowerFloor,
+  createSyncStore,
+  syncItems,
+  getSyncStatus,
+  resetSyncStores
+};
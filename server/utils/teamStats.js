@@ -0,0 +1,142 @@
+/**
+ * Team Stats
+ *
+ * Aggregates leaderboard entries (from fetchLeaderboard) into a team view:
+ * totals, monthly throughput, each member's share of the work and
+ * per-level trends.
+ */
+
+const { summarizeEntry } = require('../services/registry');
+
+const LEVELS = ['P1', 'P2', 'P3', 'P4', 'contractor'];
+const UNASSIGNED_LEVEL = 'unassigned';
+
+// Metrics summed for totals and member shares
+const SHARE_METRICS = ['created', 'merged', 'reviews', 'comments', 'storyPoints', 'resolved'];
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Comparable metrics from an entry's summary
+ * (summed across providers, same definitions as calculateBenchmarks in routes/stats.js)
+ */
+function extractMemberMetrics(summary) {
+  return {
+    created: summary.created,
+    merged: summary.merged,
+    reviews: summary.reviews,
+    comments: summary.comments,
+    storyPoints: summary.storyPoints,
+    resolved: summary.resolved,
+    velocity: summary.velocity
+  };
+}
+
+/**
+ * Sum per-member monthly maps into a sorted array
+ * @param {Array<Object>} monthlyMaps - Per-member monthly maps (summary.monthly)
+ * @param {number} divisor - Divide counts (for per-member averages)
+ */
+function combineMonthly(monthlyMaps, divisor = 1) {
+  const combined = {};
+  monthlyMaps.forEach(months => {
+    Object.entries(months).forEach(([month, counts]) => {
+      combined[month] = combined[month] || { created: 0, merged: 0, comments: 0, issues: 0 };
+      Object.keys(counts).forEach(key => { combined[month][key] += counts[key]; });
+    });
+  });
+
+  return Object.keys(combined)
+    .sort()
+    .map(month => {
+      const counts = combined[month];
+      return {
+        month,
+        created: round(counts.created / divisor),
+        merged: round(counts.merged / divisor),
+        comments: round(counts.comments / divisor),
+        issues: round(counts.issues / divisor)
+      };
+    });
+}
+
+const sumMetrics = (members) => SHARE_METRICS.concat('velocity').reduce((totals, key) => {
+  totals[key] = round(members.reduce((sum, member) => sum + member.metrics[key], 0));
+  return totals;
+}, {});
+
+/**
+ * Calculate team-level stats from leaderboard entries
+ * @param {Array} leaderboard - Entries from fetchLeaderboard
+ * @returns {Object} { totals, monthly, members, byLevel }
+ */
+function calculateTeamStats(leaderboard) {
+  const entries = (leaderboard || []).filter(entry => entry?.user);
+  const members = entries.map(entry => {
+    const summary = entry.summary || summarizeEntry(entry);
+    return {
+      id: entry.user.id,
+      level: entry.user.level || UNASSIGNED_LEVEL,
+      metrics: extractMemberMetrics(summary),
+      // Per-month counts: { 'YYYY-MM': { created, merged, comments, issues } }
+      monthly: summary.monthly,
+      hasErrors: Object.keys(entry.errors || {}).length > 0
+    };
+  });
+
+  const totals = sumMetrics(members);
+  const isActive = (member) => SHARE_METRICS.some(key => member.metrics[key] > 0);
+
+  const memberShares = members
+    .map(member => ({
+      id: member.id,
+      level: member.level,
+      ...member.metrics,
+      hasErrors: member.hasErrors,
+      share: SHARE_METRICS.reduce((share, key) => {
+        share[key] = totals[key] > 0 ? round((member.metrics[key] / totals[key]) * 100) : 0;
+        return share;
+      }, {})
+    }))
+    .sort((a, b) => (b.created + b.resolved) - (a.created + a.resolved));
+
+  const levels = [...LEVELS, UNASSIGNED_LEVEL];
+  const byLevel = levels
+    .map(level => {
+      const levelMembers = members.filter(member => member.level === level);
+      if (levelMembers.length === 0) return null;
+
+      const levelTotals = sumMetrics(levelMembers);
+      const perMember = Object.keys(levelTotals).reduce((avg, key) => {
+        avg[key] = round(levelTotals[key] / levelMembers.length);
+        return avg;
+      }, {});
+
+      return {
+        level,
+        members: levelMembers.length,
+        totals: levelTotals,
+        perMember,
+        // Per-member averages per month, so levels of different sizes are comparable
+        monthly: combineMonthly(levelMembers.map(member => member.monthly), levelMembers.length)
+      };
+    })
+    .filter(Boolean);
+
+  return {
+    totals: {
+      members: members.length,
+      activeMembers: members.filter(isActive).length,
+      membersWithErrors: members.filter(member => member.hasErrors).length,
+      ...totals
+    },
+    monthly: combineMonthly(members.map(member => member.monthly)),
+    members: memberShares,
+    byLevel
+  };
+}
+
+module.exports = {
+  calculateTeamStats,
+  LEVELS
+};
@@ -8,6 +8,14 @@ const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 
+const USERS_CONFIG_PATH = process.env.USERS_CONFIG_FILE || path.join(__dirname, '..', 'config', 'users.json');
+
+// Valid values for user.level (contractors are excluded from level benchmarks)
+const VALID_LEVELS = ['P1', 'P2', 'P3', 'P4', 'contractor'];
+
+// Valid values for user.role (see authHelpers.js, engineer when unset)
+const VALID_ROLES = ['engineer', 'manager', 'admin'];
+
 /**
  * Fetch users from engineering-metrics API
  * @param {string} apiUrl - Engineering-metrics API URL (e.g., "https://engineering-metrics.example.com/api/users")
@@ -116,23 +124,214 @@ async function getUsers() {
     }
   }
   
-  // Fallback to default config file
-  try {
-    const usersConfig = require('../config/users.json');
-    const users = Array.isArray(usersConfig) ? usersConfig : [];
-    if (users.length > 0) {
-      const usersWithLevels = users.filter(u => u.level).length;
-      if (usersWithLevels === 0 && !engineeringMetricsPath) {
-        console.warn('⚠️  No users have levels. Set ENGINEERING_METRICS_PATH to extract levels from engineering-metrics files.');
-      }
+  // Fallback to default config file (read fresh so roster edits apply without a restart)
+  const users = loadRoster();
+  if (users.length > 0) {
+    const usersWithLevels = users.filter(u => u.level).length;
+    if (usersWithLevels === 0 && !engineeringMetricsPath) {
+      console.warn('⚠️  No users have levels. Set ENGINEERING_METRICS_PATH to extract levels from engineering-metrics files.');
     }
-    return users;
+  }
+  return users;
+}
+
+/**
+ * Get where getUsers() reads the roster from
+ * Only the config file roster can be edited through the API
+ * @returns {string} 'url' | 'file' | 'engineering-metrics' | 'config'
+ */
+function getRosterSource() {
+  if (process.env.ENGINEERING_METRICS_USERS_URL) return 'url';
+  if (process.env.ENGINEERING_METRICS_USERS_FILE) return 'file';
+  if (process.env.ENGINEERING_METRICS_PATH) return 'engineering-metrics';
+  return 'config';
+}
+
+/**
+ * Load the roster from the config file
+ * @returns {Array} Array of user objects
+ */
+function loadRoster() {
+  try {
+    const users = JSON.parse(fs.readFileSync(USERS_CONFIG_PATH, 'utf8'));
+    return Array.isArray(users) ? users : [];
   } catch (error) {
-    console.error('Failed to load users from config file:', error.message);
+    if (error.code !== 'ENOENT') {
+      console.error('Failed to load users from config file:', error.message);
+    }
     return [];
   }
 }
 
+/**
+ * Save the roster to the config file (atomic write)
+ * @param {Array} users - Array of user objects
+ */
+function saveRoster(users) {
+  const tmpPath = `${USERS_CONFIG_PATH}.tmp`;
+  fs.mkdirSync(path.dirname(USERS_CONFIG_PATH), { recursive: true });
+  fs.writeFileSync(tmpPath, JSON.stringify(users, null, 2) + '\n');
+  fs.renameSync(tmpPath, USERS_CONFIG_PATH);
+}
+
+// Secret fields on roster entries' service settings (github.token, jira.pat, ...)
+const SECRET_FIELDS = ['token', 'pat', 'apiToken', 'apiKey', 'password', 'secret'];
+
+/**
+ * Merge a service entry (github, jira, ...) from a request onto the saved one
+ * Credentials and base URLs are kept unless the request sets them; empty values remove them.
+ * @param {Object|undefined} existing - Saved service entry
+ * @param {string} identityKey - 'username' or 'email'
+ * @param {string} identity - Validated identity ('' to remove it)
+ * @param {Object|undefined} input - Service entry from the request body
+ * @returns {Object|undefined} Merged entry, undefined when nothing is left
+ */
+function mergeServiceEntry(existing, identityKey, identity, input) {
+  const entry = { ...existing };
+  if (input && typeof input === 'object') {
+    for (const [key, value] of Object.entries(input)) {
+      if (key !== identityKey) entry[key] = typeof value === 'string' ? value.trim() : value;
+    }
+  }
+  entry[identityKey] = identity;
+
+  for (const key of Object.keys(entry)) {
+    if (entry[key] === '' || entry[key] === null || entry[key] === undefined) delete entry[key];
+  }
+  return Object.keys(entry).length > 0 ? entry : undefined;
+}
+
+/**
+ * Validate a roster entry and normalize it to the users.json format
+ * When updating, fields the request leaves out keep their saved values (including
+ * credentials such as github.token and jira.pat); empty values clear them.
+ * @param {Object} input - User fields from a request body
+ * @param {Array} existingUsers - Current roster (for duplicate checks)
+ * @param {string|null} currentId - Id of the user being updated (excluded from duplicate checks)
+ * @returns {{ user: Object|null, errors: Array<string> }}
+ */
+function validateUser(input, existingUsers = [], currentId = null) {
+  const errors = [];
+  const trim = (value) => (typeof value === 'string' ? value.trim() : value);
+  const existing = (currentId && existingUsers.find(u => u.id === currentId)) || {};
+
+  const id = trim(input?.id) || currentId;
+  const name = trim(input?.name ?? existing.name);
+  const githubUsername = trim(input?.github?.username ?? input?.githubUsername ?? existing.github?.username);
+  const gitlabUsername = String(trim(input?.gitlab?.username ?? input?.gitlabUsername ?? existing.gitlab?.username) ?? '').trim();
+  const bitbucketUsername = trim(input?.bitbucket?.username ?? input?.bitbucketUsername ?? existing.bitbucket?.username);
+  const jiraEmail = trim(input?.jira?.email ?? input?.jiraEmail ?? existing.jira?.email);
+  const linearEmail = trim(input?.linear?.email ?? input?.linearEmail ?? existing.linear?.email);
+  const level = trim(input?.level ?? existing.level);
+  const role = trim(input?.role ?? existing.role);
+  const team = trim(input?.team ?? existing.team);
+
+  if (!id) {
+    errors.push('id is required');
+  } else if (!/^[A-Za-z0-9._-]+$/.test(id)) {
+    errors.push('id may only contain letters, numbers, ".", "_" and "-"');
+  }
+
+  // GitHub usernames: alphanumeric and single hyphens, max 39 chars (no leading/trailing hyphen)
+  if (githubUsername && !/^[A-Za-z0-9](?:[A-Za-z0-9]|-(?=[A-Za-z0-9])){0,38}$/.test(githubUsername)) {
+    errors.push(`Invalid GitHub username: ${githubUsername}`);
+  }
+
+  // GitLab identities are numeric user ids (as extracted from engineering-metrics)
+  if (gitlabUsername && !/^\d+$/.test(gitlabUsername)) {
+    errors.push(`Invalid GitLab id: ${gitlabUsername} (expected a numeric user id)`);
+  }
+
+  // Bitbucket identities: Server user slug, or Cloud nickname, account id or {uuid}
+  if (bitbucketUsername && !/^(\{[0-9a-fA-F-]+\}|[A-Za-z0-9._:@-]+)$/.test(bitbucketUsername)) {
+    errors.push(`Invalid Bitbucket username: ${bitbucketUsername}`);
+  }
+
+  if (jiraEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(jiraEmail)) {
+    errors.push(`Invalid Jira email: ${jiraEmail}`);
+  }
+
+  if (linearEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(linearEmail)) {
+    errors.push(`Invalid Linear email: ${linearEmail}`);
+  }
+
+  if (level && !VALID_LEVELS.includes(level)) {
+    errors.push(`Invalid level: ${level} (expected one of ${VALID_LEVELS.join(', ')})`);
+  }
+
+  if (role && !VALID_ROLES.includes(role)) {
+    errors.push(`Invalid role: ${role} (expected one of ${VALID_ROLES.join(', ')})`);
+  }
+
+  if (team && typeof team !== 'string') {
+    errors.push('team must be a string');
+  }
+
+  if (!githubUsername && !gitlabUsername && !bitbucketUsername && !jiraEmail && !linearEmail) {
+    errors.push('At least one of GitHub username, GitLab id, Bitbucket username, Jira email or Linear email is required');
+  }
+
+  const others = existingUsers.filter(u => u.id !== currentId);
+  if (id && id !== currentId && others.some(u => u.id?.toLowerCase() === id.toLowerCase())) {
+    errors.push(`A user with id ${id} already exists`);
+  }
+  if (githubUsername && others.some(u => u.github?.username?.toLowerCase() === githubUsername.toLowerCase())) {
+    errors.push(`GitHub username ${githubUsername} is already assigned to another user`);
+  }
+  if (gitlabUsername && others.some(u => String(u.gitlab?.username) === gitlabUsername)) {
+    errors.push(`GitLab id ${gitlabUsername} is already assigned to another user`);
+  }
+  if (bitbucketUsername && others.some(u => u.bitbucket?.username?.toLowerCase() === bitbucketUsername.toLowerCase())) {
+    errors.push(`Bitbucket username ${bitbucketUsername} is already assigned to another user`);
+  }
+  if (jiraEmail && others.some(u => u.jira?.email?.toLowerCase() === jiraEmail.toLowerCase())) {
+    errors.push(`Jira email ${jiraEmail} is already assigned to another user`);
+  }
+  if (linearEmail && others.some(u => u.linear?.email?.toLowerCase() === linearEmail.toLowerCase())) {
+    errors.push(`Linear email ${linearEmail} is already assigned to another user`);
+  }
+
+  if (errors.length > 0) {
+    return { user: null, errors };
+  }
+
+  const user = { ...existing, id };
+  const fields = {
+    name,
+    github: mergeServiceEntry(existing.github, 'username', githubUsername, input?.github),
+    gitlab: mergeServiceEntry(existing.gitlab, 'username', gitlabUsername, input?.gitlab),
+    bitbucket: mergeServiceEntry(existing.bitbucket, 'username', bitbucketUsername, input?.bitbucket),
+    jira: mergeServiceEntry(existing.jira, 'email', jiraEmail, input?.jira),
+    linear: mergeServiceEntry(existing.linear, 'email', linearEmail, input?.linear),
+    level,
+    role,
+    team
+  };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value) user[key] = value;
+    else delete user[key];
+  }
+
+  return { user, errors };
+}
+
+/**
+ * A roster entry without its secrets (service tokens, PATs), for API responses
+ * @param {Object} user - Roster user
+ * @returns {Object} Copy of the user without secret fields
+ */
+function toPublicUser(user) {
+  const publicUser = { ...user };
+  for (const [key, value] of Object.entries(publicUser)) {
+    if (SECRET_FIELDS.includes(key)) {
+      delete publicUser[key];
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      publicUser[key] = Object.fromEntries(Object.entries(value).filter(([field]) => !SECRET_FIELDS.includes(field)));
+    }
+  }
+  return publicUser;
+}
+
 /**
  * Transform engineering-metrics user format to our format
  * Engineering-metrics might return users in different formats, so we normalize them
@@ -147,7 +346,7 @@ async function getUsers() {
  */
 function normalizeEngineeringMetricsUser(emUser) {
   // If already in our format, return as-is (but ensure level is preserved)
-  if (emUser.id && (emUser.github?.username || emUser.gitlab?.username || emUser.jira?.email)) {
+  if (emUser.id && (emUser.github?.username || emUser.gitlab?.username || emUser.bitbucket?.username || emUser.jira?.email || emUser.linear?.email)) {
     // Preserve level if it exists
     if (emUser.level) {
       return { ...emUser, level: emUser.level };
@@ -174,6 +373,13 @@ function normalizeEngineeringMetricsUser(emUser) {
     normalized.gitlab = { username: emUser.gitlabUsername || emUser.gitlab };
   }
   
+  // Bitbucket
+  if (emUser.bitbucket?.username) {
+    normalized.bitbucket = { username: emUser.bitbucket.username };
+  } else if (emUser.bitbucketUsername || emUser.bitbucket) {
+    normalized.bitbucket = { username: emUser.bitbucketUsername || emUser.bitbucket };
+  }
+  
   // Jira
   if (emUser.jira?.email) {
     normalized.jira = { email: emUser.jira.email };
@@ -181,6 +387,13 @@ function normalizeEngineeringMetricsUser(emUser) {
     normalized.jira = { email: emUser.jiraEmail || emUser.jira };
   }
   
+  // Linear
+  if (emUser.linear?.email) {
+    normalized.linear = { email: emUser.linear.email };
+  } else if (emUser.linearEmail || emUser.linear) {
+    normalized.linear = { email: emUser.linearEmail || emUser.linear };
+  }
+  
   // Preserve level if it exists
   if (emUser.level) {
     normalized.level = emUser.level;
@@ -191,6 +404,13 @@ function normalizeEngineeringMetricsUser(emUser) {
 
 module.exports = {
   getUsers,
+  getRosterSource,
+  loadRoster,
+  saveRoster,
+  validateUser,
+  toPublicUser,
+  VALID_LEVELS,
+  VALID_ROLES,
   fetchUsersFromEngineeringMetrics,
   loadUsersFromFile,
   loadUsersFromEngineeringMetricsFiles,
@@ -0,0 +1,316 @@
+/**
+ * Verify leaderboard user identities
+ *
+ * users.json is partly generated by guessing (see findJiraUser in
+ * extractUsersFromEngineeringMetrics.js), so a bad mapping silently shows up
+ * as zeros on the leaderboard. For each user this resolves the GitHub login,
+ * GitLab user id and Jira account and reports:
+ * - not_found: the identity doesn't exist
+ * - ambiguous: no exact match, but similar accounts exist
+ * - mismatch: the account exists but belongs to someone with a different name
+ * - zero_activity: the account exists but has no activity in the date range
+ * - error: the service couldn't be queried
+ *
+ * The last report is saved to server/data/identity-verification.json so the
+ * API and leaderboard can show it without re-running the checks.
+ *
+ * Usage:
+ *   npm run verify-users -- [--start=YYYY-MM-DD] [--end=YYYY-MM-DD] [--json]
+ */
+
+if (require.main === module) {
+  require('dotenv').config();
+}
+
+const fs = require('fs');
+const path = require('path');
+const { getUsers, normalizeEngineeringMetricsUser } = require('./userHelpers');
+const { resolveUserIdentities } = require('./identityHelpers');
+const { getDateRange } = require('./dateHelpers');
+const { formatDate } = require('./calendar');
+const { buildJqlDateFilter, buildJqlQuery } = require('./jiraHelpers');
+const { githubApi } = require('../services/github/api');
+const { gitlabApi } = require('../services/gitlab/api');
+const { jiraApi } = require('../services/jira/api');
+
+const REPORT_FILE = process.env.IDENTITY_REPORT_FILE || path.join(__dirname, '..', 'data', 'identity-verification.json');
+
+const SERVICES = ['github', 'gitlab', 'jira'];
+
+// Read YYYY-MM-DD range days as local dates, so formatDate gives the same days back
+const toLocalDay = (day) => (typeof day === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(day) ? `${day}T00:00:00` : day);
+
+// Last report, re-read when the file's mtime changes (npm run verify-users runs in another process)
+let reportCache = { mtimeMs: null, report: null };
+
+/**
+ * Compare a roster name with an account display name
+ * Names match when they share a word ("Gus Argueta" vs "Gustavo Argueta"),
+ * or one first name is a prefix of the other
+ */
+function namesMatch(rosterName, accountName) {
+  if (!rosterName || !accountName) return true;
+  const words = (name) => name.toLowerCase().split(/[^a-z]+/).filter(word => word.length > 1);
+  const rosterWords = words(rosterName);
+  const accountWords = words(accountName);
+  if (rosterWords.length === 0 || accountWords.length === 0) return true;
+
+  if (rosterWords.some(word => accountWords.includes(word))) return true;
+  const [a, b] = [rosterWords[0], accountWords[0]];
+  return a.startsWith(b) || b.startsWith(a);
+}
+
+/**
+ * Count PRs the GitHub user authored, reviewed or commented on in the range
+ */
+async function getGitHubActivity(login, range) {
+  const created = range.start
+    ? `created:${formatDate(range.start)}..${range.end ? formatDate(range.end) : '*'}`
+    : '';
+  const response = await githubApi.get('/search/issues', {
+    params: { q: `type:pr involves:${login} ${created}`.trim(), per_page: 1 }
+  });
+  return response.data?.total_count || 0;
+}
+
+/**
+ * Count GitLab events (pushes, MRs, comments) for the user id in the range
+ */
+async function getGitLabActivity(userId, range) {
+  const params = { per_page: 1 };
+  if (range.start) {
+    // "after" is exclusive
+    const dayBefore = new Date(range.start);
+    dayBefore.setDate(dayBefore.getDate() - 1);
+    params.after = formatDate(dayBefore);
+  }
+  if (range.end) {
+    const dayAfter = new Date(range.end);
+    dayAfter.setDate(dayAfter.getDate() + 1);
+    params.before = formatDate(dayAfter);
+  }
+
+  const response = await gitlabApi.get(`/users/${userId}/events`, { params });
+  return Number(response.headers?.['x-total']) || (response.data || []).length;
+}
+
+/**
+ * Count Jira issues assigned to or reported by the account, updated in the range
+ */
+async function getJiraActivity(account, email, range) {
+  const identity = account?.username || account?.key || email;
+  const jql = buildJqlQuery(
+    `(assignee = "${identity}" OR reporter = "${identity}")`,
+    [buildJqlDateFilter(range.start ? { start: formatDate(range.start), end: range.end ? formatDate(range.end) : null } : null, 'updated')],
+    ''
+  ).trim();
+  const response = await jiraApi.get('/rest/api/2/search', {
+    params: { jql, maxResults: 0, fields: 'key' }
+  });
+  return response.data?.total || 0;
+}
+
+/**
+ * Turn resolution + activity for one service into findings
+ */
+function collectFindings(service, user, resolution, activity) {
+  const label = { github: 'GitHub', gitlab: 'GitLab', jira: 'Jira' }[service];
+  const findings = [];
+
+  switch (resolution.status) {
+    case 'not_found':
+      findings.push({ service, type: 'not_found', message: `${label} account not found` });
+      break;
+    case 'ambiguous': {
+      const names = (resolution.candidates || []).map(c => c.email || c.name).filter(Boolean).slice(0, 3);
+      findings.push({
+        service,
+        type: 'ambiguous',
+        message: `${label}: ${resolution.detail}${names.length > 0 ? ` (${names.join(', ')})` : ''}`
+      });
+      break;
+    }
+    case 'error':
+      findings.push({ service, type: 'error', message: `${label}: ${resolution.detail}` });
+      break;
+    case 'ok': {
+      const accountName = resolution.account?.name;
+      if (!namesMatch(user.name, accountName)) {
+        findings.push({ service, type: 'mismatch', message: `${label} account belongs to "${accountName}", not "${user.name}"` });
+      }
+      if (activity === 0) {
+        findings.push({ service, type: 'zero_activity', message: `${label} account has no activity in the date range` });
+      }
+      break;
+    }
+    default:
+      break;
+  }
+
+  return findings;
+}
+
+/**
+ * Verify a single user's identities
+ */
+async function verifyUser(user, range) {
+  const identities = await resolveUserIdentities(user);
+  const activity = {};
+  const findings = [];
+
+  const activityCheckers = {
+    github: () => getGitHubActivity(identities.github.account?.login || user.github.username, range),
+    gitlab: () => getGitLabActivity(user.gitlab.username, range),
+    jira: () => getJiraActivity(identities.jira.account, user.jira.email, range)
+  };
+
+  for (const service of SERVICES) {
+    const resolution = identities[service];
+    activity[service] = null;
+
+    if (resolution.status === 'ok') {
+      try {
+        activity[service] = await activityCheckers[service]();
+      } catch (error) {
+        findings.push({ service, type: 'error', message: `Could not check ${service} activity: ${error.message}` });
+      }
+    }
+
+    findings.push(...collectFindings(service, user, resolution, activity[service]));
+  }
+
+  return {
+    id: user.id,
+    name: user.name || user.id,
+    identities,
+    activity,
+    findings
+  };
+}
+
+/**
+ * Verify all users and save the report
+ * @param {Object|null} dateRange - Range used for the zero-activity check
+ * @returns {Promise<Object>} { generatedAt, dateRange, summary, users }
+ */
+async function verifyUsers(dateRange = null) {
+  const users = (await getUsers()).map(user => normalizeEngineeringMetricsUser(user));
+  const range = getDateRange(dateRange && { start: toLocalDay(dateRange.start), end: toLocalDay(dateRange.end) });
+  const results = [];
+
+  // Sequential to stay well under API rate limits
+  for (const user of users) {
+    results.push(await verifyUser(user, range));
+  }
+
+  const summary = { users: results.length, usersWithFindings: 0, not_found: 0, ambiguous: 0, mismatch: 0, zero_activity: 0, error: 0 };
+  for (const result of results) {
+    if (result.findings.length > 0) summary.usersWithFindings++;
+    result.findings.forEach(finding => { summary[finding.type]++; });
+  }
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    dateRange: {
+      start: range.start ? formatDate(range.start) : null,
+      end: range.end ? formatDate(range.end) : null
+    },
+    summary,
+    users: results
+  };
+
+  saveReport(report);
+  return report;
+}
+
+function saveReport(report) {
+  try {
+    fs.mkdirSync(path.dirname(REPORT_FILE), { recursive: true });
+    const tmpPath = `${REPORT_FILE}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(report, null, 2));
+    fs.renameSync(tmpPath, REPORT_FILE);
+    reportCache = { mtimeMs: fs.statSync(REPORT_FILE).mtimeMs, report };
+  } catch (error) {
+    console.error('Failed to save identity verification report:', error.message);
+  }
+}
+
+/**
+ * Load the last saved report (read again only when the file changed)
+ * @returns {Object|null}
+ */
+function loadLastReport() {
+  try {
+    const { mtimeMs } = fs.statSync(REPORT_FILE);
+    if (mtimeMs !== reportCache.mtimeMs) {
+      reportCache = { mtimeMs, report: JSON.parse(fs.readFileSync(REPORT_FILE, 'utf8')) };
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Failed to load identity verification report:', error.message);
+    }
+    reportCache = { mtimeMs: null, report: null };
+  }
+  return reportCache.report;
+}
+
+/**
+ * Map user id -> findings from the last report (for annotating the leaderboard)
+ * @returns {Object}
+ */
+function getFindingsByUserId() {
+  const report = loadLastReport();
+  const byId = {};
+  (report?.users || []).forEach(user => {
+    if (user.findings.length > 0) byId[user.id] = user.findings;
+  });
+  return byId;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const option = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1] || null;
+  const start = option('start');
+  const end = option('end');
+  const dateRange = start || end ? { start, end } : null;
+
+  console.log('🔍 Verifying user identities...\n');
+  const report = await verifyUsers(dateRange);
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    const icons = { not_found: '❌', ambiguous: '❓', mismatch: '⚠️ ', zero_activity: '💤', error: '🚫' };
+    report.users.filter(user => user.findings.length > 0).forEach(user => {
+      console.log(`${user.name} (${user.id})`);
+      user.findings.forEach(finding => console.log(`   ${icons[finding.type]} ${finding.message}`));
+    });
+
+    const { summary } = report;
+    console.log(`\n📊 Summary (${report.dateRange.start || 'all time'} → ${report.dateRange.end || 'now'}):`);
+    console.log(`   Users checked: ${summary.users}`);
+    console.log(`   Users with findings: ${summary.usersWithFindings}`);
+    console.log(`   Not found: ${summary.not_found}, Ambiguous: ${summary.ambiguous}, Mismatched: ${summary.mismatch}`);
+    console.log(`   Zero activity: ${summary.zero_activity}, Errors: ${summary.error}`);
+    console.log(`\n✅ Report saved to ${REPORT_FILE}`);
+  }
+
+  process.exit(report.summary.usersWithFindings > 0 ? 1 : 0);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Verification failed:', error.message);
+    process.exit(2);
+  });
+}
+
+module.exports = {
+  verifyUsers,
+  loadLastReport,
+  getFindingsByUserId,
+  namesMatch
+};
@@ -0,0 +1,40 @@
+/**
+ * Webhook signature helpers
+ *
+ * Sources sign deliveries with a shared secret: GitHub (and Jira Cloud) send
+ * an HMAC of the raw body, GitLab echoes the secret token. Comparisons are
+ * constant-time.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Compare two strings in constant time
+ * @param {string} actual - Value from the request
+ * @param {string} expected - Configured value
+ * @returns {boolean}
+ */
+function secretsMatch(actual, expected) {
+  if (typeof actual !== 'string' || !expected) return false;
+  const a = Buffer.from(actual);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Check a `sha256=<hex>` HMAC signature header against the raw body
+ * @param {Buffer} rawBody - Request body as received
+ * @param {string} signature - Signature header value
+ * @param {string} secret - Webhook secret
+ * @returns {boolean}
+ */
+function verifyHmacSignature(rawBody, signature, secret) {
+  if (!Buffer.isBuffer(rawBody) || !secret) return false;
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+  return secretsMatch(signature, expected);
+}
+
+module.exports = {
+  secretsMatch,
+  verifyHmacSignature
+};